@@ -3,7 +3,10 @@ const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
 const User = require("../models/User");
 const emailService = require("../../config/email");
-const { sendNotification } = require("../../config/pusher");
+const {
+  sendNotification,
+  sendEmail,
+} = require("../../config/deliveryRouter");
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -35,17 +38,12 @@ const register = async (req, res) => {
     const authToken = user.generateAuthToken();
     const refreshToken = user.generateRefreshToken();
 
-    // Send welcome email
-    try {
-      await emailService.sendWelcomeEmail(
-        email,
-        user.fullName,
-        "Church Sphere"
-      );
-    } catch (emailError) {
-      console.error("Email sending failed:", emailError);
-      // Don't fail registration if email fails
-    }
+    // Send welcome email (a failed delivery doesn't fail registration)
+    await sendEmail(
+      { recipient: user.email, userId: user._id, event: "user-registered" },
+      (to, { outbox }) =>
+        emailService.sendWelcomeEmail(to, user.fullName, "Church Sphere", outbox)
+    );
 
     // Send real-time notification
     sendNotification("auth", "user-registered", {
@@ -269,14 +267,23 @@ const forgotPassword = async (req, res) => {
     await user.save();
 
     // Send reset email
-    try {
-      await emailService.sendPasswordResetEmail(
-        email,
-        resetToken,
-        user.fullName
-      );
-    } catch (emailError) {
-      console.error("Password reset email failed:", emailError);
+    const delivery = await sendEmail(
+      {
+        recipient: user.email,
+        userId: user._id,
+        event: "password-reset",
+        essential: true,
+      },
+      (to, { outbox }) =>
+        emailService.sendPasswordResetEmail(
+          to,
+          resetToken,
+          user.fullName,
+          outbox
+        )
+    );
+    if (!["queued", "sent"].includes(delivery.status)) {
+      console.error("Password reset email failed:", delivery.reason);
       return res.status(500).json({
         success: false,
         error: { message: "Failed to send password reset email" },
@@ -323,15 +330,16 @@ const resetPassword = async (req, res) => {
     await user.save();
 
     // Send confirmation email
-    try {
-      await emailService.sendWelcomeEmail(
-        user.email,
-        user.fullName,
-        "Church Sphere"
-      );
-    } catch (emailError) {
-      console.error("Password reset confirmation email failed:", emailError);
-    }
+    await sendEmail(
+      {
+        recipient: user.email,
+        userId: user._id,
+        event: "password-reset-completed",
+        essential: true,
+      },
+      (to, { outbox }) =>
+        emailService.sendWelcomeEmail(to, user.fullName, "Church Sphere", outbox)
+    );
 
     res.json({
       success: true,
@@ -403,14 +411,18 @@ const resendVerification = async (req, res) => {
     await user.save();
 
     // Send verification email
-    try {
-      await emailService.sendWelcomeEmail(
-        user.email,
-        user.fullName,
-        "Church Sphere"
-      );
-    } catch (emailError) {
-      console.error("Verification email failed:", emailError);
+    const delivery = await sendEmail(
+      {
+        recipient: user.email,
+        userId: user._id,
+        event: "email-verification",
+        essential: true,
+      },
+      (to, { outbox }) =>
+        emailService.sendWelcomeEmail(to, user.fullName, "Church Sphere", outbox)
+    );
+    if (!["queued", "sent"].includes(delivery.status)) {
+      console.error("Verification email failed:", delivery.reason);
       return res.status(500).json({
         success: false,
         error: { message: "Failed to send verification email" },
@@ -555,9 +567,17 @@ const updatePreferences = async (req, res) => {
 
     // Update preferences
     if (notifications) {
+      const current = user.preferences.notifications;
       user.preferences.notifications = {
-        ...user.preferences.notifications,
+        ...current,
         ...notifications,
+        categories: { ...current.categories, ...notifications.categories },
+        quietHours: { ...current.quietHours, ...notifications.quietHours },
+        // lastSentAt is maintained by the digest scheduler
+        digest: {
+          ...current.digest,
+          frequency: notifications.digest?.frequency || current.digest.frequency,
+        },
       };
     }
     if (language) user.preferences.language = language;
@@ -1,10 +1,14 @@
 const DonationCampaign = require("../models/DonationCampaign");
+const Donation = require("../models/Donation");
 const Church = require("../models/Church");
+const Pledge = require("../models/Pledge");
 const {
   sendChurchNotification,
   sendUserNotification,
-} = require("../../config/pusher");
+} = require("../../config/deliveryRouter");
 const emailService = require("../../config/email");
+const { resolveColumns, sendExport } = require("../../config/exporter");
+const storageService = require("../../config/storage");
 
 // @desc    Create a new donation campaign
 // @route   POST /api/campaigns
@@ -597,10 +601,16 @@ const cancelCampaign = async (req, res) => {
 // @access  Private (Church Admin)
 const addImage = async (req, res) => {
   try {
-    const { filename, originalName, mimetype, size, url, caption, isPrimary } =
-      req.body;
+    const { caption, isPrimary } = req.body;
     const campaignId = req.params.id;
 
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Please upload an image file" },
+      });
+    }
+
     const campaign = await DonationCampaign.findById(campaignId);
     if (!campaign) {
       return res.status(404).json({
@@ -609,29 +619,46 @@ const addImage = async (req, res) => {
       });
     }
 
+    if (req.user.getChurchRole(campaign.churchId) !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can manage campaign images" },
+      });
+    }
+
+    const stored = await storageService.saveFile(req.file, {
+      folder: `churches/${campaign.churchId}/campaigns/${campaign._id}`,
+      thumbnail: true,
+    });
+
+    // Multipart fields arrive as strings
+    const primary = isPrimary === true || isPrimary === "true";
+
     const image = {
-      filename,
-      originalName,
-      mimetype,
-      size,
-      url,
+      ...stored,
       caption,
-      isPrimary: isPrimary || false,
+      isPrimary: primary,
       uploadedAt: new Date(),
       uploadedBy: req.user.id,
     };
 
     // If this is primary image, unset others
-    if (isPrimary) {
+    if (primary) {
       campaign.images.forEach((img) => (img.isPrimary = false));
     }
 
     campaign.images.push(image);
-    await campaign.save();
+    try {
+      await campaign.save();
+    } catch (error) {
+      // Don't leave an orphaned file behind
+      await storageService.deleteFile(stored);
+      throw error;
+    }
 
     res.status(201).json({
       success: true,
-      data: { image },
+      data: { image: campaign.images[campaign.images.length - 1] },
       message: "Image added successfully",
     });
   } catch (error) {
@@ -658,6 +685,13 @@ const removeImage = async (req, res) => {
       });
     }
 
+    if (req.user.getChurchRole(campaign.churchId) !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can manage campaign images" },
+      });
+    }
+
     const image = campaign.images.id(imageId);
     if (!image) {
       return res.status(404).json({
@@ -668,6 +702,7 @@ const removeImage = async (req, res) => {
 
     campaign.images.pull(imageId);
     await campaign.save();
+    await storageService.deleteFile(image);
 
     res.json({
       success: true,
@@ -1121,26 +1156,66 @@ const getCampaignsByCategory = async (req, res) => {
   }
 };
 
-// @desc    Get campaign statistics
-// @route   GET /api/campaigns/:id/stats
+// @desc    Get campaign statistics, with pledged vs. received vs. target
+//          for each campaign
+// @route   GET /api/campaigns/stats/church/:churchId
 // @access  Private (Church Members)
 const getCampaignStats = async (req, res) => {
   try {
-    const campaignId = req.params.id;
+    const { churchId } = req.params;
 
-    const campaign = await DonationCampaign.findById(campaignId);
-    if (!campaign) {
-      return res.status(404).json({
-        success: false,
-        error: { message: "Campaign not found" },
-      });
-    }
+    const [stats, campaigns, pledgeTotals] = await Promise.all([
+      DonationCampaign.getCampaignStats(churchId),
+      DonationCampaign.find({ churchId })
+        .select("title status currency targetAmount currentAmount endDate")
+        .sort({ createdAt: -1 }),
+      Pledge.getCampaignTotals(churchId),
+    ]);
+
+    const percentageOf = (amount, target) =>
+      target > 0 ? Math.round((amount / target) * 10000) / 100 : 0;
+    const pledgeSummary = (totals = {}) => ({
+      pledged: totals.pledgedAmount || 0,
+      pledgesFulfilled: totals.fulfilledAmount || 0,
+      pledgesOutstanding:
+        (totals.pledgedAmount || 0) - (totals.fulfilledAmount || 0),
+      pledgeCount: totals.pledges || 0,
+      overduePledges: totals.overduePledges || 0,
+    });
+
+    // Campaign pledges are always in the campaign's currency
+    const campaignBreakdown = campaigns.map((campaign) => {
+      const pledges = pledgeSummary(
+        pledgeTotals.find(
+          (totals) => String(totals._id.campaignId) === String(campaign._id)
+        )
+      );
 
-    const stats = await DonationCampaign.getCampaignStats(campaignId);
+      return {
+        campaignId: campaign._id,
+        title: campaign.title,
+        status: campaign.status,
+        currency: campaign.currency,
+        endDate: campaign.endDate,
+        target: campaign.targetAmount,
+        received: campaign.currentAmount,
+        ...pledges,
+        receivedPercentage: percentageOf(campaign.currentAmount, campaign.targetAmount),
+        pledgedPercentage: percentageOf(pledges.pledged, campaign.targetAmount),
+      };
+    });
+
+    // Pledges made outside any campaign, per currency
+    const generalPledges = pledgeTotals
+      .filter((totals) => !totals._id.campaignId)
+      .map((totals) => ({
+        currency: totals._id.currency,
+        ...pledgeSummary(totals),
+      }));
 
     res.json({
       success: true,
-      data: { stats },
+      data: { stats, campaigns: campaignBreakdown, generalPledges },
     });
   } catch (error) {
     console.error("Get campaign stats error:", error);
@@ -1166,6 +1241,13 @@ const setPrimaryImage = async (req, res) => {
       });
     }
 
+    if (req.user.getChurchRole(campaign.churchId) !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can manage campaign images" },
+      });
+    }
+
     const imageIndex = campaign.images.findIndex(
       (img) => img.filename === filename
     );
@@ -1408,68 +1490,197 @@ const incrementPageView = async (req, res) => {
   }
 };
 
+// Columns available to campaign exports
+const CAMPAIGN_EXPORT_COLUMNS = {
+  title: { header: "Title", value: (campaign) => campaign.title },
+  category: { header: "Category", value: (campaign) => campaign.category },
+  status: { header: "Status", value: (campaign) => campaign.status },
+  targetAmount: {
+    header: "Target Amount",
+    type: "currency",
+    value: (campaign) => campaign.targetAmount,
+  },
+  currentAmount: {
+    header: "Amount Raised",
+    type: "currency",
+    value: (campaign) => campaign.currentAmount,
+  },
+  progress: {
+    header: "Progress",
+    type: "percent",
+    value: (campaign) => campaign.progressPercentage,
+  },
+  startDate: {
+    header: "Start Date",
+    type: "date",
+    value: (campaign) => campaign.startDate,
+  },
+  endDate: {
+    header: "End Date",
+    type: "date",
+    value: (campaign) => campaign.endDate,
+  },
+  daysRemaining: {
+    header: "Days Remaining",
+    type: "number",
+    value: (campaign) => campaign.daysRemaining,
+  },
+  isFeatured: {
+    header: "Featured",
+    type: "boolean",
+    value: (campaign) => campaign.isFeatured,
+  },
+  isUrgent: {
+    header: "Urgent",
+    type: "boolean",
+    value: (campaign) => campaign.isUrgent,
+  },
+  totalDonors: {
+    header: "Total Donors",
+    type: "number",
+    value: (campaign) => campaign.analytics?.totalDonors,
+  },
+  uniqueDonors: {
+    header: "Unique Donors",
+    type: "number",
+    value: (campaign) => campaign.analytics?.uniqueDonors,
+  },
+  averageDonation: {
+    header: "Average Donation",
+    type: "currency",
+    value: (campaign) => campaign.analytics?.averageDonation,
+  },
+  largestDonation: {
+    header: "Largest Donation",
+    type: "currency",
+    value: (campaign) => campaign.analytics?.largestDonation,
+  },
+  pageViews: {
+    header: "Page Views",
+    type: "number",
+    value: (campaign) => campaign.analytics?.pageViews,
+  },
+  shares: {
+    header: "Shares",
+    type: "number",
+    value: (campaign) => campaign.analytics?.shares,
+  },
+  createdBy: {
+    header: "Created By",
+    value: (campaign) =>
+      campaign.createdBy
+        ? `${campaign.createdBy.firstName} ${campaign.createdBy.lastName}`
+        : null,
+  },
+  createdAt: {
+    header: "Created At",
+    type: "date",
+    value: (campaign) => campaign.createdAt,
+  },
+};
+
+const DEFAULT_CAMPAIGN_EXPORT_COLUMNS = [
+  "title",
+  "category",
+  "status",
+  "targetAmount",
+  "currentAmount",
+  "progress",
+  "startDate",
+  "endDate",
+  "totalDonors",
+];
+
+// Columns for the donations of a single campaign export. `pii` columns are
+// blanked for anonymous donors.
+const CAMPAIGN_DONATION_EXPORT_COLUMNS = {
+  date: {
+    header: "Date",
+    type: "date",
+    value: (donation) => donation.createdAt,
+  },
+  receiptNumber: {
+    header: "Receipt Number",
+    value: (donation) => donation.receipt?.number,
+  },
+  donorName: {
+    header: "Donor Name",
+    value: (donation) =>
+      donation.donorInfo?.isAnonymous ? "Anonymous" : donation.donorInfo?.name,
+  },
+  donorEmail: {
+    header: "Donor Email",
+    pii: true,
+    value: (donation) => donation.donorInfo?.email,
+  },
+  donorPhone: {
+    header: "Donor Phone",
+    pii: true,
+    value: (donation) => donation.donorInfo?.phone,
+  },
+  amount: {
+    header: "Amount",
+    type: "currency",
+    value: (donation) => donation.amount,
+  },
+  paymentMethod: {
+    header: "Payment Method",
+    value: (donation) => donation.paymentMethod,
+  },
+  status: { header: "Status", value: (donation) => donation.status },
+};
+
 // @desc    Export campaigns
-// @route   GET /api/campaigns/export
-// @access  Private (Church Admin)
+// @route   GET /api/campaigns/export/church/:churchId
+// @access  Private (Church Members)
 const exportCampaigns = async (req, res) => {
   try {
-    const { churchId, format = "json" } = req.query;
-
-    const filter = {};
-    if (churchId) filter.churchId = churchId;
-
-    const campaigns = await DonationCampaign.find(filter)
-      .populate("churchId", "name")
-      .populate("createdBy", "firstName lastName");
-
-    if (format === "csv") {
-      // Convert to CSV format
-      const csvData = campaigns.map((campaign) => ({
-        "Campaign ID": campaign._id,
-        Title: campaign.title,
-        Description: campaign.description,
-        Category: campaign.category,
-        "Target Amount": campaign.targetAmount,
-        "Current Amount": campaign.currentAmount,
-        Progress: `${campaign.progressPercentage}%`,
-        "Start Date": campaign.startDate,
-        "End Date": campaign.endDate,
-        Status: campaign.status,
-        Featured: campaign.isFeatured ? "Yes" : "No",
-        Urgent: campaign.isUrgent ? "Yes" : "No",
-        "Total Donors": campaign.analytics.totalDonors,
-        "Total Donations": campaign.analytics.totalDonations,
-        "Page Views": campaign.analytics.pageViews,
-        "Total Shares": campaign.analytics.totalShares,
-        "Created By": `${campaign.createdBy?.firstName} ${campaign.createdBy?.lastName}`,
-        "Created At": campaign.createdAt,
-      }));
+    const { churchId } = req.params;
+    const { format = "csv", status, category, startDate, endDate } = req.query;
 
-      res.setHeader("Content-Type", "text/csv");
-      res.setHeader(
-        "Content-Disposition",
-        "attachment; filename=campaigns.csv"
-      );
+    const church = await Church.findById(churchId).select("name settings");
+    if (!church) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
 
-      // Convert to CSV string
-      const csvString = [
-        Object.keys(csvData[0]).join(","),
-        ...csvData.map((row) =>
-          Object.values(row)
-            .map((value) => `"${value}"`)
-            .join(",")
-        ),
-      ].join("\n");
-
-      res.send(csvString);
-    } else {
-      res.json({
-        success: true,
-        data: { campaigns },
+    const { columns, unknown } = resolveColumns(
+      CAMPAIGN_EXPORT_COLUMNS,
+      req.query.columns,
+      DEFAULT_CAMPAIGN_EXPORT_COLUMNS
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown export columns: ${unknown.join(", ")}` },
       });
     }
+
+    const filter = { churchId };
+    if (status) filter.status = status;
+    if (category) filter.category = category;
+    // Campaigns running at any point in the range
+    if (startDate) filter.endDate = { $gte: new Date(startDate) };
+    if (endDate) filter.startDate = { $lte: new Date(endDate) };
+
+    await sendExport(res, {
+      format,
+      filename: "campaigns",
+      sheetName: "Campaigns",
+      dataKey: "campaigns",
+      columns,
+      rows: DonationCampaign.find(filter)
+        .populate("createdBy", "firstName lastName")
+        .sort({ startDate: -1 })
+        .cursor(),
+      currency: church.settings?.currency,
+    });
   } catch (error) {
     console.error("Export campaigns error:", error);
+    // Headers are already sent once streaming has started
+    if (res.headersSent) return res.end();
     res.status(500).json({
       success: false,
       error: { message: "Failed to export campaigns" },
@@ -1477,16 +1688,16 @@ const exportCampaigns = async (req, res) => {
   }
 };
 
-// @desc    Export campaign
+// @desc    Export a campaign with its donations
 // @route   GET /api/campaigns/:id/export
-// @access  Private (Church Members)
+// @access  Private (Church Admin)
 const exportCampaign = async (req, res) => {
   try {
-    const { format = "json" } = req.query;
+    const { format = "csv", status } = req.query;
     const campaignId = req.params.id;
 
     const campaign = await DonationCampaign.findById(campaignId)
-      .populate("churchId", "name")
+      .populate("churchId", "name settings")
       .populate("createdBy", "firstName lastName");
 
     if (!campaign) {
@@ -1496,56 +1707,62 @@ const exportCampaign = async (req, res) => {
       });
     }
 
-    if (format === "csv") {
-      // Convert to CSV format
-      const csvData = [
-        {
-          "Campaign ID": campaign._id,
-          Title: campaign.title,
-          Description: campaign.description,
-          Category: campaign.category,
-          "Target Amount": campaign.targetAmount,
-          "Current Amount": campaign.currentAmount,
-          Progress: `${campaign.progressPercentage}%`,
-          "Start Date": campaign.startDate,
-          "End Date": campaign.endDate,
-          Status: campaign.status,
-          Featured: campaign.isFeatured ? "Yes" : "No",
-          Urgent: campaign.isUrgent ? "Yes" : "No",
-          "Total Donors": campaign.analytics.totalDonors,
-          "Total Donations": campaign.analytics.totalDonations,
-          "Page Views": campaign.analytics.pageViews,
-          "Total Shares": campaign.analytics.totalShares,
-          "Created By": `${campaign.createdBy?.firstName} ${campaign.createdBy?.lastName}`,
-          "Created At": campaign.createdAt,
-        },
-      ];
-
-      res.setHeader("Content-Type", "text/csv");
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename=campaign-${campaign._id}.csv`
-      );
+    if (req.user.getChurchRole(campaign.churchId._id) !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can export campaign donations" },
+      });
+    }
 
-      // Convert to CSV string
-      const csvString = [
-        Object.keys(csvData[0]).join(","),
-        ...csvData.map((row) =>
-          Object.values(row)
-            .map((value) => `"${value}"`)
-            .join(",")
-        ),
-      ].join("\n");
-
-      res.send(csvString);
-    } else {
-      res.json({
-        success: true,
-        data: { campaign },
+    const { columns, unknown } = resolveColumns(
+      CAMPAIGN_DONATION_EXPORT_COLUMNS,
+      req.query.columns,
+      Object.keys(CAMPAIGN_DONATION_EXPORT_COLUMNS)
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown export columns: ${unknown.join(", ")}` },
       });
     }
+
+    const filter = { campaignId: campaign._id };
+    if (status) filter.status = status;
+
+    const summary = [
+      "title",
+      "category",
+      "status",
+      "targetAmount",
+      "currentAmount",
+      "progress",
+      "startDate",
+      "endDate",
+      "totalDonors",
+      "averageDonation",
+      "largestDonation",
+    ].map((key) => ({
+      key,
+      ...CAMPAIGN_EXPORT_COLUMNS[key],
+      value: CAMPAIGN_EXPORT_COLUMNS[key].value(campaign),
+    }));
+
+    await sendExport(res, {
+      format,
+      filename: `campaign-${campaign._id}`,
+      sheetName: "Donations",
+      dataKey: "donations",
+      columns,
+      rows: Donation.find(filter).sort({ createdAt: -1 }).cursor(),
+      hide: (donation, column) =>
+        column.pii && donation.donorInfo?.isAnonymous,
+      currency: campaign.churchId.settings?.currency,
+      summary,
+    });
   } catch (error) {
     console.error("Export campaign error:", error);
+    // Headers are already sent once streaming has started
+    if (res.headersSent) return res.end();
     res.status(500).json({
       success: false,
       error: { message: "Failed to export campaign" },
@@ -1,7 +1,9 @@
 const Church = require('../models/Church');
 const User = require('../models/User');
-const { sendChurchNotification } = require('../../config/pusher');
+const { sendChurchNotification } = require('../../config/deliveryRouter');
 const emailService = require('../../config/email');
+const storageService = require('../../config/storage');
+const { revalueTransactions } = require('../../config/exchangeRates');
 
 // @desc    Create a new church
 // @route   POST /api/churches
@@ -560,7 +562,7 @@ const removeDonationCategory = async (req, res) => {
 // @access  Private (Church Admin)
 const updateSettings = async (req, res) => {
   try {
-    const { currency, timezone, language, notifications, privacy } = req.body;
+    const { currency, timezone, language, notifications, privacy, sms } = req.body;
     const churchId = req.params.id;
 
     const church = await Church.findById(churchId);
@@ -571,6 +573,8 @@ const updateSettings = async (req, res) => {
       });
     }
 
+    const currencyChanged = currency && currency !== church.settings.currency;
+
     // Update settings
     if (currency) church.settings.currency = currency;
     if (timezone) church.settings.timezone = timezone;
@@ -578,7 +582,11 @@ const updateSettings = async (req, res) => {
     if (notifications) {
       church.settings.notifications = {
         ...church.settings.notifications,
-        ...notifications
+        ...notifications,
+        categories: {
+          ...church.settings.notifications.categories,
+          ...notifications.categories
+        }
       };
     }
     if (privacy) {
@@ -587,9 +595,22 @@ const updateSettings = async (req, res) => {
         ...privacy
       };
     }
+    if (sms) {
+      church.settings.sms = {
+        ...church.settings.sms,
+        ...sms
+      };
+    }
 
     await church.save();
 
+    // Totals are in the church's currency, so every transaction's base
+    // amount has to be worked out again
+    if (currencyChanged) {
+      await revalueTransactions(church._id);
+      await church.updateStats();
+    }
+
     res.json({
       success: true,
       data: { settings: church.settings },
@@ -609,7 +630,7 @@ const updateSettings = async (req, res) => {
 // @access  Private (Church Admin)
 const updateFinancialInfo = async (req, res) => {
   try {
-    const { accountNumber, bankName, monnifyContractCode } = req.body;
+    const { accountNumber, bankName, monnifyContractCode, paymentGateway } = req.body;
     const churchId = req.params.id;
 
     const church = await Church.findById(churchId);
@@ -624,6 +645,7 @@ const updateFinancialInfo = async (req, res) => {
     if (accountNumber) church.financial.accountNumber = accountNumber;
     if (bankName) church.financial.bankName = bankName;
     if (monnifyContractCode) church.financial.monnifyContractCode = monnifyContractCode;
+    if (paymentGateway) church.financial.paymentGateway = paymentGateway;
 
     await church.save();
 
@@ -910,7 +932,13 @@ const getChurchCampaigns = async (req, res) => {
 const uploadLogo = async (req, res) => {
   try {
     const churchId = req.params.id;
-    const { filename, originalName, mimetype, size, url } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Please upload an image file' }
+      });
+    }
 
     const church = await Church.findById(churchId);
     if (!church) {
@@ -920,22 +948,37 @@ const uploadLogo = async (req, res) => {
       });
     }
 
-    // Remove old logo if exists
-    if (church.logo) {
-      // In production, delete old file from storage
+    if (req.user.getChurchRole(church._id) !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Only church admins can change church images' }
+      });
     }
 
+    const previousLogo = church.logo && church.logo.toObject();
+    const stored = await storageService.saveFile(req.file, {
+      folder: `churches/${church._id}/logo`,
+      thumbnail: true
+    });
+
     church.logo = {
-      filename,
-      originalName,
-      mimetype,
-      size,
-      url,
+      ...stored,
       uploadedAt: new Date(),
       uploadedBy: req.user.id
     };
 
-    await church.save();
+    try {
+      await church.save();
+    } catch (error) {
+      // Don't leave an orphaned file behind
+      await storageService.deleteFile(stored);
+      throw error;
+    }
+
+    // Replace rather than accumulate old logos
+    if (previousLogo) {
+      await storageService.deleteFile(previousLogo);
+    }
 
     res.json({
       success: true,
@@ -957,7 +1000,13 @@ const uploadLogo = async (req, res) => {
 const uploadBanner = async (req, res) => {
   try {
     const churchId = req.params.id;
-    const { filename, originalName, mimetype, size, url } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Please upload an image file' }
+      });
+    }
 
     const church = await Church.findById(churchId);
     if (!church) {
@@ -967,22 +1016,36 @@ const uploadBanner = async (req, res) => {
       });
     }
 
-    // Remove old banner if exists
-    if (church.banner) {
-      // In production, delete old file from storage
+    if (req.user.getChurchRole(church._id) !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Only church admins can change church images' }
+      });
     }
 
+    const previousBanner = church.banner && church.banner.toObject();
+    const stored = await storageService.saveFile(req.file, {
+      folder: `churches/${church._id}/banner`
+    });
+
     church.banner = {
-      filename,
-      originalName,
-      mimetype,
-      size,
-      url,
+      ...stored,
       uploadedAt: new Date(),
       uploadedBy: req.user.id
     };
 
-    await church.save();
+    try {
+      await church.save();
+    } catch (error) {
+      // Don't leave an orphaned file behind
+      await storageService.deleteFile(stored);
+      throw error;
+    }
+
+    // Replace rather than accumulate old banners
+    if (previousBanner) {
+      await storageService.deleteFile(previousBanner);
+    }
 
     res.json({
       success: true,
@@ -1013,6 +1076,13 @@ const removeLogo = async (req, res) => {
       });
     }
 
+    if (req.user.getChurchRole(church._id) !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Only church admins can change church images' }
+      });
+    }
+
     if (!church.logo) {
       return res.status(400).json({
         success: false,
@@ -1020,9 +1090,10 @@ const removeLogo = async (req, res) => {
       });
     }
 
-    // In production, delete file from storage
+    const logo = church.logo.toObject();
     church.logo = undefined;
     await church.save();
+    await storageService.deleteFile(logo);
 
     res.json({
       success: true,
@@ -1052,6 +1123,13 @@ const removeBanner = async (req, res) => {
       });
     }
 
+    if (req.user.getChurchRole(church._id) !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Only church admins can change church images' }
+      });
+    }
+
     if (!church.banner) {
       return res.status(400).json({
         success: false,
@@ -1059,9 +1137,10 @@ const removeBanner = async (req, res) => {
       });
     }
 
-    // In production, delete file from storage
+    const banner = church.banner.toObject();
     church.banner = undefined;
     await church.save();
+    await storageService.deleteFile(banner);
 
     res.json({
       success: true,
@@ -0,0 +1,485 @@
+const CountingSession = require("../models/CountingSession");
+const Church = require("../models/Church");
+const Member = require("../models/Member");
+const User = require("../models/User");
+const { postCountingSession } = require("../../config/countingSessions");
+
+// Check whether a user administers a church
+const isChurchAdmin = (user, churchId) =>
+  Boolean(churchId) && user.getChurchRole(churchId) === "admin";
+
+const isCounter = (session, userId) =>
+  session.counters.some((counter) => String(counter) === String(userId));
+
+// Counts stay blind until they agree: while a session is open a counter
+// only sees their own count, and which lines differ but not the other
+// counter's figures
+const visibleSession = (session, user) => {
+  const data = session.toJSON();
+  if (session.status !== "open" || !isCounter(session, user._id)) return data;
+
+  data.counts = data.counts.filter(
+    (count) => String(count.counter) === String(user._id)
+  );
+  if (data.reconciliation) {
+    data.reconciliation = {
+      matched: data.reconciliation.matched,
+      differences: data.reconciliation.differences.map(({ kind, key }) => ({
+        kind,
+        key,
+      })),
+    };
+  }
+  return data;
+};
+
+// Check a submitted count against the session's currency and church.
+// Resolves to an error message, or null when the count is fine.
+const checkCount = async (session, { collections = [], envelopes = [] }) => {
+  const denominations = CountingSession.DENOMINATIONS[session.currency];
+
+  for (const collection of collections) {
+    for (const { value, quantity } of collection.denominations || []) {
+      if (!denominations.includes(Number(value))) {
+        return `${value} is not a ${session.currency} denomination`;
+      }
+      if (!Number.isInteger(Number(quantity)) || Number(quantity) < 0) {
+        return "Denomination quantities must be whole numbers";
+      }
+    }
+  }
+
+  const numbers = envelopes.map((envelope) => String(envelope.number).trim());
+  if (new Set(numbers).size !== numbers.length) {
+    return "Each envelope can only be counted once";
+  }
+
+  const memberIds = [
+    ...new Set(
+      envelopes.map((envelope) => envelope.memberId).filter(Boolean).map(String)
+    ),
+  ];
+  if (memberIds.length > 0) {
+    const members = await Member.countDocuments({
+      _id: { $in: memberIds },
+      churchId: session.churchId,
+    });
+    if (members !== memberIds.length) {
+      return "Envelope members must belong to the church";
+    }
+  }
+
+  return null;
+};
+
+// @desc    Open a counting session for a service's offering
+// @route   POST /api/counting-sessions/church/:churchId
+// @access  Private (Church Admin)
+const openCountingSession = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { serviceId, serviceDate, counters, notes } = req.body;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can open counting sessions" },
+      });
+    }
+
+    const church = await Church.findById(churchId).select("services settings");
+    if (!church) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
+
+    const service = church.services.id(serviceId);
+    if (!service || !service.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Service not found among the church's active services" },
+      });
+    }
+
+    const counterUsers = await User.countDocuments({
+      _id: { $in: counters },
+      "churches.churchId": churchId,
+    });
+    if (counterUsers !== new Set(counters.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Counters must be users of the church" },
+      });
+    }
+
+    // One session per service and day
+    const date = new Date(serviceDate);
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    const existing = await CountingSession.findOne({
+      churchId,
+      "service.serviceId": service._id,
+      serviceDate: { $gte: dayStart, $lt: dayEnd },
+      status: { $ne: "cancelled" },
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "A counting session is already open for this service and date" },
+      });
+    }
+
+    const session = new CountingSession({
+      churchId,
+      service: {
+        serviceId: service._id,
+        name: service.name,
+        day: service.day,
+        time: service.time,
+      },
+      serviceDate: date,
+      currency: church.settings?.currency || "NGN",
+      counters,
+      notes,
+      openedBy: req.user._id,
+    });
+    session.addHistory("opened", { by: req.user._id });
+    await session.save();
+
+    res.status(201).json({
+      success: true,
+      data: { session },
+      message: "Counting session opened successfully",
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+    console.error("Open counting session error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to open counting session" },
+    });
+  }
+};
+
+// @desc    Get a church's counting sessions
+// @route   GET /api/counting-sessions/church/:churchId
+// @access  Private (Church Admin, or the session's counters)
+const getCountingSessions = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { status, serviceId, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { churchId };
+    // Counters only see the sessions they count, and the figures only
+    // through the session itself
+    const isAdmin = req.churchAccess.role === "admin";
+    if (!isAdmin) query.counters = req.user._id;
+    if (status) query.status = status;
+    if (serviceId) query["service.serviceId"] = serviceId;
+    if (startDate || endDate) {
+      query.serviceDate = {};
+      if (startDate) query.serviceDate.$gte = new Date(startDate);
+      if (endDate) query.serviceDate.$lte = new Date(endDate);
+    }
+
+    const sessions = await CountingSession.find(query)
+      .select(isAdmin ? "-counts -history" : "-counts -history -reconciliation")
+      .populate("counters", "firstName lastName")
+      .skip(skip)
+      .limit(limit)
+      .sort({ serviceDate: -1 });
+
+    const total = await CountingSession.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get counting sessions error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get counting sessions" },
+    });
+  }
+};
+
+// @desc    Get a counting session
+// @route   GET /api/counting-sessions/:id
+// @access  Private (Church Admin, or the session's counters)
+const getCountingSession = async (req, res) => {
+  try {
+    const session = await CountingSession.findById(req.params.id)
+      .populate("history.by", "firstName lastName");
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Counting session not found" },
+      });
+    }
+
+    if (
+      !isChurchAdmin(req.user, session.churchId) &&
+      !isCounter(session, req.user._id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to view this counting session" },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { session: visibleSession(session, req.user) },
+    });
+  } catch (error) {
+    console.error("Get counting session error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get counting session" },
+    });
+  }
+};
+
+// @desc    Submit a counter's count of the offering
+// @route   PUT /api/counting-sessions/:id/count
+// @access  Private (the session's counters)
+const submitCount = async (req, res) => {
+  try {
+    const { collections, envelopes } = req.body;
+
+    const session = await CountingSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Counting session not found" },
+      });
+    }
+
+    if (!isCounter(session, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only the session's counters can submit counts" },
+      });
+    }
+
+    if (!["open", "reconciled"].includes(session.status)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Counts can't be changed on a ${session.status} session` },
+      });
+    }
+
+    const problem = await checkCount(session, req.body);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: { message: problem },
+      });
+    }
+
+    session.submitCount(req.user._id, {
+      collections: collections || [],
+      envelopes: envelopes || [],
+    });
+    await session.save();
+
+    res.json({
+      success: true,
+      data: { session: visibleSession(session, req.user) },
+      message: "Count submitted successfully",
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+    console.error("Submit count error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to submit count" },
+    });
+  }
+};
+
+// @desc    Compare the two counts of a counting session
+// @route   POST /api/counting-sessions/:id/reconcile
+// @access  Private (Church Admin)
+const reconcileCountingSession = async (req, res) => {
+  try {
+    const session = await CountingSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Counting session not found" },
+      });
+    }
+
+    if (!isChurchAdmin(req.user, session.churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can reconcile counting sessions" },
+      });
+    }
+
+    if (!["open", "reconciled"].includes(session.status)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `A ${session.status} session can't be reconciled` },
+      });
+    }
+
+    const missing = session.counters.filter((counter) => !session.countBy(counter));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Both counters must submit their counts first" },
+      });
+    }
+
+    const matched = session.reconcile(req.user._id);
+    await session.save();
+
+    res.json({
+      success: true,
+      data: { session },
+      message: matched
+        ? "The counts agree; the session is ready to post"
+        : `The counts differ in ${session.reconciliation.differences.length} places; the counters need to recount`,
+    });
+  } catch (error) {
+    console.error("Reconcile counting session error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to reconcile counting session" },
+    });
+  }
+};
+
+// @desc    Post a reconciled counting session as donations or financial records
+// @route   POST /api/counting-sessions/:id/post
+// @access  Private (Church Admin)
+const postSession = async (req, res) => {
+  try {
+    const { postAs } = req.body;
+
+    const session = await CountingSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Counting session not found" },
+      });
+    }
+
+    if (!isChurchAdmin(req.user, session.churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can post counting sessions" },
+      });
+    }
+
+    const result = await postCountingSession(session, {
+      postAs: postAs || "donations",
+      user: req.user,
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: result.error },
+      });
+    }
+
+    const posted = result.session.posting;
+    res.json({
+      success: true,
+      data: { session: result.session },
+      message: `Counting session posted as ${
+        posted.donationIds.length || posted.recordIds.length
+      } ${posted.postedAs === "donations" ? "donations" : "financial records"}`,
+    });
+  } catch (error) {
+    console.error("Post counting session error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to post counting session" },
+    });
+  }
+};
+
+// @desc    Cancel a counting session that hasn't been posted
+// @route   POST /api/counting-sessions/:id/cancel
+// @access  Private (Church Admin)
+const cancelCountingSession = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const session = await CountingSession.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Counting session not found" },
+      });
+    }
+
+    if (!isChurchAdmin(req.user, session.churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can cancel counting sessions" },
+      });
+    }
+
+    if (!["open", "reconciled"].includes(session.status)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `A ${session.status} session can't be cancelled` },
+      });
+    }
+
+    session.status = "cancelled";
+    session.cancelledAt = new Date();
+    session.addHistory("cancelled", { by: req.user._id, note: reason });
+    await session.save();
+
+    res.json({
+      success: true,
+      data: { session },
+      message: "Counting session cancelled successfully",
+    });
+  } catch (error) {
+    console.error("Cancel counting session error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to cancel counting session" },
+    });
+  }
+};
+
+module.exports = {
+  openCountingSession,
+  getCountingSessions,
+  getCountingSession,
+  submitCount,
+  reconcileCountingSession,
+  postSession,
+  cancelCountingSession,
+};
@@ -2,12 +2,80 @@ const Donation = require("../models/Donation");
 const Member = require("../models/Member");
 const Church = require("../models/Church");
 const DonationCampaign = require("../models/DonationCampaign");
-const monnifyService = require("../../config/monnify");
+const StatementBatch = require("../models/StatementBatch");
+const ExchangeRate = require("../models/ExchangeRate");
+const { getGateway, gatewayForChurch } = require("../../config/paymentGateways");
 const {
   sendChurchNotification,
   sendUserNotification,
-} = require("../../config/pusher");
+  sendEmail,
+} = require("../../config/deliveryRouter");
 const emailService = require("../../config/email");
+const { resolveColumns, sendExport } = require("../../config/exporter");
+const { describeFields, runImport } = require("../../config/importer");
+const { allocateDonation } = require("../../config/pledges");
+const {
+  creditCampaigns,
+  processGatewayEvent,
+  refundDonation,
+  finishPendingRefunds,
+} = require("../../config/donationPayments");
+const {
+  renderDonationReceipt,
+  renderGivingStatement,
+  receiptAttachments,
+  verificationUrl,
+  isValidVerificationCode,
+} = require("../../config/receipts");
+const {
+  buildGivingStatement,
+  runStatementBatch,
+} = require("../../config/statements");
+
+// A batch still "processing" after this long was cut short by a restart
+const STALE_STATEMENT_BATCH_MS = 60 * 60 * 1000;
+
+// Donations in a category or campaign, including split donations with a
+// line in it
+const lineFilter = (field, value) => ({
+  $or: [{ [field]: value }, { [`lineItems.${field}`]: value }],
+});
+
+// Check the line items of a split donation: they add up to the amount and
+// any campaigns are the church's and accepting donations. Lines without a
+// campaign go to the donation's. Resolves to { lineItems } or { error }.
+const resolveLineItems = async (church, { lineItems, amount, campaignId }) => {
+  if (!lineItems || lineItems.length === 0) return { lineItems: [] };
+
+  const lines = lineItems.map((line) => ({
+    category: line.category,
+    campaignId: line.campaignId || campaignId,
+    amount: Math.round(parseFloat(line.amount) * 100) / 100,
+  }));
+
+  const lineTotal = lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0);
+  if (lineTotal !== Math.round(parseFloat(amount) * 100)) {
+    return { error: "Line items must add up to the donation amount" };
+  }
+
+  const campaignIds = [
+    ...new Set(lines.map((line) => line.campaignId).filter(Boolean).map(String)),
+  ];
+  if (campaignIds.length > 0) {
+    const campaigns = await DonationCampaign.find({
+      _id: { $in: campaignIds },
+      churchId: church._id,
+    });
+    if (
+      campaigns.length !== campaignIds.length ||
+      campaigns.some((campaign) => !campaign.isActive)
+    ) {
+      return { error: "Invalid or inactive campaign" };
+    }
+  }
+
+  return { lineItems: lines };
+};
 
 // @desc    Create a new donation (manual entry)
 // @route   POST /api/donations
@@ -23,6 +91,7 @@ const createDonation = async (req, res) => {
       description,
       paymentMethod,
       donorInfo,
+      lineItems,
     } = req.body;
 
     // Check if church exists
@@ -34,6 +103,14 @@ const createDonation = async (req, res) => {
       });
     }
 
+    const split = await resolveLineItems(church, { lineItems, amount });
+    if (split.error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: split.error },
+      });
+    }
+
     // Check if donor exists (if member)
     if (donorId) {
       const donor = await Member.findById(donorId);
@@ -51,7 +128,8 @@ const createDonation = async (req, res) => {
       donorId,
       amount,
       currency: currency || church.settings?.currency || "NGN",
-      category,
+      category: category || split.lineItems[0]?.category,
+      lineItems: split.lineItems,
       description,
       paymentMethod,
       donorInfo,
@@ -61,8 +139,14 @@ const createDonation = async (req, res) => {
         processedAt: new Date(),
         processedBy: req.user.id,
       },
+      recordedBy: req.user._id,
     });
 
+    // Add split lines to their campaigns, and count the donation towards
+    // any open pledges the donor made
+    await creditCampaigns(donation);
+    await allocateDonation(donation);
+
     // Send real-time notification
     sendChurchNotification(churchId, "donation-received", {
       donationId: donation._id,
@@ -73,17 +157,24 @@ const createDonation = async (req, res) => {
 
     // Send confirmation email if donor info provided
     if (donorInfo?.email && donorInfo?.name) {
-      try {
-        await emailService.sendDonationConfirmation(
-          donorInfo.email,
-          donorInfo.name,
-          donation.amount,
-          church.name,
-          donation.category
-        );
-      } catch (emailError) {
-        console.error("Donation confirmation email error:", emailError);
-      }
+      await sendEmail(
+        {
+          recipient: donorInfo.email,
+          churchId,
+          type: "donation",
+          event: "donation-confirmation",
+        },
+        async (to, { outbox }) =>
+          emailService.sendDonationConfirmation(
+            to,
+            donorInfo.name,
+            donation.amount,
+            church.name,
+            donation.category,
+            outbox,
+            await receiptAttachments(donation)
+          )
+      );
     }
 
     res.status(201).json({
@@ -113,6 +204,7 @@ const initializeOnlineDonation = async (req, res) => {
       description,
       donorInfo,
       campaignId,
+      lineItems,
     } = req.body;
 
     // Check if church exists
@@ -135,29 +227,41 @@ const initializeOnlineDonation = async (req, res) => {
       }
     }
 
+    // One payment can cover several categories and campaigns
+    const split = await resolveLineItems(church, { lineItems, amount, campaignId });
+    if (split.error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: split.error },
+      });
+    }
+
     // Generate transaction reference
     const transactionReference = `DON_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
+    const gateway = gatewayForChurch(church);
+
     // Create donation record
     const donation = await Donation.create({
       churchId,
       amount,
       currency: currency || church.settings?.currency || "NGN",
-      category,
+      category: category || split.lineItems[0]?.category,
+      lineItems: split.lineItems,
       description,
       paymentMethod: "online",
       donorInfo,
       campaignId,
       status: "pending",
-      transactionReference,
       paymentDetails: {
         method: "online",
-        gateway: "monnify",
+        gateway: gateway.name,
+        paymentReference: transactionReference,
         transactionReference,
       },
     });
 
-    // Initialize payment with Monnify
+    // Initialize payment with the church's gateway
     const paymentData = {
       amount: donation.amount,
       customerName: donorInfo?.name || "Anonymous Donor",
@@ -165,27 +269,28 @@ const initializeOnlineDonation = async (req, res) => {
       paymentReference: transactionReference,
       paymentDescription: description || `Donation to ${church.name}`,
       currencyCode: donation.currency,
-      contractCode:
-        church.financial?.monnifyContractCode ||
-        process.env.MONNIFY_CONTRACT_CODE,
+      contractCode: church.financial?.monnifyContractCode || undefined,
       redirectUrl: `${process.env.FRONTEND_URL}/donation/success?reference=${transactionReference}`,
-      paymentMethods: ["CARD", "ACCOUNT_TRANSFER", "USSD"],
+      metadata: { donationId: String(donation._id) },
     };
 
-    const paymentResponse = await monnifyService.initializePayment(paymentData);
+    const paymentResponse = await gateway.initializePayment(paymentData);
 
-    if (paymentResponse.status === "SUCCESS") {
+    if (paymentResponse.success) {
       // Update donation with payment details
-      donation.paymentDetails.gatewayResponse = paymentResponse;
-      donation.paymentDetails.checkoutUrl =
-        paymentResponse.responseBody.checkoutUrl;
+      donation.paymentDetails.gatewayResponse = paymentResponse.data;
+      if (paymentResponse.transactionReference) {
+        donation.paymentDetails.transactionReference =
+          paymentResponse.transactionReference;
+      }
+      donation.paymentDetails.checkoutUrl = paymentResponse.checkoutUrl;
       await donation.save();
 
       res.json({
         success: true,
         data: {
           donation,
-          checkoutUrl: paymentResponse.responseBody.checkoutUrl,
+          checkoutUrl: paymentResponse.checkoutUrl,
           transactionReference,
         },
         message: "Payment initialized successfully",
@@ -193,7 +298,8 @@ const initializeOnlineDonation = async (req, res) => {
     } else {
       // Payment initialization failed
       donation.status = "failed";
-      donation.paymentDetails.gatewayResponse = paymentResponse;
+      donation.paymentDetails.gatewayResponse = { error: paymentResponse.error };
+      donation.paymentDetails.failedAt = new Date();
       await donation.save();
 
       res.status(400).json({
@@ -211,94 +317,45 @@ const initializeOnlineDonation = async (req, res) => {
 };
 
 // @desc    Handle payment gateway callback
-// @route   POST /api/donations/callback
-// @access  Public
+// @route   POST /api/donations/callback (Monnify)
+// @route   POST /api/donations/callback/:gateway
+// @access  Public (signed by the gateway)
 const handlePaymentCallback = async (req, res) => {
   try {
-    const {
-      paymentReference,
-      transactionReference,
-      paidAmount,
-      transactionHash,
-      transactionStatus,
-      paymentMethod,
-      paidOn,
-      transactionType,
-    } = req.body;
-
-    // Verify signature
-    const signature = req.headers["mfy-signature"];
-    if (!monnifyService.handleWebhookCallback(req.body, signature)) {
-      return res.status(400).json({
+    const gateway = getGateway(req.params.gateway || "monnify");
+    if (!gateway) {
+      return res.status(404).json({
         success: false,
-        error: { message: "Invalid signature" },
+        error: { message: "Unknown payment gateway" },
       });
     }
 
-    // Find donation by transaction reference
-    const donation = await Donation.findOne({ transactionReference });
-    if (!donation) {
-      return res.status(404).json({
+    const webhook = gateway.handleWebhookCallback(req.rawBody, req.headers);
+    if (!webhook.success) {
+      return res.status(401).json({
         success: false,
-        error: { message: "Donation not found" },
+        error: { message: "Invalid signature" },
       });
     }
 
-    // Update donation status
-    if (transactionStatus === "SUCCESS") {
-      donation.status = "completed";
-      donation.paymentDetails.gatewayResponse = req.body;
-      donation.paymentDetails.processedAt = new Date(paidOn);
-      donation.paymentDetails.transactionHash = transactionHash;
-      donation.paymentDetails.paymentMethod = paymentMethod;
-      donation.paymentDetails.paidAmount = paidAmount;
-
-      // Update campaign if applicable
-      if (donation.campaignId) {
-        const campaign = await DonationCampaign.findById(donation.campaignId);
-        if (campaign) {
-          campaign.addDonation(donation.amount, donation.donorId);
-          await campaign.save();
-        }
-      }
-
-      // Send real-time notification
-      sendChurchNotification(donation.churchId, "donation-completed", {
-        donationId: donation._id,
-        amount: donation.amount,
-        category: donation.category,
-        donorName: donation.donorInfo?.name || "Anonymous",
+    if (!webhook.transactionReference) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Transaction reference is required" },
       });
-
-      // Send confirmation email
-      if (donation.donorInfo?.email && donation.donorInfo?.name) {
-        try {
-          const church = await Church.findById(donation.churchId);
-          await emailService.sendDonationConfirmation(
-            donation.donorInfo.email,
-            donation.donorInfo.name,
-            donation.amount,
-            church.name,
-            donation.category
-          );
-        } catch (emailError) {
-          console.error("Donation confirmation email error:", emailError);
-        }
-      }
-    } else if (transactionStatus === "FAILED") {
-      donation.status = "failed";
-      donation.paymentDetails.gatewayResponse = req.body;
-      donation.paymentDetails.failedAt = new Date();
     }
 
-    await donation.save();
+    const event = await processGatewayEvent(gateway, webhook);
 
     res.json({
       success: true,
-      message: "Callback processed successfully",
+      message: event
+        ? "Callback processed successfully"
+        : "Callback already processed",
     });
   } catch (error) {
     console.error("Payment callback error:", error);
+    // A non-200 response makes the gateway deliver the event again
     res.status(500).json({
       success: false,
       error: { message: "Failed to process callback" },
@@ -320,7 +377,7 @@ const getDonationsByChurch = async (req, res) => {
       req.query;
     const filter = { churchId };
 
-    if (category) filter.category = category;
+    if (category) filter.$and = [lineFilter("category", category)];
     if (status) filter.status = status;
     if (paymentMethod) filter["paymentDetails.method"] = paymentMethod;
 
@@ -394,7 +451,7 @@ const getAllDonations = async (req, res) => {
 
     if (churchId) filter.churchId = churchId;
     if (status) filter.status = status;
-    if (category) filter.category = category;
+    if (category) filter.$and = [lineFilter("category", category)];
     if (paymentMethod) filter.paymentMethod = paymentMethod;
 
     // Date range filter
@@ -491,6 +548,13 @@ const updateDonation = async (req, res) => {
       });
     }
 
+    if (category && donation.lineItems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Split donations take their categories from their line items" },
+      });
+    }
+
     // Only allow updates to certain fields
     if (description) donation.description = description;
     if (category) donation.category = category;
@@ -611,10 +675,23 @@ const generateReceipt = async (req, res) => {
       });
     }
 
+    if (req.user.getChurchRole(donation.churchId) !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can issue receipts" },
+      });
+    }
+
+    if (donation.status !== "completed") {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Receipts can only be issued for completed donations" },
+      });
+    }
+
     // Generate receipt number if not exists
     if (!donation.receipt.number) {
-      donation.generateReceipt();
-      await donation.save();
+      await donation.generateReceipt(req.user.id);
     }
 
     res.json({
@@ -631,16 +708,17 @@ const generateReceipt = async (req, res) => {
   }
 };
 
-// @desc    Get receipt
+// @desc    Get receipt, as JSON or a printable PDF (?format=pdf)
 // @route   GET /api/donations/:id/receipt
-// @access  Private (Church Members)
+// @access  Private (Church Admin or the donor)
 const getReceipt = async (req, res) => {
   try {
     const donationId = req.params.id;
 
-    const donation = await Donation.findById(donationId)
-      .populate("churchId", "name address contact")
-      .populate("donorId", "firstName lastName email");
+    const donation = await Donation.findById(donationId).populate(
+      "campaignId",
+      "title"
+    );
 
     if (!donation) {
       return res.status(404).json({
@@ -649,6 +727,16 @@ const getReceipt = async (req, res) => {
       });
     }
 
+    const isDonor =
+      donation.donorId &&
+      (await Member.exists({ _id: donation.donorId, userId: req.user._id }));
+    if (req.user.getChurchRole(donation.churchId) !== "admin" && !isDonor) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Access denied to this receipt" },
+      });
+    }
+
     if (!donation.receipt.number) {
       return res.status(400).json({
         success: false,
@@ -656,9 +744,24 @@ const getReceipt = async (req, res) => {
       });
     }
 
+    if (req.query.format === "pdf") {
+      const church = await Church.findById(donation.churchId);
+      const pdf = await renderDonationReceipt(donation, church);
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename=receipt-${donation.receipt.number}.pdf`
+      );
+      return res.send(pdf);
+    }
+
     res.json({
       success: true,
-      data: { receipt: donation.receipt },
+      data: {
+        receipt: donation.receipt,
+        verificationUrl: verificationUrl(donation),
+      },
     });
   } catch (error) {
     console.error("Get receipt error:", error);
@@ -669,6 +772,240 @@ const getReceipt = async (req, res) => {
   }
 };
 
+// @desc    Check a receipt scanned from its QR code
+// @route   GET /api/donations/receipts/verify
+// @access  Public
+const verifyReceipt = async (req, res) => {
+  try {
+    const { church, number, code } = req.query;
+
+    // Receipt numbers repeat across churches. QR codes name the church;
+    // older ones without it match whichever donation the code was signed for.
+    const query = { "receipt.number": number };
+    if (church) query.churchId = church;
+    const donations = await Donation.find(query).populate("churchId", "name");
+    const donation = donations.find((candidate) =>
+      isValidVerificationCode(candidate, code)
+    );
+
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Receipt could not be verified" },
+      });
+    }
+
+    // Only what's printed on the receipt's face, never donor details
+    res.json({
+      success: true,
+      data: {
+        receipt: {
+          number: donation.receipt.number,
+          church: donation.churchId?.name,
+          amount: donation.amount,
+          currency: donation.currency,
+          category: donation.category,
+          status: donation.status,
+          date: donation.createdAt,
+        },
+      },
+      message: "Receipt is genuine",
+    });
+  } catch (error) {
+    console.error("Verify receipt error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to verify receipt" },
+    });
+  }
+};
+
+// @desc    Get an annual giving statement, as JSON or a PDF (?format=pdf).
+//          Members get their own; admins may pass donorId or email.
+// @route   GET /api/donations/statements/church/:churchId
+// @access  Private (Church Members)
+const getGivingStatement = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { donorId, email } = req.query;
+    const year = parseInt(req.query.year) || new Date().getFullYear() - 1;
+
+    if ((donorId || email) && req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can view other donors' statements" },
+      });
+    }
+
+    let member;
+    let emails = [];
+    if (donorId) {
+      member = await Member.findOne({ _id: donorId, churchId }).populate(
+        "userId",
+        "email"
+      );
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          error: { message: "Donor not found" },
+        });
+      }
+    } else if (email) {
+      member = await Member.findOne({
+        churchId,
+        email: email.toLowerCase(),
+      }).populate("userId", "email");
+      emails = [email];
+    } else {
+      member = await Member.findOne({ churchId, userId: req.user._id }).populate(
+        "userId",
+        "email"
+      );
+      emails = [req.user.email];
+    }
+
+    const statement = await buildGivingStatement({
+      churchId,
+      year,
+      member,
+      emails,
+    });
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        error: { message: `No completed donations found for ${year}` },
+      });
+    }
+
+    if (req.query.format === "pdf") {
+      const church = await Church.findById(churchId);
+      const pdf = await renderGivingStatement(statement, church);
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=giving-statement-${year}.pdf`
+      );
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: { statement },
+    });
+  } catch (error) {
+    console.error("Get giving statement error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get giving statement" },
+    });
+  }
+};
+
+// @desc    Email annual giving statements to every donor of a church
+// @route   POST /api/donations/statements/church/:churchId/send
+// @access  Private (Church Admin)
+const sendGivingStatements = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const year = parseInt(req.body.year) || new Date().getFullYear() - 1;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can send giving statements" },
+      });
+    }
+
+    const running = await StatementBatch.findOne({
+      churchId,
+      year,
+      status: "processing",
+      startedAt: { $gte: new Date(Date.now() - STALE_STATEMENT_BATCH_MS) },
+    });
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Statements for ${year} are already being sent`,
+        },
+        data: { batch: running },
+      });
+    }
+
+    const batch = await StatementBatch.create({
+      churchId,
+      year,
+      createdBy: req.user.id,
+    });
+
+    // Statements are rendered and queued in the background; the batch
+    // records progress
+    runStatementBatch(batch);
+
+    res.status(202).json({
+      success: true,
+      data: { batch },
+      message: `Sending ${year} giving statements`,
+    });
+  } catch (error) {
+    console.error("Send giving statements error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to send giving statements" },
+    });
+  }
+};
+
+// @desc    Get giving statement batches for a church
+// @route   GET /api/donations/statements/church/:churchId/batches
+// @access  Private (Church Admin)
+const getStatementBatches = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can view giving statement batches" },
+      });
+    }
+
+    const query = { churchId };
+    if (req.query.year) query.year = parseInt(req.query.year);
+
+    const batches = await StatementBatch.find(query)
+      .populate("createdBy", "firstName lastName")
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await StatementBatch.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        batches,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get statement batches error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get giving statement batches" },
+    });
+  }
+};
+
 // @desc    Get donation statistics
 // @route   GET /api/donations/stats/overview
 // @access  Private (Church Members)
@@ -692,7 +1029,7 @@ const getDonationStats = async (req, res) => {
 
     res.json({
       success: true,
-      data: { stats },
+      data: { stats, currency: await ExchangeRate.baseCurrencyFor(churchId) },
     });
   } catch (error) {
     console.error("Get donation stats error:", error);
@@ -718,22 +1055,12 @@ const getDonationsByCategory = async (req, res) => {
       if (endDate) filter.createdAt.$lte = new Date(endDate);
     }
 
-    const stats = await Donation.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: "$category",
-          totalAmount: { $sum: "$amount" },
-          count: { $sum: 1 },
-          averageAmount: { $avg: "$amount" },
-        },
-      },
-      { $sort: { totalAmount: -1 } },
-    ]);
+    // Split donations count towards each of their categories
+    const stats = await Donation.getCategoryTotals(filter);
 
     res.json({
       success: true,
-      data: { stats },
+      data: { stats, currency: await ExchangeRate.baseCurrencyFor(churchId) },
     });
   } catch (error) {
     console.error("Get donations by category error:", error);
@@ -770,21 +1097,15 @@ const getDonationsByDate = async (req, res) => {
       };
     }
 
-    const stats = await Donation.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: dateFormat,
-          totalAmount: { $sum: "$amount" },
-          count: { $sum: 1 },
-        },
-      },
-      { $sort: { _id: 1 } },
-    ]);
+    const stats = await ExchangeRate.summarize(Donation, {
+      match: filter,
+      key: dateFormat,
+      sort: { _id: 1 },
+    });
 
     res.json({
       success: true,
-      data: { stats },
+      data: { stats, currency: await ExchangeRate.baseCurrencyFor(churchId) },
     });
   } catch (error) {
     console.error("Get donations by date error:", error);
@@ -1004,6 +1325,7 @@ const getTotalDonations = async (req, res) => {
     const { startDate, endDate, category } = req.query;
 
     const filter = { churchId, status: "completed" };
+    const currency = await ExchangeRate.baseCurrencyFor(churchId);
 
     if (startDate || endDate) {
       filter.createdAt = {};
@@ -1011,21 +1333,35 @@ const getTotalDonations = async (req, res) => {
       if (endDate) filter.createdAt.$lte = new Date(endDate);
     }
 
-    if (category) filter.category = category;
+    if (category) {
+      // Only the category's lines of split donations count
+      filter.$and = [lineFilter("category", category)];
+      const totals = (await Donation.getCategoryTotals(filter)).find(
+        (total) => total._id === category
+      );
 
-    const totalAmount = await Donation.aggregate([
-      { $match: filter },
-      { $group: { _id: null, total: { $sum: "$amount" } } },
-    ]);
+      return res.json({
+        success: true,
+        data: {
+          totalAmount: totals?.totalAmount || 0,
+          totalCount: totals?.count || 0,
+          currency,
+          byCurrency: totals?.byCurrency || [],
+          unconverted: totals?.unconverted || 0,
+        },
+      });
+    }
 
-    const totalCount = await Donation.countDocuments(filter);
+    const [totals] = await ExchangeRate.summarize(Donation, { match: filter });
 
     res.json({
       success: true,
       data: {
-        totalAmount: totalAmount[0]?.total || 0,
-        totalCount,
-        currency: "NGN",
+        totalAmount: totals?.totalAmount || 0,
+        totalCount: totals?.count || 0,
+        currency,
+        byCurrency: totals?.byCurrency || [],
+        unconverted: totals?.unconverted || 0,
       },
     });
   } catch (error) {
@@ -1042,42 +1378,40 @@ const getTotalDonations = async (req, res) => {
 // @access  Private (Church Admin)
 const bulkImportDonations = async (req, res) => {
   try {
-    const { churchId, donations } = req.body;
+    const { churchId, donations, mapping, dryRun, skipDuplicates } = req.body;
 
-    if (!donations || !Array.isArray(donations) || donations.length === 0) {
-      return res.status(400).json({
+    if (req.user.getChurchRole(churchId) !== "admin") {
+      return res.status(403).json({
         success: false,
-        error: { message: "Donations array is required" },
+        error: { message: "Only church admins can import donations" },
       });
     }
 
-    const results = {
-      success: [],
-      errors: [],
-    };
-
-    for (const donationData of donations) {
-      try {
-        const donation = await Donation.create({
-          churchId,
-          ...donationData,
-          status: "completed",
-        });
-        results.success.push(donation);
-      } catch (error) {
-        results.errors.push({
-          data: donationData,
-          error: error.message,
-        });
-      }
-    }
+    const { job, preview } = await runImport({
+      resource: "donations",
+      churchId,
+      user: req.user,
+      file: req.file,
+      rows: donations,
+      mapping,
+      dryRun,
+      skipDuplicates,
+    });
 
-    res.status(201).json({
+    res.status(job.dryRun ? 200 : 201).json({
       success: true,
-      data: { results },
-      message: `Successfully imported ${results.success.length} donations`,
+      data: { job, preview, fields: describeFields("donations") },
+      message: job.dryRun
+        ? `${job.totals.valid} of ${job.totals.rows} donations are ready to import`
+        : `Successfully imported ${job.totals.imported} donations`,
     });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
     console.error("Bulk import donations error:", error);
     res.status(500).json({
       success: false,
@@ -1086,24 +1420,192 @@ const bulkImportDonations = async (req, res) => {
   }
 };
 
+// Columns available to donation exports. `pii` columns are blanked for
+// anonymous donors.
+const DONATION_EXPORT_COLUMNS = {
+  date: {
+    header: "Date",
+    type: "date",
+    value: (donation) => donation.createdAt,
+  },
+  receiptNumber: {
+    header: "Receipt Number",
+    value: (donation) => donation.receipt?.number,
+  },
+  donorName: {
+    header: "Donor Name",
+    value: (donation) =>
+      donation.donorInfo?.isAnonymous ? "Anonymous" : donation.donorInfo?.name,
+  },
+  donorEmail: {
+    header: "Donor Email",
+    pii: true,
+    value: (donation) => donation.donorInfo?.email,
+  },
+  donorPhone: {
+    header: "Donor Phone",
+    pii: true,
+    value: (donation) => donation.donorInfo?.phone,
+  },
+  donorAddress: {
+    header: "Donor Address",
+    pii: true,
+    value: (donation) => {
+      const address = donation.donorInfo?.address || {};
+      return [address.street, address.city, address.state, address.country]
+        .filter(Boolean)
+        .join(", ");
+    },
+  },
+  amount: {
+    header: "Amount",
+    type: "currency",
+    value: (donation) => donation.amount,
+  },
+  currency: {
+    header: "Currency",
+    value: (donation) => donation.currency,
+  },
+  category: {
+    header: "Category",
+    value: (donation) =>
+      donation.lineItems?.length > 0
+        ? donation.lineItems
+          .map((line) => `${line.category}: ${line.amount}`)
+          .join("; ")
+        : donation.category,
+  },
+  description: {
+    header: "Description",
+    value: (donation) => donation.description,
+  },
+  paymentMethod: {
+    header: "Payment Method",
+    value: (donation) => donation.paymentMethod,
+  },
+  status: {
+    header: "Status",
+    value: (donation) => donation.status,
+  },
+  campaign: {
+    header: "Campaign",
+    value: (donation) => donation.campaignId?.title,
+  },
+  transactionReference: {
+    header: "Transaction Reference",
+    value: (donation) =>
+      donation.paymentDetails?.transactionReference ||
+      donation.paymentDetails?.paymentReference,
+  },
+  isRecurring: {
+    header: "Recurring",
+    type: "boolean",
+    value: (donation) => donation.donorInfo?.isRecurring,
+  },
+  notes: {
+    header: "Notes",
+    value: (donation) => donation.notes,
+  },
+  recordedBy: {
+    header: "Recorded By",
+    value: (donation) =>
+      donation.recordedBy
+        ? `${donation.recordedBy.firstName} ${donation.recordedBy.lastName}`
+        : null,
+  },
+  verifiedAt: {
+    header: "Verified At",
+    type: "date",
+    value: (donation) => donation.verifiedAt,
+  },
+};
+
+const DEFAULT_DONATION_EXPORT_COLUMNS = [
+  "date",
+  "receiptNumber",
+  "donorName",
+  "donorEmail",
+  "amount",
+  "category",
+  "paymentMethod",
+  "status",
+  "campaign",
+];
+
 // @desc    Export donations
-// @route   GET /api/donations/export
+// @route   GET /api/donations/export/church/:churchId
 // @access  Private (Church Admin)
 const exportDonations = async (req, res) => {
   try {
-    const { churchId, format = "csv" } = req.query;
+    const { churchId } = req.params;
+    const {
+      format = "csv",
+      startDate,
+      endDate,
+      status,
+      category,
+      campaignId,
+    } = req.query;
 
-    // In a real implementation, you would export donations to the specified format
-    // For now, we'll return a mock response
-    console.log("Exporting donations:", { churchId, format });
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can export donations" },
+      });
+    }
 
-    res.json({
-      success: true,
-      message: "Donations exported successfully",
-      data: { downloadUrl: "/exports/donations.csv" },
+    const { columns, unknown } = resolveColumns(
+      DONATION_EXPORT_COLUMNS,
+      req.query.columns,
+      DEFAULT_DONATION_EXPORT_COLUMNS
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown export columns: ${unknown.join(", ")}` },
+      });
+    }
+
+    const church = await Church.findById(churchId).select("name settings");
+    if (!church) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
+
+    const filter = { churchId };
+    if (status) filter.status = status;
+    const lines = [];
+    if (category) lines.push(lineFilter("category", category));
+    if (campaignId) lines.push(lineFilter("campaignId", campaignId));
+    if (lines.length > 0) filter.$and = lines;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    await sendExport(res, {
+      format,
+      filename: "donations",
+      sheetName: "Donations",
+      dataKey: "donations",
+      columns,
+      rows: Donation.find(filter)
+        .populate("campaignId", "title")
+        .populate("recordedBy", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .cursor(),
+      // Donors who gave anonymously keep their contact details out of exports
+      hide: (donation, column) =>
+        column.pii && donation.donorInfo?.isAnonymous,
+      currency: church.settings?.currency,
     });
   } catch (error) {
     console.error("Export donations error:", error);
+    // Headers are already sent once streaming has started
+    if (res.headersSent) return res.end();
     res.status(500).json({
       success: false,
       error: { message: "Failed to export donations" },
@@ -1111,13 +1613,13 @@ const exportDonations = async (req, res) => {
   }
 };
 
-// @desc    Process refund
+// @desc    Refund all or part of a donation
 // @route   POST /api/donations/:id/refund
 // @access  Private (Church Admin)
 const processRefund = async (req, res) => {
   try {
     const { id } = req.params;
-    const { reason, amount } = req.body;
+    const { refundAmount, refundReason } = req.body;
 
     const donation = await Donation.findById(id);
     if (!donation) {
@@ -1127,6 +1629,13 @@ const processRefund = async (req, res) => {
       });
     }
 
+    if (req.user.getChurchRole(donation.churchId) !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can refund donations" },
+      });
+    }
+
     if (donation.status !== "completed") {
       return res.status(400).json({
         success: false,
@@ -1134,28 +1643,41 @@ const processRefund = async (req, res) => {
       });
     }
 
-    const refundAmount = amount || donation.amount;
-    if (refundAmount > donation.amount) {
+    // Refund whatever is left of the donation unless told otherwise
+    const amount = refundAmount ? parseFloat(refundAmount) : donation.netAmount;
+    if (amount > donation.netAmount) {
       return res.status(400).json({
         success: false,
-        error: { message: "Refund amount cannot exceed donation amount" },
+        error: {
+          message: `Refund amount cannot exceed the ${donation.netAmount} left to refund`,
+        },
       });
     }
 
-    donation.status = "refunded";
-    donation.refund = {
-      amount: refundAmount,
-      reason,
-      processedAt: new Date(),
-      processedBy: req.user.id,
-    };
+    const result = await refundDonation(donation, {
+      amount,
+      reason: refundReason,
+      userId: req.user._id,
+    });
 
-    await donation.save();
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Refund failed: ${result.error}` },
+      });
+    }
+
+    let message = "Partial refund processed successfully";
+    if (result.refund.status === "pending") {
+      message = "Refund is being processed by the payment gateway";
+    } else if (result.donation.status === "refunded") {
+      message = "Donation refunded in full";
+    }
 
     res.json({
       success: true,
-      data: { donation },
-      message: "Refund processed successfully",
+      data: { donation: result.donation, refund: result.refund },
+      message,
     });
   } catch (error) {
     console.error("Process refund error:", error);
@@ -1166,6 +1688,97 @@ const processRefund = async (req, res) => {
   }
 };
 
+// @desc    Check a donation's refunds still in progress with the gateway
+// @route   POST /api/donations/:id/refunds/verify
+// @access  Private (Church Admin)
+const verifyRefunds = async (req, res) => {
+  try {
+    const donation = await Donation.findById(req.params.id);
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Donation not found" },
+      });
+    }
+
+    if (req.user.getChurchRole(donation.churchId) !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can verify refunds" },
+      });
+    }
+
+    const outcome = await finishPendingRefunds(donation);
+
+    res.json({
+      success: true,
+      data: { donation: await Donation.findById(donation._id) },
+      message: outcome ? `Refunds updated: ${outcome}` : "No pending refund has finished yet",
+    });
+  } catch (error) {
+    console.error("Verify refunds error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to verify refunds" },
+    });
+  }
+};
+
+// @desc    Get a church's refund ledger
+// @route   GET /api/donations/refunds/church/:churchId
+// @access  Private (Church Admin)
+const getRefundLedger = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { status, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can view refunds" },
+      });
+    }
+
+    const result = await Donation.getRefundLedger(churchId, {
+      status,
+      startDate,
+      endDate,
+      skip,
+      limit,
+    });
+
+    const total = result.totals.reduce((sum, group) => sum + group.count, 0);
+
+    res.json({
+      success: true,
+      data: {
+        refunds: result.refunds,
+        totals: result.totals.map((group) => ({
+          status: group._id.status,
+          currency: group._id.currency,
+          amount: group.amount,
+          count: group.count,
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get refund ledger error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get refunds" },
+    });
+  }
+};
+
 // @desc    Get failed donations
 // @route   GET /api/donations/failed
 // @access  Private (Church Members)
@@ -1221,6 +1834,10 @@ module.exports = {
   verifyDonation,
   generateReceipt,
   getReceipt,
+  verifyReceipt,
+  getGivingStatement,
+  sendGivingStatements,
+  getStatementBatches,
   getDonationStats,
   getDonationsByCategory,
   getDonationsByDate,
@@ -1234,4 +1851,6 @@ module.exports = {
   bulkImportDonations,
   exportDonations,
   processRefund,
+  verifyRefunds,
+  getRefundLedger,
 };
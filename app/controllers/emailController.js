@@ -0,0 +1,134 @@
+const EmailMessage = require("../models/EmailMessage");
+
+// Check whether a user administers a church
+const isChurchAdmin = (user, churchId) =>
+  Boolean(churchId) && user.getChurchRole(churchId) === "admin";
+
+// @desc    Get the email log for a church
+// @route   GET /api/emails/church/:churchId
+// @access  Private (Church Admin)
+const getChurchEmailLog = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { status, to, event, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can view the email log" },
+      });
+    }
+
+    const options = { status, to, event, startDate, endDate };
+
+    // The body is left out of the list; fetch a single message to see it
+    const emails = await EmailMessage.findByChurch(churchId, options)
+      .select("-html -text -attachments.content")
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await EmailMessage.findByChurch(
+      churchId,
+      options
+    ).countDocuments();
+
+    const counts = await EmailMessage.getStatusCounts(churchId);
+
+    res.json({
+      success: true,
+      data: {
+        emails,
+        counts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get church email log error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get email log" },
+    });
+  }
+};
+
+// @desc    Get an email message by ID
+// @route   GET /api/emails/:id
+// @access  Private (Church Admin)
+const getEmailById = async (req, res) => {
+  try {
+    // Attachment contents are only needed by the outbox
+    const email = await EmailMessage.findById(req.params.id).select(
+      "-attachments.content"
+    );
+
+    if (!email || !isChurchAdmin(req.user, email.churchId)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Email not found" },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { email },
+    });
+  } catch (error) {
+    console.error("Get email by ID error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get email" },
+    });
+  }
+};
+
+// @desc    Queue a fresh copy of an email
+// @route   POST /api/emails/:id/resend
+// @access  Private (Church Admin)
+const resendEmail = async (req, res) => {
+  try {
+    const original = await EmailMessage.findById(req.params.id);
+
+    if (!original || !isChurchAdmin(req.user, original.churchId)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Email not found" },
+      });
+    }
+
+    if (!original.isFinal) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Email is still waiting to be sent" },
+      });
+    }
+
+    const email = await original.resend(req.user.id, req.body.to);
+
+    res.status(201).json({
+      success: true,
+      data: { email },
+      message: "Email queued for resending",
+    });
+  } catch (error) {
+    console.error("Resend email error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to resend email" },
+    });
+  }
+};
+
+module.exports = {
+  getChurchEmailLog,
+  getEmailById,
+  resendEmail,
+};
@@ -0,0 +1,241 @@
+const ExchangeRate = require("../models/ExchangeRate");
+const {
+  importRates,
+  revalueForRates,
+  revalueTransactions,
+} = require("../../config/exchangeRates");
+
+// Check whether a user administers a church
+const isChurchAdmin = (user, churchId) =>
+  Boolean(churchId) && user.getChurchRole(churchId) === "admin";
+
+// @desc    Get a church's exchange rates
+// @route   GET /api/exchange-rates/church/:churchId
+// @access  Private (Church Members)
+const getExchangeRates = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { currency, baseCurrency, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const query = { churchId };
+    if (currency) query.currency = currency;
+    if (baseCurrency) query.baseCurrency = baseCurrency;
+    if (startDate || endDate) {
+      query.effectiveDate = {};
+      if (startDate) query.effectiveDate.$gte = new Date(startDate);
+      if (endDate) query.effectiveDate.$lte = new Date(endDate);
+    }
+
+    const rates = await ExchangeRate.find(query)
+      .populate("createdBy", "firstName lastName")
+      .skip(skip)
+      .limit(limit)
+      .sort({ effectiveDate: -1, currency: 1 });
+
+    const total = await ExchangeRate.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        rates,
+        currency: await ExchangeRate.baseCurrencyFor(churchId),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get exchange rates" },
+    });
+  }
+};
+
+// @desc    Add an exchange rate, revaluing the transactions it applies to
+// @route   POST /api/exchange-rates/church/:churchId
+// @access  Private (Church Admin)
+const createExchangeRate = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { currency, baseCurrency, rate, effectiveDate, note } = req.body;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can manage exchange rates" },
+      });
+    }
+
+    // Rates convert into the church's currency unless told otherwise
+    const to = baseCurrency || (await ExchangeRate.baseCurrencyFor(churchId));
+
+    const exists = await ExchangeRate.exists({
+      churchId,
+      currency,
+      baseCurrency: to,
+      effectiveDate: new Date(effectiveDate),
+    });
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "A rate for this currency and date already exists" },
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.create({
+      churchId,
+      currency,
+      baseCurrency: to,
+      rate,
+      effectiveDate,
+      note,
+      source: "manual",
+      createdBy: req.user._id,
+    });
+
+    const revalued = await revalueForRates(churchId, [exchangeRate]);
+
+    res.status(201).json({
+      success: true,
+      data: { exchangeRate, revalued },
+      message: "Exchange rate added successfully",
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: { message: Object.values(error.errors)[0].message },
+      });
+    }
+    console.error("Create exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to add exchange rate" },
+    });
+  }
+};
+
+// @desc    Import exchange rates (CSV/XLSX file or JSON rows)
+// @route   POST /api/exchange-rates/church/:churchId/import
+// @access  Private (Church Admin)
+const importExchangeRates = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can manage exchange rates" },
+      });
+    }
+
+    const result = await importRates({
+      churchId,
+      user: req.user,
+      file: req.file,
+      rows: req.body.rates,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Imported ${result.imported} new and ${result.updated} updated exchange rates`,
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+    console.error("Import exchange rates error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to import exchange rates" },
+    });
+  }
+};
+
+// @desc    Delete an exchange rate, revaluing the transactions it applied to
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private (Church Admin)
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findById(req.params.id);
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Exchange rate not found" },
+      });
+    }
+
+    if (!isChurchAdmin(req.user, exchangeRate.churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can manage exchange rates" },
+      });
+    }
+
+    await exchangeRate.deleteOne();
+    const revalued = await revalueForRates(exchangeRate.churchId, [exchangeRate]);
+
+    res.json({
+      success: true,
+      data: { revalued },
+      message: "Exchange rate deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete exchange rate error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to delete exchange rate" },
+    });
+  }
+};
+
+// @desc    Recalculate the base amounts of a church's transactions
+// @route   POST /api/exchange-rates/church/:churchId/revalue
+// @access  Private (Church Admin)
+const revalueChurchTransactions = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { currency, since } = req.body;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can manage exchange rates" },
+      });
+    }
+
+    const revalued = await revalueTransactions(churchId, { currency, since });
+
+    res.json({
+      success: true,
+      data: { revalued, currency: await ExchangeRate.baseCurrencyFor(churchId) },
+      message: "Transactions revalued successfully",
+    });
+  } catch (error) {
+    console.error("Revalue transactions error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to revalue transactions" },
+    });
+  }
+};
+
+module.exports = {
+  getExchangeRates,
+  createExchangeRate,
+  importExchangeRates,
+  deleteExchangeRate,
+  revalueChurchTransactions,
+};
@@ -1,10 +1,15 @@
 const Expense = require("../models/Expense");
 const Church = require("../models/Church");
+const ExchangeRate = require("../models/ExchangeRate");
 const {
   sendChurchNotification,
   sendUserNotification,
-} = require("../../config/pusher");
+} = require("../../config/deliveryRouter");
 const emailService = require("../../config/email");
+const { resolveColumns, sendExport } = require("../../config/exporter");
+const { describeFields, runImport } = require("../../config/importer");
+const storageService = require("../../config/storage");
+const { getChurchAccess } = require("../middleware/auth");
 
 // @desc    Create a new expense
 // @route   POST /api/expenses
@@ -516,9 +521,15 @@ const markExpenseAsPaid = async (req, res) => {
 // @access  Private (Church Members)
 const addAttachment = async (req, res) => {
   try {
-    const { filename, originalName, mimetype, size, url } = req.body;
     const expenseId = req.params.id;
 
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Please upload a file" },
+      });
+    }
+
     const expense = await Expense.findById(expenseId);
     if (!expense) {
       return res.status(404).json({
@@ -527,22 +538,35 @@ const addAttachment = async (req, res) => {
       });
     }
 
+    if (!(await getChurchAccess(req.user, expense.churchId))) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to access this church" },
+      });
+    }
+
+    const stored = await storageService.saveFile(req.file, {
+      folder: `churches/${expense.churchId}/expenses/${expense._id}`,
+    });
+
     const attachment = {
-      filename,
-      originalName,
-      mimetype,
-      size,
-      url,
+      ...stored,
       uploadedAt: new Date(),
       uploadedBy: req.user.id,
     };
 
     expense.attachments.push(attachment);
-    await expense.save();
+    try {
+      await expense.save();
+    } catch (error) {
+      // Don't leave an orphaned file behind
+      await storageService.deleteFile(stored);
+      throw error;
+    }
 
     res.status(201).json({
       success: true,
-      data: { attachment },
+      data: { attachment: expense.attachments[expense.attachments.length - 1] },
       message: "Attachment added successfully",
     });
   } catch (error) {
@@ -569,6 +593,13 @@ const removeAttachment = async (req, res) => {
       });
     }
 
+    if (!(await getChurchAccess(req.user, expense.churchId))) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to access this church" },
+      });
+    }
+
     const attachment = expense.attachments.id(attachmentId);
     if (!attachment) {
       return res.status(404).json({
@@ -579,6 +610,7 @@ const removeAttachment = async (req, res) => {
 
     expense.attachments.pull(attachmentId);
     await expense.save();
+    await storageService.deleteFile(attachment);
 
     res.json({
       success: true,
@@ -689,7 +721,7 @@ const getExpenseStats = async (req, res) => {
 
     res.json({
       success: true,
-      data: { stats },
+      data: { stats, currency: await ExchangeRate.baseCurrencyFor(churchId) },
     });
   } catch (error) {
     console.error("Get expense stats error:", error);
@@ -715,22 +747,14 @@ const getExpensesByCategory = async (req, res) => {
       if (endDate) filter.expenseDate.$lte = new Date(endDate);
     }
 
-    const stats = await Expense.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: "$category",
-          totalAmount: { $sum: "$amount" },
-          count: { $sum: 1 },
-          averageAmount: { $avg: "$amount" },
-        },
-      },
-      { $sort: { totalAmount: -1 } },
-    ]);
+    const stats = await ExchangeRate.summarize(Expense, {
+      match: filter,
+      key: "$category",
+    });
 
     res.json({
       success: true,
-      data: { stats },
+      data: { stats, currency: await ExchangeRate.baseCurrencyFor(churchId) },
     });
   } catch (error) {
     console.error("Get expenses by category error:", error);
@@ -767,21 +791,15 @@ const getExpensesByDate = async (req, res) => {
       };
     }
 
-    const stats = await Expense.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: dateFormat,
-          totalAmount: { $sum: "$amount" },
-          count: { $sum: 1 },
-        },
-      },
-      { $sort: { _id: 1 } },
-    ]);
+    const stats = await ExchangeRate.summarize(Expense, {
+      match: filter,
+      key: dateFormat,
+      sort: { _id: 1 },
+    });
 
     res.json({
       success: true,
-      data: { stats },
+      data: { stats, currency: await ExchangeRate.baseCurrencyFor(churchId) },
     });
   } catch (error) {
     console.error("Get expenses by date error:", error);
@@ -1100,19 +1118,16 @@ const getTotalExpenses = async (req, res) => {
 
     if (category) filter.category = category;
 
-    const totalAmount = await Expense.aggregate([
-      { $match: filter },
-      { $group: { _id: null, total: { $sum: "$amount" } } },
-    ]);
-
-    const totalCount = await Expense.countDocuments(filter);
+    const [totals] = await ExchangeRate.summarize(Expense, { match: filter });
 
     res.json({
       success: true,
       data: {
-        totalAmount: totalAmount[0]?.total || 0,
-        totalCount,
-        currency: "NGN",
+        totalAmount: totals?.totalAmount || 0,
+        totalCount: totals?.count || 0,
+        currency: await ExchangeRate.baseCurrencyFor(churchId),
+        byCurrency: totals?.byCurrency || [],
+        unconverted: totals?.unconverted || 0,
       },
     });
   } catch (error) {
@@ -1129,42 +1144,40 @@ const getTotalExpenses = async (req, res) => {
 // @access  Private (Church Admin)
 const bulkImportExpenses = async (req, res) => {
   try {
-    const { churchId, expenses } = req.body;
+    const { churchId, expenses, mapping, dryRun, skipDuplicates } = req.body;
 
-    if (!expenses || !Array.isArray(expenses) || expenses.length === 0) {
-      return res.status(400).json({
+    if (req.user.getChurchRole(churchId) !== "admin") {
+      return res.status(403).json({
         success: false,
-        error: { message: "Expenses array is required" },
+        error: { message: "Only church admins can import expenses" },
       });
     }
 
-    const results = {
-      success: [],
-      errors: [],
-    };
-
-    for (const expenseData of expenses) {
-      try {
-        const expense = await Expense.create({
-          churchId,
-          ...expenseData,
-          status: "pending",
-        });
-        results.success.push(expense);
-      } catch (error) {
-        results.errors.push({
-          data: expenseData,
-          error: error.message,
-        });
-      }
-    }
+    const { job, preview } = await runImport({
+      resource: "expenses",
+      churchId,
+      user: req.user,
+      file: req.file,
+      rows: expenses,
+      mapping,
+      dryRun,
+      skipDuplicates,
+    });
 
-    res.status(201).json({
+    res.status(job.dryRun ? 200 : 201).json({
       success: true,
-      data: { results },
-      message: `Successfully imported ${results.success.length} expenses`,
+      data: { job, preview, fields: describeFields("expenses") },
+      message: job.dryRun
+        ? `${job.totals.valid} of ${job.totals.rows} expenses are ready to import`
+        : `Successfully imported ${job.totals.imported} expenses`,
     });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
     console.error("Bulk import expenses error:", error);
     res.status(500).json({
       success: false,
@@ -1173,24 +1186,165 @@ const bulkImportExpenses = async (req, res) => {
   }
 };
 
+// Full name of a populated user reference
+const userName = (user) => (user ? `${user.firstName} ${user.lastName}` : null);
+
+// Columns available to expense exports
+const EXPENSE_EXPORT_COLUMNS = {
+  expenseDate: {
+    header: "Expense Date",
+    type: "date",
+    value: (expense) => expense.expenseDate,
+  },
+  title: { header: "Title", value: (expense) => expense.title },
+  description: {
+    header: "Description",
+    value: (expense) => expense.description,
+  },
+  category: { header: "Category", value: (expense) => expense.category },
+  subcategory: {
+    header: "Subcategory",
+    value: (expense) => expense.subcategory,
+  },
+  amount: {
+    header: "Amount",
+    type: "currency",
+    value: (expense) => expense.amount,
+  },
+  currency: { header: "Currency", value: (expense) => expense.currency },
+  status: { header: "Status", value: (expense) => expense.status },
+  priority: { header: "Priority", value: (expense) => expense.priority },
+  paymentMethod: {
+    header: "Payment Method",
+    value: (expense) => expense.paymentMethod,
+  },
+  reference: {
+    header: "Payment Reference",
+    value: (expense) => expense.paymentDetails?.reference,
+  },
+  vendor: { header: "Vendor", value: (expense) => expense.vendor?.name },
+  dueDate: {
+    header: "Due Date",
+    type: "date",
+    value: (expense) => expense.dueDate,
+  },
+  budgetCategory: {
+    header: "Budget Category",
+    value: (expense) => expense.budget?.category,
+  },
+  requestedBy: {
+    header: "Requested By",
+    value: (expense) => userName(expense.approval?.requestedBy),
+  },
+  approvedBy: {
+    header: "Approved By",
+    value: (expense) => userName(expense.approval?.approvedBy),
+  },
+  approvedAt: {
+    header: "Approved At",
+    type: "date",
+    value: (expense) => expense.approval?.approvedAt,
+  },
+  approvedAmount: {
+    header: "Approved Amount",
+    type: "currency",
+    value: (expense) => expense.approval?.approvedAmount,
+  },
+  isRecurring: {
+    header: "Recurring",
+    type: "boolean",
+    value: (expense) => expense.recurring?.isRecurring,
+  },
+  attachments: {
+    header: "Attachments",
+    type: "number",
+    value: (expense) => expense.attachments.length,
+  },
+  tags: { header: "Tags", value: (expense) => expense.tags },
+};
+
+const DEFAULT_EXPENSE_EXPORT_COLUMNS = [
+  "expenseDate",
+  "title",
+  "category",
+  "amount",
+  "status",
+  "priority",
+  "paymentMethod",
+  "vendor",
+  "requestedBy",
+  "approvedBy",
+];
+
 // @desc    Export expenses
-// @route   GET /api/expenses/export
+// @route   GET /api/expenses/export/church/:churchId
 // @access  Private (Church Admin)
 const exportExpenses = async (req, res) => {
   try {
-    const { churchId, format = "csv" } = req.query;
+    const { churchId } = req.params;
+    const {
+      format = "csv",
+      startDate,
+      endDate,
+      status,
+      category,
+      priority,
+    } = req.query;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can export expenses" },
+      });
+    }
 
-    // In a real implementation, you would export expenses to the specified format
-    // For now, we'll return a mock response
-    console.log("Exporting expenses:", { churchId, format });
+    const { columns, unknown } = resolveColumns(
+      EXPENSE_EXPORT_COLUMNS,
+      req.query.columns,
+      DEFAULT_EXPENSE_EXPORT_COLUMNS
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown export columns: ${unknown.join(", ")}` },
+      });
+    }
 
-    res.json({
-      success: true,
-      message: "Expenses exported successfully",
-      data: { downloadUrl: "/exports/expenses.csv" },
+    const church = await Church.findById(churchId).select("name settings");
+    if (!church) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
+
+    const filter = { churchId };
+    if (status) filter.status = status;
+    if (category) filter.category = category;
+    if (priority) filter.priority = priority;
+    if (startDate || endDate) {
+      filter.expenseDate = {};
+      if (startDate) filter.expenseDate.$gte = new Date(startDate);
+      if (endDate) filter.expenseDate.$lte = new Date(endDate);
+    }
+
+    await sendExport(res, {
+      format,
+      filename: "expenses",
+      sheetName: "Expenses",
+      dataKey: "expenses",
+      columns,
+      rows: Expense.find(filter)
+        .populate("approval.requestedBy", "firstName lastName")
+        .populate("approval.approvedBy", "firstName lastName")
+        .sort({ expenseDate: -1 })
+        .cursor(),
+      currency: church.settings?.currency,
     });
   } catch (error) {
     console.error("Export expenses error:", error);
+    // Headers are already sent once streaming has started
+    if (res.headersSent) return res.end();
     res.status(500).json({
       success: false,
       error: { message: "Failed to export expenses" },
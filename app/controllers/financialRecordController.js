@@ -1,9 +1,14 @@
 const ManualFinancialRecord = require("../models/ManualFinancialRecord");
 const Church = require("../models/Church");
+const ExchangeRate = require("../models/ExchangeRate");
 const {
   sendChurchNotification,
   sendUserNotification,
-} = require("../../config/pusher");
+} = require("../../config/deliveryRouter");
+const { resolveColumns, sendExport } = require("../../config/exporter");
+const { describeFields, runImport } = require("../../config/importer");
+const storageService = require("../../config/storage");
+const { getChurchAccess } = require("../middleware/auth");
 
 // @desc    Create a new manual financial record
 // @route   POST /api/financial-records
@@ -532,9 +537,15 @@ const reconcileFinancialRecord = async (req, res) => {
 // @access  Private (Church Members)
 const addAttachment = async (req, res) => {
   try {
-    const { filename, originalName, mimetype, size, url } = req.body;
     const recordId = req.params.id;
 
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Please upload a file" },
+      });
+    }
+
     const record = await ManualFinancialRecord.findById(recordId);
     if (!record) {
       return res.status(404).json({
@@ -543,22 +554,35 @@ const addAttachment = async (req, res) => {
       });
     }
 
+    if (!(await getChurchAccess(req.user, record.churchId))) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to access this church" },
+      });
+    }
+
+    const stored = await storageService.saveFile(req.file, {
+      folder: `churches/${record.churchId}/financial-records/${record._id}`,
+    });
+
     const attachment = {
-      filename,
-      originalName,
-      mimetype,
-      size,
-      url,
+      ...stored,
       uploadedAt: new Date(),
       uploadedBy: req.user.id,
     };
 
     record.attachments.push(attachment);
-    await record.save();
+    try {
+      await record.save();
+    } catch (error) {
+      // Don't leave an orphaned file behind
+      await storageService.deleteFile(stored);
+      throw error;
+    }
 
     res.status(201).json({
       success: true,
-      data: { attachment },
+      data: { attachment: record.attachments[record.attachments.length - 1] },
       message: "Attachment added successfully",
     });
   } catch (error) {
@@ -585,6 +609,13 @@ const removeAttachment = async (req, res) => {
       });
     }
 
+    if (!(await getChurchAccess(req.user, record.churchId))) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to access this church" },
+      });
+    }
+
     const attachment = record.attachments.id(attachmentId);
     if (!attachment) {
       return res.status(404).json({
@@ -595,6 +626,7 @@ const removeAttachment = async (req, res) => {
 
     record.attachments.pull(attachmentId);
     await record.save();
+    await storageService.deleteFile(attachment);
 
     res.json({
       success: true,
@@ -697,7 +729,7 @@ const getFinancialRecordStats = async (req, res) => {
       if (endDate) filter.transactionDate.$lte = new Date(endDate);
     }
 
-    const stats = await ManualFinancialRecord.getFinancialRecordStats(
+    const stats = await ManualFinancialRecord.getRecordStats(
       filter.churchId,
       filter.transactionDate?.$gte,
       filter.transactionDate?.$lte
@@ -705,7 +737,7 @@ const getFinancialRecordStats = async (req, res) => {
 
     res.json({
       success: true,
-      data: { stats },
+      data: { stats, currency: await ExchangeRate.baseCurrencyFor(churchId) },
     });
   } catch (error) {
     console.error("Get financial record stats error:", error);
@@ -731,22 +763,14 @@ const getFinancialRecordsByType = async (req, res) => {
       if (endDate) filter.transactionDate.$lte = new Date(endDate);
     }
 
-    const stats = await ManualFinancialRecord.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: "$recordType",
-          totalAmount: { $sum: "$amount" },
-          count: { $sum: 1 },
-          averageAmount: { $avg: "$amount" },
-        },
-      },
-      { $sort: { totalAmount: -1 } },
-    ]);
+    const stats = await ExchangeRate.summarize(ManualFinancialRecord, {
+      match: filter,
+      key: "$recordType",
+    });
 
     res.json({
       success: true,
-      data: { stats },
+      data: { stats, currency: await ExchangeRate.baseCurrencyFor(churchId) },
     });
   } catch (error) {
     console.error("Get financial records by type error:", error);
@@ -787,21 +811,15 @@ const getFinancialRecordsByDate = async (req, res) => {
       };
     }
 
-    const stats = await ManualFinancialRecord.aggregate([
-      { $match: filter },
-      {
-        $group: {
-          _id: dateFormat,
-          totalAmount: { $sum: "$amount" },
-          count: { $sum: 1 },
-        },
-      },
-      { $sort: { _id: 1 } },
-    ]);
+    const stats = await ExchangeRate.summarize(ManualFinancialRecord, {
+      match: filter,
+      key: dateFormat,
+      sort: { _id: 1 },
+    });
 
     res.json({
       success: true,
-      data: { stats },
+      data: { stats, currency: await ExchangeRate.baseCurrencyFor(churchId) },
     });
   } catch (error) {
     console.error("Get financial records by date error:", error);
@@ -1112,26 +1130,25 @@ const getTotalFinancialRecords = async (req, res) => {
     const filter = { churchId };
 
     if (startDate || endDate) {
-      filter.date = {};
-      if (startDate) filter.date.$gte = new Date(startDate);
-      if (endDate) filter.date.$lte = new Date(endDate);
+      filter.transactionDate = {};
+      if (startDate) filter.transactionDate.$gte = new Date(startDate);
+      if (endDate) filter.transactionDate.$lte = new Date(endDate);
     }
 
-    if (type) filter.type = type;
+    if (type) filter.recordType = type;
 
-    const totalAmount = await ManualFinancialRecord.aggregate([
-      { $match: filter },
-      { $group: { _id: null, total: { $sum: "$amount" } } },
-    ]);
-
-    const totalCount = await ManualFinancialRecord.countDocuments(filter);
+    const [totals] = await ExchangeRate.summarize(ManualFinancialRecord, {
+      match: filter,
+    });
 
     res.json({
       success: true,
       data: {
-        totalAmount: totalAmount[0]?.total || 0,
-        totalCount,
-        currency: "NGN",
+        totalAmount: totals?.totalAmount || 0,
+        totalCount: totals?.count || 0,
+        currency: await ExchangeRate.baseCurrencyFor(churchId),
+        byCurrency: totals?.byCurrency || [],
+        unconverted: totals?.unconverted || 0,
       },
     });
   } catch (error) {
@@ -1197,42 +1214,40 @@ const getOverdueVerificationRecords = async (req, res) => {
 // @access  Private (Church Admin)
 const bulkImportFinancialRecords = async (req, res) => {
   try {
-    const { churchId, records } = req.body;
+    const { churchId, records, mapping, dryRun, skipDuplicates } = req.body;
 
-    if (!records || !Array.isArray(records) || records.length === 0) {
-      return res.status(400).json({
+    if (req.user.getChurchRole(churchId) !== "admin") {
+      return res.status(403).json({
         success: false,
-        error: { message: "Records array is required" },
+        error: { message: "Only church admins can import financial records" },
       });
     }
 
-    const results = {
-      success: [],
-      errors: [],
-    };
-
-    for (const recordData of records) {
-      try {
-        const record = await ManualFinancialRecord.create({
-          churchId,
-          ...recordData,
-          status: "pending",
-        });
-        results.success.push(record);
-      } catch (error) {
-        results.errors.push({
-          data: recordData,
-          error: error.message,
-        });
-      }
-    }
+    const { job, preview } = await runImport({
+      resource: "financialRecords",
+      churchId,
+      user: req.user,
+      file: req.file,
+      rows: records,
+      mapping,
+      dryRun,
+      skipDuplicates,
+    });
 
-    res.status(201).json({
+    res.status(job.dryRun ? 200 : 201).json({
       success: true,
-      data: { results },
-      message: `Successfully imported ${results.success.length} records`,
+      data: { job, preview, fields: describeFields("financialRecords") },
+      message: job.dryRun
+        ? `${job.totals.valid} of ${job.totals.rows} financial records are ready to import`
+        : `Successfully imported ${job.totals.imported} financial records`,
     });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
     console.error("Bulk import financial records error:", error);
     res.status(500).json({
       success: false,
@@ -1241,24 +1256,174 @@ const bulkImportFinancialRecords = async (req, res) => {
   }
 };
 
+// Full name of a populated user reference
+const userName = (user) => (user ? `${user.firstName} ${user.lastName}` : null);
+
+// Columns available to financial record exports. `pii` columns are blanked
+// for anonymous donors.
+const FINANCIAL_RECORD_EXPORT_COLUMNS = {
+  transactionDate: {
+    header: "Transaction Date",
+    type: "date",
+    value: (record) => record.transactionDate,
+  },
+  recordType: { header: "Record Type", value: (record) => record.recordType },
+  title: { header: "Title", value: (record) => record.title },
+  description: {
+    header: "Description",
+    value: (record) => record.description,
+  },
+  category: { header: "Category", value: (record) => record.category },
+  subcategory: {
+    header: "Subcategory",
+    value: (record) => record.subcategory,
+  },
+  amount: {
+    header: "Amount",
+    type: "currency",
+    value: (record) => record.amount,
+  },
+  currency: { header: "Currency", value: (record) => record.currency },
+  status: { header: "Status", value: (record) => record.status },
+  priority: { header: "Priority", value: (record) => record.priority },
+  source: { header: "Source", value: (record) => record.source },
+  reference: {
+    header: "Reference",
+    value: (record) => record.sourceDetails?.reference,
+  },
+  donorName: {
+    header: "Donor Name",
+    value: (record) =>
+      record.donor?.isAnonymous ? "Anonymous" : record.donor?.name,
+  },
+  donorEmail: {
+    header: "Donor Email",
+    pii: true,
+    value: (record) => record.donor?.email,
+  },
+  donorPhone: {
+    header: "Donor Phone",
+    pii: true,
+    value: (record) => record.donor?.phone,
+  },
+  vendor: { header: "Vendor", value: (record) => record.vendor?.name },
+  verifiedBy: {
+    header: "Verified By",
+    value: (record) => userName(record.verification?.verifiedBy),
+  },
+  verifiedAt: {
+    header: "Verified At",
+    type: "date",
+    value: (record) => record.verification?.verifiedAt,
+  },
+  verificationMethod: {
+    header: "Verification Method",
+    value: (record) => record.verification?.verificationMethod,
+  },
+  confidence: {
+    header: "Confidence",
+    value: (record) => record.verification?.confidence,
+  },
+  isReconciled: {
+    header: "Reconciled",
+    type: "boolean",
+    value: (record) => record.reconciliation?.isReconciled,
+  },
+  recordedBy: {
+    header: "Recorded By",
+    value: (record) => userName(record.recordedBy),
+  },
+  recordedDate: {
+    header: "Recorded Date",
+    type: "date",
+    value: (record) => record.recordedDate,
+  },
+  tags: { header: "Tags", value: (record) => record.tags },
+};
+
+const DEFAULT_FINANCIAL_RECORD_EXPORT_COLUMNS = [
+  "transactionDate",
+  "recordType",
+  "title",
+  "category",
+  "amount",
+  "status",
+  "source",
+  "reference",
+  "verifiedBy",
+  "isReconciled",
+];
+
 // @desc    Export financial records
-// @route   GET /api/financial-records/export
+// @route   GET /api/financial-records/export/church/:churchId
 // @access  Private (Church Admin)
 const exportFinancialRecords = async (req, res) => {
   try {
-    const { churchId, format = "csv" } = req.query;
+    const { churchId } = req.params;
+    const {
+      format = "csv",
+      startDate,
+      endDate,
+      status,
+      recordType,
+      category,
+    } = req.query;
 
-    // In a real implementation, you would export financial records to the specified format
-    // For now, we'll return a mock response
-    console.log("Exporting financial records:", { churchId, format });
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can export financial records" },
+      });
+    }
 
-    res.json({
-      success: true,
-      message: "Financial records exported successfully",
-      data: { downloadUrl: "/exports/financial-records.csv" },
+    const { columns, unknown } = resolveColumns(
+      FINANCIAL_RECORD_EXPORT_COLUMNS,
+      req.query.columns,
+      DEFAULT_FINANCIAL_RECORD_EXPORT_COLUMNS
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown export columns: ${unknown.join(", ")}` },
+      });
+    }
+
+    const church = await Church.findById(churchId).select("name settings");
+    if (!church) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
+
+    const filter = { churchId };
+    if (status) filter.status = status;
+    if (recordType) filter.recordType = recordType;
+    if (category) filter.category = category;
+    if (startDate || endDate) {
+      filter.transactionDate = {};
+      if (startDate) filter.transactionDate.$gte = new Date(startDate);
+      if (endDate) filter.transactionDate.$lte = new Date(endDate);
+    }
+
+    await sendExport(res, {
+      format,
+      filename: "financial-records",
+      sheetName: "Financial Records",
+      dataKey: "records",
+      columns,
+      rows: ManualFinancialRecord.find(filter)
+        .populate("verification.verifiedBy", "firstName lastName")
+        .populate("recordedBy", "firstName lastName")
+        .sort({ transactionDate: -1 })
+        .cursor(),
+      hide: (record, column) => column.pii && record.donor?.isAnonymous,
+      currency: church.settings?.currency,
     });
   } catch (error) {
     console.error("Export financial records error:", error);
+    // Headers are already sent once streaming has started
+    if (res.headersSent) return res.end();
     res.status(500).json({
       success: false,
       error: { message: "Failed to export financial records" },
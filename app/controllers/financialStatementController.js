@@ -0,0 +1,146 @@
+const Church = require("../models/Church");
+const { sendExport } = require("../../config/exporter");
+const { renderFinancialStatement } = require("../../config/receipts");
+const {
+  buildFinancialStatement,
+  statementRows,
+} = require("../../config/financialStatements");
+
+// Spreadsheet columns for a statement's rows, headed with its periods
+const statementColumns = (statement) => [
+  { key: "label", header: "Line", value: (row) => row.label, width: 40 },
+  {
+    key: "account",
+    header: "Account",
+    value: (row) => (row.code ? `${row.code} ${row.account}` : undefined),
+    width: 28,
+  },
+  { key: "current", header: statement.period.label, value: (row) => row.current, type: "currency" },
+  { key: "prior", header: statement.prior.label, value: (row) => row.prior, type: "currency" },
+  { key: "change", header: "Change", value: (row) => row.change, type: "currency" },
+  { key: "changePercent", header: "Change %", value: (row) => row.changePercent, type: "percent" },
+];
+
+// Build a statement for the period asked for and send it as JSON, a PDF or
+// an XLSX workbook
+const sendStatement = async (req, res, type) => {
+  const { churchId } = req.params;
+  const { period, date, startDate, endDate, format = "json" } = req.query;
+
+  const statement = await buildFinancialStatement(type, churchId, {
+    period,
+    date,
+    startDate,
+    endDate,
+  });
+
+  if (format === "json") {
+    return res.json({
+      success: true,
+      data: { statement },
+    });
+  }
+
+  const church = await Church.findById(churchId);
+
+  if (format === "pdf") {
+    const pdf = await renderFinancialStatement(statement, church);
+    const issued = new Date().toISOString().slice(0, 10);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=${type}-${issued}.pdf`);
+    return res.send(pdf);
+  }
+
+  await sendExport(res, {
+    format: "xlsx",
+    filename: type,
+    sheetName: statement.title,
+    columns: statementColumns(statement),
+    rows: statementRows(statement),
+    currency: statement.currency,
+    summary: [
+      { key: "church", header: "Church", value: church.name },
+      { key: "statement", header: "Statement", value: statement.title },
+      { key: "period", header: "Period", value: statement.period.label },
+      { key: "prior", header: "Compared with", value: statement.prior.label },
+      { key: "currency", header: "Currency", value: statement.currency },
+      ...statement.notes.map((note, index) => ({
+        key: `note${index + 1}`,
+        header: "Note",
+        value: note,
+      })),
+    ],
+  });
+};
+
+// @desc    Get a church's income statement: income by category against
+//          expenses by category, compared with the prior period
+// @route   GET /api/financial-statements/income-statement/church/:churchId
+// @access  Private (Church Members)
+const getIncomeStatement = async (req, res) => {
+  try {
+    await sendStatement(req, res, "income-statement");
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+    console.error("Get income statement error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get income statement" },
+    });
+  }
+};
+
+// @desc    Get a church's balance sheet at the end of a period, compared
+//          with the end of the prior period
+// @route   GET /api/financial-statements/balance-sheet/church/:churchId
+// @access  Private (Church Members)
+const getBalanceSheet = async (req, res) => {
+  try {
+    await sendStatement(req, res, "balance-sheet");
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+    console.error("Get balance sheet error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get balance sheet" },
+    });
+  }
+};
+
+// @desc    Get a church's cash-flow summary, compared with the prior period
+// @route   GET /api/financial-statements/cash-flow/church/:churchId
+// @access  Private (Church Members)
+const getCashFlowSummary = async (req, res) => {
+  try {
+    await sendStatement(req, res, "cash-flow");
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+    console.error("Get cash flow summary error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get cash flow summary" },
+    });
+  }
+};
+
+module.exports = {
+  getIncomeStatement,
+  getBalanceSheet,
+  getCashFlowSummary,
+};
@@ -0,0 +1,161 @@
+const ImportJob = require("../models/ImportJob");
+const {
+  RESOURCES,
+  describeFields,
+  rollbackImport,
+} = require("../../config/importer");
+
+// Check whether a user administers a church
+const isChurchAdmin = (user, churchId) =>
+  Boolean(churchId) && user.getChurchRole(churchId) === "admin";
+
+// @desc    Get import jobs for a church
+// @route   GET /api/imports/church/:churchId
+// @access  Private (Church Admin)
+const getChurchImports = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { resource, status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can view imports" },
+      });
+    }
+
+    // Row-level detail is left out of the list; fetch a single job to see it
+    const imports = await ImportJob.findByChurch(churchId, { resource, status })
+      .select("-rowErrors -duplicates -createdIds -rollbackData")
+      .populate("createdBy", "firstName lastName")
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await ImportJob.findByChurch(churchId, {
+      resource,
+      status,
+    }).countDocuments();
+
+    res.json({
+      success: true,
+      data: {
+        imports,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get church imports error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get imports" },
+    });
+  }
+};
+
+// @desc    Get the fields a file can be mapped to for a resource
+// @route   GET /api/imports/fields/:resource
+// @access  Private
+const getImportFields = async (req, res) => {
+  try {
+    const { resource } = req.params;
+
+    if (!RESOURCES[resource]) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Unknown import resource" },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { resource, fields: describeFields(resource) },
+    });
+  } catch (error) {
+    console.error("Get import fields error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get import fields" },
+    });
+  }
+};
+
+// @desc    Get an import job by ID
+// @route   GET /api/imports/:id
+// @access  Private (Church Admin)
+const getImportById = async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id)
+      .populate("createdBy", "firstName lastName")
+      .populate("rolledBackBy", "firstName lastName");
+
+    if (!job || !isChurchAdmin(req.user, job.churchId)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Import not found" },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job },
+    });
+  } catch (error) {
+    console.error("Get import error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get import" },
+    });
+  }
+};
+
+// @desc    Delete every record an import created
+// @route   POST /api/imports/:id/rollback
+// @access  Private (Church Admin)
+const rollbackImportJob = async (req, res) => {
+  try {
+    const job = await ImportJob.findById(req.params.id);
+
+    if (!job || !isChurchAdmin(req.user, job.churchId)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Import not found" },
+      });
+    }
+
+    const { deleted } = await rollbackImport(job, req.user);
+
+    res.json({
+      success: true,
+      data: { job, deleted },
+      message: `Rolled back import, removing ${deleted} records`,
+    });
+  } catch (error) {
+    if (error.statusCode === 400 || error.statusCode === 409) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+    console.error("Rollback import error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to roll back import" },
+    });
+  }
+};
+
+module.exports = {
+  getChurchImports,
+  getImportFields,
+  getImportById,
+  rollbackImportJob,
+};
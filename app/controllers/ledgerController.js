@@ -0,0 +1,424 @@
+const Account = require("../models/Account");
+const JournalEntry = require("../models/JournalEntry");
+const ExchangeRate = require("../models/ExchangeRate");
+const { syncLedger } = require("../../config/ledger");
+
+// Check whether a user administers a church
+const isChurchAdmin = (user, churchId) =>
+  Boolean(churchId) && user.getChurchRole(churchId) === "admin";
+
+// @desc    Get a church's chart of accounts
+// @route   GET /api/ledger/accounts/church/:churchId
+// @access  Private (Church Members)
+const getAccounts = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { type, isActive } = req.query;
+
+    let accounts = await Account.ensureChart(churchId);
+    if (type) accounts = accounts.filter((account) => account.type === type);
+    if (isActive !== undefined) {
+      accounts = accounts.filter(
+        (account) => account.isActive === (isActive === "true")
+      );
+    }
+
+    res.json({
+      success: true,
+      data: { accounts },
+    });
+  } catch (error) {
+    console.error("Get accounts error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get chart of accounts" },
+    });
+  }
+};
+
+// @desc    Add an account to a church's chart of accounts
+// @route   POST /api/ledger/accounts/church/:churchId
+// @access  Private (Church Admin)
+const createAccount = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { code, name, type, description, categories, paymentMethods } = req.body;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can manage the chart of accounts" },
+      });
+    }
+
+    await Account.ensureChart(churchId);
+    if (await Account.exists({ churchId, code })) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Account ${code} already exists` },
+      });
+    }
+
+    const account = await Account.create({
+      churchId,
+      code,
+      name,
+      type,
+      description,
+      categories,
+      paymentMethods,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { account },
+      message: "Account created successfully",
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: { message: Object.values(error.errors)[0].message },
+      });
+    }
+    console.error("Create account error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to create account" },
+    });
+  }
+};
+
+// @desc    Update an account. Its code and type can't change once set, so
+//          the entries posted to it keep their meaning.
+// @route   PUT /api/ledger/accounts/:id
+// @access  Private (Church Admin)
+const updateAccount = async (req, res) => {
+  try {
+    const account = await Account.findById(req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Account not found" },
+      });
+    }
+
+    if (!isChurchAdmin(req.user, account.churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can manage the chart of accounts" },
+      });
+    }
+
+    const { name, description, categories, paymentMethods, isActive } = req.body;
+
+    if (isActive === false && account.systemKey) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Default accounts postings fall back to can't be deactivated" },
+      });
+    }
+
+    if (name !== undefined) account.name = name;
+    if (description !== undefined) account.description = description;
+    if (categories !== undefined) account.categories = categories;
+    if (paymentMethods !== undefined) account.paymentMethods = paymentMethods;
+    if (isActive !== undefined) account.isActive = isActive;
+    await account.save();
+
+    res.json({
+      success: true,
+      data: { account },
+      message: "Account updated successfully",
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: { message: Object.values(error.errors)[0].message },
+      });
+    }
+    console.error("Update account error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to update account" },
+    });
+  }
+};
+
+// @desc    Get a church's journal entries
+// @route   GET /api/ledger/entries/church/:churchId
+// @access  Private (Church Members)
+const getJournalEntries = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { accountId, kind, status, startDate, endDate } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { churchId };
+    if (accountId) query["lines.accountId"] = accountId;
+    if (kind) query["source.kind"] = kind;
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const entries = await JournalEntry.find(query)
+      .populate("postedBy", "firstName lastName")
+      .skip(skip)
+      .limit(limit)
+      .sort({ date: -1, createdAt: -1 });
+
+    const total = await JournalEntry.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get journal entries error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get journal entries" },
+    });
+  }
+};
+
+// @desc    Get a journal entry
+// @route   GET /api/ledger/entries/:id
+// @access  Private (Church Members)
+const getJournalEntry = async (req, res) => {
+  try {
+    const entry = await JournalEntry.findById(req.params.id)
+      .populate("postedBy", "firstName lastName")
+      .populate("reversalOf reversedBy", "entryNumber date");
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Journal entry not found" },
+      });
+    }
+
+    if (!req.user.isChurchMember(entry.churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Access denied to this journal entry" },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { entry },
+    });
+  } catch (error) {
+    console.error("Get journal entry error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get journal entry" },
+    });
+  }
+};
+
+// @desc    Post a manual journal entry, e.g. opening balances or a transfer
+//          between accounts
+// @route   POST /api/ledger/entries/church/:churchId
+// @access  Private (Church Admin)
+const createJournalEntry = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { date, description, lines } = req.body;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can post journal entries" },
+      });
+    }
+
+    const chart = await Account.ensureChart(churchId);
+    const accounts = new Map(chart.map((account) => [String(account._id), account]));
+    const unknown = lines.find((line) => !accounts.get(String(line.accountId))?.isActive);
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Account ${unknown.accountId} is not an active account of this church` },
+      });
+    }
+
+    const entry = await JournalEntry.postEntry({
+      churchId,
+      date,
+      description,
+      currency: await ExchangeRate.baseCurrencyFor(churchId),
+      lines: lines.map((line) => {
+        const account = accounts.get(String(line.accountId));
+        return {
+          accountId: account._id,
+          code: account.code,
+          name: account.name,
+          debit: line.debit || 0,
+          credit: line.credit || 0,
+          memo: line.memo,
+        };
+      }),
+      source: { kind: "manual" },
+      postedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { entry },
+      message: "Journal entry posted successfully",
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        error: { message: Object.values(error.errors)[0].message },
+      });
+    }
+    console.error("Create journal entry error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to post journal entry" },
+    });
+  }
+};
+
+// @desc    Reverse a manual journal entry. Entries for donations, expenses
+//          and financial records follow their transactions instead.
+// @route   POST /api/ledger/entries/:id/reverse
+// @access  Private (Church Admin)
+const reverseJournalEntry = async (req, res) => {
+  try {
+    const entry = await JournalEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Journal entry not found" },
+      });
+    }
+
+    if (!isChurchAdmin(req.user, entry.churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can reverse journal entries" },
+      });
+    }
+
+    if (entry.source.kind !== "manual" || entry.reversalOf) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: entry.reversalOf
+            ? "Reversing entries can't be reversed"
+            : `This entry follows its ${entry.source.kind}; change the ${entry.source.kind} instead`,
+        },
+      });
+    }
+    if (entry.status === "reversed") {
+      return res.status(400).json({
+        success: false,
+        error: { message: "This journal entry has already been reversed" },
+      });
+    }
+
+    const reversal = await entry.reverse({
+      reason: req.body.reason,
+      postedBy: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      data: { entry, reversal },
+      message: "Journal entry reversed successfully",
+    });
+  } catch (error) {
+    console.error("Reverse journal entry error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to reverse journal entry" },
+    });
+  }
+};
+
+// @desc    Get a church's trial balance
+// @route   GET /api/ledger/trial-balance/church/:churchId
+// @access  Private (Church Members)
+const getTrialBalance = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { asOf, startDate } = req.query;
+
+    const trialBalance = await JournalEntry.getTrialBalance(churchId, {
+      asOf: asOf ? new Date(asOf) : new Date(),
+      startDate,
+    });
+
+    res.json({
+      success: true,
+      data: { trialBalance },
+    });
+  } catch (error) {
+    console.error("Get trial balance error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get trial balance" },
+    });
+  }
+};
+
+// @desc    Post any donations, expenses and financial records missing from
+//          a church's ledger and repost those that changed
+// @route   POST /api/ledger/sync/church/:churchId
+// @access  Private (Church Admin)
+const syncChurchLedger = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can sync the ledger" },
+      });
+    }
+
+    const checked = await syncLedger(churchId, { since: req.body.since });
+
+    res.json({
+      success: true,
+      data: { checked },
+      message: "Ledger synced successfully",
+    });
+  } catch (error) {
+    console.error("Sync ledger error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to sync ledger" },
+    });
+  }
+};
+
+module.exports = {
+  getAccounts,
+  createAccount,
+  updateAccount,
+  getJournalEntries,
+  getJournalEntry,
+  createJournalEntry,
+  reverseJournalEntry,
+  getTrialBalance,
+  syncChurchLedger,
+};
@@ -5,8 +5,14 @@ const VolunteerTeam = require("../models/VolunteerTeam");
 const {
   sendChurchNotification,
   sendUserNotification,
-} = require("../../config/pusher");
+} = require("../../config/deliveryRouter");
 const emailService = require("../../config/email");
+const { describeFields, runImport } = require("../../config/importer");
+const {
+  resolveColumns,
+  applyPrivacy,
+  sendExport,
+} = require("../../config/exporter");
 
 // @desc    Create a new member
 // @route   POST /api/members
@@ -798,50 +804,40 @@ const getFirstTimerMembers = async (req, res) => {
 // @access  Private (Church Admin)
 const bulkImportMembers = async (req, res) => {
   try {
-    const { churchId, members } = req.body;
+    const { churchId, members, mapping, dryRun, skipDuplicates } = req.body;
 
-    if (!members || !Array.isArray(members) || members.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: { message: "Members array is required" },
-      });
-    }
-
-    // Check if church exists
-    const church = await Church.findById(churchId);
-    if (!church) {
-      return res.status(404).json({
+    if (req.user.getChurchRole(churchId) !== "admin") {
+      return res.status(403).json({
         success: false,
-        error: { message: "Church not found" },
+        error: { message: "Only church admins can import members" },
       });
     }
 
-    const results = {
-      success: [],
-      errors: [],
-    };
-
-    for (const memberData of members) {
-      try {
-        const member = await Member.create({
-          churchId,
-          ...memberData,
-        });
-        results.success.push(member);
-      } catch (error) {
-        results.errors.push({
-          data: memberData,
-          error: error.message,
-        });
-      }
-    }
+    const { job, preview } = await runImport({
+      resource: "members",
+      churchId,
+      user: req.user,
+      file: req.file,
+      rows: members,
+      mapping,
+      dryRun,
+      skipDuplicates,
+    });
 
-    res.status(201).json({
+    res.status(job.dryRun ? 200 : 201).json({
       success: true,
-      data: { results },
-      message: `Successfully imported ${results.success.length} members`,
+      data: { job, preview, fields: describeFields("members") },
+      message: job.dryRun
+        ? `${job.totals.valid} of ${job.totals.rows} members are ready to import`
+        : `Successfully imported ${job.totals.imported} members`,
     });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
     console.error("Bulk import members error:", error);
     res.status(500).json({
       success: false,
@@ -850,24 +846,195 @@ const bulkImportMembers = async (req, res) => {
   }
 };
 
+// Columns available to member exports. `privacy` groups are only shown to
+// non-admins when the church's privacy settings allow it.
+const MEMBER_EXPORT_COLUMNS = {
+  memberId: { header: "Member ID", value: (member) => member.memberId },
+  firstName: { header: "First Name", value: (member) => member.firstName },
+  lastName: { header: "Last Name", value: (member) => member.lastName },
+  gender: { header: "Gender", value: (member) => member.gender },
+  maritalStatus: {
+    header: "Marital Status",
+    value: (member) => member.maritalStatus,
+  },
+  role: { header: "Role", value: (member) => member.role },
+  email: {
+    header: "Email",
+    privacy: "contact",
+    value: (member) => member.email,
+  },
+  phone: {
+    header: "Phone",
+    privacy: "contact",
+    value: (member) => member.phone,
+  },
+  dateOfBirth: {
+    header: "Date of Birth",
+    type: "date",
+    privacy: "contact",
+    value: (member) => member.dateOfBirth,
+  },
+  address: {
+    header: "Address",
+    privacy: "contact",
+    value: (member) => {
+      const address = member.address || {};
+      return [address.street, address.city, address.state, address.postalCode]
+        .filter(Boolean)
+        .join(", ");
+    },
+  },
+  emergencyContact: {
+    header: "Emergency Contact",
+    privacy: "contact",
+    value: (member) => {
+      const contact = member.emergencyContact || {};
+      return [contact.name, contact.relationship, contact.phone]
+        .filter(Boolean)
+        .join(", ");
+    },
+  },
+  membershipType: {
+    header: "Membership Type",
+    value: (member) => member.membership?.membershipType,
+  },
+  joinDate: {
+    header: "Join Date",
+    type: "date",
+    value: (member) => member.membership?.joinDate,
+  },
+  isActive: {
+    header: "Active",
+    type: "boolean",
+    value: (member) => member.membership?.isActive,
+  },
+  isFirstTimer: {
+    header: "First Timer",
+    type: "boolean",
+    value: (member) => member.firstTimer?.isFirstTimer,
+  },
+  baptized: {
+    header: "Baptized",
+    type: "boolean",
+    value: (member) => member.baptism?.baptized,
+  },
+  volunteerTeams: {
+    header: "Volunteer Teams",
+    type: "number",
+    value: (member) =>
+      member.volunteerTeams.filter((team) => team.isActive).length,
+  },
+  skills: { header: "Skills", value: (member) => member.skills },
+  attendanceCount: {
+    header: "Services Attended",
+    type: "number",
+    privacy: "attendance",
+    value: (member) =>
+      member.attendance.filter((record) =>
+        ["present", "late"].includes(record.status)
+      ).length,
+  },
+  attendancePercentage: {
+    header: "Attendance Rate",
+    type: "percent",
+    privacy: "attendance",
+    value: (member) => member.attendancePercentage,
+  },
+  lastAttendance: {
+    header: "Last Attendance",
+    type: "date",
+    privacy: "attendance",
+    value: (member) =>
+      member.attendance.reduce(
+        (latest, record) =>
+          !latest || record.serviceDate > latest ? record.serviceDate : latest,
+        null
+      ),
+  },
+  totalDonations: {
+    header: "Total Donations",
+    type: "currency",
+    privacy: "donations",
+    value: (member) => member.financial?.totalDonations,
+  },
+  lastDonationDate: {
+    header: "Last Donation",
+    type: "date",
+    privacy: "donations",
+    value: (member) => member.financial?.lastDonationDate,
+  },
+};
+
+const DEFAULT_MEMBER_EXPORT_COLUMNS = [
+  "memberId",
+  "firstName",
+  "lastName",
+  "gender",
+  "role",
+  "email",
+  "phone",
+  "membershipType",
+  "joinDate",
+  "isActive",
+];
+
 // @desc    Export members
-// @route   GET /api/members/export
-// @access  Private (Church Admin)
+// @route   GET /api/members/export/church/:churchId
+// @access  Private (Church Members)
 const exportMembers = async (req, res) => {
   try {
-    const { churchId, format = "csv" } = req.query;
+    const { churchId } = req.params;
+    const {
+      format = "csv",
+      role,
+      isActive,
+      isFirstTimer,
+      membershipType,
+    } = req.query;
+
+    const church = await Church.findById(churchId).select("name settings");
+    if (!church) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
 
-    // In a real implementation, you would export members to the specified format
-    // For now, we'll return a mock response
-    console.log("Exporting members:", { churchId, format });
+    const { columns, unknown } = resolveColumns(
+      MEMBER_EXPORT_COLUMNS,
+      req.query.columns,
+      DEFAULT_MEMBER_EXPORT_COLUMNS
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown export columns: ${unknown.join(", ")}` },
+      });
+    }
 
-    res.json({
-      success: true,
-      message: "Members exported successfully",
-      data: { downloadUrl: "/exports/members.csv" },
+    const filter = { churchId };
+    if (role) filter.role = role;
+    if (membershipType) filter["membership.membershipType"] = membershipType;
+    if (isActive !== undefined) {
+      filter["membership.isActive"] = isActive === "true";
+    }
+    if (isFirstTimer !== undefined) {
+      filter["firstTimer.isFirstTimer"] = isFirstTimer === "true";
+    }
+
+    await sendExport(res, {
+      format,
+      filename: "members",
+      sheetName: "Members",
+      dataKey: "members",
+      columns: applyPrivacy(columns, church, req.churchAccess.role),
+      rows: Member.find(filter).sort({ lastName: 1, firstName: 1 }).cursor(),
+      currency: church.settings?.currency,
     });
   } catch (error) {
     console.error("Export members error:", error);
+    // Headers are already sent once streaming has started
+    if (res.headersSent) return res.end();
     res.status(500).json({
       success: false,
       error: { message: "Failed to export members" },
@@ -1,49 +1,146 @@
+const Notification = require("../models/Notification");
+const NotificationRecipient = require("../models/NotificationRecipient");
+const ScheduledNotification = require("../models/ScheduledNotification");
+const NotificationTemplate = require("../models/NotificationTemplate");
+const DeliveryLog = require("../models/DeliveryLog");
+const Church = require("../models/Church");
+const Member = require("../models/Member");
+const User = require("../models/User");
+const NotificationService = require("../../config/notificationService");
+const digestScheduler = require("../../config/digestScheduler");
 const {
   sendNotification,
   sendChurchNotification,
   sendUserNotification,
   sendTeamNotification,
-} = require("../../config/pusher");
+} = require("../../config/deliveryRouter");
 const emailService = require("../../config/email");
+const { resolveColumns, sendExport } = require("../../config/exporter");
+
+// Flatten an inbox entry and its notification into the shape the inbox renders
+const formatInboxEntry = (entry) => ({
+  ...entry.notificationId.toJSON(),
+  recipientId: entry._id,
+  isRead: entry.isRead,
+  readAt: entry.readAt,
+  isArchived: entry.isArchived,
+  archivedAt: entry.archivedAt,
+  deliveries: entry.deliveries,
+});
+
+// Paginate the current user's inbox with the given filters
+const getInboxPage = async (req, options = {}, defaultLimit = 10) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || defaultLimit;
+  const skip = (page - 1) * limit;
+
+  const [entries, total] = await Promise.all([
+    NotificationRecipient.findInbox(req.user.id, options)
+      .populate("notificationId")
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 }),
+    NotificationRecipient.findInbox(req.user.id, options).countDocuments(),
+  ]);
+
+  return {
+    notifications: entries
+      .filter((entry) => entry.notificationId)
+      .map(formatInboxEntry),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
+// Find the current user's inbox entry for a notification
+const findInboxEntry = (req) =>
+  NotificationRecipient.findOne({
+    notificationId: req.params.id,
+    userId: req.user.id,
+    isDeleted: false,
+  });
+
+// Check whether a user administers a church
+const isChurchAdmin = (user, churchId) =>
+  Boolean(churchId) && user.getChurchRole(churchId) === "admin";
+
+// Only the author or a church admin may change a scheduled notification
+const canManageScheduled = (user, scheduledNotification) =>
+  scheduledNotification.createdBy.toString() === user.id ||
+  isChurchAdmin(user, scheduledNotification.churchId);
+
+// Keep only the users who belong to the church, so a church's notifications
+// can't be sent to anyone else
+const churchUserIds = async (churchId, userIds) => {
+  if (!Array.isArray(userIds) || userIds.length === 0) return userIds;
+
+  const users = await User.find({
+    _id: { $in: userIds },
+    "churches.churchId": churchId,
+  }).select("_id");
+  return users.map((user) => user._id.toString());
+};
 
 // @desc    Send a notification
 // @route   POST /api/notifications/send
 // @access  Private (Church Admin)
 const sendNotificationHandler = async (req, res) => {
   try {
-    const { churchId, type, title, message, priority, recipients, data } =
-      req.body;
+    const {
+      churchId,
+      type,
+      title,
+      message,
+      priority,
+      recipients,
+      specificUserIds,
+      channels,
+      data,
+    } = req.body;
 
-    // Send real-time notification
-    const notificationData = {
+    if (!isChurchAdmin(req.user, churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can send notifications" },
+      });
+    }
+
+    const result = await NotificationService.dispatch({
+      churchId,
       type,
       title,
       message,
       priority: priority || "normal",
+      recipients,
+      specificUserIds: await churchUserIds(churchId, specificUserIds),
+      channels,
       data,
-      sentAt: new Date(),
       sentBy: req.user.id,
-    };
+    });
 
-    // Send to specific recipients if provided
-    if (recipients && recipients.length > 0) {
-      recipients.forEach((recipientId) => {
-        sendUserNotification(
-          recipientId,
-          "notification-received",
-          notificationData
-        );
+    if (result.errors.length > 0 && result.completedChannels.length === 0) {
+      return res.status(502).json({
+        success: false,
+        error: {
+          message: "Failed to deliver notification",
+          details: result.errors,
+        },
       });
     }
 
-    // Send to church channel if churchId provided
-    if (churchId) {
-      sendChurchNotification(churchId, "notification-sent", notificationData);
-    }
-
     res.json({
       success: true,
-      data: { notification: notificationData },
+      data: {
+        notifications: result.notifications,
+        completedChannels: result.completedChannels,
+        email: result.email,
+        sms: result.sms,
+        errors: result.errors,
+      },
       message: "Notification sent successfully",
     });
   } catch (error) {
@@ -66,6 +163,7 @@ const sendChurchNotificationHandler = async (req, res) => {
       message,
       priority,
       data,
+      recipients,
       includeMembers,
       includeVolunteers,
     } = req.body;
@@ -83,7 +181,12 @@ const sendChurchNotificationHandler = async (req, res) => {
     };
 
     // Send to church channel
-    sendChurchNotification(churchId, "church-notification", notificationData);
+    const notification = await sendChurchNotification(
+      churchId,
+      "church-notification",
+      notificationData,
+      { recipients, sentBy: req.user.id }
+    );
 
     // Send email notifications if configured
     if (data?.sendEmail) {
@@ -98,7 +201,7 @@ const sendChurchNotificationHandler = async (req, res) => {
 
     res.json({
       success: true,
-      data: { notification: notificationData },
+      data: { notification: notification || notificationData },
       message: "Church notification sent successfully",
     });
   } catch (error) {
@@ -115,7 +218,8 @@ const sendChurchNotificationHandler = async (req, res) => {
 // @access  Private (Church Admin)
 const sendUserNotificationHandler = async (req, res) => {
   try {
-    const { userId, type, title, message, priority, data } = req.body;
+    const { userId, churchId, type, title, message, priority, data } =
+      req.body;
 
     const notificationData = {
       type,
@@ -128,7 +232,12 @@ const sendUserNotificationHandler = async (req, res) => {
     };
 
     // Send real-time notification
-    sendUserNotification(userId, "notification-received", notificationData);
+    const notification = await sendUserNotification(
+      userId,
+      "notification-received",
+      notificationData,
+      { churchId, sentBy: req.user.id }
+    );
 
     // Send email notification if configured
     if (data?.sendEmail) {
@@ -142,7 +251,7 @@ const sendUserNotificationHandler = async (req, res) => {
 
     res.json({
       success: true,
-      data: { notification: notificationData },
+      data: { notification: notification || notificationData },
       message: "User notification sent successfully",
     });
   } catch (error) {
@@ -173,11 +282,16 @@ const sendTeamNotificationHandler = async (req, res) => {
     };
 
     // Send to team channel
-    sendTeamNotification(teamId, "team-notification", notificationData);
+    const notification = await sendTeamNotification(
+      teamId,
+      "team-notification",
+      notificationData,
+      { sentBy: req.user.id }
+    );
 
     res.json({
       success: true,
-      data: { notification: notificationData },
+      data: { notification: notification || notificationData },
       message: "Team notification sent successfully",
     });
   } catch (error) {
@@ -194,33 +308,21 @@ const sendTeamNotificationHandler = async (req, res) => {
 // @access  Private
 const getAllNotifications = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
     const { type, priority, isRead, isArchived } = req.query;
-    const filter = { userId: req.user.id };
+    const options = {};
 
-    if (type) filter.type = type;
-    if (priority) filter.priority = priority;
-    if (isRead !== undefined) filter.isRead = isRead === "true";
-    if (isArchived !== undefined) filter.isArchived = isArchived === "true";
+    if (type) options.type = type;
+    if (priority) options.priority = priority;
+    if (isRead !== undefined) options.isRead = isRead === "true";
+    if (isArchived !== undefined) options.isArchived = isArchived === "true";
 
-    // In a real implementation, you would have a Notification model
-    // For now, we'll return a mock response
-    const notifications = [];
-    const total = 0;
+    const { notifications, pagination } = await getInboxPage(req, options);
 
     res.json({
       success: true,
       data: {
         notifications,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit),
-        },
+        pagination,
       },
     });
   } catch (error) {
@@ -253,10 +355,13 @@ const getNotificationsByChurch = async (req, res) => {
       if (endDate) filter.sentAt.$lte = new Date(endDate);
     }
 
-    // In a real implementation, you would query the Notification model
-    // For now, we'll return a mock response
-    const notifications = [];
-    const total = 0;
+    const notifications = await Notification.find(filter)
+      .populate("sentBy", "firstName lastName")
+      .skip(skip)
+      .limit(limit)
+      .sort({ sentAt: -1 });
+
+    const total = await Notification.countDocuments(filter);
 
     res.json({
       success: true,
@@ -284,13 +389,9 @@ const getNotificationsByChurch = async (req, res) => {
 // @access  Private
 const getNotificationById = async (req, res) => {
   try {
-    const { id } = req.params;
+    const entry = await findInboxEntry(req).populate("notificationId");
 
-    // In a real implementation, you would query the Notification model
-    // For now, we'll return a mock response
-    const notification = null;
-
-    if (!notification) {
+    if (!entry || !entry.notificationId) {
       return res.status(404).json({
         success: false,
         error: { message: "Notification not found" },
@@ -299,7 +400,7 @@ const getNotificationById = async (req, res) => {
 
     res.json({
       success: true,
-      data: { notification },
+      data: { notification: formatInboxEntry(entry) },
     });
   } catch (error) {
     console.error("Get notification by ID error:", error);
@@ -315,11 +416,15 @@ const getNotificationById = async (req, res) => {
 // @access  Private
 const markNotificationAsRead = async (req, res) => {
   try {
-    const { id } = req.params;
+    const entry = await findInboxEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Notification not found" },
+      });
+    }
 
-    // In a real implementation, you would update the Notification model
-    // For now, we'll return a mock response
-    console.log("Marking notification as read:", id);
+    await entry.markAsRead();
 
     res.json({
       success: true,
@@ -339,11 +444,15 @@ const markNotificationAsRead = async (req, res) => {
 // @access  Private
 const markNotificationAsUnread = async (req, res) => {
   try {
-    const { id } = req.params;
+    const entry = await findInboxEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Notification not found" },
+      });
+    }
 
-    // In a real implementation, you would update the Notification model
-    // For now, we'll return a mock response
-    console.log("Marking notification as unread:", id);
+    await entry.markAsUnread();
 
     res.json({
       success: true,
@@ -363,11 +472,15 @@ const markNotificationAsUnread = async (req, res) => {
 // @access  Private
 const archiveNotification = async (req, res) => {
   try {
-    const { id } = req.params;
+    const entry = await findInboxEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Notification not found" },
+      });
+    }
 
-    // In a real implementation, you would update the Notification model
-    // For now, we'll return a mock response
-    console.log("Archiving notification:", id);
+    await entry.archive();
 
     res.json({
       success: true,
@@ -387,11 +500,15 @@ const archiveNotification = async (req, res) => {
 // @access  Private
 const unarchiveNotification = async (req, res) => {
   try {
-    const { id } = req.params;
+    const entry = await findInboxEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Notification not found" },
+      });
+    }
 
-    // In a real implementation, you would update the Notification model
-    // For now, we'll return a mock response
-    console.log("Unarchiving notification:", id);
+    await entry.unarchive();
 
     res.json({
       success: true,
@@ -411,11 +528,16 @@ const unarchiveNotification = async (req, res) => {
 // @access  Private
 const deleteNotification = async (req, res) => {
   try {
-    const { id } = req.params;
+    const entry = await findInboxEntry(req);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Notification not found" },
+      });
+    }
 
-    // In a real implementation, you would delete from the Notification model
-    // For now, we'll return a mock response
-    console.log("Deleting notification:", id);
+    // Only the user's inbox entry is removed; the church log keeps the notification
+    await entry.softDelete();
 
     res.json({
       success: true,
@@ -431,7 +553,7 @@ const deleteNotification = async (req, res) => {
 };
 
 // @desc    Bulk mark notifications as read
-// @route   PUT /api/notifications/bulk/read
+// @route   POST /api/notifications/bulk-read
 // @access  Private
 const bulkMarkAsRead = async (req, res) => {
   try {
@@ -444,13 +566,20 @@ const bulkMarkAsRead = async (req, res) => {
       });
     }
 
-    // In a real implementation, you would update multiple notifications
-    // For now, we'll return a mock response
-    console.log("Bulk marking notifications as read:", notificationIds);
+    const result = await NotificationRecipient.updateMany(
+      {
+        userId: req.user.id,
+        notificationId: { $in: notificationIds },
+        isRead: false,
+        isDeleted: false,
+      },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
 
     res.json({
       success: true,
-      message: `${notificationIds.length} notifications marked as read`,
+      data: { modifiedCount: result.modifiedCount },
+      message: `${result.modifiedCount} notifications marked as read`,
     });
   } catch (error) {
     console.error("Bulk mark as read error:", error);
@@ -462,7 +591,7 @@ const bulkMarkAsRead = async (req, res) => {
 };
 
 // @desc    Bulk archive notifications
-// @route   PUT /api/notifications/bulk/archive
+// @route   POST /api/notifications/bulk-archive
 // @access  Private
 const bulkArchive = async (req, res) => {
   try {
@@ -475,13 +604,20 @@ const bulkArchive = async (req, res) => {
       });
     }
 
-    // In a real implementation, you would update multiple notifications
-    // For now, we'll return a mock response
-    console.log("Bulk archiving notifications:", notificationIds);
+    const result = await NotificationRecipient.updateMany(
+      {
+        userId: req.user.id,
+        notificationId: { $in: notificationIds },
+        isArchived: false,
+        isDeleted: false,
+      },
+      { $set: { isArchived: true, archivedAt: new Date() } }
+    );
 
     res.json({
       success: true,
-      message: `${notificationIds.length} notifications archived successfully`,
+      data: { modifiedCount: result.modifiedCount },
+      message: `${result.modifiedCount} notifications archived successfully`,
     });
   } catch (error) {
     console.error("Bulk archive error:", error);
@@ -493,7 +629,7 @@ const bulkArchive = async (req, res) => {
 };
 
 // @desc    Bulk delete notifications
-// @route   PUT /api/notifications/bulk/delete
+// @route   POST /api/notifications/bulk-delete
 // @access  Private
 const bulkDelete = async (req, res) => {
   try {
@@ -506,13 +642,19 @@ const bulkDelete = async (req, res) => {
       });
     }
 
-    // In a real implementation, you would delete multiple notifications
-    // For now, we'll return a mock response
-    console.log("Bulk deleting notifications:", notificationIds);
+    const result = await NotificationRecipient.updateMany(
+      {
+        userId: req.user.id,
+        notificationId: { $in: notificationIds },
+        isDeleted: false,
+      },
+      { $set: { isDeleted: true, deletedAt: new Date() } }
+    );
 
     res.json({
       success: true,
-      message: `${notificationIds.length} notifications deleted successfully`,
+      data: { modifiedCount: result.modifiedCount },
+      message: `${result.modifiedCount} notifications deleted successfully`,
     });
   } catch (error) {
     console.error("Bulk delete error:", error);
@@ -528,9 +670,7 @@ const bulkDelete = async (req, res) => {
 // @access  Private
 const getUnreadCount = async (req, res) => {
   try {
-    // In a real implementation, you would count unread notifications
-    // For now, we'll return a mock response
-    const count = 0;
+    const count = await NotificationRecipient.countUnread(req.user.id);
 
     res.json({
       success: true,
@@ -550,25 +690,16 @@ const getUnreadCount = async (req, res) => {
 // @access  Private
 const getUnreadNotifications = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    // In a real implementation, you would query unread notifications
-    // For now, we'll return a mock response
-    const notifications = [];
-    const total = 0;
+    const { notifications, pagination } = await getInboxPage(req, {
+      isRead: false,
+      isArchived: false,
+    });
 
     res.json({
       success: true,
       data: {
         notifications,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit),
-        },
+        pagination,
       },
     });
   } catch (error) {
@@ -585,25 +716,15 @@ const getUnreadNotifications = async (req, res) => {
 // @access  Private
 const getArchivedNotifications = async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    // In a real implementation, you would query archived notifications
-    // For now, we'll return a mock response
-    const notifications = [];
-    const total = 0;
+    const { notifications, pagination } = await getInboxPage(req, {
+      isArchived: true,
+    });
 
     res.json({
       success: true,
       data: {
         notifications,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit),
-        },
+        pagination,
       },
     });
   } catch (error) {
@@ -616,30 +737,22 @@ const getArchivedNotifications = async (req, res) => {
 };
 
 // @desc    Get notifications by type
-// @route   GET /api/notifications/type/:type
+// @route   GET /api/notifications/by-type
 // @access  Private
 const getNotificationsByType = async (req, res) => {
   try {
-    const { type } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const { type } = req.query;
 
-    // In a real implementation, you would query notifications by type
-    // For now, we'll return a mock response
-    const notifications = [];
-    const total = 0;
+    const { notifications, pagination } = await getInboxPage(req, {
+      type,
+      isArchived: false,
+    });
 
     res.json({
       success: true,
       data: {
         notifications,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit),
-        },
+        pagination,
       },
     });
   } catch (error) {
@@ -652,30 +765,22 @@ const getNotificationsByType = async (req, res) => {
 };
 
 // @desc    Get notifications by priority
-// @route   GET /api/notifications/priority/:priority
+// @route   GET /api/notifications/by-priority
 // @access  Private
 const getNotificationsByPriority = async (req, res) => {
   try {
-    const { priority } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const { priority } = req.query;
 
-    // In a real implementation, you would query notifications by priority
-    // For now, we'll return a mock response
-    const notifications = [];
-    const total = 0;
+    const { notifications, pagination } = await getInboxPage(req, {
+      priority,
+      isArchived: false,
+    });
 
     res.json({
       success: true,
       data: {
         notifications,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit),
-        },
+        pagination,
       },
     });
   } catch (error) {
@@ -692,11 +797,11 @@ const getNotificationsByPriority = async (req, res) => {
 // @access  Private
 const getRecentNotifications = async (req, res) => {
   try {
-    const { limit = 5 } = req.query;
-
-    // In a real implementation, you would query recent notifications
-    // For now, we'll return a mock response
-    const notifications = [];
+    const { notifications } = await getInboxPage(
+      req,
+      { isArchived: false },
+      5
+    );
 
     res.json({
       success: true,
@@ -723,23 +828,41 @@ const scheduleNotification = async (req, res) => {
       message,
       priority,
       recipients,
+      specificUserIds,
+      channels,
       scheduledAt,
       data,
     } = req.body;
 
-    // In a real implementation, you would create a scheduled notification
-    // For now, we'll return a mock response
-    const scheduledNotification = {
-      id: "scheduled_" + Date.now(),
+    if (!isChurchAdmin(req.user, churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can schedule notifications" },
+      });
+    }
+
+    if (new Date(scheduledAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Scheduled date must be in the future" },
+      });
+    }
+
+    const scheduledNotification = new ScheduledNotification({
+      churchId,
       type,
       title,
       message,
       priority: priority || "normal",
       recipients,
+      specificUserIds: await churchUserIds(churchId, specificUserIds),
+      channels,
       scheduledAt: new Date(scheduledAt),
       data,
       createdBy: req.user.id,
-    };
+    });
+    scheduledNotification.addHistory("scheduled", null, req.user.id);
+    await scheduledNotification.save();
 
     res.status(201).json({
       success: true,
@@ -761,14 +884,66 @@ const scheduleNotification = async (req, res) => {
 const updateScheduledNotification = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, message, priority, scheduledAt, recipients } = req.body;
+    const {
+      title,
+      message,
+      priority,
+      scheduledAt,
+      recipients,
+      specificUserIds,
+      channels,
+    } = req.body;
+
+    const scheduledNotification = await ScheduledNotification.findById(id);
+    if (!scheduledNotification) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Scheduled notification not found" },
+      });
+    }
+
+    if (!canManageScheduled(req.user, scheduledNotification)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to update this notification" },
+      });
+    }
+
+    if (!scheduledNotification.isEditable) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Cannot update a ${scheduledNotification.status} notification`,
+        },
+      });
+    }
+
+    if (scheduledAt && new Date(scheduledAt) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Scheduled date must be in the future" },
+      });
+    }
+
+    if (title) scheduledNotification.title = title;
+    if (message) scheduledNotification.message = message;
+    if (priority) scheduledNotification.priority = priority;
+    if (scheduledAt) scheduledNotification.scheduledAt = new Date(scheduledAt);
+    if (recipients) scheduledNotification.recipients = recipients;
+    if (specificUserIds) {
+      scheduledNotification.specificUserIds = await churchUserIds(
+        scheduledNotification.churchId,
+        specificUserIds
+      );
+    }
+    if (channels) scheduledNotification.channels = channels;
 
-    // In a real implementation, you would update the scheduled notification
-    // For now, we'll return a mock response
-    console.log("Updating scheduled notification:", id);
+    scheduledNotification.addHistory("updated", null, req.user.id);
+    await scheduledNotification.save();
 
     res.json({
       success: true,
+      data: { scheduledNotification },
       message: "Scheduled notification updated successfully",
     });
   } catch (error) {
@@ -786,13 +961,37 @@ const updateScheduledNotification = async (req, res) => {
 const cancelScheduledNotification = async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body;
 
-    // In a real implementation, you would cancel the scheduled notification
-    // For now, we'll return a mock response
-    console.log("Canceling scheduled notification:", id);
+    const scheduledNotification = await ScheduledNotification.findById(id);
+    if (!scheduledNotification) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Scheduled notification not found" },
+      });
+    }
+
+    if (!canManageScheduled(req.user, scheduledNotification)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to cancel this notification" },
+      });
+    }
+
+    if (!scheduledNotification.isEditable) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: `Cannot cancel a ${scheduledNotification.status} notification`,
+        },
+      });
+    }
+
+    await scheduledNotification.cancel(req.user.id, reason);
 
     res.json({
       success: true,
+      data: { scheduledNotification },
       message: "Scheduled notification canceled successfully",
     });
   } catch (error) {
@@ -805,19 +1004,37 @@ const cancelScheduledNotification = async (req, res) => {
 };
 
 // @desc    Get scheduled notifications
-// @route   GET /api/notifications/schedule
+// @route   GET /api/notifications/scheduled
 // @access  Private (Church Admin)
 const getScheduledNotifications = async (req, res) => {
   try {
-    const { churchId } = req.query;
+    const { churchId, status, startDate, endDate } = req.query;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    // In a real implementation, you would query scheduled notifications
-    // For now, we'll return a mock response
-    const scheduledNotifications = [];
-    const total = 0;
+    if (churchId && !req.user.isChurchMember(churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to access this church" },
+      });
+    }
+
+    const filter = churchId ? { churchId } : { createdBy: req.user.id };
+    if (status) filter.status = status;
+    if (startDate || endDate) {
+      filter.scheduledAt = {};
+      if (startDate) filter.scheduledAt.$gte = new Date(startDate);
+      if (endDate) filter.scheduledAt.$lte = new Date(endDate);
+    }
+
+    const scheduledNotifications = await ScheduledNotification.find(filter)
+      .populate("createdBy", "firstName lastName")
+      .skip(skip)
+      .limit(limit)
+      .sort({ scheduledAt: -1 });
+
+    const total = await ScheduledNotification.countDocuments(filter);
 
     res.json({
       success: true,
@@ -840,29 +1057,175 @@ const getScheduledNotifications = async (req, res) => {
   }
 };
 
+// @desc    Get the delivery log for a church, including skip reasons
+// @route   GET /api/notifications/deliveries
+// @access  Private (Church Admin)
+const getDeliveryLog = async (req, res) => {
+  try {
+    const { churchId, channel, status, reason, userId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    if (!isChurchAdmin(req.user, churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to access this church" },
+      });
+    }
+
+    const filter = { churchId };
+    if (channel) filter.channel = channel;
+    if (status) filter.status = status;
+    if (reason) filter.reason = reason;
+    if (userId) filter.userId = userId;
+
+    const deliveries = await DeliveryLog.find(filter)
+      .populate("userId", "firstName lastName email")
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await DeliveryLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get delivery log error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get delivery log" },
+    });
+  }
+};
+
+// @desc    Get SMS usage and cost for a church
+// @route   GET /api/notifications/sms/usage
+// @access  Private (Church Admin)
+const getSmsUsage = async (req, res) => {
+  try {
+    const { churchId, startDate, endDate } = req.query;
+
+    if (!isChurchAdmin(req.user, churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to access this church" },
+      });
+    }
+
+    const usage = await DeliveryLog.getSmsUsage(churchId, startDate, endDate);
+
+    res.json({
+      success: true,
+      data: { usage },
+    });
+  } catch (error) {
+    console.error("Get SMS usage error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get SMS usage" },
+    });
+  }
+};
+
+// @desc    Preview the admin digest for a church
+// @route   GET /api/notifications/digest/preview
+// @access  Private (Church Admin)
+const previewDigest = async (req, res) => {
+  try {
+    const { churchId, frequency = "daily" } = req.query;
+
+    if (!isChurchAdmin(req.user, churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to access this church" },
+      });
+    }
+
+    const until = new Date();
+    const days = frequency === "weekly" ? 7 : 1;
+    const since = new Date(until.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const digest = await digestScheduler.compile(churchId, since, until);
+    if (!digest) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { digest },
+    });
+  } catch (error) {
+    console.error("Preview digest error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to preview digest" },
+    });
+  }
+};
+
 // @desc    Create notification template
 // @route   POST /api/notifications/templates
 // @access  Private (Church Admin)
 const createNotificationTemplate = async (req, res) => {
   try {
-    const { churchId, name, type, title, message, priority, data, isActive } =
-      req.body;
+    const {
+      churchId,
+      name,
+      type,
+      title,
+      message,
+      priority,
+      language,
+      translations,
+      variables,
+      isActive,
+    } = req.body;
 
-    // In a real implementation, you would create a notification template
-    // For now, we'll return a mock response
-    const template = {
-      id: "template_" + Date.now(),
+    if (!isChurchAdmin(req.user, churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to manage templates for this church" },
+      });
+    }
+
+    const existingTemplate = await NotificationTemplate.findOne({
+      churchId,
+      name,
+    });
+    if (existingTemplate) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "A template with this name already exists" },
+      });
+    }
+
+    const template = await NotificationTemplate.create({
       churchId,
       name,
       type,
       title,
       message,
       priority: priority || "normal",
-      data,
+      language,
+      translations,
+      variables,
       isActive: isActive !== false,
       createdBy: req.user.id,
-      createdAt: new Date(),
-    };
+    });
 
     res.status(201).json({
       success: true,
@@ -883,21 +1246,14 @@ const createNotificationTemplate = async (req, res) => {
 // @access  Private (Church Admin)
 const getNotificationTemplateById = async (req, res) => {
   try {
-    const { id } = req.params;
+    const template = await NotificationTemplate.findById(req.params.id);
 
-    // In a real implementation, you would fetch the template from database
-    // For now, we'll return a mock response
-    const template = {
-      _id: id,
-      name: "Sample Template",
-      title: "Sample Title",
-      message: "Sample message with variables: {{name}}, {{amount}}",
-      type: "general",
-      variables: ["name", "amount"],
-      isActive: true,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
+    if (!template || !req.user.isChurchMember(template.churchId)) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Notification template not found" },
+      });
+    }
 
     res.json({
       success: true,
@@ -917,11 +1273,30 @@ const getNotificationTemplateById = async (req, res) => {
 // @access  Private (Church Admin)
 const getNotificationTemplates = async (req, res) => {
   try {
-    const { churchId } = req.query;
+    const { churchId, type, isActive } = req.query;
+
+    if (!churchId) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Church ID is required" },
+      });
+    }
+
+    if (!req.user.isChurchMember(churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to access this church" },
+      });
+    }
+
+    const options = {};
+    if (type) options.type = type;
+    if (isActive !== undefined) options.isActive = isActive === "true";
 
-    // In a real implementation, you would query notification templates
-    // For now, we'll return a mock response
-    const templates = [];
+    const templates = await NotificationTemplate.findByChurch(
+      churchId,
+      options
+    ).sort({ name: 1 });
 
     res.json({
       success: true,
@@ -942,14 +1317,46 @@ const getNotificationTemplates = async (req, res) => {
 const updateNotificationTemplate = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, title, message, priority, data, isActive } = req.body;
+    const {
+      name,
+      title,
+      message,
+      priority,
+      language,
+      translations,
+      variables,
+      isActive,
+    } = req.body;
+
+    const template = await NotificationTemplate.findById(id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Notification template not found" },
+      });
+    }
+
+    if (!isChurchAdmin(req.user, template.churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to manage templates for this church" },
+      });
+    }
+
+    if (name) template.name = name;
+    if (title) template.title = title;
+    if (message) template.message = message;
+    if (priority) template.priority = priority;
+    if (language) template.language = language;
+    if (translations) template.translations = translations;
+    if (variables) template.variables = variables;
+    if (isActive !== undefined) template.isActive = isActive;
 
-    // In a real implementation, you would update the notification template
-    // For now, we'll return a mock response
-    console.log("Updating notification template:", id);
+    await template.save();
 
     res.json({
       success: true,
+      data: { template },
       message: "Notification template updated successfully",
     });
   } catch (error) {
@@ -968,9 +1375,22 @@ const deleteNotificationTemplate = async (req, res) => {
   try {
     const { id } = req.params;
 
-    // In a real implementation, you would delete the notification template
-    // For now, we'll return a mock response
-    console.log("Deleting notification template:", id);
+    const template = await NotificationTemplate.findById(id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Notification template not found" },
+      });
+    }
+
+    if (!isChurchAdmin(req.user, template.churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to manage templates for this church" },
+      });
+    }
+
+    await NotificationTemplate.findByIdAndDelete(id);
 
     res.json({
       success: true,
@@ -985,21 +1405,122 @@ const deleteNotificationTemplate = async (req, res) => {
   }
 };
 
+// @desc    Preview a rendered notification template
+// @route   POST /api/notifications/templates/:id/preview
+// @access  Private (Church Admin)
+const previewNotificationTemplate = async (req, res) => {
+  try {
+    const { language, memberId, variables } = req.body;
+
+    const template = await NotificationTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Notification template not found" },
+      });
+    }
+
+    if (!isChurchAdmin(req.user, template.churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to manage templates for this church" },
+      });
+    }
+
+    const [church, member] = await Promise.all([
+      Church.findById(template.churchId),
+      memberId
+        ? Member.findOne({ _id: memberId, churchId: template.churchId })
+        : null,
+    ]);
+    if (memberId && !member) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Member not found in this church" },
+      });
+    }
+
+    // Only the church's own members, or the admin previewing, fill in user
+    // details such as email and phone
+    const user = await User.findById(member ? member.userId : req.user.id);
+
+    const preview = template.render(
+      NotificationService.buildTemplateContext({
+        user,
+        member,
+        church,
+        variables,
+      }),
+      language || church?.settings?.language
+    );
+
+    res.json({
+      success: true,
+      data: { preview },
+    });
+  } catch (error) {
+    console.error("Preview notification template error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to preview notification template" },
+    });
+  }
+};
+
 // @desc    Send notification using template
-// @route   POST /api/notifications/templates/:id/send
+// @route   POST /api/notifications/send-template
 // @access  Private (Church Admin)
 const sendNotificationUsingTemplate = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { recipients, customData } = req.body;
+    const {
+      templateId,
+      churchId,
+      recipients,
+      specificUserIds,
+      channels,
+      variables,
+      language,
+    } = req.body;
+
+    const template = await NotificationTemplate.findOne({
+      _id: templateId,
+      churchId,
+    });
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Notification template not found" },
+      });
+    }
+
+    if (!template.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Notification template is inactive" },
+      });
+    }
 
-    // In a real implementation, you would send notification using the template
-    // For now, we'll return a mock response
-    console.log("Sending notification using template:", id);
+    if (!isChurchAdmin(req.user, churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to send notifications for this church" },
+      });
+    }
+
+    const summary = await NotificationService.sendTemplate(template, {
+      churchId,
+      recipients,
+      specificUserIds,
+      channels,
+      variables,
+      language,
+      sentBy: req.user.id,
+    });
 
     res.json({
       success: true,
-      message: "Notification sent using template successfully",
+      data: { summary },
+      message: `Notification sent to ${summary.delivered} of ${summary.recipients} recipients`,
     });
   } catch (error) {
     console.error("Send notification using template error:", error);
@@ -1010,27 +1531,33 @@ const sendNotificationUsingTemplate = async (req, res) => {
   }
 };
 
-// @desc    Get notification statistics
-// @route   GET /api/notifications/stats
+// @desc    Get notification statistics for a church
+// @route   GET /api/notifications/stats/church/:churchId
 // @access  Private (Church Admin)
 const getNotificationStats = async (req, res) => {
   try {
-    const { churchId, startDate, endDate } = req.query;
+    const { churchId } = req.params;
+    const { startDate, endDate } = req.query;
 
-    // In a real implementation, you would calculate notification statistics
-    // For now, we'll return a mock response
-    const stats = {
-      totalSent: 0,
-      totalRead: 0,
-      totalUnread: 0,
-      totalArchived: 0,
-      byType: {},
-      byPriority: {},
-    };
+    if (!isChurchAdmin(req.user, churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to access this church" },
+      });
+    }
+
+    const stats = await NotificationRecipient.getChurchStats(
+      churchId,
+      startDate,
+      endDate
+    );
 
     res.json({
       success: true,
-      data: { stats },
+      data: {
+        stats,
+        period: { startDate: startDate || null, endDate: endDate || null },
+      },
     });
   } catch (error) {
     console.error("Get notification stats error:", error);
@@ -1041,29 +1568,130 @@ const getNotificationStats = async (req, res) => {
   }
 };
 
-// @desc    Export notifications
-// @route   GET /api/notifications/export
+// Columns of the notification log export, one row per notification
+const NOTIFICATION_EXPORT_COLUMNS = {
+  id: { header: "Notification ID", value: (row) => row.id.toString() },
+  sentAt: { header: "Sent At", type: "date", value: (row) => row.sentAt },
+  type: { header: "Type", value: (row) => row.type },
+  priority: { header: "Priority", value: (row) => row.priority },
+  audience: { header: "Audience", value: (row) => row.audience },
+  event: { header: "Event", value: (row) => row.event },
+  title: { header: "Title", value: (row) => row.title },
+  message: { header: "Message", value: (row) => row.message },
+  sentBy: { header: "Sent By", value: (row) => row.sentBy },
+  recipients: {
+    header: "Recipients",
+    type: "number",
+    value: (row) => row.recipients,
+  },
+  delivered: {
+    header: "Delivered",
+    type: "number",
+    value: (row) => row.delivered,
+  },
+  read: { header: "Read", type: "number", value: (row) => row.read },
+  readRate: {
+    header: "Read Rate",
+    type: "percent",
+    value: (row) => row.readRate,
+  },
+  inApp: {
+    header: "In-App",
+    type: "number",
+    value: (row) => row.channels["in-app"],
+  },
+  push: { header: "Push", type: "number", value: (row) => row.channels.push },
+  email: {
+    header: "Email",
+    type: "number",
+    value: (row) => row.channels.email,
+  },
+  sms: { header: "SMS", type: "number", value: (row) => row.channels.sms },
+  failed: {
+    header: "Failed Deliveries",
+    type: "number",
+    value: (row) => row.failed,
+  },
+};
+
+// @desc    Export the notification log for a church
+// @route   GET /api/notifications/export/church/:churchId
 // @access  Private (Church Admin)
 const exportNotifications = async (req, res) => {
   try {
-    const { churchId, format = "csv", startDate, endDate } = req.query;
+    const { churchId } = req.params;
+    const { format = "csv", startDate, endDate, type, priority } = req.query;
 
-    // In a real implementation, you would export notifications
-    // For now, we'll return a mock response
-    console.log("Exporting notifications:", {
-      churchId,
-      format,
-      startDate,
-      endDate,
-    });
+    if (!isChurchAdmin(req.user, churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Not authorized to access this church" },
+      });
+    }
 
-    res.json({
-      success: true,
-      message: "Notifications exported successfully",
-      data: { downloadUrl: "/exports/notifications.csv" },
+    const { columns, unknown } = resolveColumns(
+      NOTIFICATION_EXPORT_COLUMNS,
+      req.query.columns,
+      Object.keys(NOTIFICATION_EXPORT_COLUMNS)
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown export columns: ${unknown.join(", ")}` },
+      });
+    }
+
+    const filter = { churchId };
+    if (type) filter.type = type;
+    if (priority) filter.priority = priority;
+    if (startDate || endDate) {
+      filter.sentAt = {};
+      if (startDate) filter.sentAt.$gte = new Date(startDate);
+      if (endDate) filter.sentAt.$lte = new Date(endDate);
+    }
+
+    const notifications = await Notification.find(filter)
+      .populate("sentBy", "firstName lastName")
+      .sort({ sentAt: -1 });
+
+    const summaries = await NotificationRecipient.summarizeByNotification(
+      notifications.map((notification) => notification._id)
+    );
+
+    const rows = notifications.map((notification) => ({
+      id: notification._id,
+      sentAt: notification.sentAt,
+      type: notification.type,
+      priority: notification.priority,
+      audience: notification.audience,
+      event: notification.event,
+      title: notification.title,
+      message: notification.message,
+      sentBy: notification.sentBy
+        ? `${notification.sentBy.firstName} ${notification.sentBy.lastName}`
+        : null,
+      ...(summaries[notification._id.toString()] || {
+        recipients: 0,
+        delivered: 0,
+        read: 0,
+        readRate: 0,
+        channels: { "in-app": 0, push: 0, email: 0, sms: 0 },
+        failed: 0,
+      }),
+    }));
+
+    await sendExport(res, {
+      format,
+      filename: "notifications",
+      sheetName: "Notifications",
+      dataKey: "notifications",
+      columns,
+      rows,
     });
   } catch (error) {
     console.error("Export notifications error:", error);
+    // Headers are already sent once streaming has started
+    if (res.headersSent) return res.end();
     res.status(500).json({
       success: false,
       error: { message: "Failed to export notifications" },
@@ -1097,11 +1725,15 @@ module.exports = {
   updateScheduledNotification,
   cancelScheduledNotification,
   getScheduledNotifications,
+  getDeliveryLog,
+  getSmsUsage,
+  previewDigest,
   createNotificationTemplate,
   getNotificationTemplates,
   getNotificationTemplateById,
   updateNotificationTemplate,
   deleteNotificationTemplate,
+  previewNotificationTemplate,
   sendNotificationUsingTemplate,
   getNotificationStats,
   exportNotifications,
@@ -0,0 +1,377 @@
+const Pledge = require("../models/Pledge");
+const Donation = require("../models/Donation");
+const Church = require("../models/Church");
+const Member = require("../models/Member");
+const DonationCampaign = require("../models/DonationCampaign");
+
+// Check whether a user administers a church
+const isChurchAdmin = (user, churchId) =>
+  Boolean(churchId) && user.getChurchRole(churchId) === "admin";
+
+// Ids of the memberships linked to a user's account
+const memberIdsFor = async (userId) =>
+  (await Member.find({ userId }).select("_id")).map((member) => member._id);
+
+// Donors can see and cancel their own pledges; church admins any of theirs
+const canManage = async (user, pledge) => {
+  if (isChurchAdmin(user, pledge.churchId?._id || pledge.churchId)) return true;
+  if (String(pledge.userId) === String(user._id)) return true;
+
+  const donorId = pledge.donorId?._id || pledge.donorId;
+  return (
+    Boolean(donorId) &&
+    (await memberIdsFor(user._id)).some((id) => String(id) === String(donorId))
+  );
+};
+
+const notFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: { message: "Pledge not found" },
+  });
+
+// @desc    Make a pledge. Admins can record one for any member of the church.
+// @route   POST /api/pledges
+// @access  Private
+const createPledge = async (req, res) => {
+  try {
+    const {
+      churchId,
+      campaignId,
+      donorId,
+      amount,
+      currency,
+      category,
+      description,
+      frequency = "one-time",
+      dueDate,
+      installments,
+      schedule,
+      donorInfo = {},
+    } = req.body;
+
+    const church = await Church.findById(churchId);
+    if (!church) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
+
+    const isAdmin = isChurchAdmin(req.user, churchId);
+    if (donorId && !isAdmin) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can record pledges for other members" },
+      });
+    }
+
+    const campaign = campaignId
+      ? await DonationCampaign.findById(campaignId)
+      : null;
+    if (campaignId) {
+      if (!campaign || !campaign.isActive || String(campaign.churchId) !== String(churchId)) {
+        return res.status(400).json({
+          success: false,
+          error: { message: "Invalid or inactive campaign" },
+        });
+      }
+      // Campaign pledges are counted against the campaign's target
+      if (currency && currency !== campaign.currency) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `Pledges to this campaign must be in ${campaign.currency}` },
+        });
+      }
+    }
+
+    const member = donorId
+      ? await Member.findOne({ _id: donorId, churchId })
+      : await Member.findOne({ churchId, userId: req.user._id });
+    if (donorId && !member) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Donor not found" },
+      });
+    }
+
+    // Installments are either given explicitly or spread evenly from the
+    // first due date
+    const installmentList = schedule
+      ? schedule
+          .map((installment) => ({
+            dueDate: new Date(installment.dueDate),
+            amount: parseFloat(installment.amount),
+          }))
+          .sort((a, b) => a.dueDate - b.dueDate)
+      : Pledge.buildSchedule(
+          parseFloat(amount),
+          frequency,
+          new Date(dueDate),
+          frequency === "one-time" ? 1 : parseInt(installments)
+        );
+
+    const scheduled = installmentList.reduce(
+      (total, installment) => total + installment.amount,
+      0
+    );
+    if (Math.round(scheduled * 100) !== Math.round(parseFloat(amount) * 100)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Installments must add up to the pledged amount" },
+      });
+    }
+
+    // Pledges recorded for a member carry the member's details; donors
+    // pledging themselves use their own
+    const donor = donorId ? member : req.user;
+
+    const pledge = await Pledge.create({
+      churchId,
+      campaignId,
+      donorId: member?._id,
+      userId: donorId ? member.userId : req.user._id,
+      donorInfo: {
+        name: donorInfo.name || donor.fullName,
+        email: donorInfo.email || donor.email,
+        phone: donorInfo.phone || donor.phone,
+      },
+      amount,
+      currency:
+        campaign?.currency || currency || church.settings?.currency || "NGN",
+      category,
+      description,
+      frequency,
+      schedule: installmentList,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { pledge },
+      message: "Pledge recorded successfully",
+    });
+  } catch (error) {
+    console.error("Create pledge error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to record pledge" },
+    });
+  }
+};
+
+// @desc    Get the current user's pledges
+// @route   GET /api/pledges/my
+// @access  Private
+const getMyPledges = async (req, res) => {
+  try {
+    const query = {
+      $or: [
+        { userId: req.user._id },
+        { donorId: { $in: await memberIdsFor(req.user._id) } },
+      ],
+    };
+    if (req.query.status) query.status = req.query.status;
+
+    const pledges = await Pledge.find(query)
+      .select("-allocations")
+      .populate("churchId", "name")
+      .populate("campaignId", "title")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { pledges },
+    });
+  } catch (error) {
+    console.error("Get my pledges error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get pledges" },
+    });
+  }
+};
+
+// @desc    Get pledges for a church
+// @route   GET /api/pledges/church/:churchId
+// @access  Private (Church Admin)
+const getChurchPledges = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { status, campaignId, donorId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can view pledges" },
+      });
+    }
+
+    const filter = { status, campaignId, donorId };
+    const pledges = await Pledge.findByChurch(churchId, filter)
+      .select("-allocations")
+      .populate("donorId", "firstName lastName")
+      .populate("campaignId", "title")
+      .skip(skip)
+      .limit(limit)
+      .sort({ nextDueDate: 1, createdAt: -1 });
+
+    const total = await Pledge.findByChurch(churchId, filter).countDocuments();
+
+    res.json({
+      success: true,
+      data: {
+        pledges,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get church pledges error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get pledges" },
+    });
+  }
+};
+
+// @desc    Get a pledge with the donations applied to it
+// @route   GET /api/pledges/:id
+// @access  Private (Donor or Church Admin)
+const getPledgeById = async (req, res) => {
+  try {
+    const pledge = await Pledge.findById(req.params.id)
+      .populate("churchId", "name")
+      .populate("campaignId", "title targetAmount currentAmount")
+      .populate("donorId", "firstName lastName")
+      .populate("allocations.donationId", "amount currency receipt.number createdAt");
+
+    if (!pledge || !(await canManage(req.user, pledge))) return notFound(res);
+
+    res.json({
+      success: true,
+      data: { pledge },
+    });
+  } catch (error) {
+    console.error("Get pledge error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get pledge" },
+    });
+  }
+};
+
+// @desc    Cancel a pledge
+// @route   PUT /api/pledges/:id/cancel
+// @access  Private (Donor or Church Admin)
+const cancelPledge = async (req, res) => {
+  try {
+    const pledge = await Pledge.findById(req.params.id);
+    if (!pledge || !(await canManage(req.user, pledge))) return notFound(res);
+
+    if (pledge.status !== "open") {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Pledge is already ${pledge.status}` },
+      });
+    }
+
+    await pledge.cancel(req.body.reason);
+
+    res.json({
+      success: true,
+      data: { pledge },
+      message: "Pledge cancelled",
+    });
+  } catch (error) {
+    console.error("Cancel pledge error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to cancel pledge" },
+    });
+  }
+};
+
+// @desc    Apply a donation the automatic matching missed to a pledge
+// @route   POST /api/pledges/:id/allocations
+// @access  Private (Church Admin)
+const allocateDonationToPledge = async (req, res) => {
+  try {
+    const pledge = await Pledge.findById(req.params.id);
+    if (!pledge || !isChurchAdmin(req.user, pledge.churchId)) {
+      return notFound(res);
+    }
+
+    if (pledge.status !== "open") {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Donations cannot be applied to a ${pledge.status} pledge` },
+      });
+    }
+
+    const donation = await Donation.findById(req.body.donationId);
+    if (
+      !donation ||
+      donation.status !== "completed" ||
+      String(donation.churchId) !== String(pledge.churchId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Only completed donations to this church can be applied" },
+      });
+    }
+
+    if ((donation.currency || "NGN") !== pledge.currency) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `The pledge is in ${pledge.currency}, the donation in ${donation.currency}` },
+      });
+    }
+
+    // A donation can be split across pledges, but never for more than it was
+    const available =
+      donation.amount - (await Pledge.allocatedAmountFor(donation._id));
+    const amount = Math.min(
+      req.body.amount ? parseFloat(req.body.amount) : available,
+      available
+    );
+
+    if (amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "This donation has already been applied in full" },
+      });
+    }
+
+    const allocated = pledge.allocate(donation, amount, req.user._id);
+    await pledge.save();
+
+    res.json({
+      success: true,
+      data: { pledge, allocated },
+      message: "Donation applied to pledge",
+    });
+  } catch (error) {
+    console.error("Allocate donation to pledge error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to apply donation to pledge" },
+    });
+  }
+};
+
+module.exports = {
+  createPledge,
+  getMyPledges,
+  getChurchPledges,
+  getPledgeById,
+  cancelPledge,
+  allocateDonationToPledge,
+};
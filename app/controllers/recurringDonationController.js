@@ -0,0 +1,463 @@
+const RecurringDonation = require("../models/RecurringDonation");
+const Donation = require("../models/Donation");
+const Church = require("../models/Church");
+const Member = require("../models/Member");
+const DonationCampaign = require("../models/DonationCampaign");
+const { getGateway, gatewayForChurch } = require("../../config/paymentGateways");
+
+// Check whether a user administers a church
+const isChurchAdmin = (user, churchId) =>
+  Boolean(churchId) && user.getChurchRole(churchId) === "admin";
+
+// Donors manage their own plans; church admins can manage any of theirs
+const canManage = (user, plan) =>
+  String(plan.userId) === String(user._id) ||
+  isChurchAdmin(user, plan.churchId?._id || plan.churchId);
+
+const notFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: { message: "Recurring donation not found" },
+  });
+
+// Start a card checkout for a plan's current charge. Completing it saves the
+// donor's card for the charges that follow (see the payment callback).
+const startCardCheckout = async (plan, church) => {
+  const transactionReference = `REC_${plan._id}_${plan.cycle}_${Date.now()}`;
+
+  const donation = await Donation.create({
+    churchId: plan.churchId,
+    donorId: plan.donorId,
+    campaignId: plan.campaignId,
+    recurringDonationId: plan._id,
+    amount: plan.amount,
+    currency: plan.currency,
+    category: plan.category,
+    description: plan.description,
+    paymentMethod: "online",
+    status: "pending",
+    // Donations from a plan are recorded by the donor who set it up
+    recordedBy: plan.userId,
+    donorInfo: {
+      name: plan.donorInfo.name,
+      email: plan.donorInfo.email,
+      phone: plan.donorInfo.phone,
+      isAnonymous: plan.donorInfo.isAnonymous,
+      isRecurring: true,
+      recurringFrequency: plan.frequency,
+      recurringEndDate: plan.endDate,
+    },
+    paymentDetails: {
+      gateway: plan.gateway,
+      transactionReference,
+      paymentReference: transactionReference,
+    },
+  });
+
+  const payment = await getGateway(plan.gateway).initializePayment({
+    amount: plan.amount,
+    customerName: plan.donorInfo.name,
+    customerEmail: plan.donorInfo.email,
+    paymentReference: transactionReference,
+    paymentDescription:
+      plan.description || `Recurring ${plan.category} donation to ${church.name}`,
+    currencyCode: plan.currency,
+    contractCode: church.financial?.monnifyContractCode || undefined,
+    redirectUrl: `${process.env.FRONTEND_URL}/donation/success?reference=${transactionReference}`,
+    metadata: {
+      recurringDonationId: String(plan._id),
+      donationId: String(donation._id),
+    },
+  });
+
+  if (!payment.success) {
+    donation.status = "failed";
+    donation.paymentDetails.gatewayResponse = { error: payment.error };
+    await donation.save();
+    return { donation, error: payment.error };
+  }
+
+  donation.paymentDetails.gatewayResponse = payment.data;
+  await donation.save();
+
+  return {
+    donation,
+    checkoutUrl: payment.checkoutUrl,
+    transactionReference,
+  };
+};
+
+// @desc    Set up a recurring donation and start its first card payment
+// @route   POST /api/recurring-donations
+// @access  Private
+const createRecurringDonation = async (req, res) => {
+  try {
+    const {
+      churchId,
+      campaignId,
+      amount,
+      currency,
+      category,
+      description,
+      frequency,
+      endDate,
+      donorInfo = {},
+    } = req.body;
+
+    const church = await Church.findById(churchId);
+    if (!church) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
+
+    if (campaignId) {
+      const campaign = await DonationCampaign.findById(campaignId);
+      if (!campaign || !campaign.isActive || String(campaign.churchId) !== String(churchId)) {
+        return res.status(400).json({
+          success: false,
+          error: { message: "Invalid or inactive campaign" },
+        });
+      }
+      if (!campaign.settings?.allowRecurring) {
+        return res.status(400).json({
+          success: false,
+          error: { message: "This campaign does not accept recurring donations" },
+        });
+      }
+    }
+
+    // Link the plan to the donor's membership, when they have one
+    const member = await Member.findOne({ churchId, userId: req.user._id });
+
+    const plan = new RecurringDonation({
+      churchId,
+      campaignId,
+      userId: req.user._id,
+      donorId: member?._id,
+      donorInfo: {
+        name: donorInfo.name || req.user.fullName,
+        email: donorInfo.email || req.user.email,
+        phone: donorInfo.phone || req.user.phone,
+        isAnonymous: donorInfo.isAnonymous,
+      },
+      amount,
+      currency: currency || church.settings?.currency || "NGN",
+      category,
+      description,
+      frequency,
+      startDate: new Date(),
+      endDate,
+      gateway: gatewayForChurch(church).name,
+    });
+    plan.addHistory("created", { by: req.user._id });
+    await plan.save();
+
+    const checkout = await startCardCheckout(plan, church);
+    if (checkout.error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Failed to initialize payment" },
+        data: { recurringDonation: plan },
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        recurringDonation: plan,
+        donation: checkout.donation,
+        checkoutUrl: checkout.checkoutUrl,
+        transactionReference: checkout.transactionReference,
+      },
+      message: "Complete the first payment to start your recurring donation",
+    });
+  } catch (error) {
+    console.error("Create recurring donation error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to set up recurring donation" },
+    });
+  }
+};
+
+// @desc    Get the current user's recurring donations
+// @route   GET /api/recurring-donations/my
+// @access  Private
+const getMyRecurringDonations = async (req, res) => {
+  try {
+    const query = { userId: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const recurringDonations = await RecurringDonation.find(query)
+      .select("-history")
+      .populate("churchId", "name")
+      .populate("campaignId", "title")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { recurringDonations },
+    });
+  } catch (error) {
+    console.error("Get my recurring donations error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get recurring donations" },
+    });
+  }
+};
+
+// @desc    Get recurring donations for a church
+// @route   GET /api/recurring-donations/church/:churchId
+// @access  Private (Church Admin)
+const getChurchRecurringDonations = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { status, campaignId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can view recurring donations" },
+      });
+    }
+
+    const recurringDonations = await RecurringDonation.findByChurch(churchId, {
+      status,
+      campaignId,
+    })
+      .select("-history")
+      .populate("donorId", "firstName lastName")
+      .populate("campaignId", "title")
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    const total = await RecurringDonation.findByChurch(churchId, {
+      status,
+      campaignId,
+    }).countDocuments();
+
+    res.json({
+      success: true,
+      data: {
+        recurringDonations,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get church recurring donations error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get recurring donations" },
+    });
+  }
+};
+
+// @desc    Get a recurring donation with the donations it generated
+// @route   GET /api/recurring-donations/:id
+// @access  Private (Donor or Church Admin)
+const getRecurringDonationById = async (req, res) => {
+  try {
+    const plan = await RecurringDonation.findById(req.params.id)
+      .populate("churchId", "name")
+      .populate("campaignId", "title");
+
+    if (!plan || !canManage(req.user, plan)) return notFound(res);
+
+    const donations = await Donation.find({ recurringDonationId: plan._id })
+      .select("amount currency status receipt.number paymentDetails.failedAt createdAt")
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      data: { recurringDonation: plan, donations },
+    });
+  } catch (error) {
+    console.error("Get recurring donation error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get recurring donation" },
+    });
+  }
+};
+
+// @desc    Pause a recurring donation
+// @route   PUT /api/recurring-donations/:id/pause
+// @access  Private (Donor or Church Admin)
+const pauseRecurringDonation = async (req, res) => {
+  try {
+    const plan = await RecurringDonation.findById(req.params.id);
+    if (!plan || !canManage(req.user, plan)) return notFound(res);
+
+    if (plan.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        error: { message: `A ${plan.status} recurring donation cannot be paused` },
+      });
+    }
+
+    await plan.pause(req.user._id);
+
+    res.json({
+      success: true,
+      data: { recurringDonation: plan },
+      message: "Recurring donation paused",
+    });
+  } catch (error) {
+    console.error("Pause recurring donation error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to pause recurring donation" },
+    });
+  }
+};
+
+// @desc    Resume a paused or suspended recurring donation
+// @route   PUT /api/recurring-donations/:id/resume
+// @access  Private (Donor or Church Admin)
+const resumeRecurringDonation = async (req, res) => {
+  try {
+    const plan = await RecurringDonation.findById(req.params.id).select(
+      "+card.token"
+    );
+    if (!plan || !canManage(req.user, plan)) return notFound(res);
+
+    if (!["paused", "suspended"].includes(plan.status)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `A ${plan.status} recurring donation cannot be resumed` },
+      });
+    }
+
+    if (!plan.card?.token) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Add a card to this recurring donation before resuming it",
+        },
+      });
+    }
+
+    await plan.resume(req.user._id);
+
+    res.json({
+      success: true,
+      data: { recurringDonation: plan },
+      message: "Recurring donation resumed",
+    });
+  } catch (error) {
+    console.error("Resume recurring donation error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to resume recurring donation" },
+    });
+  }
+};
+
+// @desc    Cancel a recurring donation
+// @route   PUT /api/recurring-donations/:id/cancel
+// @access  Private (Donor or Church Admin)
+const cancelRecurringDonation = async (req, res) => {
+  try {
+    const plan = await RecurringDonation.findById(req.params.id);
+    if (!plan || !canManage(req.user, plan)) return notFound(res);
+
+    if (!plan.isOpen) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Recurring donation is already ${plan.status}` },
+      });
+    }
+
+    await plan.cancel(req.user._id, req.body.reason);
+
+    res.json({
+      success: true,
+      data: { recurringDonation: plan },
+      message: "Recurring donation cancelled",
+    });
+  } catch (error) {
+    console.error("Cancel recurring donation error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to cancel recurring donation" },
+    });
+  }
+};
+
+// @desc    Pay the current charge by card checkout, saving a new card
+// @route   POST /api/recurring-donations/:id/authorize
+// @access  Private (Donor)
+const authorizeRecurringDonation = async (req, res) => {
+  try {
+    const plan = await RecurringDonation.findById(req.params.id);
+    if (!plan || String(plan.userId) !== String(req.user._id)) {
+      return notFound(res);
+    }
+
+    if (!["pending", "suspended"].includes(plan.status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Only pending or suspended recurring donations need a new card",
+        },
+      });
+    }
+
+    const church = await Church.findById(plan.churchId);
+    if (!church) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
+
+    const checkout = await startCardCheckout(plan, church);
+    if (checkout.error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Failed to initialize payment" },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        recurringDonation: plan,
+        donation: checkout.donation,
+        checkoutUrl: checkout.checkoutUrl,
+        transactionReference: checkout.transactionReference,
+      },
+      message: "Complete the payment to save your card",
+    });
+  } catch (error) {
+    console.error("Authorize recurring donation error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to initialize payment" },
+    });
+  }
+};
+
+module.exports = {
+  createRecurringDonation,
+  getMyRecurringDonations,
+  getChurchRecurringDonations,
+  getRecurringDonationById,
+  pauseRecurringDonation,
+  resumeRecurringDonation,
+  cancelRecurringDonation,
+  authorizeRecurringDonation,
+};
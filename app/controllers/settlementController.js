@@ -0,0 +1,226 @@
+const SettlementReconciliation = require("../models/SettlementReconciliation");
+const Church = require("../models/Church");
+const { reconcileSettlementReport } = require("../../config/settlements");
+const { sendExport } = require("../../config/exporter");
+
+// Columns of a downloaded reconciliation report
+const REPORT_COLUMNS = [
+  { key: "rowNumber", header: "Row", type: "number", value: (line) => line.rowNumber },
+  {
+    key: "transactionReference",
+    header: "Transaction Reference",
+    value: (line) => line.transactionReference,
+  },
+  {
+    key: "paymentReference",
+    header: "Payment Reference",
+    value: (line) => line.paymentReference,
+  },
+  {
+    key: "transactionDate",
+    header: "Transaction Date",
+    type: "date",
+    value: (line) => line.transactionDate,
+  },
+  { key: "amount", header: "Amount", type: "currency", value: (line) => line.amount },
+  { key: "fee", header: "Fee", type: "currency", value: (line) => line.fee },
+  {
+    key: "settledAmount",
+    header: "Settled Amount",
+    type: "currency",
+    value: (line) => line.settledAmount,
+  },
+  {
+    key: "donationAmount",
+    header: "Donation Amount",
+    type: "currency",
+    value: (line) => line.donationAmount,
+  },
+  { key: "result", header: "Result", value: (line) => line.result },
+  { key: "note", header: "Note", value: (line) => line.note },
+];
+
+// Check whether a user administers a church
+const isChurchAdmin = (user, churchId) =>
+  Boolean(churchId) && user.getChurchRole(churchId) === "admin";
+
+// @desc    Reconcile a gateway settlement report against donations
+// @route   POST /api/settlements/church/:churchId
+// @access  Private (Church Admin)
+const reconcileSettlement = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { gateway, settlementReference, lines } = req.body;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can reconcile settlements" },
+      });
+    }
+
+    const church = await Church.findById(churchId).select("settings financial");
+    if (!church) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
+
+    const reconciliations = await reconcileSettlementReport({
+      churchId,
+      gateway: gateway || church.financial?.paymentGateway || "monnify",
+      user: req.user,
+      file: req.file,
+      rows: lines,
+      settlementReference,
+      currency: church.settings?.currency,
+    });
+
+    const flagged = reconciliations.filter(
+      (reconciliation) => !reconciliation.isBalanced
+    ).length;
+
+    res.status(201).json({
+      success: true,
+      data: { reconciliations },
+      message: flagged
+        ? `Reconciled ${reconciliations.length} settlement batches; ${flagged} need attention`
+        : `Reconciled ${reconciliations.length} settlement batches`,
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+    console.error("Reconcile settlement error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to reconcile settlement report" },
+    });
+  }
+};
+
+// @desc    Get a church's settlement reconciliations
+// @route   GET /api/settlements/church/:churchId
+// @access  Private (Church Admin)
+const getSettlementReconciliations = async (req, res) => {
+  try {
+    const { churchId } = req.params;
+    const { gateway, flagged } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    if (req.churchAccess.role !== "admin") {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can view settlement reconciliations" },
+      });
+    }
+
+    const query = { churchId };
+    if (gateway) query.gateway = gateway;
+    if (flagged === "true") {
+      query.$or = [
+        { "summary.amountMismatch": { $gt: 0 } },
+        { "summary.duplicate": { $gt: 0 } },
+        { "summary.missing": { $gt: 0 } },
+        { "summary.unsettled": { $gt: 0 } },
+      ];
+    }
+
+    const reconciliations = await SettlementReconciliation.find(query)
+      .select("-lines -unsettledDonations")
+      .populate("createdBy", "firstName lastName")
+      .skip(skip)
+      .limit(limit)
+      .sort({ reconciledAt: -1 });
+
+    const total = await SettlementReconciliation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        reconciliations,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get settlement reconciliations error:", error);
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get settlement reconciliations" },
+    });
+  }
+};
+
+// @desc    Get a settlement batch's reconciliation report
+// @route   GET /api/settlements/:id
+// @access  Private (Church Admin)
+const getSettlementReconciliation = async (req, res) => {
+  try {
+    const { result, format } = req.query;
+
+    const reconciliation = await SettlementReconciliation.findById(req.params.id)
+      .populate("createdBy", "firstName lastName");
+    if (!reconciliation) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Settlement reconciliation not found" },
+      });
+    }
+
+    if (!isChurchAdmin(req.user, reconciliation.churchId)) {
+      return res.status(403).json({
+        success: false,
+        error: { message: "Only church admins can view settlement reconciliations" },
+      });
+    }
+
+    const lines = result
+      ? reconciliation.lines.filter((line) => line.result === result)
+      : reconciliation.lines;
+
+    if (format === "csv" || format === "xlsx") {
+      return await sendExport(res, {
+        format,
+        filename: `settlement-${reconciliation.settlementReference}`,
+        sheetName: "Settlement",
+        columns: REPORT_COLUMNS,
+        rows: lines,
+        currency: reconciliation.currency,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reconciliation: {
+          ...reconciliation.toJSON(),
+          lines,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get settlement reconciliation error:", error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      error: { message: "Failed to get settlement reconciliation" },
+    });
+  }
+};
+
+module.exports = {
+  reconcileSettlement,
+  getSettlementReconciliations,
+  getSettlementReconciliation,
+};
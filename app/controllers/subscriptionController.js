@@ -1,8 +1,15 @@
 const Subscription = require("../models/Subscription");
 const UserSubscription = require("../models/UserSubscription");
 const SubscriptionService = require("../../config/subscriptionService");
-const { sendUserNotification } = require("../../config/pusher");
+const {
+  sendUserNotification,
+  sendEmail,
+} = require("../../config/deliveryRouter");
 const emailService = require("../../config/email");
+const { subscriptionGateway } = require("../../config/paymentGateways");
+
+// Gateway payment statuses that pay for a subscription in full
+const PAID_STATUSES = ["PAID", "OVERPAID"];
 
 // @desc    Get available subscription plans
 // @route   GET /api/subscriptions/plans
@@ -121,17 +128,23 @@ const subscribeToPlan = async (req, res) => {
 
     // Send welcome email for paid plans
     if (subscription.price.amount > 0) {
-      try {
-        await emailService.sendSubscriptionWelcome(
-          req.user.email,
-          req.user.firstName,
-          subscription.displayName,
-          subscription.price.amount,
-          subscription.price.currency
-        );
-      } catch (emailError) {
-        console.error("Subscription welcome email error:", emailError);
-      }
+      await sendEmail(
+        {
+          recipient: req.user.email,
+          userId,
+          type: "subscription",
+          event: "subscription-activated",
+        },
+        (to, { outbox }) =>
+          emailService.sendSubscriptionWelcome(
+            to,
+            req.user.firstName,
+            subscription.displayName,
+            subscription.price.amount,
+            subscription.price.currency,
+            outbox
+          )
+      );
     }
 
     res.status(201).json({
@@ -354,8 +367,78 @@ const processPayment = async (req, res) => {
       });
     }
 
-    // For paid plans, process payment (this would integrate with Monnify)
-    // For now, we'll simulate successful payment
+    // Paid plans are paid through the subscription gateway: without a
+    // transaction reference a checkout is started, and calling again with
+    // the reference it returned subscribes once the payment is verified
+    const gateway = subscriptionGateway();
+    const referencePrefix = `SUB_${userId}_`;
+
+    if (!paymentDetails?.transactionReference) {
+      const paymentReference = `${referencePrefix}${Date.now()}`;
+      const payment = await gateway.initializePayment({
+        amount: subscription.price.amount,
+        currencyCode: subscription.price.currency,
+        customerName: req.user.fullName,
+        customerEmail: req.user.email,
+        paymentReference,
+        paymentDescription: `${subscription.displayName} subscription`,
+        redirectUrl: `${process.env.FRONTEND_URL}/subscription/success?reference=${paymentReference}`,
+        metadata: { userId: String(userId), subscriptionName, billingCycle },
+      });
+
+      if (!payment.success) {
+        return res.status(400).json({
+          success: false,
+          error: { message: "Failed to initialize payment" },
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: {
+          checkoutUrl: payment.checkoutUrl,
+          paymentReference,
+          transactionReference: payment.transactionReference,
+          gateway: gateway.name,
+        },
+        message: "Complete the payment to subscribe",
+      });
+    }
+
+    const verification = await gateway.verifyPayment(
+      paymentDetails.transactionReference
+    );
+    const paid =
+      verification.success &&
+      PAID_STATUSES.includes(verification.paymentStatus) &&
+      String(verification.paymentReference).startsWith(referencePrefix) &&
+      (!verification.currency ||
+        verification.currency === subscription.price.currency) &&
+      Number(verification.paidAmount) >= subscription.price.amount;
+
+    if (!paid) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "Payment could not be verified for this plan" },
+      });
+    }
+
+    // A payment only ever pays for one subscription period
+    const transactionReference =
+      verification.transactionReference || paymentDetails.transactionReference;
+    const alreadyUsed = await UserSubscription.exists({
+      userId,
+      "billingHistory.transactionReference": {
+        $in: [transactionReference, verification.paymentReference],
+      },
+    });
+    if (alreadyUsed) {
+      return res.status(400).json({
+        success: false,
+        error: { message: "This payment has already been used" },
+      });
+    }
+
     const userSubscription = await SubscriptionService.createUserSubscription(
       userId,
       subscriptionName,
@@ -365,10 +448,11 @@ const processPayment = async (req, res) => {
     // Update payment details
     userSubscription.paymentMethod = paymentMethod;
     userSubscription.paymentDetails = {
-      ...paymentDetails,
-      amount: subscription.price.amount,
+      transactionReference,
+      amount: verification.paidAmount,
       currency: subscription.price.currency,
-      gateway: "monnify",
+      gateway: gateway.name,
+      gatewayResponse: verification.data,
     };
 
     // Add to billing history
@@ -377,12 +461,14 @@ const processPayment = async (req, res) => {
         start: userSubscription.currentPeriod.start,
         end: userSubscription.currentPeriod.end,
       },
-      amount: subscription.price.amount,
+      amount: verification.paidAmount,
       currency: subscription.price.currency,
       status: "paid",
-      transactionReference: paymentDetails.transactionReference,
-      paidAt: new Date(),
-      gateway: "monnify",
+      transactionReference,
+      paidAt: verification.paymentDate
+        ? new Date(verification.paymentDate)
+        : new Date(),
+      gateway: gateway.name,
     });
 
     await userSubscription.save();
@@ -1,10 +1,16 @@
 const VolunteerTeam = require("../models/VolunteerTeam");
 const Member = require("../models/Member");
 const Church = require("../models/Church");
+const { describeFields, runImport } = require("../../config/importer");
 const {
   sendTeamNotification,
   sendChurchNotification,
-} = require("../../config/pusher");
+} = require("../../config/deliveryRouter");
+const {
+  resolveColumns,
+  applyPrivacy,
+  sendExport,
+} = require("../../config/exporter");
 
 // @desc    Create a new volunteer team
 // @route   POST /api/volunteer-teams
@@ -998,41 +1004,40 @@ const removeMemberAssignment = async (req, res) => {
 // @access  Private (Church Admin)
 const bulkImportTeams = async (req, res) => {
   try {
-    const { churchId, teams } = req.body;
+    const { churchId, teams, mapping, dryRun, skipDuplicates } = req.body;
 
-    if (!teams || !Array.isArray(teams) || teams.length === 0) {
-      return res.status(400).json({
+    if (req.user.getChurchRole(churchId) !== "admin") {
+      return res.status(403).json({
         success: false,
-        error: { message: "Teams array is required" },
+        error: { message: "Only church admins can import teams" },
       });
     }
 
-    const results = {
-      success: [],
-      errors: [],
-    };
-
-    for (const teamData of teams) {
-      try {
-        const team = await VolunteerTeam.create({
-          churchId,
-          ...teamData,
-        });
-        results.success.push(team);
-      } catch (error) {
-        results.errors.push({
-          data: teamData,
-          error: error.message,
-        });
-      }
-    }
+    const { job, preview } = await runImport({
+      resource: "teams",
+      churchId,
+      user: req.user,
+      file: req.file,
+      rows: teams,
+      mapping,
+      dryRun,
+      skipDuplicates,
+    });
 
-    res.status(201).json({
+    res.status(job.dryRun ? 200 : 201).json({
       success: true,
-      data: { results },
-      message: `Successfully imported ${results.success.length} teams`,
+      data: { job, preview, fields: describeFields("teams") },
+      message: job.dryRun
+        ? `${job.totals.valid} of ${job.totals.rows} teams are ready to import`
+        : `Successfully imported ${job.totals.imported} teams`,
     });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
     console.error("Bulk import teams error:", error);
     res.status(500).json({
       success: false,
@@ -1082,24 +1087,137 @@ const evaluatePerformance = async (req, res) => {
   }
 };
 
+// Columns available to team exports. The leader's contact details follow
+// the church's member directory privacy setting.
+const TEAM_EXPORT_COLUMNS = {
+  name: { header: "Team Name", value: (team) => team.name },
+  category: { header: "Category", value: (team) => team.category },
+  description: { header: "Description", value: (team) => team.description },
+  leaderName: { header: "Leader", value: (team) => team.leader?.name },
+  leaderPhone: {
+    header: "Leader Phone",
+    privacy: "contact",
+    value: (team) => team.leader?.phone,
+  },
+  leaderEmail: {
+    header: "Leader Email",
+    privacy: "contact",
+    value: (team) => team.leader?.email,
+  },
+  members: {
+    header: "Members",
+    type: "number",
+    value: (team) => team.members.length,
+  },
+  activeMembers: {
+    header: "Active Members",
+    type: "number",
+    value: (team) => team.activeMemberCount,
+  },
+  minimumMembers: {
+    header: "Minimum Members",
+    type: "number",
+    value: (team) => team.requirements?.minimumMembers,
+  },
+  upcomingSchedules: {
+    header: "Upcoming Schedules",
+    type: "number",
+    value: (team) => team.upcomingSchedules.length,
+  },
+  nextServiceDate: {
+    header: "Next Service",
+    type: "date",
+    value: (team) => team.upcomingSchedules[0]?.serviceDate,
+  },
+  skills: { header: "Skills", value: (team) => team.requirements?.skills },
+  trainingRequired: {
+    header: "Training Required",
+    type: "boolean",
+    value: (team) => team.requirements?.trainingRequired,
+  },
+  totalServices: {
+    header: "Total Services",
+    type: "number",
+    value: (team) => team.performance?.totalServices,
+  },
+  averageAttendance: {
+    header: "Average Attendance",
+    type: "number",
+    value: (team) => team.performance?.averageAttendance,
+  },
+  memberSatisfaction: {
+    header: "Member Satisfaction",
+    type: "number",
+    value: (team) => team.performance?.memberSatisfaction,
+  },
+  isActive: {
+    header: "Active",
+    type: "boolean",
+    value: (team) => team.isActive,
+  },
+  createdAt: {
+    header: "Created At",
+    type: "date",
+    value: (team) => team.createdAt,
+  },
+};
+
+const DEFAULT_TEAM_EXPORT_COLUMNS = [
+  "name",
+  "category",
+  "leaderName",
+  "leaderPhone",
+  "members",
+  "activeMembers",
+  "nextServiceDate",
+  "isActive",
+];
+
 // @desc    Export teams
-// @route   GET /api/volunteer-teams/export
-// @access  Private (Church Admin)
+// @route   GET /api/volunteer-teams/export/church/:churchId
+// @access  Private (Church Members)
 const exportTeams = async (req, res) => {
   try {
-    const { churchId, format = "csv" } = req.query;
+    const { churchId } = req.params;
+    const { format = "csv", category, isActive } = req.query;
 
-    // In a real implementation, you would export teams to the specified format
-    // For now, we'll return a mock response
-    console.log("Exporting teams:", { churchId, format });
+    const church = await Church.findById(churchId).select("name settings");
+    if (!church) {
+      return res.status(404).json({
+        success: false,
+        error: { message: "Church not found" },
+      });
+    }
 
-    res.json({
-      success: true,
-      message: "Teams exported successfully",
-      data: { downloadUrl: "/exports/teams.csv" },
+    const { columns, unknown } = resolveColumns(
+      TEAM_EXPORT_COLUMNS,
+      req.query.columns,
+      DEFAULT_TEAM_EXPORT_COLUMNS
+    );
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown export columns: ${unknown.join(", ")}` },
+      });
+    }
+
+    const filter = { churchId };
+    if (category) filter.category = category;
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    await sendExport(res, {
+      format,
+      filename: "volunteer-teams",
+      sheetName: "Volunteer Teams",
+      dataKey: "teams",
+      columns: applyPrivacy(columns, church, req.churchAccess.role),
+      rows: VolunteerTeam.find(filter).sort({ name: 1 }).cursor(),
+      currency: church.settings?.currency,
     });
   } catch (error) {
     console.error("Export teams error:", error);
+    // Headers are already sent once streaming has started
+    if (res.headersSent) return res.end();
     res.status(500).json({
       success: false,
       error: { message: "Failed to export teams" },
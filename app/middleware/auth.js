@@ -86,6 +86,24 @@ const authorize = (...roles) => {
   };
 };
 
+// The role a user has in a church: admin for its admins, otherwise the role
+// of their active membership. Resolves to null when they have no access.
+const getChurchAccess = async (user, churchId) => {
+  const userChurches = user.churches || [];
+  const isOwner = userChurches.some(church =>
+    church.churchId.toString() === churchId.toString() && church.role === 'admin'
+  );
+  if (isOwner) return 'admin';
+
+  const Member = require('../models/Member');
+  const member = await Member.findOne({
+    userId: user._id,
+    churchId,
+    isActive: true,
+  });
+  return member ? member.role : null;
+};
+
 // Check if user owns the church or is a member
 const checkChurchAccess = async (req, res, next) => {
   try {
@@ -100,27 +118,9 @@ const checkChurchAccess = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the church
-    const userChurches = req.user.churches || [];
-    const isOwner = userChurches.some(church => 
-      church.churchId.toString() === churchId && church.role === 'admin'
-    );
-
-    if (isOwner) {
-      req.churchAccess = { role: 'admin', churchId };
-      return next();
-    }
-
-    // Check if user is a member of the church
-    const Member = require('../models/Member');
-    const member = await Member.findOne({
-      userId: req.user._id,
-      churchId,
-      isActive: true,
-    });
-
-    if (member) {
-      req.churchAccess = { role: member.role, churchId };
+    const role = await getChurchAccess(req.user, churchId);
+    if (role) {
+      req.churchAccess = { role, churchId };
       return next();
     }
 
@@ -215,5 +215,6 @@ module.exports = {
   authorize,
   checkChurchAccess,
   checkResourceAccess,
+  getChurchAccess,
   optionalAuth,
 };
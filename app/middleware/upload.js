@@ -0,0 +1,129 @@
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+
+const MB = 1024 * 1024;
+const MAX_IMPORT_FILE_SIZE = parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 10 * MB;
+const MAX_IMAGE_FILE_SIZE = parseInt(process.env.MAX_IMAGE_FILE_SIZE) || 5 * MB;
+const MAX_ATTACHMENT_FILE_SIZE =
+  parseInt(process.env.MAX_ATTACHMENT_FILE_SIZE) || 10 * MB;
+
+// Browsers label CSVs inconsistently, so imports are matched on extension
+// alone; the importer rejects contents it can't parse
+const IMPORT_TYPES = {
+  '.csv': true,
+  '.xlsx': true,
+};
+
+const IMAGE_TYPES = {
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png'],
+  '.webp': ['image/webp'],
+  '.gif': ['image/gif'],
+};
+
+// Receipts, invoices and supporting documents
+const ATTACHMENT_TYPES = {
+  ...IMAGE_TYPES,
+  '.pdf': ['application/pdf'],
+  '.doc': ['application/msword'],
+  '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  '.xls': ['application/vnd.ms-excel'],
+  '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  '.csv': ['text/csv', 'application/vnd.ms-excel', 'text/plain'],
+};
+
+// Formats sharp must detect in an image's contents, whatever its extension says
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+const uploadError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Files are kept in memory; storage drivers decide where they end up.
+// Both the extension and the declared mime type must be on the allow-list
+// (`true` allows any mime type for that extension).
+const memoryUpload = (types, maxSize, description) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      const mimetypes = types[extension];
+      if (!mimetypes || (mimetypes !== true && !mimetypes.includes(file.mimetype))) {
+        return cb(uploadError(`Only ${description} files can be uploaded`));
+      }
+      cb(null, true);
+    },
+  });
+
+// Run a multer middleware, answering upload problems with a 400
+const handleUpload = (middleware, maxSize) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) return next();
+
+    const message =
+      error.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large (max ${Math.round(maxSize / MB)}MB)`
+        : error.message;
+
+    if (error instanceof multer.MulterError || error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        error: { message },
+      });
+    }
+    next(error);
+  });
+};
+
+// Reject images whose contents aren't really an image
+const verifyImage = async (req, res, next) => {
+  if (!req.file) return next();
+
+  try {
+    const { format } = await sharp(req.file.buffer).metadata();
+    if (IMAGE_FORMATS.includes(format)) return next();
+  } catch (error) {
+    // Fall through to the rejection below
+  }
+
+  res.status(400).json({
+    success: false,
+    error: { message: 'File is not a valid image' },
+  });
+};
+
+// Optional single `file` field for bulk imports; JSON bodies pass through
+const uploadImportFile = handleUpload(
+  memoryUpload(IMPORT_TYPES, MAX_IMPORT_FILE_SIZE, 'CSV and XLSX').single('file'),
+  MAX_IMPORT_FILE_SIZE
+);
+
+// Single `file` field holding a JPEG, PNG, WebP or GIF image
+const uploadImageFile = [
+  handleUpload(
+    memoryUpload(IMAGE_TYPES, MAX_IMAGE_FILE_SIZE, 'JPEG, PNG, WebP and GIF').single('file'),
+    MAX_IMAGE_FILE_SIZE
+  ),
+  verifyImage,
+];
+
+// Single `file` field holding an image, PDF, Word, Excel or CSV document
+const uploadAttachmentFile = handleUpload(
+  memoryUpload(
+    ATTACHMENT_TYPES,
+    MAX_ATTACHMENT_FILE_SIZE,
+    'image, PDF, Word, Excel and CSV'
+  ).single('file'),
+  MAX_ATTACHMENT_FILE_SIZE
+);
+
+module.exports = {
+  uploadImportFile,
+  uploadImageFile,
+  uploadAttachmentFile,
+};
@@ -0,0 +1,159 @@
+const mongoose = require("mongoose");
+
+const ACCOUNT_TYPES = ["asset", "liability", "equity", "income", "expense"];
+
+// The chart of accounts every church starts with. systemKey marks the
+// accounts postings fall back to; categories and paymentMethods say which
+// transactions post to an account.
+const DEFAULT_ACCOUNTS = [
+  { code: "1000", name: "Cash on Hand", type: "asset", systemKey: "cash", paymentMethods: ["cash", "other"] },
+  { code: "1010", name: "Bank Account", type: "asset", systemKey: "bank", paymentMethods: ["bank-transfer", "bank", "check", "card"] },
+  { code: "1020", name: "Mobile Money", type: "asset", systemKey: "mobile-money", paymentMethods: ["mobile-money"] },
+  { code: "1030", name: "Payment Gateway Clearing", type: "asset", systemKey: "gateway", paymentMethods: ["online"] },
+  { code: "2000", name: "Accounts Payable", type: "liability", systemKey: "accounts-payable" },
+  { code: "3000", name: "Fund Balance", type: "equity", systemKey: "fund-balance" },
+  { code: "4000", name: "Tithes", type: "income", categories: ["tithe", "tithes"] },
+  { code: "4010", name: "Offerings", type: "income", categories: ["offering", "offerings"] },
+  { code: "4020", name: "Building Fund", type: "income", categories: ["building", "building-fund"] },
+  { code: "4030", name: "Missions", type: "income", categories: ["missions", "mission"] },
+  { code: "4900", name: "Other Income", type: "income", systemKey: "other-income" },
+  { code: "5000", name: "Utilities", type: "expense", categories: ["utilities"] },
+  { code: "5010", name: "Maintenance", type: "expense", categories: ["maintenance"] },
+  { code: "5020", name: "Equipment", type: "expense", categories: ["equipment"] },
+  { code: "5030", name: "Supplies", type: "expense", categories: ["supplies"] },
+  { code: "5040", name: "Events", type: "expense", categories: ["events"] },
+  { code: "5050", name: "Outreach", type: "expense", categories: ["outreach"] },
+  { code: "5060", name: "Staff", type: "expense", categories: ["staff"] },
+  { code: "5070", name: "Insurance", type: "expense", categories: ["insurance"] },
+  { code: "5080", name: "Transportation", type: "expense", categories: ["transportation"] },
+  { code: "5900", name: "Other Expenses", type: "expense", systemKey: "other-expenses", categories: ["other"] },
+];
+
+// Default accounts holding the church's money
+const CASH_KEYS = ["cash", "bank", "mobile-money", "gateway"];
+
+// An account in a church's chart of accounts
+const accountSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: [true, "Account code is required"],
+      trim: true,
+      match: [/^\d{3,6}$/, "Account code must be 3 to 6 digits"],
+    },
+    name: {
+      type: String,
+      required: [true, "Account name is required"],
+      trim: true,
+      maxlength: [100, "Account name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: ACCOUNT_TYPES,
+      required: [true, "Account type is required"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+    // Set on the default accounts postings fall back to; they can't be
+    // deactivated
+    systemKey: {
+      type: String,
+    },
+    // Donation, expense and financial record categories posted here
+    categories: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    // Payment methods (and financial record sources) whose money is held here
+    paymentMethods: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the side the account's balance normally sits on
+accountSchema.virtual("normalBalance").get(function () {
+  return ["asset", "expense"].includes(this.type) ? "debit" : "credit";
+});
+
+// Virtual for whether the account holds the church's money: a default cash,
+// bank, mobile money or gateway account, or an asset payments are mapped to
+accountSchema.virtual("isCash").get(function () {
+  return (
+    this.type === "asset" &&
+    (CASH_KEYS.includes(this.systemKey) || (this.paymentMethods || []).length > 0)
+  );
+});
+
+// Indexes for performance
+accountSchema.index({ churchId: 1, code: 1 }, { unique: true });
+accountSchema.index(
+  { churchId: 1, systemKey: 1 },
+  { unique: true, partialFilterExpression: { systemKey: { $type: "string" } } }
+);
+
+// Static method to get a church's chart of accounts, setting up the
+// default chart the first time
+accountSchema.statics.ensureChart = async function (churchId) {
+  const accounts = await this.find({ churchId }).sort({ code: 1 });
+  if (accounts.length > 0) return accounts;
+
+  try {
+    await this.insertMany(
+      DEFAULT_ACCOUNTS.map((account) => ({ ...account, churchId })),
+      { ordered: false }
+    );
+  } catch (error) {
+    // Another request set the chart up at the same time
+    if (error.code !== 11000) throw error;
+  }
+  return this.find({ churchId }).sort({ code: 1 });
+};
+
+// Static method to pick the account a transaction posts to from a chart:
+// the first active account of one of the types listed with the
+// category (or payment method) mapped to it, else the fallback system account
+accountSchema.statics.resolve = function (
+  chart,
+  { types, category, paymentMethod, fallback }
+) {
+  const key = String(category || paymentMethod || "").toLowerCase();
+  const field = category ? "categories" : "paymentMethods";
+
+  return (
+    chart.find(
+      (account) =>
+        account.isActive &&
+        types.includes(account.type) &&
+        account[field].includes(key)
+    ) || chart.find((account) => account.systemKey === fallback)
+  );
+};
+
+accountSchema.statics.ACCOUNT_TYPES = ACCOUNT_TYPES;
+
+module.exports = mongoose.model("Account", accountSchema);
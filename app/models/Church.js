@@ -1,5 +1,41 @@
 const mongoose = require('mongoose');
 
+// An image stored through config/storage.js (logo or banner)
+const uploadedImageSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Original filename cannot exceed 200 characters'],
+  },
+  mimetype: String,
+  size: {
+    type: Number,
+    min: [0, 'File size cannot be negative'],
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  thumbnail: {
+    filename: String,
+    url: String,
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { _id: false });
+
 const churchSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -66,11 +102,11 @@ const churchSchema = new mongoose.Schema({
     youtube: String,
   },
   logo: {
-    type: String,
+    type: uploadedImageSchema,
     default: null,
   },
   banner: {
-    type: String,
+    type: uploadedImageSchema,
     default: null,
   },
   foundedDate: {
@@ -145,6 +181,19 @@ const churchSchema = new mongoose.Schema({
       email: { type: Boolean, default: true },
       push: { type: Boolean, default: true },
       sms: { type: Boolean, default: false },
+      categories: {
+        finance: { type: Boolean, default: true },
+        volunteerSchedule: { type: Boolean, default: true },
+        campaigns: { type: Boolean, default: true },
+        announcements: { type: Boolean, default: true },
+      },
+    },
+    sms: {
+      senderId: {
+        type: String,
+        trim: true,
+        match: [/^[A-Za-z0-9 ]{3,11}$/, 'Sender ID must be 3 to 11 letters or digits'],
+      },
     },
     privacy: {
       publicDirectory: { type: Boolean, default: false },
@@ -167,6 +216,12 @@ const churchSchema = new mongoose.Schema({
       type: String,
       trim: true,
     },
+    // Gateway online donations are paid through
+    paymentGateway: {
+      type: String,
+      enum: ['monnify', 'paystack', 'flutterwave', 'fake'],
+      default: 'monnify',
+    },
     donationCategories: [{
       name: {
         type: String,
@@ -188,6 +243,12 @@ const churchSchema = new mongoose.Schema({
         min: [0, 'Default amount cannot be negative'],
       },
     }],
+    // Receipts numbered so far, per year; see Donation#assignReceiptNumber
+    receiptCounters: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
   },
   stats: {
     totalMembers: {
@@ -314,18 +375,23 @@ churchSchema.methods.updateStats = async function() {
   const Member = require('./Member');
   const Donation = require('./Donation');
   const Expense = require('./Expense');
+  const ExchangeRate = require('./ExchangeRate');
+  const baseAmountStage = ExchangeRate.baseAmountStage(this.settings?.currency || 'NGN');
 
   try {
     const [totalMembers, totalVolunteers, totalDonations, totalExpenses] = await Promise.all([
       Member.countDocuments({ churchId: this._id, isActive: true }),
       Member.countDocuments({ churchId: this._id, role: 'volunteer', isActive: true }),
+      // Totals are in the church's currency
       Donation.aggregate([
         { $match: { churchId: this._id, status: 'completed' } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        baseAmountStage,
+        { $group: { _id: null, total: { $sum: { $ifNull: ['$baseAmount', 0] } } } }
       ]),
       Expense.aggregate([
         { $match: { churchId: this._id } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
+        baseAmountStage,
+        { $group: { _id: null, total: { $sum: { $ifNull: ['$baseAmount', 0] } } } }
       ])
     ]);
 
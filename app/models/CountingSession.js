@@ -0,0 +1,388 @@
+const mongoose = require("mongoose");
+
+// Notes and coins that can be counted, by currency
+const DENOMINATIONS = {
+  NGN: [1000, 500, 200, 100, 50, 20, 10, 5, 2, 1, 0.5],
+  USD: [100, 50, 20, 10, 5, 2, 1, 0.5, 0.25, 0.1, 0.05, 0.01],
+  EUR: [500, 200, 100, 50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01],
+  GBP: [50, 20, 10, 5, 2, 1, 0.5, 0.2, 0.1, 0.05, 0.02, 0.01],
+};
+
+// Round to the currency's smallest unit so counts add up exactly
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Loose cash in a collection, in cents
+const collectionCents = (collection) =>
+  collection.denominations.reduce(
+    (sum, denomination) => sum + toCents(denomination.value) * denomination.quantity,
+    0
+  );
+
+// One counter's independent count of the collection: loose cash per
+// collection (offering bag) by denomination, and envelopes counted one by one
+const countSchema = new mongoose.Schema(
+  {
+    counter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    collections: [
+      {
+        category: {
+          type: String,
+          required: [true, "Collection category is required"],
+          trim: true,
+          maxlength: [50, "Category cannot exceed 50 characters"],
+        },
+        denominations: [
+          {
+            value: {
+              type: Number,
+              required: true,
+              min: [0.01, "Denomination must be greater than 0"],
+            },
+            quantity: {
+              type: Number,
+              required: true,
+              min: [0, "Quantity cannot be negative"],
+            },
+          },
+        ],
+      },
+    ],
+    envelopes: [
+      {
+        number: {
+          type: String,
+          required: [true, "Envelope number is required"],
+          trim: true,
+          maxlength: [30, "Envelope number cannot exceed 30 characters"],
+        },
+        category: {
+          type: String,
+          required: [true, "Envelope category is required"],
+          trim: true,
+          maxlength: [50, "Category cannot exceed 50 characters"],
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: [0.01, "Envelope amount must be greater than 0"],
+        },
+        donorName: {
+          type: String,
+          trim: true,
+          maxlength: [100, "Donor name cannot exceed 100 characters"],
+        },
+        memberId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Member",
+        },
+      },
+    ],
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const countingSessionSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+      required: true,
+    },
+    // The Church.services entry the offering was taken at, copied so the
+    // session still reads right if the service is later changed
+    service: {
+      serviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, "Service is required"],
+      },
+      name: { type: String, trim: true },
+      day: { type: String, trim: true },
+      time: { type: String, trim: true },
+    },
+    serviceDate: {
+      type: Date,
+      required: [true, "Service date is required"],
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+      enum: Object.keys(DENOMINATIONS),
+    },
+    // open: counting; reconciled: both counts agree; posted: turned into
+    // donations or financial records and locked
+    status: {
+      type: String,
+      enum: ["open", "reconciled", "posting", "posted", "cancelled"],
+      default: "open",
+    },
+    // The two people counting; neither sees the other's figures until the
+    // counts are reconciled
+    counters: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      validate: {
+        validator: (counters) =>
+          counters.length === 2 && String(counters[0]) !== String(counters[1]),
+        message: "A counting session needs two different counters",
+      },
+    },
+    counts: [countSchema],
+    reconciliation: {
+      matched: Boolean,
+      // Where the two counts disagree
+      differences: [
+        {
+          kind: {
+            type: String,
+            enum: ["collection", "envelope"],
+          },
+          key: String,
+          first: Number,
+          second: Number,
+          _id: false,
+        },
+      ],
+      cashTotal: Number,
+      envelopeTotal: Number,
+      total: Number,
+      byCategory: [
+        {
+          category: String,
+          amount: Number,
+          _id: false,
+        },
+      ],
+      reconciledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reconciledAt: Date,
+    },
+    // What the session was posted as, and the documents created
+    posting: {
+      postedAs: {
+        type: String,
+        enum: ["donations", "records"],
+      },
+      donationIds: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Donation",
+        },
+      ],
+      recordIds: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ManualFinancialRecord",
+        },
+      ],
+      postedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      postedAt: Date,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Notes cannot exceed 500 characters"],
+    },
+    history: [
+      {
+        event: {
+          type: String,
+          enum: [
+            "opened",
+            "counted",
+            "mismatched",
+            "reconciled",
+            "posted",
+            "post-failed",
+            "cancelled",
+          ],
+          required: true,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        note: {
+          type: String,
+          trim: true,
+          maxlength: 500,
+        },
+      },
+    ],
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for whether the session can no longer be changed
+countingSessionSchema.virtual("isLocked").get(function () {
+  return Boolean(this.lockedAt);
+});
+
+// Indexes for performance
+countingSessionSchema.index({ churchId: 1, serviceDate: -1 });
+countingSessionSchema.index({ churchId: 1, status: 1 });
+countingSessionSchema.index({ counters: 1, status: 1 });
+countingSessionSchema.index({ churchId: 1, "service.serviceId": 1, serviceDate: 1 });
+
+// Posted sessions are the audit trail for the donations they created, so
+// nothing but the save that locks them may change them
+countingSessionSchema.pre("save", function (next) {
+  if (
+    !this.isNew &&
+    this.lockedAt &&
+    !this.isModified("lockedAt") &&
+    this.isModified()
+  ) {
+    return next(new Error("Posted counting sessions are locked"));
+  }
+  next();
+});
+
+// Instance method to add a history entry
+countingSessionSchema.methods.addHistory = function (event, details = {}) {
+  this.history.push({ event, at: new Date(), ...details });
+};
+
+// Instance method to get a counter's count
+countingSessionSchema.methods.countBy = function (userId) {
+  return this.counts.find((count) => String(count.counter) === String(userId));
+};
+
+// Instance method to record a counter's count, replacing any earlier one.
+// A new count always needs reconciling again.
+countingSessionSchema.methods.submitCount = function (userId, count) {
+  this.counts = [
+    ...this.counts.filter((existing) => String(existing.counter) !== String(userId)),
+    { ...count, counter: userId, submittedAt: new Date() },
+  ];
+  this.reconciliation = undefined;
+  this.status = "open";
+  this.addHistory("counted", { by: userId });
+};
+
+// Instance method to compare the two counts. Sets the session reconciled
+// with the agreed totals when they match, and records the differences
+// otherwise. Resolves to whether they matched.
+countingSessionSchema.methods.reconcile = function (userId) {
+  const [first, second] = this.counters.map((counter) => this.countBy(counter));
+  const a = this.constructor.summarizeCount(first);
+  const b = this.constructor.summarizeCount(second);
+
+  const differences = [];
+  const compare = (kind, left, right) => {
+    new Set([...left.keys(), ...right.keys()]).forEach((key) => {
+      if ((left.get(key) || 0) !== (right.get(key) || 0)) {
+        differences.push({
+          kind,
+          key,
+          first: fromCents(left.get(key) || 0),
+          second: fromCents(right.get(key) || 0),
+        });
+      }
+    });
+  };
+  compare("collection", a.collections, b.collections);
+  compare("envelope", a.envelopes, b.envelopes);
+
+  // What each category received, loose cash and envelopes together,
+  // under the first spelling the category was counted with
+  const byCategory = new Map();
+  const add = (category, cents) => {
+    const key = category.toLowerCase();
+    const entry = byCategory.get(key) || { category, cents: 0 };
+    byCategory.set(key, { ...entry, cents: entry.cents + cents });
+  };
+  first.collections.forEach((collection) =>
+    add(collection.category, collectionCents(collection))
+  );
+  first.envelopes.forEach((envelope) =>
+    add(envelope.category, toCents(envelope.amount))
+  );
+
+  const matched = differences.length === 0;
+  this.reconciliation = {
+    matched,
+    differences,
+    cashTotal: fromCents(a.cashTotal),
+    envelopeTotal: fromCents(a.envelopeTotal),
+    total: fromCents(a.cashTotal + a.envelopeTotal),
+    byCategory: [...byCategory.values()].map(({ category, cents }) => ({
+      category,
+      amount: fromCents(cents),
+    })),
+    reconciledBy: userId,
+    reconciledAt: new Date(),
+  };
+  this.status = matched ? "reconciled" : "open";
+  this.addHistory(matched ? "reconciled" : "mismatched", {
+    by: userId,
+    note: matched ? undefined : `${differences.length} differences between the counts`,
+  });
+
+  return matched;
+};
+
+// Static method to total a count in cents: collections by category and
+// envelopes by number (with their category, so a mis-sorted envelope shows
+// up as a difference too)
+countingSessionSchema.statics.summarizeCount = function (count) {
+  const collections = new Map();
+  const envelopes = new Map();
+  let cashTotal = 0;
+  let envelopeTotal = 0;
+
+  (count?.collections || []).forEach((collection) => {
+    const cents = collectionCents(collection);
+    const key = collection.category.toLowerCase();
+    collections.set(key, (collections.get(key) || 0) + cents);
+    cashTotal += cents;
+  });
+
+  (count?.envelopes || []).forEach((envelope) => {
+    const key = `${envelope.number} (${envelope.category.toLowerCase()})`;
+    envelopes.set(key, (envelopes.get(key) || 0) + toCents(envelope.amount));
+    envelopeTotal += toCents(envelope.amount);
+  });
+
+  return { collections, envelopes, cashTotal, envelopeTotal };
+};
+
+countingSessionSchema.statics.DENOMINATIONS = DENOMINATIONS;
+
+module.exports = mongoose.model("CountingSession", countingSessionSchema);
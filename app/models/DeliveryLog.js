@@ -0,0 +1,122 @@
+const mongoose = require("mongoose");
+
+const deliveryLogSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+    },
+    channel: {
+      type: String,
+      enum: ["in-app", "push", "email", "sms"],
+      required: [true, "Delivery channel is required"],
+    },
+    category: {
+      type: String,
+      enum: ["finance", "volunteerSchedule", "campaigns", "announcements"],
+    },
+    event: {
+      type: String,
+      trim: true,
+    },
+    // Email address or phone number the message was addressed to
+    recipient: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "sent", "failed", "skipped"],
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+    provider: {
+      type: String,
+      trim: true,
+    },
+    providerMessageId: {
+      type: String,
+      trim: true,
+    },
+    // SMS billing details
+    segments: {
+      type: Number,
+      min: [0, "Segments cannot be negative"],
+    },
+    cost: {
+      type: Number,
+      min: [0, "Cost cannot be negative"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+deliveryLogSchema.index({ churchId: 1, createdAt: -1 });
+deliveryLogSchema.index({ userId: 1, createdAt: -1 });
+deliveryLogSchema.index({ notificationId: 1 });
+deliveryLogSchema.index({ status: 1, reason: 1 });
+
+// Static method to total SMS usage and cost for a church
+deliveryLogSchema.statics.getSmsUsage = async function (
+  churchId,
+  startDate,
+  endDate
+) {
+  const matchStage = {
+    churchId: new mongoose.Types.ObjectId(churchId),
+    channel: "sms",
+  };
+
+  if (startDate || endDate) {
+    matchStage.createdAt = {};
+    if (startDate) matchStage.createdAt.$gte = new Date(startDate);
+    if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+  }
+
+  const [totals, byStatus] = await Promise.all([
+    this.aggregate([
+      { $match: { ...matchStage, status: "sent" } },
+      {
+        $group: {
+          _id: null,
+          messages: { $sum: 1 },
+          segments: { $sum: "$segments" },
+          cost: { $sum: "$cost" },
+        },
+      },
+    ]),
+    this.aggregate([
+      { $match: matchStage },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  return {
+    messages: totals[0]?.messages || 0,
+    segments: totals[0]?.segments || 0,
+    cost: totals[0]?.cost || 0,
+    byStatus: byStatus.reduce((counts, entry) => {
+      counts[entry._id] = entry.count;
+      return counts;
+    }, {}),
+  };
+};
+
+module.exports = mongoose.model("DeliveryLog", deliveryLogSchema);
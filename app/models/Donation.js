@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ExchangeRate = require('./ExchangeRate');
 
 const donationSchema = new mongoose.Schema({
   churchId: {
@@ -6,15 +7,20 @@ const donationSchema = new mongoose.Schema({
     ref: 'Church',
     required: true,
   },
+  // Set when the donor is a church member; online givers may not be
   donorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Member',
-    required: true,
   },
   campaignId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'DonationCampaign',
   },
+  // The recurring plan that generated this donation, if any
+  recurringDonationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringDonation',
+  },
   amount: {
     type: Number,
     required: [true, 'Donation amount is required'],
@@ -25,12 +31,47 @@ const donationSchema = new mongoose.Schema({
     default: 'NGN',
     enum: ['NGN', 'USD', 'EUR', 'GBP'],
   },
+  // The amount in the church's currency at the rate on the donation's date,
+  // for totals across currencies. Unset while no rate is known.
+  baseAmount: {
+    type: Number,
+  },
+  baseCurrency: {
+    type: String,
+    enum: ['NGN', 'USD', 'EUR', 'GBP'],
+  },
+  exchangeRate: {
+    type: Number,
+  },
+  exchangeRateDate: {
+    type: Date,
+  },
   category: {
     type: String,
     required: [true, 'Donation category is required'],
     trim: true,
     maxlength: [50, 'Category cannot exceed 50 characters'],
   },
+  // A payment split across categories and campaigns, e.g. tithe plus the
+  // building fund. The lines add up to the amount; category is the first
+  // line's. Donations for a single category have none.
+  lineItems: [{
+    category: {
+      type: String,
+      required: [true, 'Line item category is required'],
+      trim: true,
+      maxlength: [50, 'Category cannot exceed 50 characters'],
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DonationCampaign',
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Line item amount is required'],
+      min: [0.01, 'Line item amount must be greater than 0'],
+    },
+  }],
   description: {
     type: String,
     trim: true,
@@ -43,7 +84,8 @@ const donationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded'],
+    // reversed: the gateway clawed back a completed payment
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded', 'reversed'],
     default: 'pending',
   },
   paymentDetails: {
@@ -58,11 +100,49 @@ const donationSchema = new mongoose.Schema({
     },
     gateway: {
       type: String,
-      enum: ['monnify', 'paystack', 'flutterwave', 'other'],
+      enum: ['monnify', 'paystack', 'flutterwave', 'fake', 'other'],
     },
     gatewayResponse: {
       type: mongoose.Schema.Types.Mixed,
     },
+    checkoutUrl: {
+      type: String,
+      trim: true,
+    },
+    // How the donor paid through the gateway, e.g. CARD or ACCOUNT_TRANSFER
+    paymentMethod: {
+      type: String,
+      trim: true,
+    },
+    // What the gateway actually collected. When it differs from the amount
+    // asked for (partial or over payments) the donation's amount is set to
+    // it and the original is kept in expectedAmount.
+    paidAmount: {
+      type: Number,
+    },
+    expectedAmount: {
+      type: Number,
+    },
+    method: {
+      type: String,
+      trim: true,
+    },
+    processedAt: {
+      type: Date,
+    },
+    processedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    failedAt: {
+      type: Date,
+    },
+    reversedAt: {
+      type: Date,
+    },
+    refundedAt: {
+      type: Date,
+    },
     // For bank transfers
     bankName: {
       type: String,
@@ -102,6 +182,68 @@ const donationSchema = new mongoose.Schema({
       match: [/^0[789][01]\d{8}$/, 'Please enter a valid Nigerian phone number'],
     },
   },
+  // Refund ledger. Every refund is kept, including failed attempts; a
+  // donation is only marked refunded once all of it has been given back.
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, 'Refund amount must be greater than 0'],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Refund reason cannot exceed 500 characters'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending',
+    },
+    // gateway: refunded through the payment gateway; manual: the church
+    // paid an offline donation back itself
+    method: {
+      type: String,
+      enum: ['gateway', 'manual'],
+      required: true,
+    },
+    gateway: {
+      type: String,
+      trim: true,
+    },
+    refundReference: {
+      type: String,
+      trim: true,
+    },
+    // The gateway's own status for the refund, e.g. PENDING or COMPLETED
+    gatewayStatus: {
+      type: String,
+      trim: true,
+    },
+    gatewayResponse: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    error: {
+      type: String,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    completedAt: {
+      type: Date,
+    },
+  }],
+  // Total of the refunds that are pending or completed
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative'],
+  },
   donorInfo: {
     name: {
       type: String,
@@ -159,10 +301,9 @@ const donationSchema = new mongoose.Schema({
     },
   },
   receipt: {
+    // Unique within the church; see the index below
     number: {
       type: String,
-      unique: true,
-      sparse: true,
     },
     isGenerated: {
       type: Boolean,
@@ -190,10 +331,13 @@ const donationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: {},
   },
+  // Online donations are made by the public, so nobody records them
   recordedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: function() {
+      return this.paymentMethod !== 'online';
+    },
   },
   verifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -225,10 +369,16 @@ donationSchema.virtual('statusColor').get(function() {
     failed: 'danger',
     cancelled: 'secondary',
     refunded: 'warning',
+    reversed: 'danger',
   };
   return statusColors[this.status] || 'secondary';
 });
 
+// Virtual for what is left of the donation after refunds
+donationSchema.virtual('netAmount').get(function() {
+  return this.amount - (this.refundedAmount || 0);
+});
+
 // Virtual for is online payment
 donationSchema.virtual('isOnlinePayment').get(function() {
   return this.paymentMethod === 'online';
@@ -239,39 +389,106 @@ donationSchema.virtual('isVerified').get(function() {
   return this.verifiedBy && this.verifiedAt;
 });
 
+// Round to the cent so split amounts add up exactly
+const toCents = (amount) => Math.round(amount * 100);
+
+// Aggregation stages giving one document per line item, with the line's
+// category, campaign and amount in place of the donation's. Donations
+// without line items are a single line.
+const LINE_STAGES = [
+  { $addFields: {
+    lines: { $cond: [
+      { $gt: [{ $size: { $ifNull: ['$lineItems', []] } }, 0] },
+      '$lineItems',
+      [{ category: '$category', campaignId: '$campaignId', amount: '$amount' }]
+    ] }
+  } },
+  { $unwind: '$lines' },
+  { $addFields: {
+    category: '$lines.category',
+    campaignId: '$lines.campaignId',
+    amount: '$lines.amount',
+    baseAmount: { $multiply: ['$baseAmount', { $divide: ['$lines.amount', '$amount'] }] }
+  } },
+  { $project: { lines: 0, lineItems: 0 } }
+];
+
 // Indexes for performance
 donationSchema.index({ churchId: 1 });
 donationSchema.index({ donorId: 1 });
 donationSchema.index({ campaignId: 1 });
+donationSchema.index({ recurringDonationId: 1 });
 donationSchema.index({ status: 1 });
 donationSchema.index({ paymentMethod: 1 });
 donationSchema.index({ category: 1 });
+donationSchema.index({ 'lineItems.category': 1 });
+donationSchema.index({ 'lineItems.campaignId': 1 });
 donationSchema.index({ createdAt: 1 });
 donationSchema.index({ 'paymentDetails.transactionReference': 1 });
 donationSchema.index({ 'paymentDetails.paymentReference': 1 });
+donationSchema.index({ 'receipt.number': 1 });
 
 // Compound indexes
 donationSchema.index({ churchId: 1, status: 1 });
 donationSchema.index({ churchId: 1, category: 1 });
 donationSchema.index({ churchId: 1, createdAt: 1 });
 donationSchema.index({ churchId: 1, 'donorInfo.isAnonymous': 1 });
+donationSchema.index({ churchId: 1, 'refunds.requestedAt': 1 });
+donationSchema.index(
+  { churchId: 1, 'receipt.number': 1 },
+  { unique: true, partialFilterExpression: { 'receipt.number': { $type: 'string' } } }
+);
+
+// Split donations are categorised by their first line, and the lines must
+// add up to what was given
+donationSchema.pre('validate', function(next) {
+  if (this.lineItems.length > 0) {
+    this.category = this.lineItems[0].category;
+
+    const lineTotal = this.lineItems.reduce((sum, line) => sum + toCents(line.amount), 0);
+    if (lineTotal !== toCents(this.amount)) {
+      this.invalidate('lineItems', 'Line items must add up to the donation amount');
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to store the amount in the church's currency
+donationSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('amount') || this.isModified('currency') || this.isModified('createdAt')) {
+    try {
+      await ExchangeRate.applyBaseAmount(this, this.createdAt);
+    } catch (error) {
+      console.error('Error converting donation amount:', error);
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to note whether the donation's journal entry needs
+// updating, for the post-save middleware below
+donationSchema.pre('save', function(next) {
+  this.$locals.ledgerChanged = this.isNew ||
+    ['status', 'amount', 'baseAmount', 'baseCurrency', 'createdAt', 'category', 'lineItems', 'paymentMethod'].some(path => this.isModified(path));
+  next();
+});
+
+// Post-save middleware to keep the general ledger in step with the donation
+donationSchema.post('save', async function(doc) {
+  if (!doc.$locals.ledgerChanged) return;
+  try {
+    const JournalEntry = require('./JournalEntry');
+    await JournalEntry.syncSource('donation', doc);
+  } catch (error) {
+    console.error('Error posting donation to the ledger:', error);
+  }
+});
 
 // Pre-save middleware to generate receipt number
 donationSchema.pre('save', async function(next) {
   if (this.isNew && this.status === 'completed' && !this.receipt.number) {
     try {
-      const Church = require('./Church');
-      const church = await Church.findById(this.churchId);
-      
-      if (church) {
-        const donationCount = await this.constructor.countDocuments({ 
-          churchId: this.churchId,
-          status: 'completed'
-        });
-        
-        const year = new Date().getFullYear();
-        this.receipt.number = `${church.name.substring(0, 3).toUpperCase()}${year}${String(donationCount + 1).padStart(4, '0')}`;
-      }
+      await this.assignReceiptNumber();
     } catch (error) {
       console.error('Error generating receipt number:', error);
     }
@@ -305,8 +522,84 @@ donationSchema.methods.markAsVerified = function(verifiedBy) {
   return this.save();
 };
 
+// Instance method to assign the church's next receipt number, e.g. GRA20250042.
+// Numbers come from a per-church, per-year counter incremented atomically,
+// so donations completing at the same time never share one.
+donationSchema.methods.assignReceiptNumber = async function() {
+  const Church = require('./Church');
+  const year = String(new Date().getFullYear());
+  const counter = `financial.receiptCounters.${year}`;
+
+  const church = await Church.findById(this.churchId).select(`name ${counter}`);
+  if (!church) return;
+  const prefix = `${church.name.substring(0, 3).toUpperCase()}${year}`;
+
+  // Start a new year's counter after any receipts numbered without it
+  if (church.financial?.receiptCounters?.get(year) === undefined) {
+    const numbered = await this.constructor.countDocuments({
+      churchId: this.churchId,
+      'receipt.number': { $regex: `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` },
+    });
+    await Church.updateOne({ _id: this.churchId }, { $max: { [counter]: numbered } });
+  }
+
+  const updated = await Church.findOneAndUpdate(
+    { _id: this.churchId },
+    { $inc: { [counter]: 1 } },
+    { new: true, projection: { [counter]: 1 } }
+  );
+  const next = updated.financial.receiptCounters.get(year);
+
+  this.receipt.number = `${prefix}${String(next).padStart(4, '0')}`;
+};
+
+// Instance method to split an amount across the donation's lines in
+// proportion to them, to the cent, e.g. to take a refund off each line's
+// category and campaign. Donations without line items are one line.
+donationSchema.methods.splitAmount = function(amount = this.amount) {
+  if (this.lineItems.length === 0) {
+    return [{ category: this.category, campaignId: this.campaignId, amount }];
+  }
+
+  const total = toCents(amount);
+  let remaining = total;
+  return this.lineItems.map((line, index) => {
+    const cents = index === this.lineItems.length - 1
+      ? remaining
+      : Math.round(total * line.amount / this.amount);
+    remaining -= cents;
+    return { category: line.category, campaignId: line.campaignId, amount: cents / 100 };
+  });
+};
+
+// Instance method to change the amount of a split donation, e.g. to what
+// the gateway actually collected, keeping the lines in proportion
+donationSchema.methods.setAmount = function(amount) {
+  if (this.lineItems.length > 0 && amount !== this.amount) {
+    this.splitAmount(amount).forEach((line, index) => {
+      this.lineItems[index].amount = line.amount;
+    });
+  }
+  this.amount = amount;
+};
+
+// Instance method to total what the donation gives each campaign, out of
+// amount (by default all of it), as a Map of campaign id to amount.
+donationSchema.methods.campaignAmounts = function(amount = this.amount) {
+  const campaigns = new Map();
+  this.splitAmount(amount).forEach((line) => {
+    if (!line.campaignId) return;
+    const key = String(line.campaignId);
+    campaigns.set(key, toCents((campaigns.get(key) || 0) + line.amount) / 100);
+  });
+  return campaigns;
+};
+
 // Instance method to generate receipt
-donationSchema.methods.generateReceipt = function(generatedBy) {
+donationSchema.methods.generateReceipt = async function(generatedBy) {
+  if (!this.receipt.number) {
+    await this.assignReceiptNumber();
+  }
   this.receipt.isGenerated = true;
   this.receipt.generatedAt = new Date();
   this.receipt.generatedBy = generatedBy;
@@ -357,7 +650,9 @@ donationSchema.statics.findByChurch = function(churchId, options = {}) {
   const query = { churchId };
   
   if (options.status) query.status = options.status;
-  if (options.category) query.category = options.category;
+  if (options.category) {
+    query.$or = [{ category: options.category }, { 'lineItems.category': options.category }];
+  }
   if (options.paymentMethod) query.paymentMethod = options.paymentMethod;
   if (options.isAnonymous !== undefined) query['donorInfo.isAnonymous'] = options.isAnonymous;
   
@@ -382,49 +677,71 @@ donationSchema.statics.findPending = function(churchId) {
 
 // Static method to find donations by category
 donationSchema.statics.findByCategory = function(churchId, category) {
-  return this.find({ churchId, category, status: 'completed' });
+  return this.find({
+    churchId,
+    status: 'completed',
+    $or: [{ category }, { 'lineItems.category': category }],
+  });
 };
 
-// Static method to get donation statistics
+// Static method to get donation statistics, in the church's currency with
+// a breakdown by the currencies given in
 donationSchema.statics.getDonationStats = async function(churchId, startDate, endDate) {
-  const pipeline = [
-    { $match: { 
-      churchId: mongoose.Types.ObjectId(churchId),
-      status: 'completed'
-    } },
-    { $group: {
-      _id: {
-        category: '$category',
-        date: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }
-      },
-      totalAmount: { $sum: '$amount' },
-      count: { $sum: 1 }
-    } },
-    { $group: {
-      _id: '$_id.category',
-      monthlyData: {
-        $push: {
-          month: '$_id.date',
-          amount: '$totalAmount',
-          count: '$count'
-        }
-      },
-      totalAmount: { $sum: '$totalAmount' },
-      totalCount: { $sum: '$count' }
-    } },
-    { $sort: { totalAmount: -1 } }
-  ];
-
+  const match = {
+    churchId: new mongoose.Types.ObjectId(churchId),
+    status: 'completed'
+  };
   if (startDate || endDate) {
-    const matchStage = { $match: { churchId: mongoose.Types.ObjectId(churchId), status: 'completed' } };
-    
-    if (startDate) matchStage.$match.createdAt = { $gte: new Date(startDate) };
-    if (endDate) matchStage.$match.createdAt = { ...matchStage.$match.createdAt, $lte: new Date(endDate) };
-    
-    pipeline[0] = matchStage;
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = new Date(startDate);
+    if (endDate) match.createdAt.$lte = new Date(endDate);
   }
 
-  return this.aggregate(pipeline);
+  const baseCurrency = await ExchangeRate.baseCurrencyFor(churchId);
+  const [result] = await this.aggregate([
+    { $match: match },
+    ExchangeRate.baseAmountStage(baseCurrency),
+    // Split donations count towards each of their categories
+    ...LINE_STAGES,
+    { $facet: {
+      stats: [
+        { $group: {
+          _id: {
+            category: '$category',
+            date: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }
+          },
+          totalAmount: { $sum: { $ifNull: ['$baseAmount', 0] } },
+          count: { $sum: 1 }
+        } },
+        { $group: {
+          _id: '$_id.category',
+          monthlyData: {
+            $push: {
+              month: '$_id.date',
+              amount: '$totalAmount',
+              count: '$count'
+            }
+          },
+          totalAmount: { $sum: '$totalAmount' },
+          totalCount: { $sum: '$count' }
+        } },
+        { $sort: { totalAmount: -1 } }
+      ],
+      byCurrency: ExchangeRate.breakdownStages('$category')
+    } }
+  ]);
+
+  return ExchangeRate.attachBreakdown(result.stats, result.byCurrency);
+};
+
+// Static method to total donations by category, counting each line of a
+// split donation under its own category
+donationSchema.statics.getCategoryTotals = function(filter = {}) {
+  return ExchangeRate.summarize(this, {
+    match: filter,
+    stages: LINE_STAGES,
+    key: '$category'
+  });
 };
 
 // Static method to get total donations by period
@@ -437,16 +754,69 @@ donationSchema.statics.getTotalDonations = async function(churchId, startDate, e
     if (endDate) query.createdAt.$lte = new Date(endDate);
   }
   
-  const result = await this.aggregate([
-    { $match: query },
-    { $group: {
-      _id: null,
-      totalAmount: { $sum: '$amount' },
-      totalCount: { $sum: 1 }
+  const [result] = await ExchangeRate.summarize(this, { match: query });
+  
+  return result
+    ? { ...result, totalCount: result.count }
+    : { totalAmount: 0, totalCount: 0, byCurrency: [], unconverted: 0 };
+};
+
+// Static method to list a church's refunds, newest first, with totals by
+// status and currency
+donationSchema.statics.getRefundLedger = async function(churchId, options = {}) {
+  const { status, startDate, endDate, skip = 0, limit = 20 } = options;
+
+  const refundMatch = {};
+  if (status) refundMatch['refunds.status'] = status;
+  if (startDate || endDate) {
+    refundMatch['refunds.requestedAt'] = {};
+    if (startDate) refundMatch['refunds.requestedAt'].$gte = new Date(startDate);
+    if (endDate) refundMatch['refunds.requestedAt'].$lte = new Date(endDate);
+  }
+
+  const [result] = await this.aggregate([
+    { $match: {
+      churchId: new mongoose.Types.ObjectId(churchId),
+      'refunds.0': { $exists: true }
+    } },
+    { $unwind: '$refunds' },
+    { $match: refundMatch },
+    { $sort: { 'refunds.requestedAt': -1 } },
+    { $facet: {
+      refunds: [
+        { $skip: skip },
+        { $limit: limit },
+        { $project: {
+          _id: '$refunds._id',
+          donationId: '$_id',
+          receiptNumber: '$receipt.number',
+          donorName: '$donorInfo.name',
+          category: 1,
+          currency: 1,
+          donationAmount: '$amount',
+          amount: '$refunds.amount',
+          reason: '$refunds.reason',
+          status: '$refunds.status',
+          method: '$refunds.method',
+          gateway: '$refunds.gateway',
+          refundReference: '$refunds.refundReference',
+          error: '$refunds.error',
+          requestedBy: '$refunds.requestedBy',
+          requestedAt: '$refunds.requestedAt',
+          completedAt: '$refunds.completedAt'
+        } }
+      ],
+      totals: [
+        { $group: {
+          _id: { status: '$refunds.status', currency: '$currency' },
+          amount: { $sum: '$refunds.amount' },
+          count: { $sum: 1 }
+        } }
+      ]
     } }
   ]);
-  
-  return result[0] || { totalAmount: 0, totalCount: 0 };
+
+  return result;
 };
 
 module.exports = mongoose.model('Donation', donationSchema);
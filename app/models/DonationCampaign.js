@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ExchangeRate = require('./ExchangeRate');
 
 const donationCampaignSchema = new mongoose.Schema({
   churchId: {
@@ -98,6 +99,10 @@ const donationCampaignSchema = new mongoose.Schema({
       required: true,
       trim: true,
     },
+    thumbnail: {
+      filename: String,
+      url: String,
+    },
     isPrimary: {
       type: Boolean,
       default: false,
@@ -445,6 +450,14 @@ donationCampaignSchema.methods.addDonation = function(amount, donorId = null) {
   return this.save();
 };
 
+// Instance method to take back a donation that was reversed or refunded
+donationCampaignSchema.methods.removeDonation = function(amount) {
+  this.currentAmount = Math.max(this.currentAmount - amount, 0);
+  this.analytics.totalDonors = Math.max(this.analytics.totalDonors - 1, 0);
+  
+  return this.save();
+};
+
 // Instance method to add update
 donationCampaignSchema.methods.addUpdate = function(updateData) {
   this.updates.push(updateData);
@@ -602,32 +615,75 @@ donationCampaignSchema.statics.findByCategory = function(churchId, category) {
   });
 };
 
-// Static method to get campaign statistics
+// Static method to get campaign statistics. Campaigns in other currencies
+// are totalled in the church's currency at today's rates, with a breakdown
+// per currency; those without a rate are left out of the totals and
+// counted as unconverted.
 donationCampaignSchema.statics.getCampaignStats = async function(churchId) {
-  const pipeline = [
-    { $match: { churchId: mongoose.Types.ObjectId(churchId) } },
+  const groups = await this.aggregate([
+    { $match: { churchId: new mongoose.Types.ObjectId(churchId) } },
     { $group: {
-      _id: null,
-      totalCampaigns: { $sum: 1 },
+      _id: { $ifNull: ['$currency', 'NGN'] },
+      campaigns: { $sum: 1 },
       activeCampaigns: { 
         $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] }
       },
-      totalTargetAmount: { $sum: '$targetAmount' },
-      totalCurrentAmount: { $sum: '$currentAmount' },
+      targetAmount: { $sum: '$targetAmount' },
+      currentAmount: { $sum: '$currentAmount' },
       totalDonors: { $sum: '$analytics.totalDonors' },
-      averageProgress: { $avg: '$progressPercentage' }
-    } }
-  ];
-
-  const result = await this.aggregate(pipeline);
-  return result[0] || {
+      // progressPercentage is a virtual, so work it out here
+      totalProgress: { $sum: {
+        $cond: [
+          { $gt: ['$targetAmount', 0] },
+          { $min: [{ $multiply: [{ $divide: ['$currentAmount', '$targetAmount'] }, 100] }, 100] },
+          0
+        ]
+      } }
+    } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const currency = await ExchangeRate.baseCurrencyFor(churchId);
+  const stats = {
     totalCampaigns: 0,
     activeCampaigns: 0,
     totalTargetAmount: 0,
     totalCurrentAmount: 0,
     totalDonors: 0,
     averageProgress: 0,
+    currency,
+    byCurrency: [],
+    unconverted: 0,
   };
+  let totalProgress = 0;
+
+  for (const group of groups) {
+    const found = await ExchangeRate.findRate(churchId, group._id, currency);
+
+    stats.totalCampaigns += group.campaigns;
+    stats.activeCampaigns += group.activeCampaigns;
+    stats.totalDonors += group.totalDonors;
+    totalProgress += group.totalProgress;
+    if (found) {
+      stats.totalTargetAmount += group.targetAmount * found.rate;
+      stats.totalCurrentAmount += group.currentAmount * found.rate;
+    } else {
+      stats.unconverted += group.campaigns;
+    }
+
+    stats.byCurrency.push({
+      currency: group._id,
+      campaigns: group.campaigns,
+      targetAmount: group.targetAmount,
+      currentAmount: group.currentAmount,
+      rate: found?.rate,
+    });
+  }
+
+  stats.totalTargetAmount = Math.round(stats.totalTargetAmount * 100) / 100;
+  stats.totalCurrentAmount = Math.round(stats.totalCurrentAmount * 100) / 100;
+  stats.averageProgress = stats.totalCampaigns > 0 ? totalProgress / stats.totalCampaigns : 0;
+  return stats;
 };
 
 module.exports = mongoose.model('DonationCampaign', donationCampaignSchema);
@@ -0,0 +1,277 @@
+const mongoose = require("mongoose");
+
+const emailMessageSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    event: {
+      type: String,
+      trim: true,
+    },
+    from: {
+      type: String,
+      trim: true,
+    },
+    to: {
+      type: String,
+      required: [true, "Recipient address is required"],
+      trim: true,
+      lowercase: true,
+    },
+    subject: {
+      type: String,
+      required: [true, "Subject is required"],
+      trim: true,
+    },
+    html: {
+      type: String,
+    },
+    text: {
+      type: String,
+    },
+    // Files sent with the message, e.g. a PDF receipt
+    attachments: [
+      {
+        filename: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        contentType: {
+          type: String,
+          trim: true,
+        },
+        content: {
+          type: Buffer,
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["queued", "sending", "sent", "failed", "bounced"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: [0, "Attempts cannot be negative"],
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: [1, "Max attempts must be at least 1"],
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+      trim: true,
+    },
+    // ID assigned by the mail transport once accepted
+    transportMessageId: {
+      type: String,
+      trim: true,
+    },
+    sentAt: {
+      type: Date,
+    },
+    bouncedAt: {
+      type: Date,
+    },
+    // Inbox entries whose email delivery state follows this message
+    notificationIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Notification",
+      },
+    ],
+    resendOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EmailMessage",
+    },
+    history: [
+      {
+        status: {
+          type: String,
+          enum: ["queued", "sending", "retrying", "sent", "failed", "bounced"],
+          required: true,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        note: {
+          type: String,
+          trim: true,
+          maxlength: [500, "History note cannot exceed 500 characters"],
+        },
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for whether the message has reached a final state
+emailMessageSchema.virtual("isFinal").get(function () {
+  return ["sent", "failed", "bounced"].includes(this.status);
+});
+
+// Indexes for performance
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ churchId: 1, createdAt: -1 });
+emailMessageSchema.index({ to: 1 });
+
+// Instance method to add a status history entry
+emailMessageSchema.methods.addHistory = function (status, note = null) {
+  this.history.push({
+    status,
+    at: new Date(),
+    note: note ? String(note).slice(0, 500) : undefined,
+  });
+};
+
+// Instance method to record a successful send
+emailMessageSchema.methods.markAsSent = function (transportMessageId) {
+  this.status = "sent";
+  this.sentAt = new Date();
+  this.transportMessageId = transportMessageId;
+  this.lockedAt = undefined;
+  this.nextAttemptAt = undefined;
+  this.lastError = undefined;
+  this.addHistory("sent", `Delivered on attempt ${this.attempts}`);
+  return this.save();
+};
+
+// Instance method to record a permanent rejection by the receiving server
+emailMessageSchema.methods.markAsBounced = function (reason) {
+  this.status = "bounced";
+  this.bouncedAt = new Date();
+  this.lastError = reason;
+  this.lockedAt = undefined;
+  this.nextAttemptAt = undefined;
+  this.addHistory("bounced", reason);
+  return this.save();
+};
+
+// Instance method to record a failed send and schedule a retry with
+// exponential backoff until maxAttempts is reached
+emailMessageSchema.methods.markAttemptFailed = function (
+  errorMessage,
+  baseDelayMs = 60 * 1000
+) {
+  this.lastError = errorMessage;
+  this.lockedAt = undefined;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = "failed";
+    this.nextAttemptAt = undefined;
+    this.addHistory(
+      "failed",
+      `Giving up after ${this.attempts} attempts: ${errorMessage}`
+    );
+  } else {
+    const delay = baseDelayMs * 2 ** (this.attempts - 1);
+    this.status = "queued";
+    this.nextAttemptAt = new Date(Date.now() + delay);
+    this.addHistory(
+      "retrying",
+      `Attempt ${this.attempts} failed: ${errorMessage}`
+    );
+  }
+
+  return this.save();
+};
+
+// Instance method to queue a fresh copy, optionally to a corrected address
+emailMessageSchema.methods.resend = function (createdBy, to = null) {
+  return this.constructor.create({
+    churchId: this.churchId,
+    userId: this.userId,
+    event: this.event,
+    from: this.from,
+    to: to || this.to,
+    subject: this.subject,
+    html: this.html,
+    text: this.text,
+    attachments: this.attachments,
+    resendOf: this._id,
+    createdBy,
+    history: [{ status: "queued", at: new Date(), note: `Resend of ${this._id}` }],
+  });
+};
+
+// Static method to atomically claim the next message due for sending.
+// Messages stuck in sending longer than staleAfterMs are reclaimed.
+emailMessageSchema.statics.claimNextDue = function (
+  staleAfterMs = 10 * 60 * 1000
+) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: "queued", nextAttemptAt: { $lte: now } },
+        {
+          status: "sending",
+          lockedAt: { $lte: new Date(now.getTime() - staleAfterMs) },
+        },
+      ],
+    },
+    {
+      $set: { status: "sending", lockedAt: now },
+      $inc: { attempts: 1 },
+      $push: { history: { status: "sending", at: now } },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Static method to find email messages by church
+emailMessageSchema.statics.findByChurch = function (churchId, options = {}) {
+  const query = { churchId };
+
+  if (options.status) query.status = options.status;
+  if (options.to) query.to = String(options.to).toLowerCase();
+  if (options.event) query.event = options.event;
+  if (options.startDate || options.endDate) {
+    query.createdAt = {};
+    if (options.startDate) query.createdAt.$gte = new Date(options.startDate);
+    if (options.endDate) query.createdAt.$lte = new Date(options.endDate);
+  }
+
+  return this.find(query);
+};
+
+// Static method to count a church's messages by status
+emailMessageSchema.statics.getStatusCounts = async function (churchId) {
+  const counts = await this.aggregate([
+    { $match: { churchId: new mongoose.Types.ObjectId(churchId) } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  return counts.reduce((totals, entry) => {
+    totals[entry._id] = entry.count;
+    return totals;
+  }, {});
+};
+
+module.exports = mongoose.model("EmailMessage", emailMessageSchema);
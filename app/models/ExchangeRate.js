@@ -0,0 +1,228 @@
+const mongoose = require("mongoose");
+
+const CURRENCIES = ["NGN", "USD", "EUR", "GBP"];
+
+// Round to the smallest currency unit
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// A church's rate for a currency from a date on: one unit of `currency` is
+// worth `rate` units of `baseCurrency` until the next rate's date
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+      required: true,
+    },
+    currency: {
+      type: String,
+      enum: CURRENCIES,
+      required: [true, "Currency is required"],
+    },
+    baseCurrency: {
+      type: String,
+      enum: CURRENCIES,
+      required: [true, "Base currency is required"],
+    },
+    rate: {
+      type: Number,
+      required: [true, "Rate is required"],
+      min: [0.000001, "Rate must be greater than 0"],
+    },
+    effectiveDate: {
+      type: Date,
+      required: [true, "Effective date is required"],
+    },
+    source: {
+      type: String,
+      enum: ["manual", "import"],
+      default: "manual",
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Note cannot exceed 200 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+exchangeRateSchema.index(
+  { churchId: 1, currency: 1, baseCurrency: 1, effectiveDate: -1 },
+  { unique: true }
+);
+
+exchangeRateSchema.pre("validate", function (next) {
+  if (this.currency && this.currency === this.baseCurrency) {
+    this.invalidate("currency", "A rate converts between two different currencies");
+  }
+  next();
+});
+
+// Static method to find the rate in force on a date. Rates entered the
+// other way round (base to currency) are used inverted. Resolves to
+// { rate, effectiveDate }, or null when no rate is known.
+exchangeRateSchema.statics.findRate = async function (
+  churchId,
+  currency,
+  baseCurrency,
+  date = new Date()
+) {
+  if (currency === baseCurrency) return { rate: 1, effectiveDate: null };
+
+  const latest = (from, to) =>
+    this.findOne({
+      churchId,
+      currency: from,
+      baseCurrency: to,
+      effectiveDate: { $lte: date },
+    }).sort({ effectiveDate: -1 });
+
+  const direct = await latest(currency, baseCurrency);
+  if (direct) return { rate: direct.rate, effectiveDate: direct.effectiveDate };
+
+  const inverse = await latest(baseCurrency, currency);
+  if (inverse) return { rate: 1 / inverse.rate, effectiveDate: inverse.effectiveDate };
+
+  return null;
+};
+
+// Static method to get the currency a church's totals are reported in
+exchangeRateSchema.statics.baseCurrencyFor = async function (churchId) {
+  if (!churchId) return "NGN";
+  const Church = require("./Church");
+  const church = await Church.findById(churchId).select("settings.currency");
+  return church?.settings?.currency || "NGN";
+};
+
+// Static method to store a transaction's amount in its church's currency,
+// at the rate on the transaction's date. The base amount is left unset
+// when there is no rate, so totals can report it as unconverted.
+exchangeRateSchema.statics.applyBaseAmount = async function (doc, date) {
+  const baseCurrency = await this.baseCurrencyFor(doc.churchId);
+  const found = await this.findRate(
+    doc.churchId,
+    doc.currency || "NGN",
+    baseCurrency,
+    date || new Date()
+  );
+
+  doc.baseCurrency = baseCurrency;
+  doc.exchangeRate = found?.rate;
+  doc.exchangeRateDate = found?.effectiveDate || undefined;
+  doc.baseAmount = found ? roundAmount(doc.amount * found.rate) : undefined;
+};
+
+// Static method giving the aggregation stage that fills in the base amount
+// of transactions saved before base amounts were kept: their own amount
+// when they are in the church's currency. Those in other currencies stay
+// unconverted until revalued (see scripts/backfill-base-amounts.js).
+exchangeRateSchema.statics.baseAmountStage = function (baseCurrency) {
+  return {
+    $set: {
+      baseAmount: {
+        $ifNull: [
+          "$baseAmount",
+          {
+            $cond: [
+              { $eq: [{ $ifNull: ["$currency", "NGN"] }, baseCurrency] },
+              "$amount",
+              null,
+            ],
+          },
+        ],
+      },
+    },
+  };
+};
+
+// Static method giving the aggregation stages that break transactions
+// down by their own currency under key (a group _id expression, or null
+// for overall totals). Use it in a $facet next to the stats it breaks down.
+exchangeRateSchema.statics.breakdownStages = function (key = null) {
+  return [
+    {
+      $group: {
+        _id: { key, currency: { $ifNull: ["$currency", "NGN"] } },
+        amount: { $sum: "$amount" },
+        baseAmount: { $sum: { $ifNull: ["$baseAmount", 0] } },
+        count: { $sum: 1 },
+        unconverted: {
+          $sum: { $cond: [{ $eq: [{ $ifNull: ["$baseAmount", null] }, null] }, 1, 0] },
+        },
+      },
+    },
+    { $sort: { "_id.currency": 1 } },
+  ];
+};
+
+// Static method to add each stats row's currency breakdown (from
+// breakdownStages with the same key) as byCurrency, and the number of
+// transactions its total leaves out for want of a rate as unconverted
+exchangeRateSchema.statics.attachBreakdown = function (stats, breakdown) {
+  const byKey = new Map();
+  breakdown.forEach(({ _id, ...totals }) => {
+    const key = JSON.stringify(_id.key ?? null);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push({ currency: _id.currency, ...totals });
+  });
+
+  return stats.map((row) => {
+    const byCurrency = byKey.get(JSON.stringify(row._id ?? null)) || [];
+    return {
+      ...row,
+      byCurrency,
+      unconverted: byCurrency.reduce((sum, entry) => sum + entry.unconverted, 0),
+    };
+  });
+};
+
+// Static method to total a model's transactions in the base currency,
+// grouped under key (null for one overall row), each group with its
+// breakdown by original currency. stages run between the match and the
+// grouping, e.g. to split donations into their line items.
+exchangeRateSchema.statics.summarize = async function (
+  model,
+  { match = {}, stages = [], key = null, sort = { totalAmount: -1 } } = {}
+) {
+  const filter = { ...match };
+  if (typeof filter.churchId === "string") {
+    filter.churchId = new mongoose.Types.ObjectId(filter.churchId);
+  }
+
+  const baseCurrency = await this.baseCurrencyFor(filter.churchId);
+  const [result] = await model.aggregate([
+    { $match: filter },
+    this.baseAmountStage(baseCurrency),
+    ...stages,
+    {
+      $facet: {
+        stats: [
+          {
+            $group: {
+              _id: key,
+              totalAmount: { $sum: { $ifNull: ["$baseAmount", 0] } },
+              count: { $sum: 1 },
+              averageAmount: { $avg: "$baseAmount" },
+            },
+          },
+          { $sort: sort },
+        ],
+        byCurrency: this.breakdownStages(key),
+      },
+    },
+  ]);
+
+  return this.attachBreakdown(result.stats, result.byCurrency);
+};
+
+exchangeRateSchema.statics.CURRENCIES = CURRENCIES;
+
+module.exports = mongoose.model("ExchangeRate", exchangeRateSchema);
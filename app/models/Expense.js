@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ExchangeRate = require('./ExchangeRate');
 
 const expenseSchema = new mongoose.Schema({
   churchId: {
@@ -27,6 +28,21 @@ const expenseSchema = new mongoose.Schema({
     default: 'NGN',
     enum: ['NGN', 'USD', 'EUR', 'GBP'],
   },
+  // The amount in the church's currency at the rate on the expense date,
+  // for totals across currencies. Unset while no rate is known.
+  baseAmount: {
+    type: Number,
+  },
+  baseCurrency: {
+    type: String,
+    enum: ['NGN', 'USD', 'EUR', 'GBP'],
+  },
+  exchangeRate: {
+    type: Number,
+  },
+  exchangeRateDate: {
+    type: Date,
+  },
   category: {
     type: String,
     required: [true, 'Expense category is required'],
@@ -361,6 +377,37 @@ expenseSchema.index({ churchId: 1, category: 1 });
 expenseSchema.index({ churchId: 1, expenseDate: 1 });
 expenseSchema.index({ churchId: 1, 'budget.category': 1 });
 
+// Pre-save middleware to store the amount in the church's currency
+expenseSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('amount') || this.isModified('currency') || this.isModified('expenseDate')) {
+    try {
+      await ExchangeRate.applyBaseAmount(this, this.expenseDate);
+    } catch (error) {
+      console.error('Error converting expense amount:', error);
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to note whether the expense's journal entry needs
+// updating, for the post-save middleware below
+expenseSchema.pre('save', function(next) {
+  this.$locals.ledgerChanged = this.isNew ||
+    ['status', 'amount', 'baseAmount', 'baseCurrency', 'expenseDate', 'category', 'paymentMethod'].some(path => this.isModified(path));
+  next();
+});
+
+// Post-save middleware to keep the general ledger in step with the expense
+expenseSchema.post('save', async function(doc) {
+  if (!doc.$locals.ledgerChanged) return;
+  try {
+    const JournalEntry = require('./JournalEntry');
+    await JournalEntry.syncSource('expense', doc);
+  } catch (error) {
+    console.error('Error posting expense to the ledger:', error);
+  }
+});
+
 // Pre-save middleware to update budget remaining
 expenseSchema.pre('save', async function(next) {
   if (this.isModified('amount') && this.budget.allocated) {
@@ -512,49 +559,52 @@ expenseSchema.statics.findByCategory = function(churchId, category) {
   return this.find({ churchId, category });
 };
 
-// Static method to get expense statistics
+// Static method to get expense statistics, in the church's currency with
+// a breakdown by the currencies paid in
 expenseSchema.statics.getExpenseStats = async function(churchId, startDate, endDate) {
-  const pipeline = [
-    { $match: { 
-      churchId: mongoose.Types.ObjectId(churchId),
-      status: { $in: ['approved', 'paid'] }
-    } },
-    { $group: {
-      _id: {
-        category: '$category',
-        date: { $dateToString: { format: '%Y-%m', date: '$expenseDate' } }
-      },
-      totalAmount: { $sum: '$amount' },
-      count: { $sum: 1 }
-    } },
-    { $group: {
-      _id: '$_id.category',
-      monthlyData: {
-        $push: {
-          month: '$_id.date',
-          amount: '$totalAmount',
-          count: '$count'
-        }
-      },
-      totalAmount: { $sum: '$totalAmount' },
-      totalCount: { $sum: '$count' }
-    } },
-    { $sort: { totalAmount: -1 } }
-  ];
-
+  const match = {
+    churchId: new mongoose.Types.ObjectId(churchId),
+    status: { $in: ['approved', 'paid'] }
+  };
   if (startDate || endDate) {
-    const matchStage = { $match: { 
-      churchId: mongoose.Types.ObjectId(churchId),
-      status: { $in: ['approved', 'paid'] }
-    } };
-    
-    if (startDate) matchStage.$match.expenseDate = { $gte: new Date(startDate) };
-    if (endDate) matchStage.$match.expenseDate = { ...matchStage.$match.expenseDate, $lte: new Date(endDate) };
-    
-    pipeline[0] = matchStage;
+    match.expenseDate = {};
+    if (startDate) match.expenseDate.$gte = new Date(startDate);
+    if (endDate) match.expenseDate.$lte = new Date(endDate);
   }
 
-  return this.aggregate(pipeline);
+  const baseCurrency = await ExchangeRate.baseCurrencyFor(churchId);
+  const [result] = await this.aggregate([
+    { $match: match },
+    ExchangeRate.baseAmountStage(baseCurrency),
+    { $facet: {
+      stats: [
+        { $group: {
+          _id: {
+            category: '$category',
+            date: { $dateToString: { format: '%Y-%m', date: '$expenseDate' } }
+          },
+          totalAmount: { $sum: { $ifNull: ['$baseAmount', 0] } },
+          count: { $sum: 1 }
+        } },
+        { $group: {
+          _id: '$_id.category',
+          monthlyData: {
+            $push: {
+              month: '$_id.date',
+              amount: '$totalAmount',
+              count: '$count'
+            }
+          },
+          totalAmount: { $sum: '$totalAmount' },
+          totalCount: { $sum: '$count' }
+        } },
+        { $sort: { totalAmount: -1 } }
+      ],
+      byCurrency: ExchangeRate.breakdownStages('$category')
+    } }
+  ]);
+
+  return ExchangeRate.attachBreakdown(result.stats, result.byCurrency);
 };
 
 // Static method to get total expenses by period
@@ -570,16 +620,36 @@ expenseSchema.statics.getTotalExpenses = async function(churchId, startDate, end
     if (endDate) query.expenseDate.$lte = new Date(endDate);
   }
   
-  const result = await this.aggregate([
-    { $match: query },
+  const [result] = await ExchangeRate.summarize(this, { match: query });
+  
+  return result
+    ? { ...result, totalCount: result.count }
+    : { totalAmount: 0, totalCount: 0, byCurrency: [], unconverted: 0 };
+};
+
+// Static method to total a church's approved expenses not yet paid, dated
+// and approved by a date, per currency. The approved amount counts where
+// it differs from the amount asked for.
+expenseSchema.statics.getPayablesAt = function(churchId, asOf = new Date()) {
+  const date = new Date(asOf);
+
+  return this.aggregate([
+    { $match: {
+      churchId: new mongoose.Types.ObjectId(churchId),
+      status: 'approved',
+      expenseDate: { $lte: date },
+      $or: [
+        { 'approval.approvedAt': { $lte: date } },
+        { 'approval.approvedAt': null }
+      ]
+    } },
     { $group: {
-      _id: null,
-      totalAmount: { $sum: '$amount' },
-      totalCount: { $sum: 1 }
-    } }
+      _id: '$currency',
+      amount: { $sum: { $ifNull: ['$approval.approvedAmount', '$amount'] } },
+      expenses: { $sum: 1 }
+    } },
+    { $project: { _id: 0, currency: '$_id', amount: 1, expenses: 1 } }
   ]);
-  
-  return result[0] || { totalAmount: 0, totalCount: 0 };
 };
 
 module.exports = mongoose.model('Expense', expenseSchema);
@@ -0,0 +1,145 @@
+const mongoose = require("mongoose");
+
+const importJobSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+      required: true,
+    },
+    resource: {
+      type: String,
+      enum: ["donations", "members", "expenses", "financialRecords", "teams"],
+      required: [true, "Import resource is required"],
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "xlsx", "json"],
+      required: true,
+    },
+    // Field path -> spreadsheet column used for this import
+    mapping: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    unmappedColumns: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    skipDuplicates: {
+      type: Boolean,
+      default: true,
+    },
+    status: {
+      type: String,
+      enum: ["validated", "completed", "failed", "rolling-back", "rolled-back"],
+      default: "validated",
+    },
+    totals: {
+      rows: { type: Number, default: 0 },
+      valid: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      duplicates: { type: Number, default: 0 },
+      imported: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    // Per-row problems, capped so a broken file can't bloat the document
+    rowErrors: [
+      {
+        row: { type: Number, required: true },
+        field: { type: String, trim: true },
+        message: { type: String, trim: true, maxlength: 500 },
+        value: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    duplicates: [
+      {
+        row: { type: Number, required: true },
+        key: { type: String, trim: true },
+        existingId: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        // Another row earlier in the same file
+        duplicateOfRow: { type: Number },
+      },
+    ],
+    createdIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    ],
+    // Whatever a resource needs to undo its side effects on rollback
+    rollbackData: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    completedAt: {
+      type: Date,
+    },
+    rolledBackAt: {
+      type: Date,
+    },
+    rolledBackBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Maximum number of row errors and duplicates kept on a job
+const MAX_ROW_ISSUES = 500;
+
+// Virtual for whether the import can still be undone
+importJobSchema.virtual("canRollback").get(function () {
+  return this.status === "completed" && this.createdIds.length > 0;
+});
+
+// Indexes for performance
+importJobSchema.index({ churchId: 1, createdAt: -1 });
+importJobSchema.index({ churchId: 1, resource: 1 });
+
+// Instance method to record a row error
+importJobSchema.methods.addRowError = function (row, field, message, value) {
+  if (this.rowErrors.length < MAX_ROW_ISSUES) {
+    this.rowErrors.push({ row, field, message, value });
+  }
+};
+
+// Instance method to record a duplicate row
+importJobSchema.methods.addDuplicate = function (row, duplicate) {
+  if (this.duplicates.length < MAX_ROW_ISSUES) {
+    this.duplicates.push({ row, ...duplicate });
+  }
+};
+
+// Static method to find import jobs by church
+importJobSchema.statics.findByChurch = function (churchId, options = {}) {
+  const query = { churchId };
+
+  if (options.resource) query.resource = options.resource;
+  if (options.status) query.status = options.status;
+
+  return this.find(query);
+};
+
+module.exports = mongoose.model("ImportJob", importJobSchema);
@@ -0,0 +1,635 @@
+const mongoose = require("mongoose");
+const Account = require("./Account");
+const ExchangeRate = require("./ExchangeRate");
+
+// What posted an entry: a transaction, a donation refund or a person
+const SOURCE_KINDS = ["donation", "refund", "expense", "record", "manual"];
+
+// Entries balance to the cent
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const lineSchema = new mongoose.Schema(
+  {
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [true, "Line account is required"],
+    },
+    // Copied so the entry still reads right if the account is renamed
+    code: String,
+    name: String,
+    debit: {
+      type: Number,
+      default: 0,
+      min: [0, "Debit cannot be negative"],
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: [0, "Credit cannot be negative"],
+    },
+    memo: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Memo cannot exceed 200 characters"],
+    },
+  },
+  { _id: false }
+);
+
+// A balanced general ledger entry in the church's currency. Entries are
+// never changed: a wrong or outdated one is reversed by an entry with its
+// debits and credits swapped.
+const journalEntrySchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+      required: true,
+    },
+    entryNumber: {
+      type: String,
+    },
+    date: {
+      type: Date,
+      required: [true, "Entry date is required"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Description cannot exceed 300 characters"],
+    },
+    currency: {
+      type: String,
+      enum: ExchangeRate.CURRENCIES,
+      default: "NGN",
+    },
+    lines: [lineSchema],
+    source: {
+      kind: {
+        type: String,
+        enum: SOURCE_KINDS,
+        required: true,
+      },
+      // The donation, expense or financial record posted
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      // The donation refund posted
+      refundId: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    },
+    // posted: in force; reversed: cancelled out by reversedBy
+    status: {
+      type: String,
+      enum: ["posted", "reversed"],
+      default: "posted",
+    },
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "JournalEntry",
+    },
+    reversedAt: {
+      type: Date,
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the entry's total (its debits, which equal its credits)
+journalEntrySchema.virtual("total").get(function () {
+  return fromCents(
+    (this.lines || []).reduce((sum, line) => sum + toCents(line.debit), 0)
+  );
+});
+
+// Indexes for performance
+journalEntrySchema.index({ churchId: 1, entryNumber: 1 }, { unique: true });
+journalEntrySchema.index({ churchId: 1, date: -1 });
+journalEntrySchema.index({ churchId: 1, "lines.accountId": 1, date: -1 });
+journalEntrySchema.index({ "source.id": 1, status: 1 });
+journalEntrySchema.index({ "source.refundId": 1 });
+
+journalEntrySchema.pre("validate", function (next) {
+  if (this.lines.length < 2) {
+    this.invalidate("lines", "An entry needs at least two lines");
+    return next();
+  }
+
+  let debits = 0;
+  let credits = 0;
+  this.lines.forEach((line, index) => {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      this.invalidate(
+        `lines.${index}`,
+        "Each line is either a debit or a credit, greater than 0"
+      );
+    }
+    debits += toCents(line.debit);
+    credits += toCents(line.credit);
+  });
+  if (debits !== credits) {
+    this.invalidate(
+      "lines",
+      `Debits (${fromCents(debits)}) and credits (${fromCents(credits)}) must balance`
+    );
+  }
+  next();
+});
+
+// Posted entries are the audit trail, so only their reversal may change them
+journalEntrySchema.pre("save", function (next) {
+  const changed = this.modifiedPaths().filter(
+    (path) => !["status", "reversedBy", "reversedAt"].includes(path)
+  );
+  if (!this.isNew && changed.length > 0) {
+    return next(new Error("Journal entries can't be changed; reverse them instead"));
+  }
+  next();
+});
+
+// Pre-save middleware to number the entry, e.g. JE-2026-00042
+journalEntrySchema.pre("save", async function (next) {
+  if (this.isNew && !this.entryNumber) {
+    const prefix = `JE-${new Date().getFullYear()}-`;
+    const numbered = await this.constructor.countDocuments({
+      churchId: this.churchId,
+      entryNumber: { $regex: `^${prefix}` },
+    });
+    this.entryNumber = `${prefix}${String(numbered + 1).padStart(5, "0")}`;
+  }
+  next();
+});
+
+// Instance method to cancel the entry out with one swapping its debits and
+// credits, dated today. Resolves to the reversing entry, or null when the
+// entry was already reversed.
+journalEntrySchema.methods.reverse = async function ({ reason, postedBy } = {}) {
+  if (this.status === "reversed") return null;
+
+  const reversal = await this.constructor.postEntry({
+    churchId: this.churchId,
+    date: new Date(),
+    description: `Reversal of ${this.entryNumber}${reason ? `: ${reason}` : ""}`.slice(0, 300),
+    currency: this.currency,
+    lines: this.lines.map((line) => ({
+      accountId: line.accountId,
+      code: line.code,
+      name: line.name,
+      debit: line.credit,
+      credit: line.debit,
+      memo: line.memo,
+    })),
+    source: this.source,
+    reversalOf: this._id,
+    postedBy,
+  });
+
+  this.status = "reversed";
+  this.reversedBy = reversal._id;
+  this.reversedAt = new Date();
+  await this.save();
+
+  return reversal;
+};
+
+// Static method to create an entry, numbering it again if another entry
+// took its number at the same time
+journalEntrySchema.statics.postEntry = async function (data) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.create(data);
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern?.entryNumber || attempt === 3) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Lines for amounts by account, merging amounts posted to the same account
+// with the same memo. Memos carry the category, so the income and expense
+// of categories sharing an account can still be told apart.
+const accountLines = (entries, side) => {
+  const byAccount = new Map();
+  entries.forEach(({ account, amount, memo }) => {
+    const key = `${account._id}:${memo || ""}`;
+    const line = byAccount.get(key) || {
+      accountId: account._id,
+      code: account.code,
+      name: account.name,
+      debit: 0,
+      credit: 0,
+      memo,
+    };
+    line[side] = fromCents(toCents(line[side]) + toCents(amount));
+    byAccount.set(key, line);
+  });
+  return [...byAccount.values()].filter((line) => line[side] > 0);
+};
+
+const assetAccount = (chart, paymentMethod) =>
+  Account.resolve(chart, { types: ["asset"], paymentMethod, fallback: "cash" });
+
+const incomeAccount = (chart, category) =>
+  Account.resolve(chart, { types: ["income"], category, fallback: "other-income" });
+
+const expenseAccount = (chart, category) =>
+  Account.resolve(chart, { types: ["expense"], category, fallback: "other-expenses" });
+
+// The church currency a transaction posts in, and its amount and rate in
+// it. Transactions saved before base amounts were kept have none; those
+// already in the church's currency post at their own amount.
+const baseValueOf = async (doc) => {
+  if (doc.baseCurrency) {
+    return { currency: doc.baseCurrency, amount: doc.baseAmount, rate: doc.exchangeRate };
+  }
+  const currency = await ExchangeRate.baseCurrencyFor(doc.churchId);
+  return (doc.currency || "NGN") === currency
+    ? { currency, amount: doc.amount, rate: 1 }
+    : { currency };
+};
+
+// What a transaction posts to the ledger on the cash basis: completed
+// donations (refunds are posted on their own), paid expenses and verified
+// financial records, at their base amount. Null when it posts nothing,
+// including while there is no exchange rate for it.
+const postingFor = (kind, doc, chart, amount) => {
+  if (amount === undefined || amount === null || !(amount > 0)) return null;
+
+  if (kind === "donation") {
+    if (!["completed", "refunded"].includes(doc.status)) return null;
+    const asset = assetAccount(chart, doc.paymentMethod);
+    const income = doc.splitAmount(amount).map((line) => ({
+      account: incomeAccount(chart, line.category),
+      amount: line.amount,
+      memo: line.category,
+    }));
+    return {
+      date: doc.createdAt || new Date(),
+      description: `Donation${doc.receipt?.number ? ` ${doc.receipt.number}` : ""} - ${
+        doc.donorInfo?.isAnonymous ? "Anonymous" : doc.donorInfo?.name || "Donor"
+      }`,
+      lines: [
+        ...accountLines([{ account: asset, amount, memo: doc.paymentMethod }], "debit"),
+        ...accountLines(income, "credit"),
+      ],
+    };
+  }
+
+  if (kind === "expense") {
+    if (doc.status !== "paid") return null;
+    return {
+      date: doc.expenseDate,
+      description: `Expense - ${doc.title}`,
+      lines: [
+        ...accountLines(
+          [{ account: expenseAccount(chart, doc.category), amount, memo: doc.category }],
+          "debit"
+        ),
+        ...accountLines(
+          [{ account: assetAccount(chart, doc.paymentMethod), amount, memo: doc.paymentMethod }],
+          "credit"
+        ),
+      ],
+    };
+  }
+
+  if (kind === "record") {
+    if (doc.status !== "verified") return null;
+    const asset = { account: assetAccount(chart, doc.source), amount, memo: doc.source };
+    let other;
+    if (doc.recordType === "expense") {
+      other = { account: expenseAccount(chart, doc.category), amount, memo: doc.category };
+    } else if (["donation", "income"].includes(doc.recordType)) {
+      other = { account: incomeAccount(chart, doc.category), amount, memo: doc.category };
+    } else {
+      // Transfers and adjustments post against the account their category
+      // is mapped to, or the fund balance
+      other = {
+        account: Account.resolve(chart, {
+          types: Account.ACCOUNT_TYPES,
+          category: doc.category,
+          fallback: "fund-balance",
+        }),
+        amount,
+        memo: doc.category,
+      };
+    }
+    const moneyOut = doc.recordType === "expense";
+    return {
+      date: doc.transactionDate,
+      description: `${doc.recordType.charAt(0).toUpperCase()}${doc.recordType.slice(1)} - ${doc.title}`,
+      lines: [
+        ...accountLines([moneyOut ? other : asset], "debit"),
+        ...accountLines([moneyOut ? asset : other], "credit"),
+      ],
+    };
+  }
+
+  return null;
+};
+
+// Whether an entry already posts what a transaction calls for
+const postsSame = (entry, posting, currency) =>
+  String(entry.date?.getTime()) === String(new Date(posting.date).getTime()) &&
+  entry.currency === currency &&
+  entry.lines.length === posting.lines.length &&
+  entry.lines.every(
+    (line, index) =>
+      String(line.accountId) === String(posting.lines[index].accountId) &&
+      toCents(line.debit) === toCents(posting.lines[index].debit) &&
+      toCents(line.credit) === toCents(posting.lines[index].credit)
+  );
+
+// Static method to bring a donation's, expense's or financial record's
+// journal entry in step with it: posted once it qualifies, reversed and
+// posted afresh when what it posts changes, and reversed once it no longer
+// qualifies. A donation's refunds go with it. Resolves to the entry in force.
+journalEntrySchema.statics.syncSource = async function (kind, doc) {
+  const chart = await Account.ensureChart(doc.churchId);
+  const base = await baseValueOf(doc);
+  const posting = postingFor(kind, doc, chart, base.amount);
+
+  const current = await this.find({
+    churchId: doc.churchId,
+    "source.id": doc._id,
+    status: "posted",
+    reversalOf: null,
+  });
+  const entry = current.find((existing) => existing.source.kind === kind);
+
+  if (!posting) {
+    for (const existing of current) {
+      await existing.reverse({ reason: `${kind} is ${doc.status}` });
+    }
+    return null;
+  }
+
+  if (entry && postsSame(entry, posting, base.currency)) return entry;
+  for (const existing of current) {
+    await existing.reverse({ reason: `${kind} changed` });
+  }
+
+  const posted = await this.postEntry({
+    churchId: doc.churchId,
+    currency: base.currency,
+    source: { kind, id: doc._id },
+    ...posting,
+  });
+  if (kind === "donation") {
+    for (const refund of doc.refunds.filter(({ status }) => status === "completed")) {
+      await this.postRefund(doc, refund);
+    }
+  }
+  return posted;
+};
+
+// Static method to post a completed refund of a donation in the ledger, at
+// the rate the donation was converted at. Refunds in force aren't posted again.
+journalEntrySchema.statics.postRefund = async function (donation, refund) {
+  if (!["completed", "refunded"].includes(donation.status)) return null;
+  const posted = await this.exists({
+    "source.refundId": refund._id,
+    status: "posted",
+    reversalOf: null,
+  });
+  if (posted) return null;
+  const base = await baseValueOf(donation);
+  if (!base.rate) return null;
+
+  const chart = await Account.ensureChart(donation.churchId);
+  const amount = fromCents(toCents(refund.amount * base.rate));
+  const income = donation.splitAmount(amount).map((line) => ({
+    account: incomeAccount(chart, line.category),
+    amount: line.amount,
+    memo: line.category,
+  }));
+
+  return this.postEntry({
+    churchId: donation.churchId,
+    date: refund.completedAt || new Date(),
+    description: `Refund of donation${
+      donation.receipt?.number ? ` ${donation.receipt.number}` : ""
+    }${refund.reason ? `: ${refund.reason}` : ""}`.slice(0, 300),
+    currency: base.currency,
+    lines: [
+      ...accountLines(income, "debit"),
+      ...accountLines(
+        [{ account: assetAccount(chart, donation.paymentMethod), amount, memo: "refund" }],
+        "credit"
+      ),
+    ],
+    source: { kind: "refund", id: donation._id, refundId: refund._id },
+    postedBy: refund.requestedBy,
+  });
+};
+
+// Static method to reverse the entries of transactions that were deleted
+journalEntrySchema.statics.reverseSources = async function (churchId, ids, reason) {
+  const entries = await this.find({
+    churchId,
+    "source.id": { $in: ids },
+    status: "posted",
+    reversalOf: null,
+  });
+  for (const entry of entries) {
+    await entry.reverse({ reason });
+  }
+  return entries.length;
+};
+
+// Static method to get a church's trial balance: every account's debits,
+// credits and balance up to a date (from startDate on when given), with
+// the balance shown on the account's debit or credit side
+journalEntrySchema.statics.getTrialBalance = async function (
+  churchId,
+  { asOf = new Date(), startDate } = {}
+) {
+  const match = {
+    churchId: new mongoose.Types.ObjectId(churchId),
+    date: { $lte: new Date(asOf) },
+  };
+  if (startDate) match.date.$gte = new Date(startDate);
+
+  const [totals, chart] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      { $unwind: "$lines" },
+      {
+        $group: {
+          _id: "$lines.accountId",
+          debits: { $sum: "$lines.debit" },
+          credits: { $sum: "$lines.credit" },
+        },
+      },
+    ]),
+    Account.ensureChart(churchId),
+  ]);
+
+  const byAccount = new Map(totals.map((total) => [String(total._id), total]));
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  const accounts = chart
+    .filter((account) => byAccount.has(String(account._id)))
+    .map((account) => {
+      const { debits, credits } = byAccount.get(String(account._id));
+      const net = toCents(debits) - toCents(credits);
+      totalDebit += Math.max(net, 0);
+      totalCredit += Math.max(-net, 0);
+
+      return {
+        accountId: account._id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        debits: fromCents(toCents(debits)),
+        credits: fromCents(toCents(credits)),
+        debit: fromCents(Math.max(net, 0)),
+        credit: fromCents(Math.max(-net, 0)),
+        // Positive when on the account's normal side
+        balance: fromCents(account.normalBalance === "debit" ? net : -net),
+      };
+    });
+
+  return {
+    asOf: new Date(asOf),
+    startDate: startDate ? new Date(startDate) : undefined,
+    currency: await ExchangeRate.baseCurrencyFor(churchId),
+    accounts,
+    totalDebit: fromCents(totalDebit),
+    totalCredit: fromCents(totalCredit),
+    isBalanced: totalDebit === totalCredit,
+  };
+};
+
+// Entries in force: not reversed and not reversing another. Statements for
+// a period use these so an entry reversed later, e.g. reposted at a new
+// rate, counts once on its own date instead of being undone on another.
+const IN_FORCE = { status: "posted", reversalOf: null };
+
+// Static method to get the balance of each account and memo (the category
+// for income and expense lines) from the entries in force up to endDate,
+// from startDate on when given. Balances are positive on the account's
+// normal side.
+journalEntrySchema.statics.getAccountTotals = async function (
+  churchId,
+  { startDate, endDate = new Date() } = {}
+) {
+  const match = {
+    churchId: new mongoose.Types.ObjectId(churchId),
+    ...IN_FORCE,
+    date: { $lte: new Date(endDate) },
+  };
+  if (startDate) match.date.$gte = new Date(startDate);
+
+  const [totals, chart] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      { $unwind: "$lines" },
+      {
+        $group: {
+          _id: { accountId: "$lines.accountId", memo: "$lines.memo" },
+          debits: { $sum: "$lines.debit" },
+          credits: { $sum: "$lines.credit" },
+        },
+      },
+    ]),
+    Account.ensureChart(churchId),
+  ]);
+
+  const accounts = new Map(chart.map((account) => [String(account._id), account]));
+  return totals
+    .filter((total) => accounts.has(String(total._id.accountId)))
+    .map((total) => {
+      const account = accounts.get(String(total._id.accountId));
+      const net = toCents(total.debits) - toCents(total.credits);
+      return {
+        accountId: account._id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        systemKey: account.systemKey,
+        isCash: account.isCash,
+        memo: total._id.memo || null,
+        balance: fromCents(account.normalBalance === "debit" ? net : -net),
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.code.localeCompare(b.code) || String(a.memo || "").localeCompare(String(b.memo || ""))
+    );
+};
+
+// Static method to get the money that went into and out of a church's cash
+// accounts over a period, by the account on the other side of each entry in
+// force: income received, refunds paid, expenses paid and other movements
+// such as opening balances. Moves between cash accounts cancel out.
+// Amounts are positive for money in.
+journalEntrySchema.statics.getCashFlow = async function (
+  churchId,
+  { startDate, endDate = new Date() } = {}
+) {
+  const chart = await Account.ensureChart(churchId);
+  const accounts = new Map(chart.map((account) => [String(account._id), account]));
+  const match = {
+    churchId: new mongoose.Types.ObjectId(churchId),
+    ...IN_FORCE,
+    date: { $lte: new Date(endDate) },
+  };
+  if (startDate) match.date.$gte = new Date(startDate);
+
+  const flows = new Map();
+  const cursor = this.find(match).select("lines source").lean().cursor();
+  for await (const entry of cursor) {
+    const touchesCash = entry.lines.some(
+      (line) => accounts.get(String(line.accountId))?.isCash
+    );
+    if (!touchesCash) continue;
+
+    entry.lines.forEach((line) => {
+      const account = accounts.get(String(line.accountId));
+      if (!account || account.isCash) return;
+
+      let activity = "other";
+      if (entry.source.kind === "refund") activity = "refunds";
+      else if (account.type === "income") activity = "receipts";
+      else if (account.type === "expense") activity = "payments";
+
+      const key = `${activity}:${account._id}`;
+      const flow = flows.get(key) || {
+        activity,
+        accountId: account._id,
+        code: account.code,
+        name: account.name,
+        cents: 0,
+      };
+      flow.cents += toCents(line.credit) - toCents(line.debit);
+      flows.set(key, flow);
+    });
+  }
+
+  return [...flows.values()]
+    .filter((flow) => flow.cents !== 0)
+    .sort((a, b) => a.code.localeCompare(b.code))
+    .map(({ cents, ...flow }) => ({ ...flow, amount: fromCents(cents) }));
+};
+
+journalEntrySchema.statics.SOURCE_KINDS = SOURCE_KINDS;
+
+module.exports = mongoose.model("JournalEntry", journalEntrySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ExchangeRate = require('./ExchangeRate');
 
 const manualFinancialRecordSchema = new mongoose.Schema({
   churchId: {
@@ -32,6 +33,21 @@ const manualFinancialRecordSchema = new mongoose.Schema({
     default: 'NGN',
     enum: ['NGN', 'USD', 'EUR', 'GBP'],
   },
+  // The amount in the church's currency at the rate on the transaction date,
+  // for totals across currencies. Unset while no rate is known.
+  baseAmount: {
+    type: Number,
+  },
+  baseCurrency: {
+    type: String,
+    enum: ['NGN', 'USD', 'EUR', 'GBP'],
+  },
+  exchangeRate: {
+    type: Number,
+  },
+  exchangeRateDate: {
+    type: Date,
+  },
   category: {
     type: String,
     required: [true, 'Category is required'],
@@ -387,6 +403,37 @@ manualFinancialRecordSchema.index({ churchId: 1, status: 1 });
 manualFinancialRecordSchema.index({ churchId: 1, transactionDate: 1 });
 manualFinancialRecordSchema.index({ churchId: 1, 'verification.isReconciled': 1 });
 
+// Pre-save middleware to store the amount in the church's currency
+manualFinancialRecordSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('amount') || this.isModified('currency') || this.isModified('transactionDate')) {
+    try {
+      await ExchangeRate.applyBaseAmount(this, this.transactionDate);
+    } catch (error) {
+      console.error('Error converting record amount:', error);
+    }
+  }
+  next();
+});
+
+// Pre-save middleware to note whether the financial record's journal entry needs
+// updating, for the post-save middleware below
+manualFinancialRecordSchema.pre('save', function(next) {
+  this.$locals.ledgerChanged = this.isNew ||
+    ['status', 'amount', 'baseAmount', 'baseCurrency', 'transactionDate', 'recordType', 'category', 'source'].some(path => this.isModified(path));
+  next();
+});
+
+// Post-save middleware to keep the general ledger in step with the financial record
+manualFinancialRecordSchema.post('save', async function(doc) {
+  if (!doc.$locals.ledgerChanged) return;
+  try {
+    const JournalEntry = require('./JournalEntry');
+    await JournalEntry.syncSource('record', doc);
+  } catch (error) {
+    console.error('Error posting financial record to the ledger:', error);
+  }
+});
+
 // Pre-save middleware to update last modified
 manualFinancialRecordSchema.pre('save', function(next) {
   if (this.isModified()) {
@@ -537,53 +584,57 @@ manualFinancialRecordSchema.statics.findByType = function(churchId, recordType)
   return this.find({ churchId, recordType });
 };
 
-// Static method to get record statistics
+// Static method to get record statistics, in the church's currency with
+// a breakdown by the currencies recorded in
 manualFinancialRecordSchema.statics.getRecordStats = async function(churchId, startDate, endDate) {
-  const pipeline = [
-    { $match: { 
-      churchId: mongoose.Types.ObjectId(churchId),
-      status: 'verified'
-    } },
-    { $group: {
-      _id: {
-        recordType: '$recordType',
-        category: '$category',
-        date: { $dateToString: { format: '%Y-%m', date: '$transactionDate' } }
-      },
-      totalAmount: { $sum: '$amount' },
-      count: { $sum: 1 }
-    } },
-    { $group: {
-      _id: {
-        recordType: '$_id.recordType',
-        category: '$_id.category'
-      },
-      monthlyData: {
-        $push: {
-          month: '$_id.date',
-          amount: '$totalAmount',
-          count: '$count'
-        }
-      },
-      totalAmount: { $sum: '$totalAmount' },
-      totalCount: { $sum: '$count' }
-    } },
-    { $sort: { totalAmount: -1 } }
-  ];
-
+  const match = {
+    churchId: new mongoose.Types.ObjectId(churchId),
+    status: 'verified'
+  };
   if (startDate || endDate) {
-    const matchStage = { $match: { 
-      churchId: mongoose.Types.ObjectId(churchId),
-      status: 'verified'
-    } };
-    
-    if (startDate) matchStage.$match.transactionDate = { $gte: new Date(startDate) };
-    if (endDate) matchStage.$match.transactionDate = { ...matchStage.$match.transactionDate, $lte: new Date(endDate) };
-    
-    pipeline[0] = matchStage;
+    match.transactionDate = {};
+    if (startDate) match.transactionDate.$gte = new Date(startDate);
+    if (endDate) match.transactionDate.$lte = new Date(endDate);
   }
 
-  return this.aggregate(pipeline);
+  const key = { recordType: '$recordType', category: '$category' };
+  const baseCurrency = await ExchangeRate.baseCurrencyFor(churchId);
+  const [result] = await this.aggregate([
+    { $match: match },
+    ExchangeRate.baseAmountStage(baseCurrency),
+    { $facet: {
+      stats: [
+        { $group: {
+          _id: {
+            recordType: '$recordType',
+            category: '$category',
+            date: { $dateToString: { format: '%Y-%m', date: '$transactionDate' } }
+          },
+          totalAmount: { $sum: { $ifNull: ['$baseAmount', 0] } },
+          count: { $sum: 1 }
+        } },
+        { $group: {
+          _id: {
+            recordType: '$_id.recordType',
+            category: '$_id.category'
+          },
+          monthlyData: {
+            $push: {
+              month: '$_id.date',
+              amount: '$totalAmount',
+              count: '$count'
+            }
+          },
+          totalAmount: { $sum: '$totalAmount' },
+          totalCount: { $sum: '$count' }
+        } },
+        { $sort: { totalAmount: -1 } }
+      ],
+      byCurrency: ExchangeRate.breakdownStages(key)
+    } }
+  ]);
+
+  return ExchangeRate.attachBreakdown(result.stats, result.byCurrency);
 };
 
 // Static method to get total records by period
@@ -599,16 +650,11 @@ manualFinancialRecordSchema.statics.getTotalRecords = async function(churchId, s
     if (endDate) query.transactionDate.$lte = new Date(endDate);
   }
   
-  const result = await this.aggregate([
-    { $match: query },
-    { $group: {
-      _id: null,
-      totalAmount: { $sum: '$amount' },
-      totalCount: { $sum: 1 }
-    } }
-  ]);
+  const [result] = await ExchangeRate.summarize(this, { match: query });
   
-  return result[0] || { totalAmount: 0, totalCount: 0 };
+  return result
+    ? { ...result, totalCount: result.count }
+    : { totalAmount: 0, totalCount: 0, byCurrency: [], unconverted: 0 };
 };
 
 module.exports = mongoose.model('ManualFinancialRecord', manualFinancialRecordSchema);
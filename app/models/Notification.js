@@ -0,0 +1,266 @@
+const mongoose = require("mongoose");
+
+const NOTIFICATION_TYPES = [
+  "donation",
+  "expense",
+  "member",
+  "volunteer",
+  "campaign",
+  "event",
+  "church",
+  "financial",
+  "subscription",
+  "general",
+  "urgent",
+];
+
+// Maps the prefix of a Pusher event name to a notification type
+const EVENT_TYPE_PREFIXES = {
+  donation: "donation",
+  expense: "expense",
+  member: "member",
+  team: "volunteer",
+  schedule: "volunteer",
+  leader: "volunteer",
+  campaign: "campaign",
+  church: "church",
+  service: "church",
+  financial: "financial",
+  subscription: "subscription",
+};
+
+const notificationSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+    },
+    teamId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "VolunteerTeam",
+    },
+    audience: {
+      type: String,
+      enum: ["user", "church", "team"],
+      required: [true, "Notification audience is required"],
+    },
+    channel: {
+      type: String,
+      required: [true, "Notification channel is required"],
+      trim: true,
+    },
+    event: {
+      type: String,
+      required: [true, "Notification event is required"],
+      trim: true,
+      maxlength: [100, "Event name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      default: "general",
+    },
+    title: {
+      type: String,
+      required: [true, "Notification title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Message cannot exceed 1000 characters"],
+    },
+    priority: {
+      type: String,
+      enum: ["low", "normal", "high", "urgent"],
+      default: "normal",
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    recipientCount: {
+      type: Number,
+      default: 0,
+      min: [0, "Recipient count cannot be negative"],
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+notificationSchema.index({ churchId: 1, sentAt: -1 });
+notificationSchema.index({ teamId: 1, sentAt: -1 });
+notificationSchema.index({ churchId: 1, type: 1 });
+notificationSchema.index({ event: 1 });
+
+// Static method to derive a notification type from a Pusher event name
+notificationSchema.statics.typeForEvent = function (event, data = {}) {
+  if (data.type && NOTIFICATION_TYPES.includes(data.type)) {
+    return data.type;
+  }
+
+  const prefix = String(event).split("-")[0];
+  return EVENT_TYPE_PREFIXES[prefix] || "general";
+};
+
+// Static method to build a readable title from a Pusher event name
+notificationSchema.statics.titleForEvent = function (event) {
+  const words = String(event).split("-").filter(Boolean).join(" ");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Static method to resolve the user IDs that should receive a notification
+notificationSchema.statics.resolveRecipients = async function ({
+  audience,
+  churchId,
+  teamId,
+  userIds = [],
+  roles = [],
+}) {
+  const User = require("./User");
+  const Member = require("./Member");
+  const VolunteerTeam = require("./VolunteerTeam");
+
+  const recipients = new Set(userIds.filter(Boolean).map(String));
+
+  if (audience === "church" && churchId) {
+    const wantsAll = roles.length === 0 || roles.includes("all");
+    const userRoles = [];
+    const memberRoles = [];
+
+    if (wantsAll || roles.includes("admins")) userRoles.push("admin");
+    if (wantsAll || roles.includes("volunteers")) {
+      userRoles.push("volunteer");
+      memberRoles.push("volunteer", "leader");
+    }
+    if (wantsAll || roles.includes("members")) {
+      userRoles.push("member");
+      memberRoles.push("member");
+    }
+
+    const [users, members] = await Promise.all([
+      User.find({
+        isActive: true,
+        churches: { $elemMatch: { churchId, role: { $in: userRoles } } },
+      }).select("_id"),
+      memberRoles.length > 0
+        ? Member.find({
+            churchId,
+            role: { $in: memberRoles },
+            "membership.isActive": true,
+          }).select("userId")
+        : [],
+    ]);
+
+    users.forEach((user) => recipients.add(user._id.toString()));
+    members.forEach((member) => {
+      if (member.userId) recipients.add(member.userId.toString());
+    });
+  }
+
+  if (audience === "team" && teamId) {
+    const team = await VolunteerTeam.findById(teamId).select(
+      "leader members"
+    );
+
+    if (team) {
+      const memberIds = team.members
+        .filter((member) => member.isActive)
+        .map((member) => member.memberId);
+      const members = await Member.find({ _id: { $in: memberIds } }).select(
+        "userId"
+      );
+
+      if (team.leader?.userId) recipients.add(team.leader.userId.toString());
+      members.forEach((member) => {
+        if (member.userId) recipients.add(member.userId.toString());
+      });
+    }
+  }
+
+  return Array.from(recipients);
+};
+
+// Static method to persist a notification and one inbox entry per recipient
+notificationSchema.statics.record = async function ({
+  audience,
+  channel,
+  event,
+  data = {},
+  churchId,
+  teamId,
+  userIds = [],
+  roles = [],
+  recipientIds,
+  sentBy,
+}) {
+  const NotificationRecipient = require("./NotificationRecipient");
+
+  if (!churchId && data.churchId) churchId = data.churchId;
+  if (!churchId && audience === "team" && teamId) {
+    const VolunteerTeam = require("./VolunteerTeam");
+    const team = await VolunteerTeam.findById(teamId).select("churchId");
+    churchId = team?.churchId;
+  }
+
+  // Callers that already resolved (and filtered) the recipients pass them in
+  const recipients =
+    recipientIds ||
+    (await this.resolveRecipients({
+      audience,
+      churchId,
+      teamId,
+      userIds,
+      roles,
+    }));
+
+  const notification = await this.create({
+    churchId,
+    teamId,
+    audience,
+    channel,
+    event,
+    type: this.typeForEvent(event, data),
+    title: data.title || this.titleForEvent(event),
+    message: data.message,
+    priority: data.priority || "normal",
+    data,
+    recipientCount: recipients.length,
+    sentBy: sentBy || data.sentBy,
+    sentAt: data.sentAt || new Date(),
+  });
+
+  if (recipients.length > 0) {
+    await NotificationRecipient.insertMany(
+      recipients.map((userId) => ({
+        notificationId: notification._id,
+        userId,
+        churchId: notification.churchId,
+        type: notification.type,
+        priority: notification.priority,
+        deliveries: [
+          { channel: "in-app", status: "delivered", at: notification.sentAt },
+        ],
+      })),
+      { ordered: false }
+    );
+  }
+
+  return notification;
+};
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,412 @@
+const mongoose = require("mongoose");
+
+const notificationRecipientSchema = new mongoose.Schema(
+  {
+    notificationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+    },
+    // Denormalised from the notification so inbox filters stay on one collection
+    type: {
+      type: String,
+      default: "general",
+    },
+    priority: {
+      type: String,
+      enum: ["low", "normal", "high", "urgent"],
+      default: "normal",
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: {
+      type: Date,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+    },
+    deliveries: [
+      {
+        channel: {
+          type: String,
+          enum: ["in-app", "push", "email", "sms"],
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ["pending", "sent", "delivered", "failed", "skipped"],
+          default: "pending",
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [200, "Delivery reason cannot exceed 200 characters"],
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for performance
+notificationRecipientSchema.index(
+  { notificationId: 1, userId: 1 },
+  { unique: true }
+);
+notificationRecipientSchema.index({ userId: 1, isDeleted: 1, createdAt: -1 });
+notificationRecipientSchema.index({ userId: 1, isRead: 1, isArchived: 1 });
+notificationRecipientSchema.index({ churchId: 1, type: 1 });
+
+// Instance method to mark as read
+notificationRecipientSchema.methods.markAsRead = function () {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Instance method to mark as unread
+notificationRecipientSchema.methods.markAsUnread = function () {
+  this.isRead = false;
+  this.readAt = undefined;
+  return this.save();
+};
+
+// Instance method to archive
+notificationRecipientSchema.methods.archive = function () {
+  this.isArchived = true;
+  this.archivedAt = new Date();
+  return this.save();
+};
+
+// Instance method to unarchive
+notificationRecipientSchema.methods.unarchive = function () {
+  this.isArchived = false;
+  this.archivedAt = undefined;
+  return this.save();
+};
+
+// Instance method to remove from the user's inbox (kept for church statistics)
+notificationRecipientSchema.methods.softDelete = function () {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+// Instance method to record the outcome of a delivery attempt
+notificationRecipientSchema.methods.recordDelivery = function (
+  channel,
+  status,
+  reason = null
+) {
+  this.deliveries.push({
+    channel,
+    status,
+    reason: reason || undefined,
+    at: new Date(),
+  });
+  return this.save();
+};
+
+// Static method to find a user's inbox entries
+notificationRecipientSchema.statics.findInbox = function (
+  userId,
+  options = {}
+) {
+  const query = { userId, isDeleted: false };
+
+  if (options.type) query.type = options.type;
+  if (options.priority) query.priority = options.priority;
+  if (options.isRead !== undefined) query.isRead = options.isRead;
+  if (options.isArchived !== undefined) query.isArchived = options.isArchived;
+  if (options.notificationIds) {
+    query.notificationId = { $in: options.notificationIds };
+  }
+
+  return this.find(query);
+};
+
+// Static method to count a user's unread notifications
+notificationRecipientSchema.statics.countUnread = function (userId) {
+  return this.countDocuments({
+    userId,
+    isRead: false,
+    isArchived: false,
+    isDeleted: false,
+  });
+};
+
+// Percentage of part in total, to one decimal place
+const rate = (part, total) =>
+  total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+
+// Delivery statuses that mean the channel accepted the message
+const DELIVERED_STATUSES = ["sent", "delivered"];
+
+// Pipeline stages shared by the type and priority breakdowns
+const groupRecipientsBy = (field) => [
+  {
+    $group: {
+      _id: field,
+      notifications: { $addToSet: "$notificationId" },
+      recipients: { $sum: 1 },
+      delivered: {
+        $sum: {
+          $cond: [
+            {
+              $gt: [
+                {
+                  $size: {
+                    $filter: {
+                      input: "$deliveries",
+                      cond: { $in: ["$$this.status", DELIVERED_STATUSES] },
+                    },
+                  },
+                },
+                0,
+              ],
+            },
+            1,
+            0,
+          ],
+        },
+      },
+      read: { $sum: { $cond: ["$isRead", 1, 0] } },
+      archived: { $sum: { $cond: ["$isArchived", 1, 0] } },
+    },
+  },
+  { $sort: { recipients: -1 } },
+];
+
+const withRates = (entry) => ({
+  recipients: entry.recipients,
+  delivered: entry.delivered,
+  read: entry.read,
+  archived: entry.archived,
+  deliveryRate: rate(entry.delivered, entry.recipients),
+  readRate: rate(entry.read, entry.recipients),
+});
+
+// Static method to compute sent/delivered/read figures for a church's
+// notifications, broken down by type, priority and channel.
+// A recipient counts as delivered once any channel accepted the message.
+notificationRecipientSchema.statics.getChurchStats = async function (
+  churchId,
+  startDate,
+  endDate
+) {
+  const matchStage = { churchId: new mongoose.Types.ObjectId(churchId) };
+
+  if (startDate || endDate) {
+    matchStage.createdAt = {};
+    if (startDate) matchStage.createdAt.$gte = new Date(startDate);
+    if (endDate) matchStage.createdAt.$lte = new Date(endDate);
+  }
+
+  const [result] = await this.aggregate([
+    { $match: matchStage },
+    {
+      $facet: {
+        totals: groupRecipientsBy(null),
+        byType: groupRecipientsBy("$type"),
+        byPriority: groupRecipientsBy("$priority"),
+        byChannel: [
+          { $unwind: "$deliveries" },
+          {
+            $group: {
+              _id: "$deliveries.channel",
+              attempted: {
+                $sum: {
+                  $cond: [{ $eq: ["$deliveries.status", "skipped"] }, 0, 1],
+                },
+              },
+              delivered: {
+                $sum: {
+                  $cond: [
+                    { $in: ["$deliveries.status", DELIVERED_STATUSES] },
+                    1,
+                    0,
+                  ],
+                },
+              },
+              pending: {
+                $sum: {
+                  $cond: [{ $eq: ["$deliveries.status", "pending"] }, 1, 0],
+                },
+              },
+              failed: {
+                $sum: {
+                  $cond: [{ $eq: ["$deliveries.status", "failed"] }, 1, 0],
+                },
+              },
+              skipped: {
+                $sum: {
+                  $cond: [{ $eq: ["$deliveries.status", "skipped"] }, 1, 0],
+                },
+              },
+              read: {
+                $sum: {
+                  $cond: [
+                    {
+                      $and: [
+                        "$isRead",
+                        { $in: ["$deliveries.status", DELIVERED_STATUSES] },
+                      ],
+                    },
+                    1,
+                    0,
+                  ],
+                },
+              },
+            },
+          },
+          { $sort: { attempted: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const totals = result.totals[0];
+  const breakdown = (entries) =>
+    entries.reduce((groups, entry) => {
+      groups[entry._id] = {
+        notifications: entry.notifications.length,
+        ...withRates(entry),
+      };
+      return groups;
+    }, {});
+
+  return {
+    totals: totals
+      ? { notifications: totals.notifications.length, ...withRates(totals) }
+      : withRates({ recipients: 0, delivered: 0, read: 0, archived: 0 }),
+    byType: breakdown(result.byType),
+    byPriority: breakdown(result.byPriority),
+    byChannel: result.byChannel.reduce((channels, entry) => {
+      channels[entry._id] = {
+        attempted: entry.attempted,
+        delivered: entry.delivered,
+        pending: entry.pending,
+        failed: entry.failed,
+        skipped: entry.skipped,
+        read: entry.read,
+        deliveryRate: rate(entry.delivered, entry.attempted),
+        readRate: rate(entry.read, entry.delivered),
+      };
+      return channels;
+    }, {}),
+  };
+};
+
+// Static method to summarise recipients and channel outcomes per notification
+notificationRecipientSchema.statics.summarizeByNotification = async function (
+  notificationIds
+) {
+  const summaries = await this.aggregate([
+    { $match: { notificationId: { $in: notificationIds } } },
+    {
+      $project: {
+        notificationId: 1,
+        isRead: 1,
+        delivered: {
+          $setUnion: [
+            {
+              $map: {
+                input: {
+                  $filter: {
+                    input: "$deliveries",
+                    cond: { $in: ["$$this.status", DELIVERED_STATUSES] },
+                  },
+                },
+                in: "$$this.channel",
+              },
+            },
+          ],
+        },
+        failed: {
+          $setUnion: [
+            {
+              $map: {
+                input: {
+                  $filter: {
+                    input: "$deliveries",
+                    cond: { $eq: ["$$this.status", "failed"] },
+                  },
+                },
+                in: "$$this.channel",
+              },
+            },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$notificationId",
+        recipients: { $sum: 1 },
+        read: { $sum: { $cond: ["$isRead", 1, 0] } },
+        delivered: {
+          $sum: { $cond: [{ $gt: [{ $size: "$delivered" }, 0] }, 1, 0] },
+        },
+        inApp: { $sum: { $cond: [{ $in: ["in-app", "$delivered"] }, 1, 0] } },
+        push: { $sum: { $cond: [{ $in: ["push", "$delivered"] }, 1, 0] } },
+        email: { $sum: { $cond: [{ $in: ["email", "$delivered"] }, 1, 0] } },
+        sms: { $sum: { $cond: [{ $in: ["sms", "$delivered"] }, 1, 0] } },
+        failed: { $sum: { $size: "$failed" } },
+      },
+    },
+  ]);
+
+  return summaries.reduce((byNotification, summary) => {
+    byNotification[summary._id.toString()] = {
+      recipients: summary.recipients,
+      delivered: summary.delivered,
+      read: summary.read,
+      readRate: rate(summary.read, summary.recipients),
+      channels: {
+        "in-app": summary.inApp,
+        push: summary.push,
+        email: summary.email,
+        sms: summary.sms,
+      },
+      failed: summary.failed,
+    };
+    return byNotification;
+  }, {});
+};
+
+module.exports = mongoose.model(
+  "NotificationRecipient",
+  notificationRecipientSchema
+);
@@ -0,0 +1,205 @@
+const mongoose = require("mongoose");
+
+// Same languages a church can choose in settings.language
+const LANGUAGES = ["en", "yo", "ig", "ha"];
+
+const PLACEHOLDER_PATTERN = /{{\s*([\w.]+)\s*}}/g;
+
+const notificationTemplateSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+      required: [true, "Church ID is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [100, "Template name cannot exceed 100 characters"],
+    },
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+      trim: true,
+    },
+    priority: {
+      type: String,
+      enum: ["low", "normal", "high", "urgent"],
+      default: "normal",
+    },
+    language: {
+      type: String,
+      enum: LANGUAGES,
+      default: "en",
+    },
+    title: {
+      type: String,
+      required: [true, "Template title is required"],
+      trim: true,
+      maxlength: [200, "Template title cannot exceed 200 characters"],
+    },
+    message: {
+      type: String,
+      required: [true, "Template message is required"],
+      trim: true,
+      maxlength: [1000, "Template message cannot exceed 1000 characters"],
+    },
+    translations: [
+      {
+        language: {
+          type: String,
+          enum: LANGUAGES,
+          required: true,
+        },
+        title: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [200, "Template title cannot exceed 200 characters"],
+        },
+        message: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: [1000, "Template message cannot exceed 1000 characters"],
+        },
+      },
+    ],
+    variables: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [50, "Variable name cannot exceed 50 characters"],
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+      min: [0, "Usage count cannot be negative"],
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the languages this template can be rendered in
+notificationTemplateSchema.virtual("availableLanguages").get(function () {
+  return [
+    this.language,
+    ...this.translations.map((translation) => translation.language),
+  ];
+});
+
+// Indexes for performance
+notificationTemplateSchema.index({ churchId: 1, name: 1 }, { unique: true });
+notificationTemplateSchema.index({ churchId: 1, type: 1 });
+notificationTemplateSchema.index({ churchId: 1, isActive: 1 });
+
+// Pre-save middleware to collect the placeholders used in every variant
+notificationTemplateSchema.pre("save", function (next) {
+  const texts = [this.title, this.message];
+  this.translations.forEach((translation) => {
+    texts.push(translation.title, translation.message);
+  });
+
+  const variables = new Set(this.variables);
+  texts.forEach((text) => {
+    for (const match of String(text || "").matchAll(PLACEHOLDER_PATTERN)) {
+      variables.add(match[1]);
+    }
+  });
+  this.variables = Array.from(variables);
+
+  next();
+});
+
+// Instance method to pick the variant for a language, falling back to the default
+notificationTemplateSchema.methods.getVariant = function (language) {
+  const translation = this.translations.find(
+    (variant) => variant.language === language
+  );
+
+  if (translation) {
+    return {
+      language,
+      title: translation.title,
+      message: translation.message,
+    };
+  }
+
+  return { language: this.language, title: this.title, message: this.message };
+};
+
+// Instance method to substitute {{path.to.value}} placeholders from a context
+notificationTemplateSchema.methods.render = function (context = {}, language) {
+  const variant = this.getVariant(language);
+  const missing = new Set();
+
+  const fill = (text) =>
+    text.replace(PLACEHOLDER_PATTERN, (placeholder, path) => {
+      const value = path
+        .split(".")
+        .reduce(
+          (current, key) =>
+            current === undefined || current === null
+              ? undefined
+              : current[key],
+          context
+        );
+
+      if (value === undefined || value === null) {
+        missing.add(path);
+        return "";
+      }
+
+      return String(value);
+    });
+
+  return {
+    language: variant.language,
+    title: fill(variant.title),
+    message: fill(variant.message),
+    missingVariables: Array.from(missing),
+  };
+};
+
+// Instance method to record that the template was used
+notificationTemplateSchema.methods.recordUsage = function () {
+  this.usageCount += 1;
+  this.lastUsedAt = new Date();
+  return this.save();
+};
+
+// Static method to find templates by church
+notificationTemplateSchema.statics.findByChurch = function (
+  churchId,
+  options = {}
+) {
+  const query = { churchId };
+
+  if (options.type) query.type = options.type;
+  if (options.isActive !== undefined) query.isActive = options.isActive;
+
+  return this.find(query);
+};
+
+module.exports = mongoose.model(
+  "NotificationTemplate",
+  notificationTemplateSchema
+);
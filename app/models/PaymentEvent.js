@@ -0,0 +1,141 @@
+const mongoose = require("mongoose");
+
+// Log of payment gateway webhooks. Each event is stored once per gateway,
+// transaction reference, event type and fingerprint, which is what makes
+// redelivered webhooks safe to acknowledge without processing them again.
+const paymentEventSchema = new mongoose.Schema(
+  {
+    gateway: {
+      type: String,
+      enum: ["monnify", "paystack", "flutterwave", "fake"],
+      required: true,
+    },
+    // The gateway's own reference for the transaction
+    transactionReference: {
+      type: String,
+      required: [true, "Transaction reference is required"],
+      trim: true,
+    },
+    // Our reference, given to the gateway when the payment was started
+    paymentReference: {
+      type: String,
+      trim: true,
+    },
+    eventType: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Distinguishes events of the same type that carry news, e.g. a second
+    // transfer towards a partially paid transaction
+    fingerprint: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      // ignored: verified, but there was nothing to do (e.g. no matching
+      // donation, or the donation was already in that state)
+      enum: ["processing", "processed", "ignored", "failed"],
+      default: "processing",
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    // What re-verifying the transaction with the gateway returned
+    verification: {
+      paymentStatus: { type: String, trim: true },
+      amountPaid: { type: Number },
+      paidOn: { type: Date },
+    },
+    donationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Donation",
+    },
+    // The state change the event caused, e.g. "pending -> completed"
+    outcome: {
+      type: String,
+      trim: true,
+    },
+    error: {
+      type: String,
+      trim: true,
+    },
+    deliveries: {
+      type: Number,
+      default: 1,
+    },
+    processedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+paymentEventSchema.index(
+  { gateway: 1, transactionReference: 1, eventType: 1, fingerprint: 1 },
+  { unique: true }
+);
+paymentEventSchema.index({ donationId: 1 });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+
+// Static method to claim an event for processing. Resolves to the event
+// when this delivery should process it, or to null when it was already
+// handled (or is being handled by another delivery right now). Events that
+// failed, or whose processing was cut short over staleAfterMs ago, are
+// claimed again.
+paymentEventSchema.statics.claim = async function (
+  {
+    gateway,
+    transactionReference,
+    paymentReference,
+    eventType,
+    fingerprint = "",
+    payload,
+  },
+  staleAfterMs = 10 * 60 * 1000
+) {
+  const key = { gateway, transactionReference, eventType, fingerprint };
+
+  try {
+    return await this.create({ ...key, paymentReference, payload });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const event = await this.findOneAndUpdate(
+    {
+      ...key,
+      $or: [
+        { status: "failed" },
+        {
+          status: "processing",
+          updatedAt: { $lte: new Date(Date.now() - staleAfterMs) },
+        },
+      ],
+    },
+    {
+      $set: { status: "processing", payload },
+      $unset: { error: 1 },
+      $inc: { deliveries: 1 },
+    },
+    { new: true }
+  );
+
+  // Count redeliveries of events that need no more work
+  if (!event) await this.updateOne(key, { $inc: { deliveries: 1 } });
+  return event;
+};
+
+// Instance method to record how processing went
+paymentEventSchema.methods.finish = function (status, details = {}) {
+  this.status = status;
+  this.processedAt = new Date();
+  Object.assign(this, details);
+  return this.save();
+};
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
@@ -0,0 +1,444 @@
+const mongoose = require("mongoose");
+const RecurringDonation = require("./RecurringDonation");
+
+const FREQUENCIES = ["one-time", ...RecurringDonation.FREQUENCIES];
+
+// Round to the smallest currency unit
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Split a pledge into `installments` equal payments due on the schedule's
+// dates, the last one taking any rounding difference
+const buildSchedule = (amount, frequency, startDate, installments) => {
+  if (frequency === "one-time") return [{ dueDate: startDate, amount }];
+
+  const share = roundAmount(amount / installments);
+  return Array.from({ length: installments }, (_, index) => ({
+    dueDate: RecurringDonation.chargeDateFor(startDate, frequency, index),
+    amount:
+      index === installments - 1
+        ? roundAmount(amount - share * (installments - 1))
+        : share,
+  }));
+};
+
+const pledgeSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+      required: true,
+    },
+    // Pledges towards a campaign are fulfilled by donations to it; the rest
+    // by donations outside any campaign
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DonationCampaign",
+    },
+    donorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Member",
+    },
+    // The account that made the pledge, when the donor made it themselves
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    donorInfo: {
+      name: {
+        type: String,
+        required: [true, "Donor name is required"],
+        trim: true,
+        maxlength: [100, "Donor name cannot exceed 100 characters"],
+      },
+      email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+      phone: {
+        type: String,
+        trim: true,
+      },
+    },
+    amount: {
+      type: Number,
+      required: [true, "Pledged amount is required"],
+      min: [0.01, "Pledged amount must be greater than 0"],
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+      enum: ["NGN", "USD", "EUR", "GBP"],
+    },
+    // Only donations in this category count towards the pledge, when set
+    category: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Category cannot exceed 50 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      default: "one-time",
+    },
+    // Installments in due date order
+    schedule: [
+      {
+        dueDate: {
+          type: Date,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: [0.01, "Installment amount must be greater than 0"],
+        },
+        amountPaid: {
+          type: Number,
+          default: 0,
+        },
+      },
+    ],
+    // Due date of the first installment not yet paid in full
+    nextDueDate: {
+      type: Date,
+    },
+    amountFulfilled: {
+      type: Number,
+      default: 0,
+      min: [0, "Fulfilled amount cannot be negative"],
+    },
+    status: {
+      type: String,
+      enum: ["open", "fulfilled", "cancelled"],
+      default: "open",
+    },
+    allocations: [
+      {
+        donationId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Donation",
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        // Set when an admin applied the donation by hand
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+    ],
+    reminders: {
+      count: { type: Number, default: 0 },
+      lastSentAt: { type: Date },
+    },
+    fulfilledAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Cancellation reason cannot exceed 200 characters"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for the share of the pledge paid so far
+pledgeSchema.virtual("fulfilmentPercentage").get(function () {
+  if (!this.amount) return 0;
+  const percentage = (this.amountFulfilled / this.amount) * 100;
+  return Math.min(Math.round(percentage * 100) / 100, 100);
+});
+
+// Virtual for the amount still to be paid
+pledgeSchema.virtual("outstandingAmount").get(function () {
+  return Math.max(roundAmount(this.amount - this.amountFulfilled), 0);
+});
+
+// Virtual for the unpaid part of installments already due
+pledgeSchema.virtual("overdueAmount").get(function () {
+  if (this.status !== "open") return 0;
+
+  const now = new Date();
+  return roundAmount(
+    (this.schedule || [])
+      .filter((installment) => installment.dueDate < now)
+      .reduce(
+        (total, installment) =>
+          total + Math.max(installment.amount - installment.amountPaid, 0),
+        0
+      )
+  );
+});
+
+// Virtual for whether an installment is past due
+pledgeSchema.virtual("isOverdue").get(function () {
+  return (
+    this.status === "open" &&
+    Boolean(this.nextDueDate) &&
+    this.nextDueDate < new Date()
+  );
+});
+
+// Indexes for performance
+pledgeSchema.index({ churchId: 1, status: 1 });
+pledgeSchema.index({ campaignId: 1, status: 1 });
+pledgeSchema.index({ donorId: 1, status: 1 });
+pledgeSchema.index({ "donorInfo.email": 1, status: 1 });
+pledgeSchema.index({ status: 1, nextDueDate: 1 });
+pledgeSchema.index({ "allocations.donationId": 1 });
+
+// Pre-save middleware to keep the next due date and status current
+pledgeSchema.pre("save", function (next) {
+  const scheduled = roundAmount(
+    this.schedule.reduce((total, installment) => total + installment.amount, 0)
+  );
+  if (scheduled !== roundAmount(this.amount)) {
+    return next(new Error("Installments must add up to the pledged amount"));
+  }
+
+  const unpaid = this.schedule.find(
+    (installment) => installment.amountPaid < installment.amount
+  );
+  this.nextDueDate = unpaid ? unpaid.dueDate : undefined;
+
+  if (this.status === "open" && this.amountFulfilled >= this.amount) {
+    this.status = "fulfilled";
+    this.fulfilledAt = new Date();
+  }
+  next();
+});
+
+// Instance method to apply (part of) a donation to the pledge, paying off
+// installments in due date order
+pledgeSchema.methods.allocate = function (donation, amount, userId) {
+  const applied = roundAmount(Math.min(amount, this.outstandingAmount));
+
+  this.allocations.push({
+    donationId: donation._id,
+    amount: applied,
+    at: new Date(),
+    by: userId,
+  });
+  this.amountFulfilled = roundAmount(this.amountFulfilled + applied);
+
+  let remaining = applied;
+  this.schedule.forEach((installment) => {
+    const paid = Math.min(remaining, installment.amount - installment.amountPaid);
+    if (paid <= 0) return;
+    installment.amountPaid = roundAmount(installment.amountPaid + paid);
+    remaining = roundAmount(remaining - paid);
+  });
+
+  return applied;
+};
+
+// Instance method to take back what a donation paid towards the pledge
+// (e.g. when the payment is reversed), unpaying the latest installments
+// first. Resolves to the amount released.
+pledgeSchema.methods.release = function (donationId) {
+  const released = roundAmount(
+    this.allocations
+      .filter((allocation) => String(allocation.donationId) === String(donationId))
+      .reduce((total, allocation) => total + allocation.amount, 0)
+  );
+  if (released <= 0) return 0;
+
+  this.allocations = this.allocations.filter(
+    (allocation) => String(allocation.donationId) !== String(donationId)
+  );
+  this.amountFulfilled = Math.max(roundAmount(this.amountFulfilled - released), 0);
+
+  let remaining = released;
+  [...this.schedule].reverse().forEach((installment) => {
+    const unpaid = Math.min(remaining, installment.amountPaid);
+    if (unpaid <= 0) return;
+    installment.amountPaid = roundAmount(installment.amountPaid - unpaid);
+    remaining = roundAmount(remaining - unpaid);
+  });
+
+  if (this.status === "fulfilled" && this.amountFulfilled < this.amount) {
+    this.status = "open";
+    this.fulfilledAt = undefined;
+  }
+  return released;
+};
+
+// Instance method to cancel the pledge; donations already applied stay
+pledgeSchema.methods.cancel = function (reason) {
+  this.status = "cancelled";
+  this.cancelledAt = new Date();
+  this.cancelReason = reason;
+  return this.save();
+};
+
+// Static method to claim the next overdue pledge whose donor is due a
+// reminder, so only one worker reminds them. Donors are reminded again every
+// repeatAfterMs while the pledge stays overdue.
+pledgeSchema.statics.claimNextOverdue = function (repeatAfterMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: "open",
+      nextDueDate: { $lt: now },
+      $or: [
+        { "reminders.lastSentAt": null },
+        { "reminders.lastSentAt": { $lte: new Date(now.getTime() - repeatAfterMs) } },
+      ],
+    },
+    {
+      $set: { "reminders.lastSentAt": now },
+      $inc: { "reminders.count": 1 },
+    },
+    { new: true, sort: { nextDueDate: 1 } }
+  );
+};
+
+// Static method to total what a donation has paid towards pledges so far
+pledgeSchema.statics.allocatedAmountFor = async function (donationId) {
+  const [result] = await this.aggregate([
+    { $match: { "allocations.donationId": new mongoose.Types.ObjectId(donationId) } },
+    { $unwind: "$allocations" },
+    { $match: { "allocations.donationId": new mongoose.Types.ObjectId(donationId) } },
+    { $group: { _id: null, amount: { $sum: "$allocations.amount" } } },
+  ]);
+  return result?.amount || 0;
+};
+
+// Static method to find pledges by church
+pledgeSchema.statics.findByChurch = function (churchId, options = {}) {
+  const query = { churchId };
+
+  if (options.status === "overdue") {
+    query.status = "open";
+    query.nextDueDate = { $lt: new Date() };
+  } else if (options.status) {
+    query.status = options.status;
+  }
+  if (options.campaignId) query.campaignId = options.campaignId;
+  if (options.donorId) query.donorId = options.donorId;
+
+  return this.find(query);
+};
+
+// Static method to total a church's pledges per campaign (null for pledges
+// outside any campaign). Cancelled pledges only count what was paid.
+pledgeSchema.statics.getCampaignTotals = function (churchId) {
+  const now = new Date();
+
+  return this.aggregate([
+    { $match: { churchId: new mongoose.Types.ObjectId(churchId) } },
+    {
+      $group: {
+        _id: { campaignId: "$campaignId", currency: "$currency" },
+        pledges: {
+          $sum: { $cond: [{ $eq: ["$status", "cancelled"] }, 0, 1] },
+        },
+        pledgedAmount: {
+          $sum: {
+            $cond: [
+              { $eq: ["$status", "cancelled"] },
+              "$amountFulfilled",
+              "$amount",
+            ],
+          },
+        },
+        fulfilledAmount: { $sum: "$amountFulfilled" },
+        overduePledges: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ["$status", "open"] },
+                  { $lt: ["$nextDueDate", now] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+};
+
+// Static method to total what a church was still owed on its pledges at a
+// date, per currency: pledges made by then and not yet cancelled, less the
+// donations applied to them by then
+pledgeSchema.statics.getOutstandingAt = function (churchId, asOf = new Date()) {
+  const date = new Date(asOf);
+
+  return this.aggregate([
+    {
+      $match: {
+        churchId: new mongoose.Types.ObjectId(churchId),
+        createdAt: { $lte: date },
+        $or: [{ status: { $ne: "cancelled" } }, { cancelledAt: { $gt: date } }],
+      },
+    },
+    {
+      $project: {
+        currency: 1,
+        outstanding: {
+          $subtract: [
+            "$amount",
+            {
+              $sum: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: "$allocations",
+                      cond: { $lte: ["$$this.at", date] },
+                    },
+                  },
+                  in: "$$this.amount",
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+    { $match: { outstanding: { $gt: 0 } } },
+    {
+      $group: {
+        _id: "$currency",
+        amount: { $sum: "$outstanding" },
+        pledges: { $sum: 1 },
+      },
+    },
+    { $project: { _id: 0, currency: "$_id", amount: 1, pledges: 1 } },
+  ]);
+};
+
+pledgeSchema.statics.FREQUENCIES = FREQUENCIES;
+pledgeSchema.statics.buildSchedule = buildSchedule;
+
+module.exports = mongoose.model("Pledge", pledgeSchema);
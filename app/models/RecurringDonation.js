@@ -0,0 +1,377 @@
+const mongoose = require("mongoose");
+
+const FREQUENCIES = ["weekly", "monthly", "quarterly", "yearly"];
+const MONTHS_PER_CYCLE = { monthly: 1, quarterly: 3, yearly: 12 };
+
+// Date of the `cycle`th charge counted from `startDate` (cycle 0). Monthly
+// plans keep their day of the month, falling back to the month's last day
+// (a plan started on the 31st charges on 28/29 February).
+const chargeDateFor = (startDate, frequency, cycle) => {
+  const start = new Date(startDate);
+
+  if (frequency === "weekly") {
+    return new Date(start.getTime() + cycle * 7 * 24 * 60 * 60 * 1000);
+  }
+
+  const date = new Date(start);
+  date.setDate(1);
+  date.setMonth(date.getMonth() + cycle * MONTHS_PER_CYCLE[frequency]);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(start.getDate(), lastDay));
+  return date;
+};
+
+const recurringDonationSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+      required: true,
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DonationCampaign",
+    },
+    // The account that set the plan up and may pause, resume or cancel it
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    donorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Member",
+    },
+    donorInfo: {
+      name: {
+        type: String,
+        required: [true, "Donor name is required"],
+        trim: true,
+        maxlength: [100, "Donor name cannot exceed 100 characters"],
+      },
+      email: {
+        type: String,
+        required: [true, "Donor email is required"],
+        trim: true,
+        lowercase: true,
+      },
+      phone: {
+        type: String,
+        trim: true,
+      },
+      isAnonymous: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    amount: {
+      type: Number,
+      required: [true, "Donation amount is required"],
+      min: [0.01, "Donation amount must be greater than 0"],
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+      enum: ["NGN", "USD", "EUR", "GBP"],
+    },
+    category: {
+      type: String,
+      required: [true, "Donation category is required"],
+      trim: true,
+      maxlength: [50, "Category cannot exceed 50 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    frequency: {
+      type: String,
+      enum: FREQUENCIES,
+      required: [true, "Recurring frequency is required"],
+    },
+    startDate: {
+      type: Date,
+      required: true,
+    },
+    endDate: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      // pending: waiting for the first payment to save the donor's card
+      // suspended: every retry of a charge failed
+      enum: ["pending", "active", "paused", "suspended", "cancelled", "completed"],
+      default: "pending",
+    },
+    // Charges made so far; the next one is charge number `cycle`
+    cycle: {
+      type: Number,
+      default: 0,
+    },
+    nextChargeDate: {
+      type: Date,
+    },
+    // When the scheduler should next try to charge: the charge date, or a
+    // retry after a failed attempt
+    nextAttemptAt: {
+      type: Date,
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+      trim: true,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    // Gateway the card was saved with; charges always go through it
+    gateway: {
+      type: String,
+      enum: ["monnify", "paystack", "flutterwave", "fake"],
+      default: "monnify",
+    },
+    // Saved card; the token is never returned by the API
+    card: {
+      token: {
+        type: String,
+        select: false,
+      },
+      cardType: {
+        type: String,
+        trim: true,
+      },
+      last4: {
+        type: String,
+        trim: true,
+      },
+      expMonth: {
+        type: String,
+        trim: true,
+      },
+      expYear: {
+        type: String,
+        trim: true,
+      },
+      authorizedAt: {
+        type: Date,
+      },
+    },
+    totals: {
+      charged: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    lastChargedAt: {
+      type: Date,
+    },
+    history: [
+      {
+        event: {
+          type: String,
+          enum: [
+            "created",
+            "authorized",
+            "charged",
+            "charge-failed",
+            "suspended",
+            "paused",
+            "resumed",
+            "cancelled",
+            "completed",
+          ],
+          required: true,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        donationId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Donation",
+        },
+        note: {
+          type: String,
+          trim: true,
+          maxlength: 500,
+        },
+      },
+    ],
+    cancelledAt: {
+      type: Date,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Cancellation reason cannot exceed 200 characters"],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for whether the donor can still change the plan
+recurringDonationSchema.virtual("isOpen").get(function () {
+  return !["cancelled", "completed"].includes(this.status);
+});
+
+// Indexes for performance
+recurringDonationSchema.index({ status: 1, nextAttemptAt: 1 });
+recurringDonationSchema.index({ churchId: 1, status: 1 });
+recurringDonationSchema.index({ userId: 1, createdAt: -1 });
+
+// Instance method to add a history entry
+recurringDonationSchema.methods.addHistory = function (event, details = {}) {
+  this.history.push({ event, at: new Date(), ...details });
+};
+
+// Instance method to point the plan at its next charge, or complete it
+// when that would fall after the end date
+recurringDonationSchema.methods.scheduleNextCharge = function () {
+  const next = chargeDateFor(this.startDate, this.frequency, this.cycle);
+
+  if (this.endDate && next > this.endDate) {
+    this.status = "completed";
+    this.nextChargeDate = undefined;
+    this.nextAttemptAt = undefined;
+    this.addHistory("completed");
+    return;
+  }
+
+  this.nextChargeDate = next;
+  this.nextAttemptAt = next;
+};
+
+// Instance method to record a successful charge and schedule the next one
+recurringDonationSchema.methods.recordCharge = function (donation) {
+  this.cycle += 1;
+  this.failedAttempts = 0;
+  this.lastError = undefined;
+  this.lockedAt = undefined;
+  this.lastChargedAt = new Date();
+  this.totals.charged += 1;
+  this.totals.amount += donation.amount;
+  this.addHistory("charged", { donationId: donation._id });
+
+  // Plans are scheduled from the day the donor's first payment went through
+  if (this.status === "pending") this.startDate = this.lastChargedAt;
+  if (this.status === "pending" || this.status === "suspended") {
+    this.status = "active";
+  }
+  this.scheduleNextCharge();
+};
+
+// Instance method to record a failed charge. Retries after `retryDelayMs`,
+// doubling each time, and suspends the plan after `maxRetries` retries.
+recurringDonationSchema.methods.recordFailedCharge = function (
+  donation,
+  errorMessage,
+  { maxRetries, retryDelayMs }
+) {
+  this.failedAttempts += 1;
+  this.lastError = errorMessage;
+  this.lockedAt = undefined;
+  this.totals.failed += 1;
+  this.addHistory("charge-failed", {
+    donationId: donation?._id,
+    note: errorMessage,
+  });
+
+  if (this.failedAttempts > maxRetries) {
+    this.status = "suspended";
+    this.nextAttemptAt = undefined;
+    this.addHistory("suspended", {
+      note: `Giving up after ${this.failedAttempts} attempts`,
+    });
+    return;
+  }
+
+  this.nextAttemptAt = new Date(
+    Date.now() + retryDelayMs * 2 ** (this.failedAttempts - 1)
+  );
+};
+
+// Instance method to pause the plan; no charges are made while paused
+recurringDonationSchema.methods.pause = function (userId) {
+  this.status = "paused";
+  this.nextAttemptAt = undefined;
+  this.addHistory("paused", { by: userId });
+  return this.save();
+};
+
+// Instance method to resume a paused or suspended plan. Charges missed
+// while paused are skipped rather than collected all at once; a suspended
+// plan retries its outstanding charge straight away.
+recurringDonationSchema.methods.resume = function (userId) {
+  const now = new Date();
+  this.failedAttempts = 0;
+
+  if (this.status === "suspended") {
+    this.nextAttemptAt = now;
+  } else {
+    while (chargeDateFor(this.startDate, this.frequency, this.cycle) < now) {
+      this.cycle += 1;
+    }
+  }
+
+  this.status = "active";
+  this.addHistory("resumed", { by: userId });
+  if (!this.nextAttemptAt) this.scheduleNextCharge();
+  return this.save();
+};
+
+// Instance method to cancel the plan for good
+recurringDonationSchema.methods.cancel = function (userId, reason) {
+  this.status = "cancelled";
+  this.nextAttemptAt = undefined;
+  this.cancelledAt = new Date();
+  this.cancelReason = reason;
+  this.addHistory("cancelled", { by: userId, note: reason });
+  return this.save();
+};
+
+// Static method to claim the next plan due for a charge so only one worker
+// charges it. Claims older than staleAfterMs are taken over.
+recurringDonationSchema.statics.claimNextDue = function (
+  staleAfterMs = 10 * 60 * 1000
+) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: "active",
+      nextAttemptAt: { $lte: now },
+      $or: [
+        { lockedAt: null },
+        { lockedAt: { $lte: new Date(now.getTime() - staleAfterMs) } },
+      ],
+    },
+    { $set: { lockedAt: now } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  ).select("+card.token");
+};
+
+// Static method to find plans by church
+recurringDonationSchema.statics.findByChurch = function (churchId, options = {}) {
+  const query = { churchId };
+
+  if (options.status) query.status = options.status;
+  if (options.campaignId) query.campaignId = options.campaignId;
+
+  return this.find(query);
+};
+
+recurringDonationSchema.statics.FREQUENCIES = FREQUENCIES;
+recurringDonationSchema.statics.chargeDateFor = chargeDateFor;
+
+module.exports = mongoose.model("RecurringDonation", recurringDonationSchema);
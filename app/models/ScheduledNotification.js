@@ -0,0 +1,279 @@
+const mongoose = require("mongoose");
+
+const scheduledNotificationSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+      required: [true, "Church ID is required"],
+    },
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+      trim: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Notification title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    message: {
+      type: String,
+      required: [true, "Notification message is required"],
+      trim: true,
+      maxlength: [1000, "Message cannot exceed 1000 characters"],
+    },
+    priority: {
+      type: String,
+      enum: ["low", "normal", "high", "urgent"],
+      default: "normal",
+    },
+    recipients: [
+      {
+        type: String,
+        enum: ["all", "members", "volunteers", "admins", "specific"],
+      },
+    ],
+    specificUserIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    channels: [
+      {
+        type: String,
+        enum: ["email", "push", "sms", "in-app"],
+      },
+    ],
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    scheduledAt: {
+      type: Date,
+      required: [true, "Scheduled date is required"],
+    },
+    status: {
+      type: String,
+      enum: ["scheduled", "processing", "sent", "failed", "cancelled"],
+      default: "scheduled",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: [0, "Attempts cannot be negative"],
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: [1, "Max attempts must be at least 1"],
+    },
+    nextAttemptAt: {
+      type: Date,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+      trim: true,
+    },
+    // Channels already delivered, so a retry does not notify recipients twice
+    completedChannels: [
+      {
+        type: String,
+        enum: ["email", "push", "sms", "in-app"],
+      },
+    ],
+    notificationIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Notification",
+      },
+    ],
+    sentAt: {
+      type: Date,
+    },
+    history: [
+      {
+        status: {
+          type: String,
+          enum: [
+            "scheduled",
+            "updated",
+            "processing",
+            "retrying",
+            "sent",
+            "failed",
+            "cancelled",
+          ],
+          required: true,
+        },
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+        note: {
+          type: String,
+          trim: true,
+          maxlength: [500, "History note cannot exceed 500 characters"],
+        },
+        by: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for whether the notification can still be changed
+scheduledNotificationSchema.virtual("isEditable").get(function () {
+  return this.status === "scheduled";
+});
+
+// Indexes for performance
+scheduledNotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+scheduledNotificationSchema.index({ churchId: 1, scheduledAt: -1 });
+scheduledNotificationSchema.index({ createdBy: 1 });
+
+// Pre-save middleware to keep the dispatch time in step with scheduledAt
+scheduledNotificationSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("scheduledAt")) {
+    if (this.status === "scheduled") {
+      this.nextAttemptAt = this.scheduledAt;
+    }
+  }
+  next();
+});
+
+// Instance method to add a status history entry
+scheduledNotificationSchema.methods.addHistory = function (
+  status,
+  note = null,
+  by = null
+) {
+  this.history.push({
+    status,
+    at: new Date(),
+    note: note || undefined,
+    by: by || undefined,
+  });
+};
+
+// Instance method to cancel
+scheduledNotificationSchema.methods.cancel = function (cancelledBy, reason) {
+  this.status = "cancelled";
+  this.cancelledBy = cancelledBy;
+  this.cancelledAt = new Date();
+  this.nextAttemptAt = undefined;
+  this.addHistory("cancelled", reason, cancelledBy);
+  return this.save();
+};
+
+// Instance method to record a successful dispatch
+scheduledNotificationSchema.methods.markAsSent = function () {
+  this.status = "sent";
+  this.sentAt = new Date();
+  this.lockedAt = undefined;
+  this.nextAttemptAt = undefined;
+  this.lastError = undefined;
+  this.addHistory("sent", `Delivered on attempt ${this.attempts}`);
+  return this.save();
+};
+
+// Instance method to record a failed dispatch and schedule a retry with
+// exponential backoff until maxAttempts is reached
+scheduledNotificationSchema.methods.markAttemptFailed = function (
+  errorMessage,
+  baseDelayMs = 60 * 1000
+) {
+  this.lastError = errorMessage;
+  this.lockedAt = undefined;
+
+  if (this.attempts >= this.maxAttempts) {
+    this.status = "failed";
+    this.nextAttemptAt = undefined;
+    this.addHistory(
+      "failed",
+      `Giving up after ${this.attempts} attempts: ${errorMessage}`
+    );
+  } else {
+    const delay = baseDelayMs * 2 ** (this.attempts - 1);
+    this.status = "scheduled";
+    this.nextAttemptAt = new Date(Date.now() + delay);
+    this.addHistory(
+      "retrying",
+      `Attempt ${this.attempts} failed: ${errorMessage}`
+    );
+  }
+
+  return this.save();
+};
+
+// Static method to atomically claim the next due notification.
+// Entries stuck in processing longer than staleAfterMs are reclaimed.
+scheduledNotificationSchema.statics.claimNextDue = function (
+  staleAfterMs = 10 * 60 * 1000
+) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: "scheduled", nextAttemptAt: { $lte: now } },
+        {
+          status: "processing",
+          lockedAt: { $lte: new Date(now.getTime() - staleAfterMs) },
+        },
+      ],
+    },
+    {
+      $set: { status: "processing", lockedAt: now },
+      $inc: { attempts: 1 },
+      $push: { history: { status: "processing", at: now } },
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Static method to find scheduled notifications by church
+scheduledNotificationSchema.statics.findByChurch = function (
+  churchId,
+  options = {}
+) {
+  const query = { churchId };
+
+  if (options.status) query.status = options.status;
+  if (options.startDate || options.endDate) {
+    query.scheduledAt = {};
+    if (options.startDate) query.scheduledAt.$gte = new Date(options.startDate);
+    if (options.endDate) query.scheduledAt.$lte = new Date(options.endDate);
+  }
+
+  return this.find(query);
+};
+
+module.exports = mongoose.model(
+  "ScheduledNotification",
+  scheduledNotificationSchema
+);
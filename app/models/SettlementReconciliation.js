@@ -0,0 +1,162 @@
+const mongoose = require("mongoose");
+
+// How a settlement report line compares with the church's donations
+const LINE_RESULTS = [
+  "matched",
+  "fee-deducted",
+  "amount-mismatch",
+  "duplicate",
+  "missing",
+];
+
+const settlementReconciliationSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+      required: true,
+    },
+    gateway: {
+      type: String,
+      enum: ["monnify", "paystack", "flutterwave", "fake"],
+      default: "monnify",
+    },
+    // The gateway's settlement batch; reports without one are kept under
+    // the uploader's reference or "unbatched"
+    settlementReference: {
+      type: String,
+      required: [true, "Settlement reference is required"],
+      trim: true,
+    },
+    settlementDate: {
+      type: Date,
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    format: {
+      type: String,
+      enum: ["csv", "xlsx", "json"],
+    },
+    summary: {
+      lines: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      feeDeducted: { type: Number, default: 0 },
+      amountMismatch: { type: Number, default: 0 },
+      duplicate: { type: Number, default: 0 },
+      missing: { type: Number, default: 0 },
+      // Completed donations from the report's period the gateway left out
+      unsettled: { type: Number, default: 0 },
+      // What donors paid, the gateway's fees and what reached the bank
+      grossAmount: { type: Number, default: 0 },
+      feeAmount: { type: Number, default: 0 },
+      settledAmount: { type: Number, default: 0 },
+      // What the matched donations say was received
+      donationAmount: { type: Number, default: 0 },
+    },
+    lines: [
+      {
+        rowNumber: Number,
+        transactionReference: { type: String, trim: true },
+        paymentReference: { type: String, trim: true },
+        amount: Number,
+        fee: Number,
+        settledAmount: Number,
+        paymentStatus: { type: String, trim: true },
+        transactionDate: Date,
+        donationId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Donation",
+        },
+        donationAmount: Number,
+        result: {
+          type: String,
+          enum: LINE_RESULTS,
+          required: true,
+        },
+        note: { type: String, trim: true, maxlength: 500 },
+      },
+    ],
+    // Completed donations through this gateway, from the days the report
+    // covers, that don't appear in it
+    unsettledDonations: [
+      {
+        donationId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Donation",
+        },
+        transactionReference: { type: String, trim: true },
+        amount: Number,
+        completedAt: Date,
+      },
+    ],
+    // Uploading a batch's report again reconciles it afresh
+    reconciledAt: {
+      type: Date,
+      default: Date.now,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for whether every line matched a donation (fees aside)
+settlementReconciliationSchema.virtual("isBalanced").get(function () {
+  const { amountMismatch, duplicate, missing, unsettled } = this.summary || {};
+  return !amountMismatch && !duplicate && !missing && !unsettled;
+});
+
+// Indexes for performance
+settlementReconciliationSchema.index(
+  { churchId: 1, gateway: 1, settlementReference: 1 },
+  { unique: true }
+);
+settlementReconciliationSchema.index({ churchId: 1, createdAt: -1 });
+settlementReconciliationSchema.index({ "lines.donationId": 1 });
+
+// Static method to find the donations other batches already settled
+settlementReconciliationSchema.statics.settledElsewhere = async function (
+  reconciliation,
+  donationIds
+) {
+  if (donationIds.length === 0) return new Map();
+
+  const batches = await this.find({
+    _id: { $ne: reconciliation._id },
+    churchId: reconciliation.churchId,
+    "lines.donationId": { $in: donationIds },
+  }).select("settlementReference lines.donationId lines.result");
+
+  const settled = new Map();
+  batches.forEach((batch) => {
+    batch.lines.forEach((line) => {
+      if (
+        line.donationId &&
+        ["matched", "fee-deducted"].includes(line.result)
+      ) {
+        settled.set(String(line.donationId), batch.settlementReference);
+      }
+    });
+  });
+  return settled;
+};
+
+settlementReconciliationSchema.statics.LINE_RESULTS = LINE_RESULTS;
+
+module.exports = mongoose.model(
+  "SettlementReconciliation",
+  settlementReconciliationSchema
+);
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+const statementBatchSchema = new mongoose.Schema(
+  {
+    churchId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Church",
+      required: true,
+    },
+    year: {
+      type: Number,
+      required: [true, "Statement year is required"],
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed", "failed"],
+      default: "processing",
+    },
+    totals: {
+      donors: { type: Number, default: 0 },
+      sent: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    // Donors whose statement wasn't delivered, capped like import row errors
+    issues: [
+      {
+        donorName: { type: String, trim: true },
+        email: { type: String, trim: true },
+        memberId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Member",
+        },
+        status: {
+          type: String,
+          enum: ["skipped", "failed"],
+          required: true,
+        },
+        reason: { type: String, trim: true, maxlength: 500 },
+      },
+    ],
+    error: {
+      type: String,
+      trim: true,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    completedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Maximum number of undelivered donors kept on a batch
+const MAX_ISSUES = 500;
+
+// Indexes for performance
+statementBatchSchema.index({ churchId: 1, createdAt: -1 });
+statementBatchSchema.index({ churchId: 1, year: 1, status: 1 });
+
+// Instance method to record a donor whose statement wasn't delivered
+statementBatchSchema.methods.addIssue = function (donor, status, reason) {
+  this.totals[status] += 1;
+  if (this.issues.length < MAX_ISSUES) {
+    this.issues.push({
+      donorName: donor.name,
+      email: donor.email,
+      memberId: donor.id,
+      status,
+      reason,
+    });
+  }
+};
+
+module.exports = mongoose.model("StatementBatch", statementBatchSchema);
@@ -84,8 +84,30 @@ const userSchema = new mongoose.Schema(
         email: { type: Boolean, default: true },
         push: { type: Boolean, default: true },
         sms: { type: Boolean, default: false },
+        categories: {
+          finance: { type: Boolean, default: true },
+          volunteerSchedule: { type: Boolean, default: true },
+          campaigns: { type: Boolean, default: true },
+          announcements: { type: Boolean, default: true },
+        },
+        // Push and SMS are held back between start and end (HH:mm, local time)
+        quietHours: {
+          enabled: { type: Boolean, default: false },
+          start: { type: String, default: "22:00" },
+          end: { type: String, default: "07:00" },
+        },
+        // Summary email for church admins
+        digest: {
+          frequency: {
+            type: String,
+            enum: ["off", "daily", "weekly"],
+            default: "off",
+          },
+          lastSentAt: { type: Date },
+        },
       },
-      language: { type: String, default: "en" },
+      // Unset until the user picks one, so the church's language applies
+      language: { type: String },
       timezone: { type: String, default: "Africa/Lagos" },
     },
   },
@@ -203,6 +203,34 @@ router.put(
       .optional()
       .isBoolean()
       .withMessage("SMS notifications must be a boolean"),
+    body("notifications.categories.finance")
+      .optional()
+      .isBoolean()
+      .withMessage("Finance notifications must be a boolean"),
+    body("notifications.categories.volunteerSchedule")
+      .optional()
+      .isBoolean()
+      .withMessage("Volunteer schedule notifications must be a boolean"),
+    body("notifications.categories.campaigns")
+      .optional()
+      .isBoolean()
+      .withMessage("Campaign notifications must be a boolean"),
+    body("notifications.categories.announcements")
+      .optional()
+      .isBoolean()
+      .withMessage("Announcement notifications must be a boolean"),
+    body("notifications.quietHours.enabled")
+      .optional()
+      .isBoolean()
+      .withMessage("Quiet hours enabled must be a boolean"),
+    body(["notifications.quietHours.start", "notifications.quietHours.end"])
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage("Quiet hours must use the HH:mm format"),
+    body("notifications.digest.frequency")
+      .optional()
+      .isIn(["off", "daily", "weekly"])
+      .withMessage("Digest frequency must be off, daily or weekly"),
     body("language")
       .optional()
       .isIn(["en", "yo", "ig", "ha"])
@@ -1,5 +1,5 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
 const router = express.Router();
 
 const campaignController = require("../controllers/campaignController");
@@ -15,6 +15,7 @@ const {
   validateObjectId,
   validateAmount,
 } = require("../middleware/validation");
+const { uploadImageFile } = require("../middleware/upload");
 const { canCreateCampaign } = require("../middleware/subscription");
 const DonationCampaign = require("../models/DonationCampaign");
 
@@ -265,23 +266,8 @@ router.post(
   [
     protect,
     validateObjectId("id"),
-    checkResourceAccess(DonationCampaign),
+    uploadImageFile,
     sanitizeInput,
-    body("filename")
-      .trim()
-      .isLength({ min: 1, max: 200 })
-      .withMessage("Filename is required and cannot exceed 200 characters"),
-    body("originalName")
-      .trim()
-      .isLength({ min: 1, max: 200 })
-      .withMessage(
-        "Original filename is required and cannot exceed 200 characters"
-      ),
-    body("mimetype").trim().notEmpty().withMessage("File mimetype is required"),
-    body("size")
-      .isInt({ min: 1 })
-      .withMessage("File size must be a positive number"),
-    body("url").trim().isURL().withMessage("Valid file URL is required"),
     body("isPrimary")
       .optional()
       .isBoolean()
@@ -296,12 +282,12 @@ router.post(
   campaignController.addImage
 );
 
-// @route   DELETE /api/campaigns/:id/images/:filename
+// @route   DELETE /api/campaigns/:id/images/:imageId
 // @desc    Remove image from campaign
 // @access  Private (Church Admin)
 router.delete(
-  "/:id/images/:filename",
-  [protect, validateObjectId("id"), checkResourceAccess(DonationCampaign)],
+  "/:id/images/:imageId",
+  [protect, validateObjectId("id")],
   campaignController.removeImage
 );
 
@@ -310,7 +296,7 @@ router.delete(
 // @access  Private (Church Admin)
 router.post(
   "/:id/images/:filename/primary",
-  [protect, validateObjectId("id"), checkResourceAccess(DonationCampaign)],
+  [protect, validateObjectId("id")],
   campaignController.setPrimaryImage
 );
 
@@ -637,12 +623,50 @@ router.get(
 );
 
 // @route   GET /api/campaigns/export/church/:churchId
-// @desc    Export campaigns to CSV/Excel
+// @desc    Export campaigns to CSV/Excel/JSON
 // @access  Private (Church Members)
 router.get(
   "/export/church/:churchId",
-  [protect, checkChurchAccess],
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("format")
+      .optional()
+      .isIn(["csv", "xlsx", "json"])
+      .withMessage("Format must be csv, xlsx or json"),
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+    query("status")
+      .optional()
+      .isIn(["draft", "active", "paused", "completed", "cancelled"])
+      .withMessage("Invalid campaign status specified"),
+    handleValidationErrors,
+  ],
   campaignController.exportCampaigns
 );
 
+// @route   GET /api/campaigns/:id/export
+// @desc    Export a campaign with its donations to CSV/Excel/JSON
+// @access  Private (Church Admin)
+router.get(
+  "/:id/export",
+  [
+    protect,
+    validateObjectId("id"),
+    query("format")
+      .optional()
+      .isIn(["csv", "xlsx", "json"])
+      .withMessage("Format must be csv, xlsx or json"),
+    handleValidationErrors,
+  ],
+  campaignController.exportCampaign
+);
+
 module.exports = router;
@@ -9,7 +9,9 @@ const {
   sanitizeInput,
   validateObjectId,
 } = require("../middleware/validation");
+const { uploadImageFile } = require("../middleware/upload");
 const { canCreateChurch } = require("../middleware/subscription");
+const { availableGateways } = require("../../config/paymentGateways");
 
 // @route   POST /api/churches
 // @desc    Create a new church
@@ -352,6 +354,22 @@ router.put(
       .optional()
       .isBoolean()
       .withMessage("SMS notifications must be a boolean"),
+    body("notifications.categories.finance")
+      .optional()
+      .isBoolean()
+      .withMessage("Finance notifications must be a boolean"),
+    body("notifications.categories.volunteerSchedule")
+      .optional()
+      .isBoolean()
+      .withMessage("Volunteer schedule notifications must be a boolean"),
+    body("notifications.categories.campaigns")
+      .optional()
+      .isBoolean()
+      .withMessage("Campaign notifications must be a boolean"),
+    body("notifications.categories.announcements")
+      .optional()
+      .isBoolean()
+      .withMessage("Announcement notifications must be a boolean"),
     body("privacy.publicDirectory")
       .optional()
       .isBoolean()
@@ -364,6 +382,10 @@ router.put(
       .optional()
       .isBoolean()
       .withMessage("Show attendance setting must be a boolean"),
+    body("sms.senderId")
+      .optional()
+      .matches(/^[A-Za-z0-9 ]{3,11}$/)
+      .withMessage("Sender ID must be 3 to 11 letters or digits"),
     handleValidationErrors,
   ],
   churchController.updateSettings
@@ -393,6 +415,10 @@ router.put(
       .trim()
       .isLength({ max: 100 })
       .withMessage("Monnify contract code cannot exceed 100 characters"),
+    body("paymentGateway")
+      .optional()
+      .isIn(availableGateways())
+      .withMessage("Unsupported payment gateway"),
     handleValidationErrors,
   ],
   churchController.updateFinancialInfo
@@ -466,7 +492,7 @@ router.get(
 // @access  Private (Church Admin)
 router.post(
   "/:id/upload-logo",
-  [protect, checkChurchAccess],
+  [protect, validateObjectId("id"), uploadImageFile],
   churchController.uploadLogo
 );
 
@@ -475,7 +501,7 @@ router.post(
 // @access  Private (Church Admin)
 router.post(
   "/:id/upload-banner",
-  [protect, checkChurchAccess],
+  [protect, validateObjectId("id"), uploadImageFile],
   churchController.uploadBanner
 );
 
@@ -484,7 +510,7 @@ router.post(
 // @access  Private (Church Admin)
 router.delete(
   "/:id/logo",
-  [protect, checkChurchAccess],
+  [protect, validateObjectId("id")],
   churchController.removeLogo
 );
 
@@ -493,7 +519,7 @@ router.delete(
 // @access  Private (Church Admin)
 router.delete(
   "/:id/banner",
-  [protect, checkChurchAccess],
+  [protect, validateObjectId("id")],
   churchController.removeBanner
 );
 
@@ -0,0 +1,180 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const router = express.Router();
+
+const countingSessionController = require("../controllers/countingSessionController");
+const { protect, checkChurchAccess } = require("../middleware/auth");
+const {
+  handleValidationErrors,
+  sanitizeInput,
+  validateObjectId,
+} = require("../middleware/validation");
+
+const SESSION_STATUSES = ["open", "reconciled", "posting", "posted", "cancelled"];
+
+// @route   POST /api/counting-sessions/church/:churchId
+// @desc    Open a counting session for a service's offering
+// @access  Private (Church Admin)
+router.post(
+  "/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    sanitizeInput,
+    body("serviceId").isMongoId().withMessage("Valid service ID is required"),
+    body("serviceDate").isISO8601().withMessage("Valid service date is required"),
+    body("counters")
+      .isArray({ min: 2, max: 2 })
+      .withMessage("Two counters are required"),
+    body("counters.*").isMongoId().withMessage("Valid counter user ID is required"),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Notes cannot exceed 500 characters"),
+    handleValidationErrors,
+  ],
+  countingSessionController.openCountingSession
+);
+
+// @route   GET /api/counting-sessions/church/:churchId
+// @desc    Get a church's counting sessions
+// @access  Private (Church Admin, or the session's counters)
+router.get(
+  "/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("status")
+      .optional()
+      .isIn(SESSION_STATUSES)
+      .withMessage("Invalid session status"),
+    query("serviceId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid service ID is required"),
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+    handleValidationErrors,
+  ],
+  countingSessionController.getCountingSessions
+);
+
+// @route   GET /api/counting-sessions/:id
+// @desc    Get a counting session
+// @access  Private (Church Admin, or the session's counters)
+router.get(
+  "/:id",
+  [protect, validateObjectId("id")],
+  countingSessionController.getCountingSession
+);
+
+// @route   PUT /api/counting-sessions/:id/count
+// @desc    Submit a counter's count of the offering
+// @access  Private (the session's counters)
+router.put(
+  "/:id/count",
+  [
+    protect,
+    validateObjectId("id"),
+    sanitizeInput,
+    body("collections")
+      .optional()
+      .isArray()
+      .withMessage("Collections must be an array"),
+    body("collections.*.category")
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Collection category must be between 2 and 50 characters"),
+    body("collections.*.denominations")
+      .isArray()
+      .withMessage("Collection denominations must be an array"),
+    body("collections.*.denominations.*.value")
+      .isFloat({ gt: 0 })
+      .withMessage("Denomination value must be greater than 0"),
+    body("collections.*.denominations.*.quantity")
+      .isInt({ min: 0 })
+      .withMessage("Denomination quantity must be a whole number"),
+    body("envelopes")
+      .optional()
+      .isArray()
+      .withMessage("Envelopes must be an array"),
+    body("envelopes.*.number")
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage("Envelope number must be between 1 and 30 characters"),
+    body("envelopes.*.category")
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Envelope category must be between 2 and 50 characters"),
+    body("envelopes.*.amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Envelope amount must be greater than 0"),
+    body("envelopes.*.donorName")
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("Donor name cannot exceed 100 characters"),
+    body("envelopes.*.memberId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid member ID is required"),
+    handleValidationErrors,
+  ],
+  countingSessionController.submitCount
+);
+
+// @route   POST /api/counting-sessions/:id/reconcile
+// @desc    Compare the two counts of a counting session
+// @access  Private (Church Admin)
+router.post(
+  "/:id/reconcile",
+  [protect, validateObjectId("id")],
+  countingSessionController.reconcileCountingSession
+);
+
+// @route   POST /api/counting-sessions/:id/post
+// @desc    Post a reconciled counting session as donations or financial records
+// @access  Private (Church Admin)
+router.post(
+  "/:id/post",
+  [
+    protect,
+    validateObjectId("id"),
+    body("postAs")
+      .optional()
+      .isIn(["donations", "records"])
+      .withMessage("postAs must be donations or records"),
+    handleValidationErrors,
+  ],
+  countingSessionController.postSession
+);
+
+// @route   POST /api/counting-sessions/:id/cancel
+// @desc    Cancel a counting session that hasn't been posted
+// @access  Private (Church Admin)
+router.post(
+  "/:id/cancel",
+  [
+    protect,
+    validateObjectId("id"),
+    sanitizeInput,
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+    handleValidationErrors,
+  ],
+  countingSessionController.cancelCountingSession
+);
+
+module.exports = router;
@@ -1,12 +1,33 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const router = express.Router();
 
 const donationController = require('../controllers/donationController');
 const { protect, authorize, checkChurchAccess, checkResourceAccess } = require('../middleware/auth');
 const { handleValidationErrors, sanitizeInput, validateObjectId, validateAmount } = require('../middleware/validation');
+const { uploadImportFile } = require('../middleware/upload');
 const Donation = require('../models/Donation');
 
+// Line items of a donation split across categories and campaigns, which
+// must add up to its amount
+const validateLineItems = [
+  body('lineItems')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Line items must list between 1 and 20 lines'),
+  body('lineItems.*.category')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Each line item category must be between 2 and 50 characters'),
+  body('lineItems.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Each line item amount must be greater than 0'),
+  body('lineItems.*.campaignId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid campaign ID is required'),
+];
+
 // @route   POST /api/donations
 // @desc    Create a new donation (manual entry)
 // @access  Private (Church Members)
@@ -21,9 +42,11 @@ router.post('/', [
     .isMongoId()
     .withMessage('Valid donor ID is required'),
   body('category')
+    .if(body('lineItems').not().exists())
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('Category must be between 2 and 50 characters'),
+  ...validateLineItems,
   body('description')
     .optional()
     .trim()
@@ -66,9 +89,11 @@ router.post('/online', [
     .isMongoId()
     .withMessage('Valid donor ID is required'),
   body('category')
+    .if(body('lineItems').not().exists())
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('Category must be between 2 and 50 characters'),
+  ...validateLineItems,
   body('description')
     .optional()
     .trim()
@@ -102,10 +127,34 @@ router.post('/online', [
 ], donationController.initializeOnlineDonation);
 
 // @route   POST /api/donations/callback
-// @desc    Handle payment gateway callback
+// @desc    Handle payment gateway callback (Monnify)
 // @access  Public
 router.post('/callback', donationController.handlePaymentCallback);
 
+// @route   POST /api/donations/callback/:gateway
+// @desc    Handle payment gateway callback
+// @access  Public
+router.post('/callback/:gateway', donationController.handlePaymentCallback);
+
+// @route   GET /api/donations/receipts/verify
+// @desc    Verify a receipt from its QR code
+// @access  Public
+router.get('/receipts/verify', [
+  query('church')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid church ID is required'),
+  query('number')
+    .trim()
+    .notEmpty()
+    .withMessage('Receipt number is required'),
+  query('code')
+    .trim()
+    .isHexadecimal()
+    .withMessage('Verification code is required'),
+  handleValidationErrors,
+], donationController.verifyReceipt);
+
 // @route   GET /api/donations
 // @desc    Get all donations (with filtering)
 // @access  Private (Church Members)
@@ -196,16 +245,19 @@ router.post('/:id/verify', [
 router.post('/:id/generate-receipt', [
   protect,
   validateObjectId('id'),
-  checkResourceAccess(Donation),
 ], donationController.generateReceipt);
 
 // @route   GET /api/donations/:id/receipt
-// @desc    Get donation receipt
-// @access  Private (Church Members)
+// @desc    Get donation receipt as JSON or PDF
+// @access  Private (Church Admin or the donor)
 router.get('/:id/receipt', [
   protect,
   validateObjectId('id'),
-  checkResourceAccess(Donation),
+  query('format')
+    .optional()
+    .isIn(['json', 'pdf'])
+    .withMessage('Format must be json or pdf'),
+  handleValidationErrors,
 ], donationController.getReceipt);
 
 // @route   POST /api/donations/:id/tags
@@ -291,49 +343,122 @@ router.get('/by-date/church/:churchId', [
   checkChurchAccess,
 ], donationController.getDonationsByDate);
 
+// Statements cover one calendar year, up to the current one
+const statementYear = (field) => field
+  .optional()
+  .isInt({ min: 2000 })
+  .custom((value) => parseInt(value) <= new Date().getFullYear())
+  .withMessage('Year must be a valid past or current year');
+
+// @route   GET /api/donations/statements/church/:churchId
+// @desc    Get an annual giving statement as JSON or PDF
+// @access  Private (Church Members; Church Admin for other donors)
+router.get('/statements/church/:churchId', [
+  protect,
+  validateObjectId('churchId'),
+  checkChurchAccess,
+  statementYear(query('year')),
+  query('donorId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid donor ID is required'),
+  query('email')
+    .optional()
+    .isEmail()
+    .withMessage('Please provide a valid email'),
+  query('format')
+    .optional()
+    .isIn(['json', 'pdf'])
+    .withMessage('Format must be json or pdf'),
+  handleValidationErrors,
+], donationController.getGivingStatement);
+
+// @route   POST /api/donations/statements/church/:churchId/send
+// @desc    Email annual giving statements to every donor
+// @access  Private (Church Admin)
+router.post('/statements/church/:churchId/send', [
+  protect,
+  validateObjectId('churchId'),
+  checkChurchAccess,
+  statementYear(body('year')),
+  handleValidationErrors,
+], donationController.sendGivingStatements);
+
+// @route   GET /api/donations/statements/church/:churchId/batches
+// @desc    Get giving statement batches and their progress
+// @access  Private (Church Admin)
+router.get('/statements/church/:churchId/batches', [
+  protect,
+  validateObjectId('churchId'),
+  checkChurchAccess,
+  statementYear(query('year')),
+  handleValidationErrors,
+], donationController.getStatementBatches);
+
 // @route   POST /api/donations/bulk-import
-// @desc    Bulk import donations from CSV/Excel
+// @desc    Bulk import donations from a CSV/XLSX file or JSON rows
 // @access  Private (Church Admin)
 router.post('/bulk-import', [
   protect,
+  uploadImportFile,
   sanitizeInput,
   body('churchId')
     .isMongoId()
     .withMessage('Valid church ID is required'),
   body('donations')
+    .optional()
     .isArray({ min: 1 })
-    .withMessage('At least one donation is required'),
-  body('donations.*.amount')
-    .isFloat({ min: 0.01 })
-    .withMessage('Each donation amount must be greater than 0'),
-  body('donations.*.category')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Each donation category must be between 2 and 50 characters'),
-  body('donations.*.donorInfo.name')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Each donor name must be between 2 and 100 characters'),
+    .withMessage('Donations must be a non-empty array'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false'),
+  body('skipDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('skipDuplicates must be true or false'),
   handleValidationErrors,
 ], donationController.bulkImportDonations);
 
 // @route   GET /api/donations/export/church/:churchId
 // @desc    Export donations to CSV/Excel
-// @access  Private (Church Members)
+// @access  Private (Church Admin)
 router.get('/export/church/:churchId', [
   protect,
+  validateObjectId('churchId'),
   checkChurchAccess,
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx', 'json'])
+    .withMessage('Format must be csv, xlsx or json'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'processing', 'completed', 'failed', 'cancelled', 'refunded', 'reversed'])
+    .withMessage('Invalid donation status specified'),
+  query('campaignId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid campaign ID is required'),
+  handleValidationErrors,
 ], donationController.exportDonations);
 
 // @route   POST /api/donations/:id/refund
-// @desc    Process donation refund
+// @desc    Refund all or part of a donation
 // @access  Private (Church Admin)
 router.post('/:id/refund', [
   protect,
   validateObjectId('id'),
-  checkResourceAccess(Donation),
   sanitizeInput,
   body('refundAmount')
+    .optional()
     .isFloat({ min: 0.01 })
     .withMessage('Refund amount must be greater than 0'),
   body('refundReason')
@@ -343,6 +468,36 @@ router.post('/:id/refund', [
   handleValidationErrors,
 ], donationController.processRefund);
 
+// @route   POST /api/donations/:id/refunds/verify
+// @desc    Check a donation's refunds still in progress with the gateway
+// @access  Private (Church Admin)
+router.post('/:id/refunds/verify', [
+  protect,
+  validateObjectId('id'),
+], donationController.verifyRefunds);
+
+// @route   GET /api/donations/refunds/church/:churchId
+// @desc    Get a church's refund ledger
+// @access  Private (Church Admin)
+router.get('/refunds/church/:churchId', [
+  protect,
+  validateObjectId('churchId'),
+  checkChurchAccess,
+  query('status')
+    .optional()
+    .isIn(['pending', 'completed', 'failed'])
+    .withMessage('Invalid refund status'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  handleValidationErrors,
+], donationController.getRefundLedger);
+
 // @route   GET /api/donations/pending/church/:churchId
 // @desc    Get pending donations for a church
 // @access  Private (Church Members)
@@ -0,0 +1,67 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const router = express.Router();
+
+const emailController = require("../controllers/emailController");
+const { protect, checkChurchAccess } = require("../middleware/auth");
+const {
+  handleValidationErrors,
+  sanitizeInput,
+  validateObjectId,
+} = require("../middleware/validation");
+
+// @route   GET /api/emails/church/:churchId
+// @desc    Get the email log for a church
+// @access  Private (Church Admin)
+router.get(
+  "/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("status")
+      .optional()
+      .isIn(["queued", "sending", "sent", "failed", "bounced"])
+      .withMessage("Invalid email status specified"),
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+    handleValidationErrors,
+  ],
+  emailController.getChurchEmailLog
+);
+
+// @route   GET /api/emails/:id
+// @desc    Get an email message by ID
+// @access  Private (Church Admin)
+router.get(
+  "/:id",
+  [protect, validateObjectId("id")],
+  emailController.getEmailById
+);
+
+// @route   POST /api/emails/:id/resend
+// @desc    Queue a fresh copy of an email
+// @access  Private (Church Admin)
+router.post(
+  "/:id/resend",
+  [
+    protect,
+    validateObjectId("id"),
+    sanitizeInput,
+    body("to")
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Please provide a valid email address"),
+    handleValidationErrors,
+  ],
+  emailController.resendEmail
+);
+
+module.exports = router;
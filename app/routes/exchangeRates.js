@@ -0,0 +1,129 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const router = express.Router();
+
+const exchangeRateController = require("../controllers/exchangeRateController");
+const { protect, checkChurchAccess } = require("../middleware/auth");
+const {
+  handleValidationErrors,
+  sanitizeInput,
+  validateObjectId,
+} = require("../middleware/validation");
+const { uploadImportFile } = require("../middleware/upload");
+const ExchangeRate = require("../models/ExchangeRate");
+
+// @route   GET /api/exchange-rates/church/:churchId
+// @desc    Get a church's exchange rates
+// @access  Private (Church Members)
+router.get(
+  "/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("currency")
+      .optional()
+      .isIn(ExchangeRate.CURRENCIES)
+      .withMessage("Invalid currency"),
+    query("baseCurrency")
+      .optional()
+      .isIn(ExchangeRate.CURRENCIES)
+      .withMessage("Invalid base currency"),
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+    handleValidationErrors,
+  ],
+  exchangeRateController.getExchangeRates
+);
+
+// @route   POST /api/exchange-rates/church/:churchId
+// @desc    Add an exchange rate
+// @access  Private (Church Admin)
+router.post(
+  "/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    sanitizeInput,
+    body("currency")
+      .isIn(ExchangeRate.CURRENCIES)
+      .withMessage("Invalid currency"),
+    body("baseCurrency")
+      .optional()
+      .isIn(ExchangeRate.CURRENCIES)
+      .withMessage("Invalid base currency"),
+    body("rate")
+      .isFloat({ gt: 0 })
+      .withMessage("Rate must be greater than 0"),
+    body("effectiveDate")
+      .isISO8601()
+      .withMessage("Valid effective date is required"),
+    body("note")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Note cannot exceed 200 characters"),
+    handleValidationErrors,
+  ],
+  exchangeRateController.createExchangeRate
+);
+
+// @route   POST /api/exchange-rates/church/:churchId/import
+// @desc    Import exchange rates (CSV/XLSX file or JSON rows)
+// @access  Private (Church Admin)
+router.post(
+  "/church/:churchId/import",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    uploadImportFile,
+    sanitizeInput,
+    body("rates")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Rates must be a non-empty array"),
+    handleValidationErrors,
+  ],
+  exchangeRateController.importExchangeRates
+);
+
+// @route   POST /api/exchange-rates/church/:churchId/revalue
+// @desc    Recalculate the base amounts of a church's transactions
+// @access  Private (Church Admin)
+router.post(
+  "/church/:churchId/revalue",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    body("currency")
+      .optional()
+      .isIn(ExchangeRate.CURRENCIES)
+      .withMessage("Invalid currency"),
+    body("since")
+      .optional()
+      .isISO8601()
+      .withMessage("Since must be a valid date"),
+    handleValidationErrors,
+  ],
+  exchangeRateController.revalueChurchTransactions
+);
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Delete an exchange rate
+// @access  Private (Church Admin)
+router.delete(
+  "/:id",
+  [protect, validateObjectId("id")],
+  exchangeRateController.deleteExchangeRate
+);
+
+module.exports = router;
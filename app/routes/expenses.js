@@ -1,5 +1,5 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
 const router = express.Router();
 
 const expenseController = require("../controllers/expenseController");
@@ -15,6 +15,10 @@ const {
   validateObjectId,
   validateAmount,
 } = require("../middleware/validation");
+const {
+  uploadImportFile,
+  uploadAttachmentFile,
+} = require("../middleware/upload");
 const Expense = require("../models/Expense");
 
 // @route   POST /api/expenses
@@ -250,37 +254,16 @@ router.post(
 // @access  Private (Church Members)
 router.post(
   "/:id/attachments",
-  [
-    protect,
-    validateObjectId("id"),
-    checkResourceAccess(Expense),
-    sanitizeInput,
-    body("filename")
-      .trim()
-      .isLength({ min: 1, max: 200 })
-      .withMessage("Filename is required and cannot exceed 200 characters"),
-    body("originalName")
-      .trim()
-      .isLength({ min: 1, max: 200 })
-      .withMessage(
-        "Original filename is required and cannot exceed 200 characters"
-      ),
-    body("mimetype").trim().notEmpty().withMessage("File mimetype is required"),
-    body("size")
-      .isInt({ min: 1 })
-      .withMessage("File size must be a positive number"),
-    body("url").trim().isURL().withMessage("Valid file URL is required"),
-    handleValidationErrors,
-  ],
+  [protect, validateObjectId("id"), uploadAttachmentFile],
   expenseController.addAttachment
 );
 
-// @route   DELETE /api/expenses/:id/attachments/:filename
+// @route   DELETE /api/expenses/:id/attachments/:attachmentId
 // @desc    Remove attachment from expense
 // @access  Private (Church Members)
 router.delete(
-  "/:id/attachments/:filename",
-  [protect, validateObjectId("id"), checkResourceAccess(Expense)],
+  "/:id/attachments/:attachmentId",
+  [protect, validateObjectId("id")],
   expenseController.removeAttachment
 );
 
@@ -451,42 +434,63 @@ router.get(
 );
 
 // @route   POST /api/expenses/bulk-import
-// @desc    Bulk import expenses from CSV/Excel
+// @desc    Bulk import expenses from a CSV/XLSX file or JSON rows
 // @access  Private (Church Admin)
 router.post(
   "/bulk-import",
   [
     protect,
+    uploadImportFile,
     sanitizeInput,
     body("churchId").isMongoId().withMessage("Valid church ID is required"),
     body("expenses")
+      .optional()
       .isArray({ min: 1 })
-      .withMessage("At least one expense is required"),
-    body("expenses.*.title")
-      .trim()
-      .isLength({ min: 5, max: 200 })
-      .withMessage("Each expense title must be between 5 and 200 characters"),
-    body("expenses.*.amount")
-      .isFloat({ min: 0.01 })
-      .withMessage("Each expense amount must be greater than 0"),
-    body("expenses.*.category")
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage("Each expense category must be between 2 and 50 characters"),
-    body("expenses.*.expenseDate")
-      .isISO8601()
-      .withMessage("Each expense date must be valid"),
+      .withMessage("Expenses must be a non-empty array"),
+    body("dryRun")
+      .optional()
+      .isBoolean()
+      .withMessage("dryRun must be true or false"),
+    body("skipDuplicates")
+      .optional()
+      .isBoolean()
+      .withMessage("skipDuplicates must be true or false"),
     handleValidationErrors,
   ],
   expenseController.bulkImportExpenses
 );
 
 // @route   GET /api/expenses/export/church/:churchId
-// @desc    Export expenses to CSV/Excel
-// @access  Private (Church Members)
+// @desc    Export expenses to CSV/Excel/JSON
+// @access  Private (Church Admin)
 router.get(
   "/export/church/:churchId",
-  [protect, checkChurchAccess],
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("format")
+      .optional()
+      .isIn(["csv", "xlsx", "json"])
+      .withMessage("Format must be csv, xlsx or json"),
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+    query("status")
+      .optional()
+      .isIn(["pending", "approved", "paid", "cancelled", "rejected"])
+      .withMessage("Invalid expense status specified"),
+    query("priority")
+      .optional()
+      .isIn(["low", "medium", "high", "urgent"])
+      .withMessage("Invalid priority specified"),
+    handleValidationErrors,
+  ],
   expenseController.exportExpenses
 );
 
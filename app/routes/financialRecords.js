@@ -1,10 +1,11 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const router = express.Router();
 
 const financialRecordController = require('../controllers/financialRecordController');
 const { protect, authorize, checkChurchAccess, checkResourceAccess } = require('../middleware/auth');
 const { handleValidationErrors, sanitizeInput, validateObjectId, validateAmount } = require('../middleware/validation');
+const { uploadImportFile, uploadAttachmentFile } = require('../middleware/upload');
 const ManualFinancialRecord = require('../models/ManualFinancialRecord');
 
 // @route   POST /api/financial-records
@@ -244,37 +245,15 @@ router.post('/:id/reconcile', [
 router.post('/:id/attachments', [
   protect,
   validateObjectId('id'),
-  checkResourceAccess(ManualFinancialRecord),
-  sanitizeInput,
-  body('filename')
-    .trim()
-    .isLength({ min: 1, max: 200 })
-    .withMessage('Filename is required and cannot exceed 200 characters'),
-  body('originalName')
-    .trim()
-    .isLength({ min: 1, max: 200 })
-    .withMessage('Original filename is required and cannot exceed 200 characters'),
-  body('mimetype')
-    .trim()
-    .notEmpty()
-    .withMessage('File mimetype is required'),
-  body('size')
-    .isInt({ min: 1 })
-    .withMessage('File size must be a positive number'),
-  body('url')
-    .trim()
-    .isURL()
-    .withMessage('Valid file URL is required'),
-  handleValidationErrors,
+  uploadAttachmentFile,
 ], financialRecordController.addAttachment);
 
-// @route   DELETE /api/financial-records/:id/attachments/:filename
+// @route   DELETE /api/financial-records/:id/attachments/:attachmentId
 // @desc    Remove attachment from financial record
 // @access  Private (Church Members)
-router.delete('/:id/attachments/:filename', [
+router.delete('/:id/attachments/:attachmentId', [
   protect,
   validateObjectId('id'),
-  checkResourceAccess(ManualFinancialRecord),
 ], financialRecordController.removeAttachment);
 
 // @route   POST /api/financial-records/:id/notes
@@ -420,43 +399,58 @@ router.get('/overdue-verification/church/:churchId', [
 ], financialRecordController.getOverdueVerificationRecords);
 
 // @route   POST /api/financial-records/bulk-import
-// @desc    Bulk import financial records from CSV/Excel
+// @desc    Bulk import financial records from a CSV/XLSX file or JSON rows
 // @access  Private (Church Admin)
 router.post('/bulk-import', [
   protect,
+  uploadImportFile,
   sanitizeInput,
   body('churchId')
     .isMongoId()
     .withMessage('Valid church ID is required'),
   body('records')
+    .optional()
     .isArray({ min: 1 })
-    .withMessage('At least one record is required'),
-  body('records.*.title')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Each record title must be between 5 and 200 characters'),
-  body('records.*.amount')
-    .isFloat({ min: 0.01 })
-    .withMessage('Each record amount must be greater than 0'),
-  body('records.*.recordType')
-    .isIn(['donation', 'expense', 'income', 'transfer', 'adjustment'])
-    .withMessage('Each record type must be valid'),
-  body('records.*.category')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Each record category must be between 2 and 100 characters'),
-  body('records.*.transactionDate')
-    .isISO8601()
-    .withMessage('Each transaction date must be valid'),
+    .withMessage('Records must be a non-empty array'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false'),
+  body('skipDuplicates')
+    .optional()
+    .isBoolean()
+    .withMessage('skipDuplicates must be true or false'),
   handleValidationErrors,
 ], financialRecordController.bulkImportFinancialRecords);
 
 // @route   GET /api/financial-records/export/church/:churchId
-// @desc    Export financial records to CSV/Excel
-// @access  Private (Church Members)
+// @desc    Export financial records to CSV/Excel/JSON
+// @access  Private (Church Admin)
 router.get('/export/church/:churchId', [
   protect,
+  validateObjectId('churchId'),
   checkChurchAccess,
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx', 'json'])
+    .withMessage('Format must be csv, xlsx or json'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'verified', 'rejected', 'cancelled'])
+    .withMessage('Invalid record status specified'),
+  query('recordType')
+    .optional()
+    .isIn(['donation', 'expense', 'income', 'transfer', 'adjustment'])
+    .withMessage('Invalid record type specified'),
+  handleValidationErrors,
 ], financialRecordController.exportFinancialRecords);
 
 // @route   GET /api/financial-records/reconciliation-report/church/:churchId
@@ -0,0 +1,81 @@
+const express = require("express");
+const { query } = require("express-validator");
+const router = express.Router();
+
+const financialStatementController = require("../controllers/financialStatementController");
+const { protect, checkChurchAccess } = require("../middleware/auth");
+const {
+  handleValidationErrors,
+  validateObjectId,
+} = require("../middleware/validation");
+const { PERIODS } = require("../../config/financialStatements");
+
+const validateStatementQuery = [
+  query("period")
+    .optional()
+    .isIn(PERIODS)
+    .withMessage(`Period must be one of ${PERIODS.join(", ")}`),
+  query("date")
+    .optional()
+    .isISO8601()
+    .withMessage("Date must be a valid date"),
+  query("startDate")
+    .if(query("period").equals("custom"))
+    .isISO8601()
+    .withMessage("A custom period needs a valid start date"),
+  query("endDate")
+    .if(query("period").equals("custom"))
+    .isISO8601()
+    .withMessage("A custom period needs a valid end date"),
+  query("format")
+    .optional()
+    .isIn(["json", "pdf", "xlsx"])
+    .withMessage("Format must be json, pdf or xlsx"),
+];
+
+// @route   GET /api/financial-statements/income-statement/church/:churchId
+// @desc    Get a church's income statement
+// @access  Private (Church Members)
+router.get(
+  "/income-statement/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    ...validateStatementQuery,
+    handleValidationErrors,
+  ],
+  financialStatementController.getIncomeStatement
+);
+
+// @route   GET /api/financial-statements/balance-sheet/church/:churchId
+// @desc    Get a church's balance sheet
+// @access  Private (Church Members)
+router.get(
+  "/balance-sheet/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    ...validateStatementQuery,
+    handleValidationErrors,
+  ],
+  financialStatementController.getBalanceSheet
+);
+
+// @route   GET /api/financial-statements/cash-flow/church/:churchId
+// @desc    Get a church's cash-flow summary
+// @access  Private (Church Members)
+router.get(
+  "/cash-flow/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    ...validateStatementQuery,
+    handleValidationErrors,
+  ],
+  financialStatementController.getCashFlowSummary
+);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require("express");
+const { query } = require("express-validator");
+const router = express.Router();
+
+const importController = require("../controllers/importController");
+const { protect, checkChurchAccess } = require("../middleware/auth");
+const {
+  handleValidationErrors,
+  validateObjectId,
+} = require("../middleware/validation");
+
+// @route   GET /api/imports/church/:churchId
+// @desc    Get import jobs for a church
+// @access  Private (Church Admin)
+router.get(
+  "/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("resource")
+      .optional()
+      .isIn(["donations", "members", "expenses", "financialRecords", "teams"])
+      .withMessage("Invalid import resource specified"),
+    query("status")
+      .optional()
+      .isIn(["validated", "completed", "failed", "rolling-back", "rolled-back"])
+      .withMessage("Invalid import status specified"),
+    handleValidationErrors,
+  ],
+  importController.getChurchImports
+);
+
+// @route   GET /api/imports/fields/:resource
+// @desc    Get the fields a file can be mapped to
+// @access  Private
+router.get("/fields/:resource", protect, importController.getImportFields);
+
+// @route   GET /api/imports/:id
+// @desc    Get an import job by ID
+// @access  Private (Church Admin)
+router.get(
+  "/:id",
+  [protect, validateObjectId("id")],
+  importController.getImportById
+);
+
+// @route   POST /api/imports/:id/rollback
+// @desc    Delete every record an import created
+// @access  Private (Church Admin)
+router.post(
+  "/:id/rollback",
+  [protect, validateObjectId("id")],
+  importController.rollbackImportJob
+);
+
+module.exports = router;
@@ -0,0 +1,253 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const router = express.Router();
+
+const ledgerController = require("../controllers/ledgerController");
+const { protect, checkChurchAccess } = require("../middleware/auth");
+const {
+  handleValidationErrors,
+  sanitizeInput,
+  validateObjectId,
+} = require("../middleware/validation");
+const Account = require("../models/Account");
+const JournalEntry = require("../models/JournalEntry");
+
+const validateAccountMappings = [
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot exceed 500 characters"),
+  body("categories")
+    .optional()
+    .isArray()
+    .withMessage("Categories must be an array"),
+  body("categories.*")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Category must be between 1 and 50 characters"),
+  body("paymentMethods")
+    .optional()
+    .isArray()
+    .withMessage("Payment methods must be an array"),
+  body("paymentMethods.*")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Payment method must be between 1 and 50 characters"),
+];
+
+// @route   GET /api/ledger/accounts/church/:churchId
+// @desc    Get a church's chart of accounts
+// @access  Private (Church Members)
+router.get(
+  "/accounts/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("type")
+      .optional()
+      .isIn(Account.ACCOUNT_TYPES)
+      .withMessage("Invalid account type"),
+    query("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be true or false"),
+    handleValidationErrors,
+  ],
+  ledgerController.getAccounts
+);
+
+// @route   POST /api/ledger/accounts/church/:churchId
+// @desc    Add an account to a church's chart of accounts
+// @access  Private (Church Admin)
+router.post(
+  "/accounts/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    sanitizeInput,
+    body("code")
+      .trim()
+      .matches(/^\d{3,6}$/)
+      .withMessage("Account code must be 3 to 6 digits"),
+    body("name")
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Account name must be between 2 and 100 characters"),
+    body("type")
+      .isIn(Account.ACCOUNT_TYPES)
+      .withMessage("Invalid account type"),
+    ...validateAccountMappings,
+    handleValidationErrors,
+  ],
+  ledgerController.createAccount
+);
+
+// @route   PUT /api/ledger/accounts/:id
+// @desc    Update an account
+// @access  Private (Church Admin)
+router.put(
+  "/accounts/:id",
+  [
+    protect,
+    validateObjectId("id"),
+    sanitizeInput,
+    body("name")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Account name must be between 2 and 100 characters"),
+    body("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be true or false"),
+    ...validateAccountMappings,
+    handleValidationErrors,
+  ],
+  ledgerController.updateAccount
+);
+
+// @route   GET /api/ledger/entries/church/:churchId
+// @desc    Get a church's journal entries
+// @access  Private (Church Members)
+router.get(
+  "/entries/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("accountId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid account ID is required"),
+    query("kind")
+      .optional()
+      .isIn(JournalEntry.SOURCE_KINDS)
+      .withMessage("Invalid entry kind"),
+    query("status")
+      .optional()
+      .isIn(["posted", "reversed"])
+      .withMessage("Status must be posted or reversed"),
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+    handleValidationErrors,
+  ],
+  ledgerController.getJournalEntries
+);
+
+// @route   POST /api/ledger/entries/church/:churchId
+// @desc    Post a manual journal entry
+// @access  Private (Church Admin)
+router.post(
+  "/entries/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    sanitizeInput,
+    body("date").isISO8601().withMessage("Valid entry date is required"),
+    body("description")
+      .trim()
+      .isLength({ min: 2, max: 300 })
+      .withMessage("Description must be between 2 and 300 characters"),
+    body("lines")
+      .isArray({ min: 2 })
+      .withMessage("An entry needs at least two lines"),
+    body("lines.*.accountId")
+      .isMongoId()
+      .withMessage("Valid account ID is required"),
+    body("lines.*.debit")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Debit cannot be negative"),
+    body("lines.*.credit")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Credit cannot be negative"),
+    body("lines.*.memo")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Memo cannot exceed 200 characters"),
+    handleValidationErrors,
+  ],
+  ledgerController.createJournalEntry
+);
+
+// @route   GET /api/ledger/entries/:id
+// @desc    Get a journal entry
+// @access  Private (Church Members)
+router.get(
+  "/entries/:id",
+  [protect, validateObjectId("id")],
+  ledgerController.getJournalEntry
+);
+
+// @route   POST /api/ledger/entries/:id/reverse
+// @desc    Reverse a manual journal entry
+// @access  Private (Church Admin)
+router.post(
+  "/entries/:id/reverse",
+  [
+    protect,
+    validateObjectId("id"),
+    sanitizeInput,
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Reason cannot exceed 200 characters"),
+    handleValidationErrors,
+  ],
+  ledgerController.reverseJournalEntry
+);
+
+// @route   GET /api/ledger/trial-balance/church/:churchId
+// @desc    Get a church's trial balance
+// @access  Private (Church Members)
+router.get(
+  "/trial-balance/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("asOf")
+      .optional()
+      .isISO8601()
+      .withMessage("asOf must be a valid date"),
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    handleValidationErrors,
+  ],
+  ledgerController.getTrialBalance
+);
+
+// @route   POST /api/ledger/sync/church/:churchId
+// @desc    Post transactions missing from a church's ledger
+// @access  Private (Church Admin)
+router.post(
+  "/sync/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    body("since")
+      .optional()
+      .isISO8601()
+      .withMessage("Since must be a valid date"),
+    handleValidationErrors,
+  ],
+  ledgerController.syncChurchLedger
+);
+
+module.exports = router;
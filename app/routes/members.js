@@ -1,5 +1,5 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
 const router = express.Router();
 
 const memberController = require("../controllers/memberController");
@@ -16,6 +16,7 @@ const {
   validateEmail,
   validatePhone,
 } = require("../middleware/validation");
+const { uploadImportFile } = require("../middleware/upload");
 const { canAddAdminStaff } = require("../middleware/subscription");
 const Member = require("../models/Member");
 
@@ -520,41 +521,63 @@ router.get(
 );
 
 // @route   POST /api/members/bulk-import
-// @desc    Bulk import members from CSV/Excel
+// @desc    Bulk import members from a CSV/XLSX file or JSON rows
 // @access  Private (Church Admin)
 router.post(
   "/bulk-import",
   [
     protect,
+    uploadImportFile,
     sanitizeInput,
     body("churchId").isMongoId().withMessage("Valid church ID is required"),
     body("members")
+      .optional()
       .isArray({ min: 1 })
-      .withMessage("At least one member is required"),
-    body("members.*.firstName")
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage("Each first name must be between 2 and 50 characters"),
-    body("members.*.lastName")
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage("Each last name must be between 2 and 50 characters"),
-    body("members.*.email")
+      .withMessage("Members must be a non-empty array"),
+    body("dryRun")
       .optional()
-      .isEmail()
-      .normalizeEmail()
-      .withMessage("Each email must be valid"),
+      .isBoolean()
+      .withMessage("dryRun must be true or false"),
+    body("skipDuplicates")
+      .optional()
+      .isBoolean()
+      .withMessage("skipDuplicates must be true or false"),
     handleValidationErrors,
   ],
   memberController.bulkImportMembers
 );
 
 // @route   GET /api/members/export/church/:churchId
-// @desc    Export members to CSV/Excel
+// @desc    Export members to CSV/Excel/JSON
 // @access  Private (Church Members)
 router.get(
   "/export/church/:churchId",
-  [protect, checkChurchAccess],
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("format")
+      .optional()
+      .isIn(["csv", "xlsx", "json"])
+      .withMessage("Format must be csv, xlsx or json"),
+    query("role")
+      .optional()
+      .isIn(["member", "volunteer", "leader"])
+      .withMessage("Invalid role specified"),
+    query("membershipType")
+      .optional()
+      .isIn(["regular", "associate", "visitor"])
+      .withMessage("Invalid membership type specified"),
+    query("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be true or false"),
+    query("isFirstTimer")
+      .optional()
+      .isBoolean()
+      .withMessage("isFirstTimer must be true or false"),
+    handleValidationErrors,
+  ],
   memberController.exportMembers
 );
 
@@ -1,5 +1,5 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
 const router = express.Router();
 
 const notificationController = require("../controllers/notificationController");
@@ -236,15 +236,6 @@ router.get(
   notificationController.getNotificationsByChurch
 );
 
-// @route   GET /api/notifications/:id
-// @desc    Get notification by ID
-// @access  Private
-router.get(
-  "/:id",
-  [protect, validateObjectId("id")],
-  notificationController.getNotificationById
-);
-
 // @route   PUT /api/notifications/:id/read
 // @desc    Mark notification as read
 // @access  Private
@@ -374,7 +365,7 @@ router.get(
   [
     protect,
     sanitizeInput,
-    body("type")
+    query("type")
       .isIn([
         "donation",
         "expense",
@@ -382,6 +373,9 @@ router.get(
         "volunteer",
         "campaign",
         "event",
+        "church",
+        "financial",
+        "subscription",
         "general",
         "urgent",
       ])
@@ -399,7 +393,7 @@ router.get(
   [
     protect,
     sanitizeInput,
-    body("priority")
+    query("priority")
       .isIn(["low", "normal", "high", "urgent"])
       .withMessage("Invalid priority specified"),
     handleValidationErrors,
@@ -415,7 +409,7 @@ router.get(
   [
     protect,
     sanitizeInput,
-    body("limit")
+    query("limit")
       .optional()
       .isInt({ min: 1, max: 100 })
       .withMessage("Limit must be between 1 and 100"),
@@ -461,6 +455,14 @@ router.post(
     body("recipients.*")
       .isIn(["all", "members", "volunteers", "admins", "specific"])
       .withMessage("Invalid recipient type specified"),
+    body("specificUserIds")
+      .optional()
+      .isArray()
+      .withMessage("Specific user IDs must be an array"),
+    body("specificUserIds.*")
+      .optional()
+      .isMongoId()
+      .withMessage("Each specific user ID must be valid"),
     body("channels")
       .isArray({ min: 1 })
       .withMessage("At least one channel is required"),
@@ -508,6 +510,14 @@ router.put(
       .optional()
       .isIn(["low", "normal", "high", "urgent"])
       .withMessage("Invalid priority specified"),
+    body("recipients.*")
+      .optional()
+      .isIn(["all", "members", "volunteers", "admins", "specific"])
+      .withMessage("Invalid recipient type specified"),
+    body("channels.*")
+      .optional()
+      .isIn(["email", "push", "sms", "in-app"])
+      .withMessage("Invalid channel specified"),
     handleValidationErrors,
   ],
   notificationController.updateScheduledNotification
@@ -531,6 +541,69 @@ router.get(
   notificationController.getScheduledNotifications
 );
 
+// @route   GET /api/notifications/deliveries
+// @desc    Get the delivery log for a church, including skip reasons
+// @access  Private (Church Admin)
+router.get(
+  "/deliveries",
+  [
+    protect,
+    query("churchId").isMongoId().withMessage("Valid church ID is required"),
+    query("channel")
+      .optional()
+      .isIn(["in-app", "push", "email", "sms"])
+      .withMessage("Invalid channel specified"),
+    query("status")
+      .optional()
+      .isIn(["queued", "sent", "failed", "skipped"])
+      .withMessage("Invalid delivery status specified"),
+    query("userId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid user ID is required"),
+    handleValidationErrors,
+  ],
+  notificationController.getDeliveryLog
+);
+
+// @route   GET /api/notifications/sms/usage
+// @desc    Get SMS usage and cost for a church
+// @access  Private (Church Admin)
+router.get(
+  "/sms/usage",
+  [
+    protect,
+    query("churchId").isMongoId().withMessage("Valid church ID is required"),
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+    handleValidationErrors,
+  ],
+  notificationController.getSmsUsage
+);
+
+// @route   GET /api/notifications/digest/preview
+// @desc    Preview the admin digest for a church
+// @access  Private (Church Admin)
+router.get(
+  "/digest/preview",
+  [
+    protect,
+    query("churchId").isMongoId().withMessage("Valid church ID is required"),
+    query("frequency")
+      .optional()
+      .isIn(["daily", "weekly"])
+      .withMessage("Frequency must be daily or weekly"),
+    handleValidationErrors,
+  ],
+  notificationController.previewDigest
+);
+
 // @route   POST /api/notifications/templates
 // @desc    Create notification template
 // @access  Private (Church Admin)
@@ -539,6 +612,7 @@ router.post(
   [
     protect,
     sanitizeInput,
+    body("churchId").isMongoId().withMessage("Valid church ID is required"),
     body("name")
       .trim()
       .isLength({ min: 3, max: 100 })
@@ -551,10 +625,17 @@ router.post(
         "volunteer",
         "campaign",
         "event",
+        "church",
+        "financial",
+        "subscription",
         "general",
         "urgent",
       ])
       .withMessage("Invalid notification type specified"),
+    body("priority")
+      .optional()
+      .isIn(["low", "normal", "high", "urgent"])
+      .withMessage("Invalid priority level specified"),
     body("title")
       .trim()
       .isLength({ min: 5, max: 200 })
@@ -563,6 +644,25 @@ router.post(
       .trim()
       .isLength({ min: 10, max: 1000 })
       .withMessage("Template message must be between 10 and 1000 characters"),
+    body("language")
+      .optional()
+      .isIn(["en", "yo", "ig", "ha"])
+      .withMessage("Language must be one of: en, yo, ig, ha"),
+    body("translations")
+      .optional()
+      .isArray()
+      .withMessage("Translations must be an array"),
+    body("translations.*.language")
+      .isIn(["en", "yo", "ig", "ha"])
+      .withMessage("Translation language must be one of: en, yo, ig, ha"),
+    body("translations.*.title")
+      .trim()
+      .isLength({ min: 5, max: 200 })
+      .withMessage("Translation title must be between 5 and 200 characters"),
+    body("translations.*.message")
+      .trim()
+      .isLength({ min: 10, max: 1000 })
+      .withMessage("Translation message must be between 10 and 1000 characters"),
     body("variables")
       .optional()
       .isArray()
@@ -623,6 +723,29 @@ router.put(
       .trim()
       .isLength({ min: 10, max: 1000 })
       .withMessage("Template message must be between 10 and 1000 characters"),
+    body("priority")
+      .optional()
+      .isIn(["low", "normal", "high", "urgent"])
+      .withMessage("Invalid priority level specified"),
+    body("language")
+      .optional()
+      .isIn(["en", "yo", "ig", "ha"])
+      .withMessage("Language must be one of: en, yo, ig, ha"),
+    body("translations")
+      .optional()
+      .isArray()
+      .withMessage("Translations must be an array"),
+    body("translations.*.language")
+      .isIn(["en", "yo", "ig", "ha"])
+      .withMessage("Translation language must be one of: en, yo, ig, ha"),
+    body("translations.*.title")
+      .trim()
+      .isLength({ min: 5, max: 200 })
+      .withMessage("Translation title must be between 5 and 200 characters"),
+    body("translations.*.message")
+      .trim()
+      .isLength({ min: 10, max: 1000 })
+      .withMessage("Translation message must be between 10 and 1000 characters"),
     body("variables")
       .optional()
       .isArray()
@@ -636,6 +759,32 @@ router.put(
   notificationController.updateNotificationTemplate
 );
 
+// @route   POST /api/notifications/templates/:id/preview
+// @desc    Preview a rendered notification template
+// @access  Private (Church Admin)
+router.post(
+  "/templates/:id/preview",
+  [
+    protect,
+    validateObjectId("id"),
+    sanitizeInput,
+    body("language")
+      .optional()
+      .isIn(["en", "yo", "ig", "ha"])
+      .withMessage("Language must be one of: en, yo, ig, ha"),
+    body("memberId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid member ID is required"),
+    body("variables")
+      .optional()
+      .isObject()
+      .withMessage("Variables must be an object"),
+    handleValidationErrors,
+  ],
+  notificationController.previewNotificationTemplate
+);
+
 // @route   DELETE /api/notifications/templates/:id
 // @desc    Delete notification template
 // @access  Private (Church Admin)
@@ -661,6 +810,13 @@ router.post(
     body("recipients.*")
       .isIn(["all", "members", "volunteers", "admins", "specific"])
       .withMessage("Invalid recipient type specified"),
+    body("specificUserIds")
+      .optional()
+      .isArray()
+      .withMessage("Specific user IDs must be an array"),
+    body("specificUserIds.*")
+      .isMongoId()
+      .withMessage("Each specific user ID must be valid"),
     body("channels")
       .isArray({ min: 1 })
       .withMessage("At least one channel is required"),
@@ -671,27 +827,75 @@ router.post(
       .optional()
       .isObject()
       .withMessage("Variables must be an object"),
+    body("language")
+      .optional()
+      .isIn(["en", "yo", "ig", "ha"])
+      .withMessage("Language must be one of: en, yo, ig, ha"),
     handleValidationErrors,
   ],
   notificationController.sendNotificationUsingTemplate
 );
 
 // @route   GET /api/notifications/stats/church/:churchId
-// @desc    Get notification statistics for a church
-// @access  Private (Church Members)
+// @desc    Get sent/delivered/read statistics for a church
+// @access  Private (Church Admin)
 router.get(
   "/stats/church/:churchId",
-  [protect, checkChurchAccess],
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+    handleValidationErrors,
+  ],
   notificationController.getNotificationStats
 );
 
 // @route   GET /api/notifications/export/church/:churchId
-// @desc    Export notifications to CSV/Excel
-// @access  Private (Church Members)
+// @desc    Export the notification log to CSV/Excel/JSON
+// @access  Private (Church Admin)
 router.get(
   "/export/church/:churchId",
-  [protect, checkChurchAccess],
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("format")
+      .optional()
+      .isIn(["csv", "xlsx", "json"])
+      .withMessage("Format must be csv, xlsx or json"),
+    query("startDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    query("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("End date must be a valid date"),
+    query("priority")
+      .optional()
+      .isIn(["low", "normal", "high", "urgent"])
+      .withMessage("Invalid priority specified"),
+    handleValidationErrors,
+  ],
   notificationController.exportNotifications
 );
 
+// Declared last so it does not shadow the static GET routes above
+// @route   GET /api/notifications/:id
+// @desc    Get notification by ID
+// @access  Private
+router.get(
+  "/:id",
+  [protect, validateObjectId("id")],
+  notificationController.getNotificationById
+);
+
 module.exports = router;
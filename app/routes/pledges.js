@@ -0,0 +1,178 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const router = express.Router();
+
+const pledgeController = require("../controllers/pledgeController");
+const { protect, checkChurchAccess } = require("../middleware/auth");
+const {
+  handleValidationErrors,
+  sanitizeInput,
+  validateObjectId,
+  validateAmount,
+} = require("../middleware/validation");
+
+const PLEDGE_STATUSES = ["open", "fulfilled", "cancelled"];
+const PLEDGE_FREQUENCIES = ["one-time", "weekly", "monthly", "quarterly", "yearly"];
+
+// @route   POST /api/pledges
+// @desc    Make a pledge
+// @access  Private
+router.post(
+  "/",
+  [
+    protect,
+    sanitizeInput,
+    validateAmount,
+    body("churchId").isMongoId().withMessage("Valid church ID is required"),
+    body("campaignId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid campaign ID is required"),
+    body("donorId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid donor ID is required"),
+    body("currency")
+      .optional()
+      .isIn(["NGN", "USD", "EUR", "GBP"])
+      .withMessage("Invalid currency specified"),
+    body("category")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Category must be between 2 and 50 characters"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Description cannot exceed 200 characters"),
+    body("frequency")
+      .optional()
+      .isIn(PLEDGE_FREQUENCIES)
+      .withMessage("Invalid pledge frequency specified"),
+    body("dueDate")
+      .if(body("schedule").not().exists())
+      .isISO8601()
+      .withMessage("Due date is required"),
+    body("installments")
+      .if(body("schedule").not().exists())
+      .if(body("frequency").exists().not().equals("one-time"))
+      .isInt({ min: 1, max: 520 })
+      .withMessage("Installments must be between 1 and 520"),
+    body("schedule")
+      .optional()
+      .isArray({ min: 1, max: 520 })
+      .withMessage("Schedule must list between 1 and 520 installments"),
+    body("schedule.*.dueDate")
+      .isISO8601()
+      .withMessage("Each installment needs a valid due date"),
+    body("schedule.*.amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Each installment amount must be greater than 0"),
+    body("donorInfo.name")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Donor name must be between 2 and 100 characters"),
+    body("donorInfo.email")
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Please provide a valid email address"),
+    body("donorInfo.phone")
+      .optional()
+      .matches(/^0[789][01]\d{8}$/)
+      .withMessage("Please provide a valid Nigerian phone number"),
+    handleValidationErrors,
+  ],
+  pledgeController.createPledge
+);
+
+// @route   GET /api/pledges/my
+// @desc    Get the current user's pledges
+// @access  Private
+router.get(
+  "/my",
+  [
+    protect,
+    query("status")
+      .optional()
+      .isIn(PLEDGE_STATUSES)
+      .withMessage("Invalid pledge status specified"),
+    handleValidationErrors,
+  ],
+  pledgeController.getMyPledges
+);
+
+// @route   GET /api/pledges/church/:churchId
+// @desc    Get pledges for a church
+// @access  Private (Church Admin)
+router.get(
+  "/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("status")
+      .optional()
+      .isIn([...PLEDGE_STATUSES, "overdue"])
+      .withMessage("Invalid pledge status specified"),
+    query("campaignId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid campaign ID is required"),
+    query("donorId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid donor ID is required"),
+    handleValidationErrors,
+  ],
+  pledgeController.getChurchPledges
+);
+
+// @route   GET /api/pledges/:id
+// @desc    Get a pledge and the donations applied to it
+// @access  Private (Donor or Church Admin)
+router.get(
+  "/:id",
+  [protect, validateObjectId("id")],
+  pledgeController.getPledgeById
+);
+
+// @route   PUT /api/pledges/:id/cancel
+// @desc    Cancel a pledge
+// @access  Private (Donor or Church Admin)
+router.put(
+  "/:id/cancel",
+  [
+    protect,
+    validateObjectId("id"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Reason cannot exceed 200 characters"),
+    handleValidationErrors,
+  ],
+  pledgeController.cancelPledge
+);
+
+// @route   POST /api/pledges/:id/allocations
+// @desc    Apply a donation to a pledge by hand
+// @access  Private (Church Admin)
+router.post(
+  "/:id/allocations",
+  [
+    protect,
+    validateObjectId("id"),
+    body("donationId").isMongoId().withMessage("Valid donation ID is required"),
+    body("amount")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("Amount must be greater than 0"),
+    handleValidationErrors,
+  ],
+  pledgeController.allocateDonationToPledge
+);
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const router = express.Router();
+
+const recurringDonationController = require("../controllers/recurringDonationController");
+const { protect, checkChurchAccess } = require("../middleware/auth");
+const {
+  handleValidationErrors,
+  sanitizeInput,
+  validateObjectId,
+  validateAmount,
+} = require("../middleware/validation");
+
+const PLAN_STATUSES = [
+  "pending",
+  "active",
+  "paused",
+  "suspended",
+  "cancelled",
+  "completed",
+];
+
+// @route   POST /api/recurring-donations
+// @desc    Set up a recurring donation
+// @access  Private
+router.post(
+  "/",
+  [
+    protect,
+    sanitizeInput,
+    validateAmount,
+    body("churchId").isMongoId().withMessage("Valid church ID is required"),
+    body("campaignId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid campaign ID is required"),
+    body("currency")
+      .optional()
+      .isIn(["NGN", "USD", "EUR", "GBP"])
+      .withMessage("Invalid currency specified"),
+    body("category")
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Category must be between 2 and 50 characters"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Description cannot exceed 200 characters"),
+    body("frequency")
+      .isIn(["weekly", "monthly", "quarterly", "yearly"])
+      .withMessage("Invalid recurring frequency specified"),
+    body("endDate")
+      .optional()
+      .isISO8601()
+      .custom((value) => new Date(value) > new Date())
+      .withMessage("End date must be a future date"),
+    body("donorInfo.name")
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage("Donor name must be between 2 and 100 characters"),
+    body("donorInfo.email")
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Please provide a valid email address"),
+    body("donorInfo.phone")
+      .optional()
+      .matches(/^0[789][01]\d{8}$/)
+      .withMessage("Please provide a valid Nigerian phone number"),
+    body("donorInfo.isAnonymous")
+      .optional()
+      .isBoolean()
+      .withMessage("isAnonymous must be a boolean"),
+    handleValidationErrors,
+  ],
+  recurringDonationController.createRecurringDonation
+);
+
+// @route   GET /api/recurring-donations/my
+// @desc    Get the current user's recurring donations
+// @access  Private
+router.get(
+  "/my",
+  [
+    protect,
+    query("status")
+      .optional()
+      .isIn(PLAN_STATUSES)
+      .withMessage("Invalid recurring donation status specified"),
+    handleValidationErrors,
+  ],
+  recurringDonationController.getMyRecurringDonations
+);
+
+// @route   GET /api/recurring-donations/church/:churchId
+// @desc    Get recurring donations for a church
+// @access  Private (Church Admin)
+router.get(
+  "/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("status")
+      .optional()
+      .isIn(PLAN_STATUSES)
+      .withMessage("Invalid recurring donation status specified"),
+    query("campaignId")
+      .optional()
+      .isMongoId()
+      .withMessage("Valid campaign ID is required"),
+    handleValidationErrors,
+  ],
+  recurringDonationController.getChurchRecurringDonations
+);
+
+// @route   GET /api/recurring-donations/:id
+// @desc    Get a recurring donation and its donations
+// @access  Private (Donor or Church Admin)
+router.get(
+  "/:id",
+  [protect, validateObjectId("id")],
+  recurringDonationController.getRecurringDonationById
+);
+
+// @route   PUT /api/recurring-donations/:id/pause
+// @desc    Pause a recurring donation
+// @access  Private (Donor or Church Admin)
+router.put(
+  "/:id/pause",
+  [protect, validateObjectId("id")],
+  recurringDonationController.pauseRecurringDonation
+);
+
+// @route   PUT /api/recurring-donations/:id/resume
+// @desc    Resume a paused or suspended recurring donation
+// @access  Private (Donor or Church Admin)
+router.put(
+  "/:id/resume",
+  [protect, validateObjectId("id")],
+  recurringDonationController.resumeRecurringDonation
+);
+
+// @route   PUT /api/recurring-donations/:id/cancel
+// @desc    Cancel a recurring donation
+// @access  Private (Donor or Church Admin)
+router.put(
+  "/:id/cancel",
+  [
+    protect,
+    validateObjectId("id"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Reason cannot exceed 200 characters"),
+    handleValidationErrors,
+  ],
+  recurringDonationController.cancelRecurringDonation
+);
+
+// @route   POST /api/recurring-donations/:id/authorize
+// @desc    Pay the current charge by card checkout and save the card
+// @access  Private (Donor)
+router.post(
+  "/:id/authorize",
+  [protect, validateObjectId("id")],
+  recurringDonationController.authorizeRecurringDonation
+);
+
+module.exports = router;
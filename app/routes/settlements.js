@@ -0,0 +1,88 @@
+const express = require("express");
+const { body, query } = require("express-validator");
+const router = express.Router();
+
+const settlementController = require("../controllers/settlementController");
+const { protect, checkChurchAccess } = require("../middleware/auth");
+const {
+  handleValidationErrors,
+  sanitizeInput,
+  validateObjectId,
+} = require("../middleware/validation");
+const { uploadImportFile } = require("../middleware/upload");
+const { availableGateways } = require("../../config/paymentGateways");
+const SettlementReconciliation = require("../models/SettlementReconciliation");
+
+// @route   POST /api/settlements/church/:churchId
+// @desc    Reconcile a gateway settlement report (CSV/XLSX file or JSON lines)
+// @access  Private (Church Admin)
+router.post(
+  "/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    uploadImportFile,
+    sanitizeInput,
+    body("gateway")
+      .optional()
+      .isIn(availableGateways())
+      .withMessage("Invalid payment gateway"),
+    body("settlementReference")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Settlement reference must be between 1 and 100 characters"),
+    body("lines")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Lines must be a non-empty array"),
+    handleValidationErrors,
+  ],
+  settlementController.reconcileSettlement
+);
+
+// @route   GET /api/settlements/church/:churchId
+// @desc    Get a church's settlement reconciliations
+// @access  Private (Church Admin)
+router.get(
+  "/church/:churchId",
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("gateway")
+      .optional()
+      .isIn(availableGateways())
+      .withMessage("Invalid payment gateway"),
+    query("flagged")
+      .optional()
+      .isBoolean()
+      .withMessage("flagged must be true or false"),
+    handleValidationErrors,
+  ],
+  settlementController.getSettlementReconciliations
+);
+
+// @route   GET /api/settlements/:id
+// @desc    Get a settlement batch's reconciliation report
+// @access  Private (Church Admin)
+router.get(
+  "/:id",
+  [
+    protect,
+    validateObjectId("id"),
+    query("result")
+      .optional()
+      .isIn(SettlementReconciliation.LINE_RESULTS)
+      .withMessage("Invalid line result"),
+    query("format")
+      .optional()
+      .isIn(["json", "csv", "xlsx"])
+      .withMessage("Format must be json, csv or xlsx"),
+    handleValidationErrors,
+  ],
+  settlementController.getSettlementReconciliation
+);
+
+module.exports = router;
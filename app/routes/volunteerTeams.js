@@ -1,5 +1,5 @@
 const express = require("express");
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
 const router = express.Router();
 
 const volunteerTeamController = require("../controllers/volunteerTeamController");
@@ -14,6 +14,7 @@ const {
   sanitizeInput,
   validateObjectId,
 } = require("../middleware/validation");
+const { uploadImportFile } = require("../middleware/upload");
 const { canCreateVolunteerTeams } = require("../middleware/subscription");
 const VolunteerTeam = require("../models/VolunteerTeam");
 
@@ -501,45 +502,55 @@ router.get(
 );
 
 // @route   POST /api/volunteer-teams/bulk-import
-// @desc    Bulk import volunteer teams from CSV/Excel
+// @desc    Bulk import volunteer teams from a CSV/XLSX file or JSON rows
 // @access  Private (Church Admin)
 router.post(
   "/bulk-import",
   [
     protect,
+    uploadImportFile,
     sanitizeInput,
     body("churchId").isMongoId().withMessage("Valid church ID is required"),
     body("teams")
+      .optional()
       .isArray({ min: 1 })
-      .withMessage("At least one team is required"),
-    body("teams.*.name")
-      .trim()
-      .isLength({ min: 2, max: 100 })
-      .withMessage("Each team name must be between 2 and 100 characters"),
-    body("teams.*.category")
-      .isIn([
-        "worship",
-        "ushering",
-        "technical",
-        "children",
-        "youth",
-        "outreach",
-        "administration",
-        "maintenance",
-        "other",
-      ])
-      .withMessage("Each team category must be valid"),
+      .withMessage("Teams must be a non-empty array"),
+    body("dryRun")
+      .optional()
+      .isBoolean()
+      .withMessage("dryRun must be true or false"),
+    body("skipDuplicates")
+      .optional()
+      .isBoolean()
+      .withMessage("skipDuplicates must be true or false"),
     handleValidationErrors,
   ],
   volunteerTeamController.bulkImportTeams
 );
 
 // @route   GET /api/volunteer-teams/export/church/:churchId
-// @desc    Export volunteer teams to CSV/Excel
+// @desc    Export volunteer teams to CSV/Excel/JSON
 // @access  Private (Church Members)
 router.get(
   "/export/church/:churchId",
-  [protect, checkChurchAccess],
+  [
+    protect,
+    validateObjectId("churchId"),
+    checkChurchAccess,
+    query("format")
+      .optional()
+      .isIn(["csv", "xlsx", "json"])
+      .withMessage("Format must be csv, xlsx or json"),
+    query("category")
+      .optional()
+      .isIn(["worship", "ushering", "technical", "children", "youth", "outreach", "administration", "maintenance", "other"])
+      .withMessage("Invalid team category specified"),
+    query("isActive")
+      .optional()
+      .isBoolean()
+      .withMessage("isActive must be true or false"),
+    handleValidationErrors,
+  ],
   volunteerTeamController.exportTeams
 );
 
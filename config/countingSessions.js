@@ -0,0 +1,263 @@
+const CountingSession = require("../app/models/CountingSession");
+const Donation = require("../app/models/Donation");
+const ManualFinancialRecord = require("../app/models/ManualFinancialRecord");
+const Member = require("../app/models/Member");
+const JournalEntry = require("../app/models/JournalEntry");
+const { allocateDonation } = require("./pledges");
+const { sendChurchNotification } = require("./deliveryRouter");
+
+// e.g. "Sunday First Service, 18 Oct 2026"
+const describeService = (session) =>
+  `${session.service?.name || "Service"}, ${session.serviceDate.toLocaleDateString(
+    "en-GB",
+    { day: "numeric", month: "short", year: "numeric" }
+  )}`;
+
+// What the agreed count turns into: one entry per envelope, so envelope
+// givers get their own receipt and pledge credit, and one per category for
+// the loose cash in the offering bags
+const buildEntries = async (session) => {
+  const count = session.countBy(session.counters[0]);
+  const service = describeService(session);
+
+  const memberIds = count.envelopes
+    .map((envelope) => envelope.memberId)
+    .filter(Boolean);
+  const members = new Map(
+    (
+      await Member.find({ _id: { $in: memberIds }, churchId: session.churchId })
+        .select("firstName lastName email")
+    ).map((member) => [String(member._id), member])
+  );
+
+  const entries = count.envelopes.map((envelope) => {
+    const member = envelope.memberId && members.get(String(envelope.memberId));
+    return {
+      category: envelope.category,
+      amount: envelope.amount,
+      description: `Envelope ${envelope.number} - ${service}`,
+      donorName:
+        envelope.donorName ||
+        (member ? `${member.firstName} ${member.lastName}` : "Anonymous"),
+      donorEmail: member?.email,
+      memberId: member?._id,
+      isAnonymous: !envelope.donorName && !member,
+      envelopeNumber: envelope.number,
+    };
+  });
+
+  // Loose cash is what each category received less its envelopes
+  const cash = new Map(
+    session.reconciliation.byCategory.map(({ category, amount }) => [
+      category.toLowerCase(),
+      { category, amount },
+    ])
+  );
+  entries.forEach((entry) => {
+    const key = entry.category.toLowerCase();
+    if (cash.has(key)) cash.get(key).amount -= entry.amount;
+  });
+  cash.forEach(({ category, amount }) => {
+    const rounded = Math.round(amount * 100) / 100;
+    if (rounded > 0) {
+      entries.push({
+        category,
+        amount: rounded,
+        description: `${category} collection - ${service}`,
+        donorName: `${session.service?.name || "Service"} collection`,
+        isAnonymous: true,
+      });
+    }
+  });
+
+  return entries;
+};
+
+const createDonations = async (session, entries, user, created) => {
+  for (const entry of entries) {
+    const donation = await Donation.create({
+      churchId: session.churchId,
+      donorId: entry.memberId,
+      amount: entry.amount,
+      currency: session.currency,
+      category: entry.category,
+      description: entry.description,
+      paymentMethod: "cash",
+      status: "completed",
+      donorInfo: {
+        name: entry.donorName,
+        email: entry.donorEmail,
+        isAnonymous: entry.isAnonymous,
+      },
+      paymentDetails: {
+        method: "cash",
+        processedAt: new Date(),
+        processedBy: user._id,
+      },
+      metadata: {
+        countingSessionId: session._id,
+        envelopeNumber: entry.envelopeNumber,
+      },
+      recordedBy: user._id,
+      verifiedBy: user._id,
+      verifiedAt: new Date(),
+      // Dated to the service, like imported donations
+      createdAt: session.serviceDate,
+    });
+    created.push(donation);
+  }
+};
+
+const createRecords = async (session, entries, user, created) => {
+  for (const entry of entries) {
+    const record = await ManualFinancialRecord.create({
+      churchId: session.churchId,
+      recordType: "donation",
+      title: entry.envelopeNumber
+        ? `Envelope ${entry.envelopeNumber} (${entry.category})`
+        : `${entry.category} collection`,
+      description: entry.description,
+      amount: entry.amount,
+      currency: session.currency,
+      category: entry.category,
+      transactionDate: session.serviceDate,
+      status: "verified",
+      source: "cash",
+      donor: {
+        name: entry.donorName,
+        email: entry.donorEmail,
+        isAnonymous: entry.isAnonymous,
+        memberId: entry.memberId,
+      },
+      // Two counters agreeing on the figures is the witness
+      verification: {
+        verifiedBy: user._id,
+        verifiedAt: new Date(),
+        verificationMethod: "witness",
+        verificationNotes: `Counted independently by two counters in counting session ${session._id}`,
+        confidence: "high",
+      },
+      tags: ["counting-session"],
+      metadata: {
+        countingSessionId: session._id,
+        envelopeNumber: entry.envelopeNumber,
+      },
+      recordedBy: user._id,
+    });
+    created.push(record);
+  }
+};
+
+// Take back whatever a failed posting managed to create, including the
+// member giving totals the Donation pre-save hook added and the journal
+// entries posted for it
+const discardCreated = async (postAs, created) => {
+  const ids = created.map((doc) => doc._id);
+  if (ids.length === 0) return;
+
+  await JournalEntry.reverseSources(
+    created[0].churchId,
+    ids,
+    "Counting session posting failed"
+  );
+
+  if (postAs === "donations") {
+    await Promise.all(
+      created
+        .filter((donation) => donation.donorId)
+        .map((donation) =>
+          Member.updateOne(
+            { _id: donation.donorId },
+            { $inc: { "financial.totalDonations": -donation.amount } }
+          )
+        )
+    );
+    await Donation.deleteMany({ _id: { $in: ids } });
+  } else {
+    await ManualFinancialRecord.deleteMany({ _id: { $in: ids } });
+  }
+};
+
+// Post a reconciled counting session as cash donations or as verified
+// financial records, all or nothing, then lock it. The session is claimed
+// first so it can only ever be posted once. Resolves to { session } or
+// { error } when the session can't be posted.
+const postCountingSession = async (session, { postAs = "donations", user }) => {
+  const claimed = await CountingSession.findOneAndUpdate(
+    { _id: session._id, status: "reconciled", lockedAt: null },
+    { $set: { status: "posting" } },
+    { new: true }
+  );
+  if (!claimed) {
+    return {
+      error:
+        session.status === "posted"
+          ? "This counting session has already been posted"
+          : "Only reconciled counting sessions can be posted",
+    };
+  }
+
+  const created = [];
+  try {
+    const entries = await buildEntries(claimed);
+    if (postAs === "donations") {
+      await createDonations(claimed, entries, user, created);
+    } else {
+      await createRecords(claimed, entries, user, created);
+    }
+  } catch (error) {
+    console.error(`❌ Error posting counting session ${claimed._id}:`, error);
+    await discardCreated(postAs, created);
+    await CountingSession.updateOne(
+      { _id: claimed._id },
+      {
+        $set: { status: "reconciled" },
+        $push: {
+          history: {
+            event: "post-failed",
+            at: new Date(),
+            by: user._id,
+            note: error.message.slice(0, 500),
+          },
+        },
+      }
+    );
+    return { error: `Failed to post counting session: ${error.message}` };
+  }
+
+  claimed.posting = {
+    postedAs: postAs,
+    donationIds: postAs === "donations" ? created.map((doc) => doc._id) : [],
+    recordIds: postAs === "records" ? created.map((doc) => doc._id) : [],
+    postedBy: user._id,
+    postedAt: new Date(),
+  };
+  claimed.status = "posted";
+  claimed.lockedAt = new Date();
+  claimed.addHistory("posted", {
+    by: user._id,
+    note: `${created.length} ${postAs === "donations" ? "donations" : "financial records"} created`,
+  });
+  await claimed.save();
+
+  if (postAs === "donations") {
+    // Envelope givers' donations count towards their pledges
+    for (const donation of created) {
+      if (donation.donorId) await allocateDonation(donation);
+    }
+  }
+
+  sendChurchNotification(claimed.churchId, "counting-session-posted", {
+    countingSessionId: claimed._id,
+    service: claimed.service?.name,
+    total: claimed.reconciliation.total,
+    currency: claimed.currency,
+    postedAs: postAs,
+  });
+
+  return { session: claimed };
+};
+
+module.exports = {
+  postCountingSession,
+};
@@ -0,0 +1,395 @@
+const Notification = require("../app/models/Notification");
+const NotificationRecipient = require("../app/models/NotificationRecipient");
+const DeliveryLog = require("../app/models/DeliveryLog");
+const User = require("../app/models/User");
+const Church = require("../app/models/Church");
+const VolunteerTeam = require("../app/models/VolunteerTeam");
+const pusher = require("./pusher");
+
+// Notification types grouped into the categories users and churches can
+// opt out of. Types without a category (e.g. urgent) are always delivered.
+const CATEGORY_BY_TYPE = {
+  donation: "finance",
+  expense: "finance",
+  financial: "finance",
+  subscription: "finance",
+  volunteer: "volunteerSchedule",
+  campaign: "campaigns",
+  church: "announcements",
+  event: "announcements",
+  member: "announcements",
+  general: "announcements",
+};
+
+// Channels that interrupt the recipient and so respect quiet hours
+const QUIET_HOURS_CHANNELS = ["push", "sms"];
+
+const DEFAULT_TIMEZONE = "Africa/Lagos";
+
+const categoryFor = (type) => CATEGORY_BY_TYPE[type] || null;
+
+// Minutes since midnight at `date` in the given IANA timezone
+const localMinutes = (date, timeZone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(date);
+  } catch (error) {
+    // Unknown timezone strings fall back to the platform default
+    return localMinutes(date, DEFAULT_TIMEZONE);
+  }
+
+  const value = (type) => parseInt(parts.find((part) => part.type === type).value);
+  return value("hour") * 60 + value("minute");
+};
+
+// Convert an "HH:mm" string to minutes since midnight
+const parseClock = (clock) => {
+  const [hours, minutes] = String(clock).split(":").map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+// Check whether a user is inside their quiet hours, which may span midnight
+const isQuietHours = (user, date = new Date()) => {
+  const quietHours = user?.preferences?.notifications?.quietHours;
+  if (!quietHours?.enabled) return false;
+
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  if (start === end) return false;
+
+  const now = localMinutes(date, user.preferences.timezone || DEFAULT_TIMEZONE);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// Work out why a delivery must not go out, or null when it may.
+// Essential messages (password resets, security notices) bypass preferences.
+const skipReason = ({ channel, user, church, category, priority, essential }) => {
+  if (essential) return null;
+  if (user && user.isActive === false) return "inactive-user";
+
+  if (channel !== "in-app") {
+    if (church?.settings?.notifications?.[channel] === false) {
+      return "church-channel-disabled";
+    }
+    if (user?.preferences?.notifications?.[channel] === false) {
+      return "user-channel-disabled";
+    }
+  }
+
+  if (category) {
+    if (church?.settings?.notifications?.categories?.[category] === false) {
+      return "church-category-opt-out";
+    }
+    if (user?.preferences?.notifications?.categories?.[category] === false) {
+      return "user-category-opt-out";
+    }
+  }
+
+  if (
+    QUIET_HOURS_CHANNELS.includes(channel) &&
+    priority !== "urgent" &&
+    isQuietHours(user)
+  ) {
+    return "quiet-hours";
+  }
+
+  return null;
+};
+
+const loadChurch = (churchId) =>
+  churchId ? Church.findById(churchId).select("name settings") : null;
+
+// Record the outcome of a delivery attempt. Failures are logged so that
+// bookkeeping never blocks the message itself.
+const logDeliveries = async (entries) => {
+  if (entries.length === 0) return;
+
+  try {
+    await DeliveryLog.insertMany(entries, { ordered: false });
+
+    for (const entry of entries) {
+      const notificationIds = entry.notificationIds || [];
+      if (!entry.userId || notificationIds.length === 0) continue;
+
+      await NotificationRecipient.updateMany(
+        { notificationId: { $in: notificationIds }, userId: entry.userId },
+        {
+          $push: {
+            deliveries: {
+              channel: entry.channel,
+              status: entry.status === "queued" ? "pending" : entry.status,
+              reason: entry.reason,
+              at: new Date(),
+            },
+          },
+        }
+      );
+    }
+  } catch (error) {
+    console.error("❌ Error logging delivery:", error);
+  }
+};
+
+// Drop inbox recipients who opted out of this kind of notification
+const filterInboxRecipients = async ({
+  userIds,
+  church,
+  type,
+  event,
+  priority,
+}) => {
+  const category = categoryFor(type);
+  if (!category || userIds.length === 0) return userIds;
+
+  const users = await User.find({ _id: { $in: userIds } }).select(
+    "isActive preferences"
+  );
+  const allowed = [];
+  const skipped = [];
+
+  users.forEach((user) => {
+    const reason = skipReason({
+      channel: "in-app",
+      user,
+      church,
+      category,
+      priority,
+    });
+
+    if (reason) {
+      skipped.push({
+        churchId: church?._id,
+        userId: user._id,
+        channel: "in-app",
+        category,
+        event,
+        status: "skipped",
+        reason,
+      });
+    } else {
+      allowed.push(user._id.toString());
+    }
+  });
+
+  await logDeliveries(skipped);
+
+  return allowed;
+};
+
+// Helper function to notify church members who have not opted out. Like the
+// other two helpers below, it logs failures rather than rejecting, so callers
+// can fire and forget.
+const sendChurchNotification = async (churchId, event, data, options = {}) => {
+  try {
+    const church = await loadChurch(churchId);
+    const userIds = await Notification.resolveRecipients({
+      audience: "church",
+      churchId,
+      roles: options.recipients,
+    });
+    const recipientIds = await filterInboxRecipients({
+      userIds,
+      church,
+      type: Notification.typeForEvent(event, data),
+      event,
+      priority: data.priority,
+    });
+
+    return await pusher.sendChurchNotification(churchId, event, data, {
+      ...options,
+      recipientIds,
+      silent: church?.settings?.notifications?.push === false,
+    });
+  } catch (error) {
+    console.error("❌ Error sending church notification:", error);
+    return null;
+  }
+};
+
+// Helper function to notify a volunteer team, minus members who opted out
+const sendTeamNotification = async (teamId, event, data, options = {}) => {
+  try {
+    const team = await VolunteerTeam.findById(teamId).select("churchId");
+    const church = await loadChurch(team?.churchId);
+    const userIds = await Notification.resolveRecipients({
+      audience: "team",
+      teamId,
+    });
+    const recipientIds = await filterInboxRecipients({
+      userIds,
+      church,
+      type: Notification.typeForEvent(event, data),
+      event,
+      priority: data.priority,
+    });
+
+    return await pusher.sendTeamNotification(teamId, event, data, {
+      ...options,
+      churchId: team?.churchId,
+      recipientIds,
+      silent: church?.settings?.notifications?.push === false,
+    });
+  } catch (error) {
+    console.error("❌ Error sending team notification:", error);
+    return null;
+  }
+};
+
+// Helper function to notify one user. Events on a user's own Pusher channel
+// are that user's push notifications, so push preferences and quiet hours
+// decide whether the real-time event fires. The inbox entry is kept unless the
+// user opted out of the notification's category.
+const sendUserNotification = async (userId, event, data, options = {}) => {
+  try {
+    const churchId = options.churchId || data.churchId;
+    const [user, church] = await Promise.all([
+      User.findById(userId).select("isActive preferences"),
+      loadChurch(churchId),
+    ]);
+    const category = categoryFor(Notification.typeForEvent(event, data));
+    const check = (channel) =>
+      skipReason({ channel, user, church, category, priority: data.priority });
+
+    const inboxReason = check("in-app");
+    const pushReason = inboxReason || check("push");
+
+    const notification = await pusher.sendUserNotification(userId, event, data, {
+      ...options,
+      churchId,
+      recipientIds: inboxReason ? [] : [userId],
+      silent: Boolean(pushReason),
+    });
+
+    const entry = {
+      churchId,
+      userId,
+      category: category || undefined,
+      event,
+      status: "skipped",
+    };
+    await logDeliveries(
+      inboxReason
+        ? [{ ...entry, channel: "in-app", reason: inboxReason }]
+        : pushReason
+        ? [
+            {
+              ...entry,
+              channel: "push",
+              reason: pushReason,
+              notificationId: notification?._id,
+              notificationIds: notification ? [notification._id] : [],
+            },
+          ]
+        : []
+    );
+
+    return notification;
+  } catch (error) {
+    console.error("❌ Error sending user notification:", error);
+    return null;
+  }
+};
+
+// Deliver a single email or SMS after checking preferences. `send` performs
+// the actual delivery and resolves to the provider's { success, error } result;
+// emails resolve with queued: true once they are in the outbox.
+// When only an address is known, the matching user's preferences still apply.
+const deliver = async (
+  {
+    channel,
+    recipient,
+    userId,
+    churchId,
+    type,
+    category = categoryFor(type),
+    event,
+    priority = "normal",
+    essential = false,
+    notificationIds = [],
+  },
+  send
+) => {
+  const [user, church] = await Promise.all([
+    userId
+      ? User.findById(userId).select("email phone isActive preferences")
+      : channel === "email" && recipient
+      ? User.findOne({ email: String(recipient).toLowerCase() }).select(
+          "email phone isActive preferences"
+        )
+      : null,
+    loadChurch(churchId),
+  ]);
+  const address = recipient || (channel === "email" ? user?.email : user?.phone);
+
+  const entry = {
+    churchId,
+    userId: user?._id,
+    notificationId: notificationIds[0],
+    notificationIds,
+    channel,
+    category: category || undefined,
+    event,
+    recipient: address,
+  };
+
+  const reason = address
+    ? skipReason({ channel, user, church, category, priority, essential })
+    : "no-address";
+  if (reason) {
+    await logDeliveries([{ ...entry, status: "skipped", reason }]);
+    return { status: "skipped", reason };
+  }
+
+  let result;
+  try {
+    result = await send(address, {
+      user,
+      church,
+      // Context for messages that are queued rather than sent immediately
+      outbox: { churchId, userId: user?._id, event, notificationIds },
+    });
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  const status =
+    result?.success === false ? "failed" : result?.queued ? "queued" : "sent";
+  await logDeliveries([
+    {
+      ...entry,
+      status,
+      reason: result?.error,
+      provider: result?.provider,
+      providerMessageId: result?.messageId,
+      segments: result?.segments,
+      cost: result?.cost,
+    },
+  ]);
+
+  return { status, reason: result?.error, result };
+};
+
+// Helper function to send an email through the router
+const sendEmail = (options, send) => deliver({ ...options, channel: "email" }, send);
+
+// Helper function to send an SMS through the router
+const sendSms = (options, send) => deliver({ ...options, channel: "sms" }, send);
+
+module.exports = {
+  CATEGORY_BY_TYPE,
+  categoryFor,
+  isQuietHours,
+  skipReason,
+  deliver,
+  sendEmail,
+  sendSms,
+  sendNotification: pusher.sendNotification,
+  sendChurchNotification,
+  sendUserNotification,
+  sendTeamNotification,
+};
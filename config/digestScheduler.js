@@ -0,0 +1,278 @@
+const User = require("../app/models/User");
+const Church = require("../app/models/Church");
+const Donation = require("../app/models/Donation");
+const Expense = require("../app/models/Expense");
+const ManualFinancialRecord = require("../app/models/ManualFinancialRecord");
+const Member = require("../app/models/Member");
+const VolunteerTeam = require("../app/models/VolunteerTeam");
+const emailService = require("./email");
+const { sendEmail } = require("./deliveryRouter");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIOD_MS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Calendar date, weekday and hour at `date` in the given IANA timezone
+const localClock = (date, timeZone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      weekday: "short",
+      hour: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(date);
+  } catch (error) {
+    return localClock(date, "Africa/Lagos");
+  }
+
+  const value = (type) => parts.find((part) => part.type === type).value;
+  return {
+    date: `${value("year")}-${value("month")}-${value("day")}`,
+    weekday: WEEKDAYS.indexOf(value("weekday")),
+    hour: parseInt(value("hour")),
+  };
+};
+
+class DigestScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs =
+      parseInt(process.env.DIGEST_SCHEDULER_INTERVAL_MS) || 15 * 60 * 1000;
+    this.sendHour = process.env.DIGEST_SEND_HOUR
+      ? parseInt(process.env.DIGEST_SEND_HOUR)
+      : 7;
+    // 0 = Sunday ... 6 = Saturday
+    this.weeklyDay = process.env.DIGEST_WEEKLY_DAY
+      ? parseInt(process.env.DIGEST_WEEKLY_DAY)
+      : 1;
+  }
+
+  // Start polling for admins whose digest is due
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(
+      `📰 Digest scheduler started (every ${this.intervalMs / 1000}s)`
+    );
+    this.tick();
+  }
+
+  // Stop polling
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // A digest is due once per local day (or on the configured weekday for
+  // weekly digests), after the send hour in the admin's timezone
+  isDue(user, now = new Date()) {
+    const { frequency, lastSentAt } = user.preferences.notifications.digest;
+    if (!PERIOD_MS[frequency]) return false;
+
+    const timezone = user.preferences.timezone;
+    const today = localClock(now, timezone);
+    if (today.hour < this.sendHour) return false;
+    if (frequency === "weekly" && today.weekday !== this.weeklyDay) {
+      return false;
+    }
+
+    return !lastSentAt || localClock(lastSentAt, timezone).date !== today.date;
+  }
+
+  // Send every digest that is currently due
+  async tick() {
+    // Skip if the previous tick is still sending
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const now = new Date();
+      const users = await User.find({
+        isActive: true,
+        "preferences.notifications.digest.frequency": { $in: ["daily", "weekly"] },
+        "churches.role": "admin",
+      });
+
+      for (const user of users.filter((candidate) => this.isDue(candidate, now))) {
+        await this.sendForUser(user, now);
+      }
+    } catch (error) {
+      console.error("❌ Digest scheduler error:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Email one digest per church the user administers
+  async sendForUser(user, now = new Date()) {
+    const { frequency, lastSentAt } = user.preferences.notifications.digest;
+    const since = lastSentAt || new Date(now.getTime() - PERIOD_MS[frequency]);
+    const churchIds = user.churches
+      .filter((church) => church.role === "admin")
+      .map((church) => church.churchId);
+
+    for (const churchId of churchIds) {
+      try {
+        const digest = await this.compile(churchId, since, now);
+        if (!digest) continue;
+
+        await sendEmail(
+          {
+            recipient: user.email,
+            userId: user._id,
+            churchId,
+            event: `${frequency}-digest`,
+          },
+          (to, { outbox }) =>
+            emailService.sendAdminDigest(
+              to,
+              user.firstName,
+              digest,
+              frequency,
+              outbox
+            )
+        );
+      } catch (error) {
+        console.error(`❌ Digest for church ${churchId} failed:`, error);
+      }
+    }
+
+    // Recorded even when a church failed, so one bad church can't cause
+    // the others to be re-sent every tick
+    user.preferences.notifications.digest.lastSentAt = now;
+    await user.save();
+  }
+
+  // Gather the figures an admin needs for the period [since, until]
+  async compile(churchId, since, until = new Date()) {
+    const church = await Church.findById(churchId).select("name settings");
+    if (!church) return null;
+
+    const upcomingUntil = new Date(until.getTime() + 7 * DAY_MS);
+
+    const [
+      donationStats,
+      recentDonations,
+      pendingExpenses,
+      pendingRecords,
+      firstTimers,
+      teams,
+    ] = await Promise.all([
+      Donation.getDonationStats(churchId, since, until),
+      Donation.find({
+        churchId,
+        status: "completed",
+        createdAt: { $gte: since, $lte: until },
+      })
+        .select("amount category donorInfo createdAt")
+        .sort({ createdAt: -1 })
+        .limit(10),
+      Expense.find({ churchId, status: "pending" })
+        .select("title amount category priority expenseDate")
+        .sort({ expenseDate: 1 }),
+      ManualFinancialRecord.find({ churchId, status: "pending" })
+        .select("title amount recordType transactionDate status")
+        .sort({ transactionDate: 1 }),
+      Member.find({
+        churchId,
+        "firstTimer.isFirstTimer": true,
+        $or: [
+          { "firstTimer.firstVisitDate": { $gte: since, $lte: until } },
+          {
+            "firstTimer.firstVisitDate": { $exists: false },
+            createdAt: { $gte: since, $lte: until },
+          },
+        ],
+      }).select("firstName lastName phone email firstTimer"),
+      VolunteerTeam.find({
+        churchId,
+        isActive: true,
+        "schedule.serviceDate": { $gte: until, $lte: upcomingUntil },
+      }).select("name schedule"),
+    ]);
+
+    const overdueRecords = pendingRecords.filter(
+      (record) => record.isOverdueForVerification
+    );
+
+    const schedules = teams
+      .flatMap((team) =>
+        team.schedule
+          .filter(
+            (schedule) =>
+              schedule.serviceDate >= until &&
+              schedule.serviceDate <= upcomingUntil
+          )
+          .map((schedule) => ({
+            team: team.name,
+            serviceDate: schedule.serviceDate,
+            serviceType: schedule.serviceType,
+            startTime: schedule.startTime,
+            requiredMembers: schedule.requiredMembers,
+            assignedMembers: schedule.assignedMembers.filter(
+              (member) => member.status !== "declined"
+            ).length,
+          }))
+      )
+      .sort((a, b) => a.serviceDate - b.serviceDate);
+
+    return {
+      church: {
+        id: church._id,
+        name: church.name,
+        currency: church.settings?.currency || "NGN",
+      },
+      period: { since, until },
+      donations: {
+        totalAmount: donationStats.reduce(
+          (sum, category) => sum + category.totalAmount,
+          0
+        ),
+        totalCount: donationStats.reduce(
+          (sum, category) => sum + category.totalCount,
+          0
+        ),
+        byCategory: donationStats.map((category) => ({
+          category: category._id,
+          totalAmount: category.totalAmount,
+          count: category.totalCount,
+        })),
+        recent: recentDonations.map((donation) => ({
+          amount: donation.amount,
+          category: donation.category,
+          donorName: donation.donorInfo?.isAnonymous
+            ? "Anonymous"
+            : donation.donorInfo?.name || "Anonymous",
+          date: donation.createdAt,
+        })),
+      },
+      pendingExpenses: {
+        count: pendingExpenses.length,
+        totalAmount: pendingExpenses.reduce(
+          (sum, expense) => sum + expense.amount,
+          0
+        ),
+        items: pendingExpenses.slice(0, 10),
+      },
+      overdueRecords: {
+        count: overdueRecords.length,
+        items: overdueRecords.slice(0, 10),
+      },
+      firstTimers,
+      upcomingSchedules: schedules,
+    };
+  }
+}
+
+module.exports = new DigestScheduler();
@@ -0,0 +1,659 @@
+const mongoose = require("mongoose");
+const Donation = require("../app/models/Donation");
+const Member = require("../app/models/Member");
+const DonationCampaign = require("../app/models/DonationCampaign");
+const PaymentEvent = require("../app/models/PaymentEvent");
+const JournalEntry = require("../app/models/JournalEntry");
+const emailService = require("./email");
+const {
+  sendEmail,
+  sendChurchNotification,
+  sendUserNotification,
+} = require("./deliveryRouter");
+const { receiptAttachments } = require("./receipts");
+const { allocateDonation, releaseDonation } = require("./pledges");
+const recurringDonationScheduler = require("./recurringDonationScheduler");
+const { getGateway } = require("./paymentGateways");
+
+// Gateway payment statuses (see ./paymentGateways), grouped by what they
+// mean for a donation
+const PAID_STATUSES = ["PAID", "OVERPAID", "PARTIALLY_PAID"];
+const FAILED_STATUSES = ["FAILED", "CANCELLED", "EXPIRED", "ABANDONED"];
+const REVERSED_STATUSES = ["REVERSED"];
+
+// Donations still waiting for the gateway to settle
+const OPEN_STATUSES = ["pending", "processing"];
+
+// Find the donation a gateway payment belongs to: by the reference we gave
+// the gateway, or the gateway's own reference once we've stored it
+const findDonationForPayment = ({ paymentReference, transactionReference }) => {
+  const references = [];
+  if (paymentReference) {
+    references.push(
+      { "paymentDetails.paymentReference": paymentReference },
+      { "paymentDetails.transactionReference": paymentReference }
+    );
+  }
+  if (transactionReference) {
+    references.push({ "paymentDetails.transactionReference": transactionReference });
+  }
+  if (references.length === 0) return null;
+
+  return Donation.findOne({ $or: references });
+};
+
+// Add a completed donation to the campaigns its lines go to
+const creditCampaigns = async (donation) => {
+  for (const [campaignId, amount] of donation.campaignAmounts()) {
+    const campaign = await DonationCampaign.findById(campaignId);
+    if (campaign) await campaign.addDonation(amount, donation.donorId);
+  }
+};
+
+// Add to (or take from) the campaign and member totals a donation counts
+// in, for top-ups, refunds and reversals of donations that were already
+// counted. A split donation's campaigns each take their share. Taking what
+// is left of a donation off entirely (removed) also takes its donor off
+// the campaigns' donor counts.
+const adjustTotals = async (donation, amount, { removed = false } = {}) => {
+  for (const [campaignId, share] of donation.campaignAmounts(amount)) {
+    const campaign = await DonationCampaign.findById(campaignId);
+    if (campaign && removed) {
+      await campaign.removeDonation(-share);
+    } else if (campaign) {
+      campaign.currentAmount = Math.max(campaign.currentAmount + share, 0);
+      await campaign.save();
+    }
+  }
+
+  if (donation.donorId) {
+    await Member.updateOne(
+      { _id: donation.donorId },
+      { $inc: { "financial.totalDonations": amount } }
+    );
+  }
+};
+
+// Move a donation to a new status in a single update, provided it is still
+// in one of the `from` statuses. Of several events racing to make the same
+// change only one claims it, and only that one goes on to the side effects
+// (totals, pledges, receipt, ledger). Resolves to false when another event
+// got there first.
+const claimStatus = async (donation, from, to) => {
+  const claimed = await Donation.findOneAndUpdate(
+    { _id: donation._id, status: { $in: from } },
+    { $set: { status: to } },
+    { projection: { _id: 1 } }
+  );
+  return Boolean(claimed);
+};
+
+// Save a donation whose status change was claimed, handing the claim back
+// if the save fails so a redelivered event can try again
+const saveClaimed = async (donation, previousStatus, before = async () => {}) => {
+  try {
+    await before();
+    await donation.save();
+  } catch (error) {
+    await Donation.updateOne(
+      { _id: donation._id, status: donation.status },
+      { $set: { status: previousStatus } }
+    );
+    throw error;
+  }
+};
+
+// Thank the donor and let the church know a payment went through
+const announceCompletion = async (donation) => {
+  sendChurchNotification(donation.churchId, "donation-completed", {
+    donationId: donation._id,
+    amount: donation.amount,
+    category: donation.category,
+    donorName: donation.donorInfo?.isAnonymous
+      ? "Anonymous"
+      : donation.donorInfo?.name || "Anonymous",
+  });
+
+  if (donation.donorInfo?.email && donation.donorInfo?.name) {
+    await sendEmail(
+      {
+        recipient: donation.donorInfo.email,
+        churchId: donation.churchId,
+        type: "donation",
+        event: "donation-confirmation",
+      },
+      async (to, { church, outbox }) =>
+        emailService.sendDonationConfirmation(
+          to,
+          donation.donorInfo.name,
+          donation.amount,
+          church.name,
+          donation.category,
+          outbox,
+          await receiptAttachments(donation)
+        )
+    );
+  }
+};
+
+// Complete a donation the gateway says was paid. The donation's amount
+// becomes what was actually paid (partial and over payments), and a later
+// payment towards a partially paid transaction tops it up. Resolves to a
+// description of the change, or null when there was nothing to do.
+const settleDonation = async (donation, verification, { cardDetails } = {}) => {
+  const paidAmount = Number(verification.paidAmount) || donation.amount;
+  const previousStatus = donation.status;
+
+  const record = () => {
+    donation.paymentDetails.paidAmount = paidAmount;
+    if (verification.paymentMethod) {
+      donation.paymentDetails.paymentMethod = verification.paymentMethod;
+    }
+    if (verification.transactionReference) {
+      donation.paymentDetails.transactionReference =
+        verification.transactionReference;
+    }
+    if (paidAmount !== donation.amount) {
+      if (!donation.paymentDetails.expectedAmount) {
+        donation.paymentDetails.expectedAmount = donation.amount;
+      }
+      donation.setAmount(paidAmount);
+    }
+  };
+
+  if (donation.status === "completed") {
+    const topUp = paidAmount - donation.amount;
+    if (topUp <= 0) return null;
+
+    // Claim the top-up against the amount we read, so the same payment
+    // reported twice at once is only added once
+    const claimed = await Donation.findOneAndUpdate(
+      { _id: donation._id, status: "completed", amount: donation.amount },
+      { $set: { amount: paidAmount, "paymentDetails.paidAmount": paidAmount } },
+      { projection: { _id: 1 } }
+    );
+    if (!claimed) return null;
+
+    const previousAmount = donation.amount;
+    record();
+    try {
+      await donation.save();
+    } catch (error) {
+      await Donation.updateOne(
+        { _id: donation._id, amount: paidAmount },
+        { $set: { amount: previousAmount } }
+      );
+      throw error;
+    }
+    await adjustTotals(donation, topUp);
+    await allocateDonation(donation);
+    return `completed: topped up by ${topUp}`;
+  }
+
+  // Reversed and refunded donations stay that way; failed ones can still
+  // be paid (e.g. a bank transfer that arrived after the checkout expired)
+  if (!OPEN_STATUSES.includes(donation.status) && donation.status !== "failed") {
+    return null;
+  }
+  if (!(await claimStatus(donation, [...OPEN_STATUSES, "failed"], "completed"))) {
+    return null;
+  }
+
+  record();
+  donation.status = "completed";
+  donation.paymentDetails.processedAt = verification.paidOn
+    ? new Date(verification.paidOn)
+    : new Date();
+  donation.paymentDetails.failedAt = undefined;
+
+  // Online donations are created pending, so number the receipt now. The
+  // pre-save hook adds the donation to the member's giving totals.
+  await saveClaimed(donation, previousStatus, async () => {
+    if (!donation.receipt.number) {
+      await donation.assignReceiptNumber();
+    }
+  });
+
+  // The payment is settled from here on, so follow-up problems are only
+  // logged rather than failing the webhook (which would be redelivered)
+  try {
+    await creditCampaigns(donation);
+    await allocateDonation(donation);
+
+    // Paying a recurring donation by card checkout saves the card for the
+    // charges that follow
+    if (donation.recurringDonationId) {
+      await recurringDonationScheduler.authorizePlan(donation, cardDetails);
+    }
+
+    await announceCompletion(donation);
+  } catch (error) {
+    console.error(`❌ Error finishing donation ${donation._id} payment:`, error);
+  }
+
+  return `${previousStatus} -> completed`;
+};
+
+// Mark an unpaid donation failed. Completed donations are left alone: a
+// late failure notice never undoes a successful payment.
+const failDonation = async (donation, verification) => {
+  if (!OPEN_STATUSES.includes(donation.status)) return null;
+  if (!(await claimStatus(donation, OPEN_STATUSES, "failed"))) return null;
+
+  const previousStatus = donation.status;
+  donation.status = "failed";
+  donation.paymentDetails.failedAt = new Date();
+  await saveClaimed(donation, previousStatus);
+
+  return `${previousStatus} -> failed (${verification.paymentStatus})`;
+};
+
+// Undo a completed donation whose payment the gateway reversed: take it off
+// the campaign, member and pledge totals and let the church know
+const reverseDonation = async (donation) => {
+  if (donation.status === "reversed") return null;
+  if (donation.status !== "completed") {
+    return failDonation(donation, { paymentStatus: "REVERSED" });
+  }
+
+  if (!(await claimStatus(donation, ["completed"], "reversed"))) return null;
+
+  donation.status = "reversed";
+  donation.paymentDetails.reversedAt = new Date();
+  await saveClaimed(donation, "completed");
+
+  try {
+    // Anything already refunded has been taken off the totals
+    await adjustTotals(donation, -donation.netAmount, { removed: true });
+    await releaseDonation(donation);
+
+    sendChurchNotification(donation.churchId, "donation-reversed", {
+      donationId: donation._id,
+      amount: donation.amount,
+      category: donation.category,
+      receiptNumber: donation.receipt?.number,
+      priority: "high",
+    });
+  } catch (error) {
+    console.error(`❌ Error finishing donation ${donation._id} reversal:`, error);
+  }
+
+  return "completed -> reversed";
+};
+
+// Amounts are compared to the cent, so floating point sums of partial
+// refunds don't fall foul of the donation's amount
+const CENT = 0.005;
+
+// Let the donor know part or all of their donation was given back
+const announceRefund = async (donation, refund) => {
+  if (donation.donorInfo?.email && donation.donorInfo?.name) {
+    await sendEmail(
+      {
+        recipient: donation.donorInfo.email,
+        churchId: donation.churchId,
+        type: "donation",
+        event: "donation-refunded",
+      },
+      (to, { church, outbox }) =>
+        emailService.sendRefundNotice(
+          to,
+          donation.donorInfo.name,
+          church?.name,
+          donation,
+          refund,
+          outbox
+        )
+    );
+  }
+
+  if (donation.donorId) {
+    const member = await Member.findById(donation.donorId).select("userId");
+    if (member?.userId) {
+      await sendUserNotification(
+        member.userId,
+        "donation-refunded",
+        {
+          donationId: donation._id,
+          amount: refund.amount,
+          refundedAmount: donation.refundedAmount,
+          currency: donation.currency,
+          reason: refund.reason,
+        },
+        { churchId: donation.churchId }
+      );
+    }
+  }
+};
+
+// Give back the amount a refund reserved and record why it failed. Only a
+// refund still pending can fail, so the amount is never given back twice.
+// Resolves to whether this call failed it.
+const failRefund = async (donationId, refund, result) => {
+  const { modifiedCount } = await Donation.updateOne(
+    {
+      _id: donationId,
+      refunds: { $elemMatch: { _id: refund._id, status: "pending" } },
+    },
+    {
+      $inc: { refundedAmount: -refund.amount },
+      $set: {
+        "refunds.$.status": "failed",
+        "refunds.$.error": result.error || "The gateway declined the refund",
+        "refunds.$.gatewayStatus": result.status,
+        "refunds.$.gatewayResponse": result.data,
+      },
+    }
+  );
+  return modifiedCount > 0;
+};
+
+// Mark a pending refund completed once the money has gone back, and take
+// it off the campaign, member and pledge totals. Of several calls racing
+// to complete the same refund only one goes on to the side effects.
+// Resolves to { donation, refund }, or null when it was already finished.
+const completeRefund = async (donationId, refundId, result) => {
+  const { modifiedCount } = await Donation.updateOne(
+    {
+      _id: donationId,
+      refunds: { $elemMatch: { _id: refundId, status: "pending" } },
+    },
+    {
+      $set: {
+        "refunds.$.status": "completed",
+        "refunds.$.completedAt": new Date(),
+        "refunds.$.refundReference": result.refundReference || `REF_${refundId}`,
+        "refunds.$.gatewayStatus": result.status,
+        "refunds.$.gatewayResponse": result.data,
+      },
+    }
+  );
+  if (modifiedCount === 0) return null;
+
+  // Nothing left once every refund has gone through
+  await Donation.updateOne(
+    {
+      _id: donationId,
+      status: "completed",
+      "refunds.status": { $ne: "pending" },
+      $expr: { $gte: ["$refundedAmount", { $subtract: ["$amount", CENT] }] },
+    },
+    { $set: { status: "refunded", "paymentDetails.refundedAt": new Date() } }
+  );
+
+  const refunded = await Donation.findById(donationId);
+  const refund = refunded.refunds.id(refundId);
+
+  // The money has gone back, so follow-up problems are only logged
+  try {
+    await JournalEntry.postRefund(refunded, refund);
+    await adjustTotals(refunded, -refund.amount, {
+      removed: refunded.status === "refunded",
+    });
+    // Re-apply what is left of the donation to the donor's pledges
+    await releaseDonation(refunded);
+    await allocateDonation(refunded);
+
+    sendChurchNotification(refunded.churchId, "donation-refunded", {
+      donationId: refunded._id,
+      amount: refund.amount,
+      category: refunded.category,
+      receiptNumber: refunded.receipt?.number,
+    });
+    await announceRefund(refunded, refund);
+  } catch (error) {
+    console.error(`❌ Error finishing donation ${refunded._id} refund:`, error);
+  }
+
+  return { donation: refunded, refund };
+};
+
+// Refund all or part of a completed donation. Online donations are refunded
+// through the gateway that took the payment; offline ones are recorded as
+// paid back by hand. Each refund is added to the donation's refund ledger
+// and taken off the campaign, member and pledge totals, and the donation is
+// marked refunded once nothing is left. A refund the gateway is still
+// processing stays pending, its amount reserved, until the gateway's refund
+// webhook or finishPendingRefunds finds it done. Resolves to
+// { donation, refund } or { error } when the refund can't be made.
+const refundDonation = async (donation, { amount, reason, userId } = {}) => {
+  const refundAmount =
+    Math.round((Number(amount) || donation.netAmount) * 100) / 100;
+  if (!(refundAmount > 0)) {
+    return { error: "Refund amount must be greater than 0" };
+  }
+
+  const viaGateway = donation.paymentMethod === "online";
+  const gateway = viaGateway ? getGateway(donation.paymentDetails?.gateway) : null;
+  if (viaGateway && !gateway) {
+    return { error: "The donation's payment gateway is not available" };
+  }
+
+  // Reserve the amount first, so refunds made at the same time can never
+  // add up to more than the donation
+  const refundId = new mongoose.Types.ObjectId();
+  const reserved = await Donation.findOneAndUpdate(
+    {
+      _id: donation._id,
+      status: "completed",
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ["$refundedAmount", 0] }, refundAmount] },
+          { $add: ["$amount", CENT] },
+        ],
+      },
+    },
+    {
+      $inc: { refundedAmount: refundAmount },
+      $push: {
+        refunds: {
+          _id: refundId,
+          amount: refundAmount,
+          reason,
+          status: "pending",
+          method: viaGateway ? "gateway" : "manual",
+          gateway: gateway?.name,
+          requestedBy: userId,
+          requestedAt: new Date(),
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!reserved) {
+    return {
+      error:
+        donation.status === "completed"
+          ? "Refund amount exceeds what is left of the donation"
+          : "Only completed donations can be refunded",
+    };
+  }
+
+  const result = viaGateway
+    ? await gateway.refundPayment({
+      transactionReference: reserved.paymentDetails.transactionReference,
+      refundReference: `REF_${refundId}`,
+      amount: refundAmount,
+      reason,
+    })
+    : { success: true };
+
+  if (!result.success) {
+    await failRefund(donation._id, { _id: refundId, amount: refundAmount }, result);
+    return { error: result.error || "The gateway declined the refund" };
+  }
+
+  if (result.status === "PENDING") {
+    await Donation.updateOne(
+      { _id: donation._id, "refunds._id": refundId },
+      {
+        $set: {
+          "refunds.$.refundReference": result.refundReference || `REF_${refundId}`,
+          "refunds.$.gatewayStatus": result.status,
+          "refunds.$.gatewayResponse": result.data,
+        },
+      }
+    );
+    const pending = await Donation.findById(donation._id);
+    return { donation: pending, refund: pending.refunds.id(refundId) };
+  }
+
+  // A webhook may have completed it already
+  const completed = await completeRefund(donation._id, refundId, result);
+  if (completed) return completed;
+  const refunded = await Donation.findById(donation._id);
+  return { donation: refunded, refund: refunded.refunds.id(refundId) };
+};
+
+// Finish a donation's gateway refunds that were still in progress, from
+// the status the gateway now gives each: completed ones are taken off the
+// totals, failed ones give their amount back. Resolves to a description of
+// what changed, or null when none has finished yet.
+const finishPendingRefunds = async (donation) => {
+  const gateway = getGateway(donation.paymentDetails?.gateway);
+  if (!gateway) return null;
+
+  const outcomes = [];
+  const pending = donation.refunds.filter(
+    (refund) => refund.status === "pending" && refund.method === "gateway" && refund.refundReference
+  );
+  for (const refund of pending) {
+    const result = await gateway.verifyRefund(refund.refundReference);
+    if (!result.success) {
+      throw new Error(`Refund verification failed: ${result.error}`);
+    }
+
+    if (result.status === "COMPLETED") {
+      if (await completeRefund(donation._id, refund._id, result)) {
+        outcomes.push(`refund ${refund.refundReference} completed`);
+      }
+    } else if (result.status === "FAILED") {
+      if (await failRefund(donation._id, refund, result)) {
+        outcomes.push(`refund ${refund.refundReference} failed`);
+      }
+    }
+  }
+
+  return outcomes.length > 0 ? outcomes.join(", ") : null;
+};
+
+// Move a donation to the state the gateway's verified payment status calls
+// for. Every transition checks the donation's current state, so applying
+// the same status twice changes nothing the second time.
+const applyPaymentStatus = (donation, verification, options) => {
+  const status = verification.paymentStatus;
+
+  if (PAID_STATUSES.includes(status)) {
+    return settleDonation(donation, verification, options);
+  }
+  if (FAILED_STATUSES.includes(status)) return failDonation(donation, verification);
+  if (REVERSED_STATUSES.includes(status)) return reverseDonation(donation);
+
+  // PENDING and anything unknown: wait for the next event
+  return null;
+};
+
+// Process a gateway webhook whose signature has been checked. The event is
+// logged once per transaction, event type, status and amount paid;
+// redeliveries of an event that was already handled are acknowledged
+// without doing anything. The payment itself is re-verified with the
+// gateway rather than trusting the payload. Resolves to the logged event
+// (null for redeliveries).
+const processGatewayEvent = async (gateway, webhook) => {
+  const event = await PaymentEvent.claim({
+    gateway: gateway.name,
+    transactionReference: webhook.transactionReference,
+    paymentReference: webhook.paymentReference,
+    eventType: webhook.eventType || "UNKNOWN",
+    fingerprint: `${webhook.paymentStatus || webhook.refundStatus || ""}:${
+      webhook.paidAmount ?? ""
+    }`,
+    payload: webhook.data,
+  });
+  if (!event) return null;
+
+  try {
+    const donation = await findDonationForPayment(webhook);
+    if (!donation) {
+      return await event.finish("ignored", { outcome: "No matching donation" });
+    }
+    event.donationId = donation._id;
+
+    // A gateway may only settle payments that were made through it
+    if (donation.paymentDetails?.gateway !== gateway.name) {
+      return await event.finish("ignored", {
+        outcome: `Donation wasn't paid through ${gateway.name}`,
+      });
+    }
+
+    // Card charges the recurring donation scheduler is still making are
+    // settled by the scheduler, which checks the status itself
+    if (donation.status === "processing" && donation.recurringDonationId) {
+      return await event.finish("ignored", {
+        outcome: "Charge is being settled by the recurring donation scheduler",
+      });
+    }
+
+    // Refund events finish the donation's refunds still in progress,
+    // re-verified with the gateway; the payment itself is unchanged
+    if (webhook.refundStatus) {
+      const outcome = await finishPendingRefunds(donation);
+      return await event.finish(outcome ? "processed" : "ignored", {
+        outcome: outcome || `No pending refund finished (${webhook.refundStatus})`,
+      });
+    }
+
+    const verification = await gateway.verifyPayment(
+      webhook.transactionReference || webhook.paymentReference
+    );
+    if (!verification.success) {
+      throw new Error(`Payment verification failed: ${verification.error}`);
+    }
+    if (
+      verification.paymentReference &&
+      webhook.paymentReference &&
+      verification.paymentReference !== webhook.paymentReference
+    ) {
+      throw new Error("Verified payment reference doesn't match the webhook");
+    }
+
+    event.verification = {
+      paymentStatus: verification.paymentStatus,
+      amountPaid: verification.paidAmount,
+      paidOn: verification.paymentDate,
+    };
+
+    const outcome = await applyPaymentStatus(
+      donation,
+      {
+        paymentStatus: verification.paymentStatus,
+        paidAmount: verification.paidAmount,
+        paidOn: verification.paymentDate,
+        paymentMethod: verification.paymentMethod,
+        transactionReference: verification.transactionReference,
+      },
+      { cardDetails: webhook.cardDetails || verification.cardDetails }
+    );
+
+    return await event.finish(outcome ? "processed" : "ignored", {
+      outcome:
+        outcome || `Donation already ${donation.status} (${verification.paymentStatus})`,
+    });
+  } catch (error) {
+    console.error(
+      `❌ ${gateway.name} event ${event.transactionReference} failed:`,
+      error
+    );
+    await event.finish("failed", { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  findDonationForPayment,
+  creditCampaigns,
+  applyPaymentStatus,
+  processGatewayEvent,
+  refundDonation,
+  finishPendingRefunds,
+};
@@ -1,4 +1,7 @@
 const nodemailer = require("nodemailer");
+const fs = require("fs");
+const path = require("path");
+const EmailMessage = require("../app/models/EmailMessage");
 
 class EmailService {
   constructor() {
@@ -7,7 +10,12 @@ class EmailService {
   }
 
   initializeTransporter() {
-    if (process.env.NODE_ENV === "production") {
+    if (process.env.MAIL_TRANSPORT === "json") {
+      // Offline transport: messages are rendered to JSON instead of sent,
+      // and appended to MAIL_JSON_FILE when it is set
+      this.transporter = nodemailer.createTransport({ jsonTransport: true });
+      this.jsonFile = process.env.MAIL_JSON_FILE;
+    } else if (process.env.NODE_ENV === "production") {
       // Production email configuration
       this.transporter = nodemailer.createTransport({
         host: process.env.MAIL_HOST,
@@ -31,8 +39,38 @@ class EmailService {
     }
   }
 
+  // Store a message in the outbox; config/emailOutbox.js sends it with retries.
+  // outbox carries churchId, userId, event and notificationIds for the log.
+  async queue(mailOptions, outbox = {}) {
+    const message = await EmailMessage.create({
+      ...outbox,
+      from: mailOptions.from,
+      to: mailOptions.to,
+      subject: mailOptions.subject,
+      html: mailOptions.html,
+      text: mailOptions.text,
+      attachments: mailOptions.attachments,
+      history: [{ status: "queued", at: new Date() }],
+    });
+
+    console.log(`📥 Email queued for ${mailOptions.to}: ${mailOptions.subject}`);
+    return { success: true, queued: true, messageId: message._id.toString() };
+  }
+
+  // Hand a message to the configured transport
+  async transport(mailOptions) {
+    const info = await this.transporter.sendMail(mailOptions);
+
+    if (this.jsonFile) {
+      await fs.promises.mkdir(path.dirname(this.jsonFile), { recursive: true });
+      await fs.promises.appendFile(this.jsonFile, `${info.message}\n`);
+    }
+
+    return info;
+  }
+
   // Send welcome email to new users
-  async sendWelcomeEmail(userEmail, userName, churchName) {
+  async sendWelcomeEmail(userEmail, userName, churchName, outbox = {}) {
     try {
       const mailOptions = {
         from: `"${process.env.MAIL_DISPLAYNAME}" <${process.env.MAIL_ADDR || process.env.MAILTRAP_USERNAME}>`,
@@ -56,22 +94,23 @@ class EmailService {
         `,
       };
 
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log(`✅ Welcome email sent to ${userEmail}`);
-      return { success: true, messageId: result.messageId };
+      return await this.queue(mailOptions, outbox);
     } catch (error) {
       console.error("❌ Error sending welcome email:", error);
       return { success: false, error: error.message };
     }
   }
 
-  // Send donation confirmation email
+  // Send donation confirmation email. attachments are nodemailer-style
+  // ({ filename, contentType, content }), e.g. the PDF receipt.
   async sendDonationConfirmation(
     donorEmail,
     donorName,
     amount,
     churchName,
-    donationType
+    donationType,
+    outbox = {},
+    attachments = []
   ) {
     try {
       const mailOptions = {
@@ -88,28 +127,210 @@ class EmailService {
             <p>Donation Type: <strong>${donationType}</strong></p>
             <p>Amount: <strong>₦${amount.toLocaleString()}</strong></p>
             <p>Date: <strong>${new Date().toLocaleDateString()}</strong></p>
+            ${attachments.length > 0 ? "<p>Your receipt is attached.</p>" : ""}
             <p>Thank you for your support!</p>
             <p>Blessings,<br>The ${churchName} Team</p>
           </div>
         `,
+        attachments,
       };
 
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log(`✅ Donation confirmation email sent to ${donorEmail}`);
-      return { success: true, messageId: result.messageId };
+      return await this.queue(mailOptions, outbox);
     } catch (error) {
       console.error("❌ Error sending donation confirmation email:", error);
       return { success: false, error: error.message };
     }
   }
 
+  // Send a donor their annual giving statement
+  async sendGivingStatement(
+    donorEmail,
+    donorName,
+    churchName,
+    statement,
+    outbox = {},
+    attachments = []
+  ) {
+    try {
+      const money = (amount, currency) =>
+        `${currency} ${Number(amount || 0).toLocaleString()}`;
+
+      const mailOptions = {
+        from: `"${process.env.MAIL_DISPLAYNAME}" <${process.env.MAIL_ADDR || process.env.MAILTRAP_USERNAME}>`,
+        to: donorEmail,
+        subject: `Your ${statement.year} Giving Statement - ${churchName}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #27ae60;">Your ${statement.year} Giving Statement</h2>
+            <p>Dear ${donorName},</p>
+            <p>Thank you for your faithful giving to <strong>${churchName}</strong> in ${statement.year}. Your statement is attached for your records.</p>
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <ul>
+                ${statement.byCategory
+                  .map(
+                    (category) =>
+                      `<li>${category.category}: ${money(category.totalAmount, category.currency)}</li>`
+                  )
+                  .join("")}
+              </ul>
+              ${statement.totals
+                .map(
+                  (total) =>
+                    `<p><strong>Total:</strong> ${money(total.totalAmount, total.currency)} from ${total.count} donation(s)</p>`
+                )
+                .join("")}
+            </div>
+            <p>Blessings,<br>The ${churchName} Team</p>
+          </div>
+        `,
+        attachments,
+      };
+
+      return await this.queue(mailOptions, outbox);
+    } catch (error) {
+      console.error("❌ Error sending giving statement email:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Tell a donor a recurring donation charge failed, or that their plan was
+  // suspended or cancelled
+  async sendRecurringDonationIssue(
+    donorEmail,
+    donorName,
+    churchName,
+    plan,
+    reason,
+    outbox = {}
+  ) {
+    try {
+      const amount = `${plan.currency} ${Number(plan.amount).toLocaleString()}`;
+      const manageUrl = `${process.env.FRONTEND_URL}/donations/recurring/${plan._id}`;
+      const { heading, body } =
+        plan.status === "cancelled"
+          ? {
+              heading: "Your Recurring Donation Has Ended",
+              body: `<p>Your ${plan.frequency} donation of <strong>${amount}</strong> to ${churchName || "your church"} has been cancelled and you won't be charged again.</p>`,
+            }
+          : plan.status === "suspended"
+          ? {
+              heading: "Your Recurring Donation Is On Hold",
+              body: `<p>We couldn't charge your card for your ${plan.frequency} donation of <strong>${amount}</strong> to ${churchName || "your church"}, so the plan has been put on hold.</p>
+            <p>To continue giving, update your card or resume the plan:</p>
+            <p style="text-align: center; margin: 30px 0;">
+              <a href="${manageUrl}" style="background-color: #3498db; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">Manage Recurring Donation</a>
+            </p>`,
+            }
+          : {
+              heading: "We Couldn't Process Your Donation",
+              body: `<p>We couldn't charge your card for your ${plan.frequency} donation of <strong>${amount}</strong> to ${churchName || "your church"}.</p>
+            <p>We'll try again on <strong>${new Date(plan.nextAttemptAt).toLocaleDateString()}</strong>. You don't need to do anything unless your card details have changed.</p>`,
+            };
+
+      const mailOptions = {
+        from: `"${process.env.MAIL_DISPLAYNAME}" <${process.env.MAIL_ADDR || process.env.MAILTRAP_USERNAME}>`,
+        to: donorEmail,
+        subject: `${heading} - ${churchName || "Church Management"}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #e67e22;">${heading}</h2>
+            <p>Dear ${donorName},</p>
+            ${body}
+            ${reason ? `<p>Reason: ${reason}</p>` : ""}
+            <p>Thank you for your faithful giving.</p>
+            <p>Blessings,<br>The ${churchName || "Church Management"} Team</p>
+          </div>
+        `,
+      };
+
+      return await this.queue(mailOptions, outbox);
+    } catch (error) {
+      console.error("❌ Error sending recurring donation email:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Remind a donor that a pledge installment is overdue
+  async sendPledgeReminder(donorEmail, donorName, churchName, pledge, outbox = {}) {
+    try {
+      const money = (amount) =>
+        `${pledge.currency} ${Number(amount || 0).toLocaleString()}`;
+      const pledgeUrl = `${process.env.FRONTEND_URL}/donations/pledges/${pledge._id}`;
+
+      const mailOptions = {
+        from: `"${process.env.MAIL_DISPLAYNAME}" <${process.env.MAIL_ADDR || process.env.MAILTRAP_USERNAME}>`,
+        to: donorEmail,
+        subject: `Pledge Reminder - ${churchName || "Church Management"}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #e67e22;">A Gentle Pledge Reminder</h2>
+            <p>Dear ${donorName},</p>
+            <p>Thank you for your pledge of <strong>${money(pledge.amount)}</strong> to ${churchName || "your church"}${pledge.description ? ` (${pledge.description})` : ""}.</p>
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Paid so far:</strong> ${money(pledge.amountFulfilled)} (${pledge.fulfilmentPercentage}%)</p>
+              <p><strong>Now due:</strong> ${money(pledge.overdueAmount)}</p>
+              <p><strong>Due since:</strong> ${new Date(pledge.nextDueDate).toLocaleDateString()}</p>
+            </div>
+            <p style="text-align: center; margin: 30px 0;">
+              <a href="${pledgeUrl}" style="background-color: #3498db; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">View Your Pledge</a>
+            </p>
+            <p>If you've already given, thank you, and please disregard this reminder.</p>
+            <p>Blessings,<br>The ${churchName || "Church Management"} Team</p>
+          </div>
+        `,
+      };
+
+      return await this.queue(mailOptions, outbox);
+    } catch (error) {
+      console.error("❌ Error sending pledge reminder email:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Send donation refund email
+  async sendRefundNotice(donorEmail, donorName, churchName, donation, refund, outbox = {}) {
+    try {
+      const money = (amount) =>
+        `${donation.currency} ${Number(amount || 0).toLocaleString()}`;
+      const remaining = donation.amount - (donation.refundedAmount || 0);
+
+      const mailOptions = {
+        from: `"${process.env.MAIL_DISPLAYNAME}" <${process.env.MAIL_ADDR || process.env.MAILTRAP_USERNAME}>`,
+        to: donorEmail,
+        subject: `Donation Refund - ${churchName || "Church Management"}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #3498db;">Your Donation Has Been Refunded</h2>
+            <p>Dear ${donorName},</p>
+            <p>We have refunded <strong>${money(refund.amount)}</strong> of your ${donation.category} donation to ${churchName || "your church"}.</p>
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <p><strong>Original donation:</strong> ${money(donation.amount)}</p>
+              ${donation.receipt?.number ? `<p><strong>Receipt number:</strong> ${donation.receipt.number}</p>` : ""}
+              <p><strong>Refunded:</strong> ${money(refund.amount)}</p>
+              ${refund.reason ? `<p><strong>Reason:</strong> ${refund.reason}</p>` : ""}
+              <p><strong>Donation now stands at:</strong> ${money(remaining)}</p>
+            </div>
+            ${refund.method === "gateway" ? "<p>Depending on your bank, it can take a few working days for the money to reach your account.</p>" : ""}
+            <p>Blessings,<br>The ${churchName || "Church Management"} Team</p>
+          </div>
+        `,
+      };
+
+      return await this.queue(mailOptions, outbox);
+    } catch (error) {
+      console.error("❌ Error sending refund email:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Send event reminder email
   async sendEventReminder(
     memberEmail,
     memberName,
     eventName,
     eventDate,
-    churchName
+    churchName,
+    outbox = {}
   ) {
     try {
       const mailOptions = {
@@ -132,9 +353,7 @@ class EmailService {
         `,
       };
 
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log(`✅ Event reminder email sent to ${memberEmail}`);
-      return { success: true, messageId: result.messageId };
+      return await this.queue(mailOptions, outbox);
     } catch (error) {
       console.error("❌ Error sending event reminder email:", error);
       return { success: false, error: error.message };
@@ -142,7 +361,7 @@ class EmailService {
   }
 
   // Send password reset email
-  async sendPasswordResetEmail(userEmail, resetToken, userName) {
+  async sendPasswordResetEmail(userEmail, resetToken, userName, outbox = {}) {
     try {
       const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
 
@@ -165,15 +384,44 @@ class EmailService {
         `,
       };
 
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log(`✅ Password reset email sent to ${userEmail}`);
-      return { success: true, messageId: result.messageId };
+      return await this.queue(mailOptions, outbox);
     } catch (error) {
       console.error("❌ Error sending password reset email:", error);
       return { success: false, error: error.message };
     }
   }
 
+  // Send a general notification email
+  async sendNotificationEmail(
+    recipientEmail,
+    recipientName,
+    title,
+    message,
+    churchName,
+    outbox = {}
+  ) {
+    try {
+      const mailOptions = {
+        from: `"${process.env.MAIL_DISPLAYNAME}" <${process.env.MAIL_ADDR || process.env.MAILTRAP_USERNAME}>`,
+        to: recipientEmail,
+        subject: `${title} - ${churchName}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #2c3e50;">${title}</h2>
+            <p>Hello ${recipientName},</p>
+            <p>${message}</p>
+            <p>Blessings,<br>The ${churchName} Team</p>
+          </div>
+        `,
+      };
+
+      return await this.queue(mailOptions, outbox);
+    } catch (error) {
+      console.error("❌ Error sending notification email:", error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Send campaign update email
   async sendCampaignUpdate(
     donorEmail,
@@ -181,7 +429,8 @@ class EmailService {
     campaignName,
     currentAmount,
     targetAmount,
-    churchName
+    churchName,
+    outbox = {}
   ) {
     try {
       const progress = Math.round((currentAmount / targetAmount) * 100);
@@ -210,14 +459,85 @@ class EmailService {
         `,
       };
 
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log(`✅ Campaign update email sent to ${donorEmail}`);
-      return { success: true, messageId: result.messageId };
+      return await this.queue(mailOptions, outbox);
     } catch (error) {
       console.error("❌ Error sending campaign update email:", error);
       return { success: false, error: error.message };
     }
   }
+
+  // Send the daily or weekly admin digest for a church
+  async sendAdminDigest(
+    recipientEmail,
+    recipientName,
+    digest,
+    frequency,
+    outbox = {}
+  ) {
+    try {
+      const { church, donations, pendingExpenses, overdueRecords } = digest;
+      const money = (amount) =>
+        `${church.currency} ${Number(amount || 0).toLocaleString()}`;
+      const day = (date) => new Date(date).toDateString();
+      const listOrNone = (items) =>
+        items.length > 0
+          ? `<ul>${items.map((item) => `<li>${item}</li>`).join("")}</ul>`
+          : "<p>None</p>";
+      const label = frequency === "weekly" ? "Weekly" : "Daily";
+
+      const mailOptions = {
+        from: `"${process.env.MAIL_DISPLAYNAME}" <${process.env.MAIL_ADDR || process.env.MAILTRAP_USERNAME}>`,
+        to: recipientEmail,
+        subject: `${label} Digest - ${church.name}`,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #2c3e50;">${label} Digest for ${church.name}</h2>
+            <p>Hello ${recipientName},</p>
+            <p>Here's what happened between ${day(digest.period.since)} and ${day(digest.period.until)}.</p>
+            <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <h3 style="color: #27ae60; margin-top: 0;">Donations</h3>
+              <p><strong>Total:</strong> ${money(donations.totalAmount)} from ${donations.totalCount} donation(s)</p>
+              ${listOrNone(
+                donations.byCategory.map(
+                  (category) =>
+                    `${category.category}: ${money(category.totalAmount)} (${category.count})`
+                )
+              )}
+            </div>
+            <h3 style="color: #e67e22;">Expenses Awaiting Approval (${pendingExpenses.count})</h3>
+            ${listOrNone(
+              pendingExpenses.items.map(
+                (expense) => `${expense.title} - ${money(expense.amount)}`
+              )
+            )}
+            <h3 style="color: #c0392b;">Records Overdue for Verification (${overdueRecords.count})</h3>
+            ${listOrNone(
+              overdueRecords.items.map(
+                (record) =>
+                  `${record.title} - ${money(record.amount)} (${day(record.transactionDate)})`
+              )
+            )}
+            <h3 style="color: #2980b9;">New First-Timers (${digest.firstTimers.length})</h3>
+            ${listOrNone(digest.firstTimers.map((member) => member.fullName))}
+            <h3 style="color: #8e44ad;">Upcoming Volunteer Schedules</h3>
+            ${listOrNone(
+              digest.upcomingSchedules.map(
+                (schedule) =>
+                  `${day(schedule.serviceDate)} ${schedule.startTime} - ${schedule.team} (${schedule.serviceType}): ${schedule.assignedMembers}/${schedule.requiredMembers} assigned`
+              )
+            )}
+            <p>You can change how often you receive this digest in your notification preferences.</p>
+            <p>Blessings,<br>The Church Management Team</p>
+          </div>
+        `,
+      };
+
+      return await this.queue(mailOptions, outbox);
+    } catch (error) {
+      console.error("❌ Error sending digest email:", error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,131 @@
+const EmailMessage = require("../app/models/EmailMessage");
+const DeliveryLog = require("../app/models/DeliveryLog");
+const NotificationRecipient = require("../app/models/NotificationRecipient");
+const emailService = require("./email");
+
+class EmailOutbox {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 30 * 1000;
+    this.retryDelayMs =
+      parseInt(process.env.EMAIL_RETRY_DELAY_MS) || 60 * 1000;
+  }
+
+  // Start polling for queued emails
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Don't keep the process alive just for the outbox
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`📤 Email outbox started (every ${this.intervalMs / 1000}s)`);
+    this.tick();
+  }
+
+  // Stop polling
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Send every email that is currently due
+  async tick() {
+    // Skip if the previous tick is still working through a backlog
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let message = await EmailMessage.claimNextDue();
+
+      while (message) {
+        await this.send(message);
+        message = await EmailMessage.claimNextDue();
+      }
+    } catch (error) {
+      console.error("❌ Email outbox error:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Send a single message and record the outcome
+  async send(message) {
+    try {
+      const info = await emailService.transport({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        attachments: message.attachments.map((attachment) => ({
+          filename: attachment.filename,
+          contentType: attachment.contentType,
+          content: attachment.content,
+        })),
+      });
+
+      if (info.rejected?.length > 0) {
+        await message.markAsBounced(`Rejected by server: ${info.rejected.join(", ")}`);
+      } else {
+        await message.markAsSent(info.messageId);
+        console.log(`✅ Email sent to ${message.to}: ${message.subject}`);
+      }
+    } catch (error) {
+      // Nodemailer reports a permanent recipient rejection as EENVELOPE with
+      // a 5xx code; anything else (timeouts, auth, 4xx) is worth retrying
+      if (error.code === "EENVELOPE" && error.responseCode >= 500) {
+        await message.markAsBounced(error.response || error.message);
+      } else {
+        await message.markAttemptFailed(error.message, this.retryDelayMs);
+      }
+      console.error(`❌ Email to ${message.to} failed:`, error.message);
+    }
+
+    await this.syncDeliveryState(message);
+  }
+
+  // Mirror a final outcome into the delivery log and the recipient's inbox entry
+  async syncDeliveryState(message) {
+    if (!message.isFinal) return;
+
+    const status = message.status === "sent" ? "sent" : "failed";
+    const reason =
+      message.status === "bounced" ? `bounced: ${message.lastError}` : message.lastError;
+
+    try {
+      await DeliveryLog.updateMany(
+        { channel: "email", providerMessageId: message._id.toString() },
+        { $set: { status, reason, provider: "smtp" } }
+      );
+
+      if (message.userId && message.notificationIds.length > 0) {
+        await NotificationRecipient.updateMany(
+          {
+            notificationId: { $in: message.notificationIds },
+            userId: message.userId,
+          },
+          {
+            $set: {
+              "deliveries.$[delivery].status": status,
+              "deliveries.$[delivery].reason": reason,
+              "deliveries.$[delivery].at": new Date(),
+            },
+          },
+          {
+            arrayFilters: [
+              { "delivery.channel": "email", "delivery.status": "pending" },
+            ],
+          }
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error syncing email delivery state:", error);
+    }
+  }
+}
+
+module.exports = new EmailOutbox();
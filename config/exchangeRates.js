@@ -0,0 +1,269 @@
+const ExchangeRate = require("../app/models/ExchangeRate");
+const Donation = require("../app/models/Donation");
+const Expense = require("../app/models/Expense");
+const ManualFinancialRecord = require("../app/models/ManualFinancialRecord");
+const { normalizeName, parseDate, parseImportFile } = require("./importer");
+const { syncLedger } = require("./ledger");
+
+const MAX_RATE_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+const BATCH_SIZE = 500;
+
+// Transactions carrying a base amount, with the date their rate is taken on
+const TRANSACTIONS = [
+  { key: "donations", Model: Donation, dateField: "createdAt" },
+  { key: "expenses", Model: Expense, dateField: "expenseDate" },
+  { key: "records", Model: ManualFinancialRecord, dateField: "transactionDate" },
+];
+
+// Rate file columns, compared lower-case with letters and digits only. The
+// first alias a file has wins.
+const COLUMNS = {
+  currency: ["currency", "currencycode", "from", "fromcurrency"],
+  baseCurrency: ["basecurrency", "to", "tocurrency"],
+  rate: ["rate", "exchangerate", "value"],
+  effectiveDate: ["effectivedate", "effectivefrom", "date"],
+  note: ["note", "notes", "description"],
+};
+
+// An error whose message can be shown to the uploader as-is
+const rateError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const toText = (value) =>
+  value === undefined || value === null ? "" : String(value).trim();
+
+// Read a CSV/XLSX rate file or JSON rows into rates for a church. Rows
+// without a base currency convert into the church's currency.
+const parseRates = async ({ file, rows, baseCurrency }) => {
+  let parsed;
+  if (file) {
+    parsed = await parseImportFile(file);
+  } else if (Array.isArray(rows) && rows.length > 0) {
+    parsed = {
+      headers: [...new Set(rows.flatMap((row) => Object.keys(row || {})))],
+      records: rows.map((row, index) => ({ rowNumber: index + 1, values: row })),
+    };
+  } else {
+    throw rateError(
+      "Upload the rates as a CSV or XLSX file, or send them as a JSON array"
+    );
+  }
+
+  if (parsed.records.length > MAX_RATE_ROWS) {
+    throw rateError(`Rate imports are limited to ${MAX_RATE_ROWS} rows`);
+  }
+
+  const byName = new Map(
+    parsed.headers.map((header) => [normalizeName(header), header])
+  );
+  const columns = Object.fromEntries(
+    Object.entries(COLUMNS).map(([column, aliases]) => [
+      column,
+      byName.get(aliases.find((alias) => byName.has(alias))),
+    ])
+  );
+  if (!columns.currency || !columns.rate || !columns.effectiveDate) {
+    throw rateError("The file needs currency, rate and effective date columns");
+  }
+
+  const rates = [];
+  const errors = [];
+  parsed.records.forEach(({ rowNumber, values }) => {
+    const read = (column) => (columns[column] ? values[columns[column]] : undefined);
+    if (Object.values(values).every((value) => toText(value) === "")) return;
+
+    const rate = {
+      currency: toText(read("currency")).toUpperCase(),
+      baseCurrency: toText(read("baseCurrency")).toUpperCase() || baseCurrency,
+      rate: Number(toText(read("rate")).replace(/,/g, "")),
+      effectiveDate: toText(read("effectiveDate"))
+        ? parseDate(read("effectiveDate"))
+        : undefined,
+      note: toText(read("note")) || undefined,
+    };
+
+    if (!ExchangeRate.CURRENCIES.includes(rate.currency)) {
+      errors.push({ rowNumber, message: `Unsupported currency "${rate.currency}"` });
+    } else if (!ExchangeRate.CURRENCIES.includes(rate.baseCurrency)) {
+      errors.push({ rowNumber, message: `Unsupported base currency "${rate.baseCurrency}"` });
+    } else if (rate.currency === rate.baseCurrency) {
+      errors.push({ rowNumber, message: "A rate converts between two different currencies" });
+    } else if (!(rate.rate > 0)) {
+      errors.push({ rowNumber, message: "Rate must be a number greater than 0" });
+    } else if (!rate.effectiveDate || Number.isNaN(rate.effectiveDate.getTime())) {
+      errors.push({ rowNumber, message: "Effective date must be a valid date" });
+    } else {
+      rates.push(rate);
+    }
+  });
+
+  return { rates, errors };
+};
+
+// Work out a transaction's rate from a church's rates held in memory, the
+// same way ExchangeRate.findRate does: the latest rate on or before the
+// date, used inverted when entered the other way round
+const rateFinder = (rates, baseCurrency) => (currency, date) => {
+  if (currency === baseCurrency) return { rate: 1, effectiveDate: null };
+
+  const latest = (from, to) =>
+    rates.find(
+      (rate) =>
+        rate.currency === from && rate.baseCurrency === to && rate.effectiveDate <= date
+    );
+
+  const direct = latest(currency, baseCurrency);
+  if (direct) return { rate: direct.rate, effectiveDate: direct.effectiveDate };
+
+  const inverse = latest(baseCurrency, currency);
+  if (inverse) return { rate: 1 / inverse.rate, effectiveDate: inverse.effectiveDate };
+
+  return null;
+};
+
+// Recalculate the base amounts of a church's transactions from its rates,
+// e.g. after rates were added or its currency changed, and repost their
+// journal entries. Limited to one currency and to transactions dated from
+// `since` on when given. Resolves to the number of transactions of each
+// kind revalued.
+const revalueTransactions = async (churchId, { currency, since } = {}) => {
+  const baseCurrency = await ExchangeRate.baseCurrencyFor(churchId);
+  const rates = await ExchangeRate.find({
+    churchId,
+    $or: [{ baseCurrency }, { currency: baseCurrency }],
+  })
+    .sort({ effectiveDate: -1 })
+    .lean();
+  const findRate = rateFinder(rates, baseCurrency);
+
+  const revalued = {};
+  for (const { key, Model, dateField } of TRANSACTIONS) {
+    const query = { churchId };
+    if (currency) query.currency = currency;
+    if (since) query[dateField] = { $gte: new Date(since) };
+
+    const cursor = Model.find(query)
+      .select(`amount currency ${dateField}`)
+      .lean()
+      .cursor();
+
+    let operations = [];
+    revalued[key] = 0;
+    for await (const doc of cursor) {
+      const found = findRate(doc.currency || "NGN", doc[dateField] || new Date());
+      operations.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: found
+            ? {
+                $set: {
+                  baseCurrency,
+                  baseAmount: roundAmount(doc.amount * found.rate),
+                  exchangeRate: found.rate,
+                  exchangeRateDate: found.effectiveDate,
+                },
+              }
+            : {
+                $set: { baseCurrency },
+                $unset: { baseAmount: "", exchangeRate: "", exchangeRateDate: "" },
+              },
+        },
+      });
+
+      if (operations.length === BATCH_SIZE) {
+        await Model.bulkWrite(operations, { ordered: false });
+        revalued[key] += operations.length;
+        operations = [];
+      }
+    }
+    if (operations.length > 0) {
+      await Model.bulkWrite(operations, { ordered: false });
+      revalued[key] += operations.length;
+    }
+  }
+
+  await syncLedger(churchId, { currency, since });
+  return revalued;
+};
+
+// Revalue the transactions rates that were added, changed or removed
+// apply to: those in the rate's other currency from its date on. Rates
+// between two currencies other than the church's don't apply to any.
+const revalueForRates = async (churchId, rates) => {
+  const baseCurrency = await ExchangeRate.baseCurrencyFor(churchId);
+
+  const earliest = new Map();
+  rates.forEach((rate) => {
+    let currency;
+    if (rate.baseCurrency === baseCurrency) currency = rate.currency;
+    else if (rate.currency === baseCurrency) currency = rate.baseCurrency;
+    if (!currency) return;
+
+    const since = earliest.get(currency);
+    if (!since || rate.effectiveDate < since) {
+      earliest.set(currency, rate.effectiveDate);
+    }
+  });
+
+  const revalued = { donations: 0, expenses: 0, records: 0 };
+  for (const [currency, since] of earliest) {
+    const counts = await revalueTransactions(churchId, { currency, since });
+    Object.keys(revalued).forEach((key) => {
+      revalued[key] += counts[key];
+    });
+  }
+  return revalued;
+};
+
+// Import a church's rates from a CSV/XLSX file or JSON rows. A rate for a
+// currency pair and date already held is replaced. Rows that can't be read
+// are reported back rather than failing the import. Resolves to
+// { imported, updated, errors, revalued }.
+const importRates = async ({ churchId, user, file, rows }) => {
+  const baseCurrency = await ExchangeRate.baseCurrencyFor(churchId);
+  const { rates, errors } = await parseRates({ file, rows, baseCurrency });
+  if (rates.length === 0) {
+    throw rateError(
+      errors.length > 0
+        ? `No rates could be imported: row ${errors[0].rowNumber}: ${errors[0].message}`
+        : "The file has no rates"
+    );
+  }
+
+  const result = await ExchangeRate.bulkWrite(
+    rates.map((rate) => ({
+      updateOne: {
+        filter: {
+          churchId,
+          currency: rate.currency,
+          baseCurrency: rate.baseCurrency,
+          effectiveDate: rate.effectiveDate,
+        },
+        update: {
+          $set: { rate: rate.rate, note: rate.note, source: "import" },
+          $setOnInsert: { createdBy: user._id },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+
+  return {
+    imported: result.upsertedCount,
+    updated: result.modifiedCount,
+    errors,
+    revalued: await revalueForRates(churchId, rates),
+  };
+};
+
+module.exports = {
+  importRates,
+  revalueForRates,
+  revalueTransactions,
+};
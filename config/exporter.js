@@ -0,0 +1,267 @@
+const ExcelJS = require("exceljs");
+
+const FORMATS = ["csv", "xlsx", "json"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  json: "application/json",
+};
+
+// Church.settings.privacy flag that lets non-admins see each privacy group
+const PRIVACY_FLAGS = {
+  contact: "publicDirectory",
+  donations: "showDonations",
+  attendance: "showAttendance",
+};
+
+const currencyFormatter = (currency) =>
+  new Intl.NumberFormat("en-NG", {
+    style: "currency",
+    currency,
+    currencyDisplay: "narrowSymbol",
+  });
+
+// Excel number format for each column type, e.g. "₦"#,##0.00 for currency
+const excelFormats = (currency) => {
+  const symbol = currencyFormatter(currency)
+    .formatToParts(0)
+    .find((part) => part.type === "currency").value;
+
+  return {
+    currency: `"${symbol}"#,##0.00`,
+    date: "yyyy-mm-dd hh:mm",
+    number: "#,##0.##",
+    percent: '0.0"%"',
+  };
+};
+
+// Pick columns from a definition map using a comma-separated list of keys.
+// Column definitions look like:
+//   { header, value: (row) => ..., type: "currency" | "date" | "number" |
+//     "percent" | "boolean", pii: true, privacy: "contact" | "donations" |
+//     "attendance" }
+const resolveColumns = (definitions, requested, defaults) => {
+  const keys = requested
+    ? String(requested)
+        .split(",")
+        .map((key) => key.trim())
+        .filter(Boolean)
+    : defaults;
+
+  return {
+    columns: keys
+      .filter((key) => definitions[key])
+      .map((key) => ({ key, ...definitions[key] })),
+    unknown: keys.filter((key) => !definitions[key]),
+  };
+};
+
+// Drop columns in a privacy group the church doesn't share with this role.
+// Church admins always see every column.
+const applyPrivacy = (columns, church, role) => {
+  if (role === "admin") return columns;
+
+  const privacy = church.settings?.privacy || {};
+  return columns.filter(
+    (column) => !column.privacy || privacy[PRIVACY_FLAGS[column.privacy]]
+  );
+};
+
+// Resolve a row into raw cell values; `hide` blanks cells per row,
+// e.g. donor contact details for anonymous gifts
+const cellsFor = (row, columns, hide) =>
+  columns.map((column) => {
+    if (hide && hide(row, column)) return null;
+    const value = column.value(row);
+    return value === undefined || value === "" ? null : value;
+  });
+
+// Text a spreadsheet would run as a formula (=, +, - or @ first, or a tab
+// or carriage return) is quoted with a leading apostrophe, so a donor name
+// like =HYPERLINK(...) shows as text when the export is opened
+const neutralizeFormula = (value) =>
+  typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+
+const csvText = (value, column, formatter) => {
+  if (value === null) return "";
+  switch (column.type) {
+    case "currency":
+      return formatter.format(value);
+    case "date":
+      return new Date(value).toISOString();
+    case "boolean":
+      return value ? "Yes" : "No";
+    case "percent":
+      return `${value}%`;
+    default:
+      return typeof value === "number"
+        ? String(value)
+        : neutralizeFormula(Array.isArray(value) ? value.join("; ") : String(value));
+  }
+};
+
+const csvCell = (text) => `"${String(text).replace(/"/g, '""')}"`;
+
+const jsonValue = (value, column) => {
+  if (value !== null && column.type === "date") {
+    return new Date(value).toISOString();
+  }
+  return value;
+};
+
+// Write a chunk, waiting for the client to catch up when the buffer is full.
+// Resolves to false once the client has gone away, so the export can stop.
+const write = (res, chunk) => {
+  if (res.destroyed) return Promise.resolve(false);
+  if (res.write(chunk)) return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      res.off("error", done);
+      resolve(!res.destroyed);
+    };
+    res.on("drain", done);
+    res.on("close", done);
+    res.on("error", done);
+  });
+};
+
+const streamCsv = async (res, { columns, rows, hide, currency }) => {
+  const formatter = currencyFormatter(currency);
+
+  if (!(await write(res, `${columns.map((column) => csvCell(column.header)).join(",")}\n`))) {
+    return;
+  }
+  for await (const row of rows) {
+    const cells = cellsFor(row, columns, hide).map((value, index) =>
+      csvCell(csvText(value, columns[index], formatter))
+    );
+    if (!(await write(res, `${cells.join(",")}\n`))) return;
+  }
+  res.end();
+};
+
+const streamJson = async (res, { columns, rows, hide, dataKey, summary }) => {
+  let head = '{"success":true,"data":{';
+  if (summary) {
+    const summaryObject = Object.fromEntries(
+      summary.map((entry) => [entry.key, jsonValue(entry.value ?? null, entry)])
+    );
+    head += `"summary":${JSON.stringify(summaryObject)},`;
+  }
+  if (!(await write(res, `${head}${JSON.stringify(dataKey)}:[`))) return;
+
+  let total = 0;
+  for await (const row of rows) {
+    const cells = cellsFor(row, columns, hide);
+    const record = Object.fromEntries(
+      columns.map((column, index) => [column.key, jsonValue(cells[index], column)])
+    );
+    if (!(await write(res, `${total > 0 ? "," : ""}${JSON.stringify(record)}`))) return;
+    total += 1;
+  }
+
+  res.end(`],"total":${total}}}`);
+};
+
+const streamXlsx = async (
+  res,
+  { columns, rows, hide, currency, sheetName, summary }
+) => {
+  const formats = excelFormats(currency);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: true,
+  });
+
+  if (summary) {
+    const summarySheet = workbook.addWorksheet("Summary");
+    summarySheet.columns = [
+      { header: "Field", width: 28 },
+      { header: "Value", width: 32 },
+    ];
+    summary.forEach((entry) => {
+      const row = summarySheet.addRow([entry.header, neutralizeFormula(entry.value ?? null)]);
+      if (formats[entry.type]) row.getCell(2).numFmt = formats[entry.type];
+      row.commit();
+    });
+    summarySheet.commit();
+  }
+
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map((column) => ({
+    header: column.header,
+    width: column.width || (column.type ? 18 : 24),
+  }));
+
+  for await (const row of rows) {
+    // The client went away; there's no one left to write the workbook for
+    if (res.destroyed) return;
+    const cells = cellsFor(row, columns, hide).map((value, index) =>
+      columns[index].type === "boolean" && value !== null
+        ? value
+          ? "Yes"
+          : "No"
+        : Array.isArray(value)
+        ? neutralizeFormula(value.join("; "))
+        : neutralizeFormula(value)
+    );
+    const excelRow = worksheet.addRow(cells);
+    columns.forEach((column, index) => {
+      if (formats[column.type]) {
+        excelRow.getCell(index + 1).numFmt = formats[column.type];
+      }
+    });
+    excelRow.commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// Stream rows (an array or a Mongoose cursor) to the response as CSV, XLSX
+// or JSON, stopping when the client disconnects. `summary` adds a leading
+// key/value section to JSON and XLSX.
+const sendExport = async (
+  res,
+  {
+    format = "csv",
+    filename,
+    sheetName = "Export",
+    dataKey = "rows",
+    columns,
+    rows,
+    hide = null,
+    currency = "NGN",
+    summary = null,
+  }
+) => {
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=${filename}-${date}.${format}`
+  );
+
+  const options = { columns, rows, hide, currency, sheetName, dataKey, summary };
+
+  try {
+    if (format === "xlsx") return await streamXlsx(res, options);
+    if (format === "json") return await streamJson(res, options);
+    return await streamCsv(res, options);
+  } finally {
+    // Release a Mongoose cursor, including when the client went away early
+    if (typeof rows.close === "function") await rows.close();
+  }
+};
+
+module.exports = {
+  FORMATS,
+  resolveColumns,
+  applyPrivacy,
+  sendExport,
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+
+// In-memory payment gateway for tests and local development. Payments stay
+// PENDING until settle() is called, as if the donor paid (or didn't) at the
+// checkout. Refunds complete straight away unless holdRefunds is set, in
+// which case they stay PENDING until settleRefund() is called. Only
+// available when FAKE_GATEWAY_SECRET is set (see ./paymentGateways).
+class FakeGateway {
+  constructor() {
+    this.name = 'fake';
+    this.secret = process.env.FAKE_GATEWAY_SECRET;
+    this.payments = new Map();
+    this.refunds = [];
+    this.holdRefunds = false;
+  }
+
+  // Forget every payment and refund
+  reset() {
+    this.payments.clear();
+    this.refunds = [];
+    this.holdRefunds = false;
+  }
+
+  find(reference) {
+    return (
+      this.payments.get(reference) ||
+      [...this.payments.values()].find(
+        (payment) => payment.transactionReference === reference
+      )
+    );
+  }
+
+  // Initialize payment
+  async initializePayment(paymentData) {
+    const {
+      amount,
+      paymentReference,
+      currencyCode = 'NGN',
+      metadata = {},
+    } = paymentData;
+
+    const payment = {
+      paymentReference,
+      transactionReference: `FAKE_${paymentReference}`,
+      amount,
+      paidAmount: 0,
+      currency: currencyCode,
+      paymentStatus: 'PENDING',
+      metadata,
+    };
+    this.payments.set(paymentReference, payment);
+
+    return {
+      success: true,
+      data: payment,
+      checkoutUrl: `${process.env.FRONTEND_URL}/fake-checkout/${encodeURIComponent(paymentReference)}`,
+      transactionReference: payment.transactionReference,
+    };
+  }
+
+  // Set a payment's outcome, as the donor completing (or abandoning) the
+  // checkout would. Resolves to a signed webhook for it: { rawBody, headers }.
+  settle(reference, { paymentStatus = 'PAID', paidAmount, cardToken } = {}) {
+    const payment = this.find(reference);
+    if (!payment) throw new Error(`Unknown fake payment ${reference}`);
+
+    payment.paymentStatus = paymentStatus;
+    payment.paidAmount = paidAmount ?? (paymentStatus === 'PAID' ? payment.amount : 0);
+    payment.paymentDate = new Date().toISOString();
+    if (cardToken) payment.cardDetails = { cardToken, last4: '4242' };
+
+    return this.webhookFor(payment);
+  }
+
+  // Finish a refund that was held PENDING, as the gateway would once the
+  // money has gone back (or couldn't). Resolves to a signed webhook for it.
+  settleRefund(refundReference, { status = 'COMPLETED' } = {}) {
+    const refund = this.refunds.find((held) => held.refundReference === refundReference);
+    if (!refund) throw new Error(`Unknown fake refund ${refundReference}`);
+
+    refund.status = status;
+    return this.sign({
+      event: `refund.${status.toLowerCase()}`,
+      data: {
+        transactionReference: refund.transactionReference,
+        refundReference: refund.refundReference,
+        refundStatus: status,
+      },
+    });
+  }
+
+  webhookFor(payment) {
+    return this.sign({ event: `payment.${payment.paymentStatus.toLowerCase()}`, data: payment });
+  }
+
+  sign(payload) {
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    return {
+      rawBody,
+      headers: {
+        'x-fake-signature': crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex'),
+      },
+    };
+  }
+
+  // Verify payment
+  async verifyPayment(reference) {
+    const payment = this.find(reference);
+    if (!payment) {
+      return { success: false, error: 'Transaction not found' };
+    }
+
+    return { success: true, data: payment, ...payment };
+  }
+
+  // Refund all or part of a payment
+  async refundPayment({ transactionReference, amount, reason }) {
+    const payment = this.find(transactionReference);
+    if (!payment) {
+      return { success: false, error: 'Transaction not found' };
+    }
+
+    const refund = {
+      refundReference: `FAKE_REFUND_${this.refunds.length + 1}`,
+      transactionReference: payment.transactionReference,
+      amount: amount || payment.paidAmount,
+      reason,
+      status: this.holdRefunds ? 'PENDING' : 'COMPLETED',
+    };
+    this.refunds.push(refund);
+
+    return { success: true, data: refund, ...refund };
+  }
+
+  // Check on a refund
+  async verifyRefund(refundReference) {
+    const refund = this.refunds.find((held) => held.refundReference === refundReference);
+    if (!refund) {
+      return { success: false, error: 'Refund not found' };
+    }
+
+    return {
+      success: true,
+      data: refund,
+      ...refund,
+      error: refund.status === 'FAILED' ? 'Refund failed (fake gateway)' : undefined,
+    };
+  }
+
+  // Charge a saved card token. Tokens containing "decline" fail.
+  async chargeCardToken({ cardToken, amount, paymentReference, currencyCode = 'NGN' }) {
+    const paid = !String(cardToken).includes('decline');
+    const payment = {
+      paymentReference,
+      transactionReference: `FAKE_${paymentReference}`,
+      amount,
+      paidAmount: paid ? amount : 0,
+      currency: currencyCode,
+      paymentStatus: paid ? 'PAID' : 'FAILED',
+    };
+    this.payments.set(paymentReference, payment);
+
+    return {
+      success: true,
+      paid,
+      paymentStatus: payment.paymentStatus,
+      transactionReference: payment.transactionReference,
+      data: payment,
+      error: paid ? undefined : 'Card declined (fake gateway)',
+    };
+  }
+
+  // Handle webhook callback, signed with an HMAC-SHA256 of the raw body
+  handleWebhookCallback(rawBody, headers = {}) {
+    const signature = headers['x-fake-signature'];
+    const expected = rawBody && this.secret
+      ? crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex')
+      : '';
+
+    if (
+      typeof signature !== 'string' ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      return { success: false, error: 'Invalid signature' };
+    }
+
+    const payload = JSON.parse(rawBody.toString());
+    return {
+      success: true,
+      data: payload,
+      eventType: payload.event,
+      ...payload.data,
+    };
+  }
+}
+
+module.exports = new FakeGateway();
@@ -0,0 +1,459 @@
+const JournalEntry = require("../app/models/JournalEntry");
+const ExchangeRate = require("../app/models/ExchangeRate");
+const Church = require("../app/models/Church");
+const Pledge = require("../app/models/Pledge");
+const Expense = require("../app/models/Expense");
+
+const PERIODS = ["month", "quarter", "year", "custom"];
+
+// An error whose message can be shown to the requester as-is
+const statementError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const dateLabel = (date) =>
+  date.toLocaleDateString("en-NG", { day: "numeric", month: "short", year: "numeric" });
+
+// "building-fund" -> "Building fund"
+const humanize = (text) => {
+  const words = String(text).replace(/[-_]+/g, " ").trim();
+  return `${words.charAt(0).toUpperCase()}${words.slice(1)}`;
+};
+
+// The calendar month, quarter or year a date falls in
+const namedPeriod = (period, date) => {
+  const year = date.getFullYear();
+  if (period === "year") {
+    return {
+      start: new Date(year, 0, 1),
+      end: new Date(year, 11, 31, 23, 59, 59, 999),
+      label: String(year),
+    };
+  }
+
+  const first = period === "quarter" ? date.getMonth() - (date.getMonth() % 3) : date.getMonth();
+  const months = period === "quarter" ? 3 : 1;
+  const start = new Date(year, first, 1);
+  return {
+    start,
+    end: new Date(year, first + months, 0, 23, 59, 59, 999),
+    label:
+      period === "quarter"
+        ? `Q${first / 3 + 1} ${year}`
+        : start.toLocaleDateString("en-NG", { month: "long", year: "numeric" }),
+  };
+};
+
+// Work out the period a statement covers and the one it's compared with:
+// the month, quarter or year `date` (default today) falls in and the one
+// before it, or a custom range of whole days and the same number of days
+// just before it
+const resolvePeriod = ({ period = "month", date, startDate, endDate } = {}) => {
+  if (!PERIODS.includes(period)) {
+    throw statementError(`Period must be one of ${PERIODS.join(", ")}`);
+  }
+
+  if (period !== "custom") {
+    const current = namedPeriod(period, date ? new Date(date) : new Date());
+    const prior = namedPeriod(period, new Date(current.start.getTime() - 1));
+    return { period, current, prior };
+  }
+
+  if (!startDate || !endDate) {
+    throw statementError("A custom period needs a start date and an end date");
+  }
+  const from = new Date(startDate);
+  const to = new Date(endDate);
+  const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  const end = new Date(to.getFullYear(), to.getMonth(), to.getDate(), 23, 59, 59, 999);
+  if (start > end) throw statementError("Start date must be on or before end date");
+
+  const days = Math.round((end.getTime() + 1 - start.getTime()) / 86400000);
+  const priorStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() - days);
+  const priorEnd = new Date(start.getTime() - 1);
+
+  return {
+    period,
+    current: { start, end, label: `${dateLabel(start)} - ${dateLabel(end)}` },
+    prior: {
+      start: priorStart,
+      end: priorEnd,
+      label: `${dateLabel(priorStart)} - ${dateLabel(priorEnd)}`,
+    },
+  };
+};
+
+// Convert per-currency totals into the church's currency at the rates on a
+// date. Currencies without a rate are left out and returned as unconverted.
+const convertTotals = async (churchId, totals, baseCurrency, date) => {
+  let cents = 0;
+  const unconverted = [];
+  for (const total of totals) {
+    const currency = total.currency || "NGN";
+    const found = await ExchangeRate.findRate(churchId, currency, baseCurrency, date);
+    if (found) cents += toCents(total.amount * found.rate);
+    else unconverted.push({ currency, amount: fromCents(toCents(total.amount)) });
+  }
+  return { amount: fromCents(cents), unconverted };
+};
+
+// Line up the current and prior amounts of the lines either period has.
+// `lines` are { key, label, code, account } objects with the amount under
+// `amount`; lines missing from a period count as 0. Account lines come in
+// code order, followed by lines without an account.
+const compareLines = (currentLines, priorLines) => {
+  const byKey = new Map();
+  const add = (lines, side) =>
+    lines.forEach(({ amount, ...line }) => {
+      const compared = byKey.get(line.key) || { ...line, current: 0, prior: 0 };
+      compared[side] = fromCents(toCents(compared[side]) + toCents(amount));
+      byKey.set(line.key, compared);
+    });
+  add(currentLines, "current");
+  add(priorLines, "prior");
+
+  return [...byKey.values()]
+    .filter((line) => line.current !== 0 || line.prior !== 0)
+    .sort((a, b) => {
+      if (a.code && b.code) return a.code.localeCompare(b.code);
+      return Boolean(b.code) - Boolean(a.code);
+    });
+};
+
+const sumLines = (lines, side) =>
+  fromCents(lines.reduce((sum, line) => sum + toCents(line[side]), 0));
+
+const section = (key, title, lines, totalLabel) => ({
+  key,
+  title,
+  lines,
+  total: { label: totalLabel, current: sumLines(lines, "current"), prior: sumLines(lines, "prior") },
+});
+
+// Add the change from the prior period to a line, and the change as a
+// percentage of the prior amount when there was one
+const withChange = (line) => {
+  const change = fromCents(toCents(line.current) - toCents(line.prior));
+  return {
+    ...line,
+    change,
+    changePercent: line.prior
+      ? Math.round((change / Math.abs(line.prior)) * 1000) / 10
+      : null,
+  };
+};
+
+const finishStatement = (statement) => ({
+  ...statement,
+  sections: statement.sections.map((part) => ({
+    ...part,
+    lines: part.lines.map(withChange),
+    total: withChange(part.total),
+  })),
+  totals: statement.totals.map(withChange),
+});
+
+const periodInfo = ({ start, end, label }) => ({ start, end, label });
+
+// Ledger balances of one account type as lines by account and category
+const categoryLines = (totals, type) =>
+  totals
+    .filter((total) => total.type === type)
+    .map((total) => ({
+      key: `${total.accountId}:${total.memo || ""}`,
+      label: total.memo ? humanize(total.memo) : total.name,
+      code: total.code,
+      account: total.name,
+      amount: total.balance,
+    }));
+
+// Ledger balances of one account type as lines by account
+const accountLines = (totals, type, labelFor = (total) => total.name) => {
+  const byAccount = new Map();
+  totals
+    .filter((total) => total.type === type)
+    .forEach((total) => {
+      const key = String(total.accountId);
+      const line = byAccount.get(key) || {
+        key,
+        label: labelFor(total),
+        code: total.code,
+        account: total.name,
+        amount: 0,
+      };
+      line.amount = fromCents(toCents(line.amount) + toCents(total.balance));
+      byAccount.set(key, line);
+    });
+  return [...byAccount.values()];
+};
+
+const balanceOf = (totals, types) =>
+  fromCents(
+    totals
+      .filter((total) => types.includes(total.type))
+      .reduce((sum, total) => sum + toCents(total.balance), 0)
+  );
+
+// Income by category against expenses by category over a period and the
+// period before it, from the general ledger
+const incomeStatement = async (churchId, options = {}) => {
+  const { period, current, prior } = resolvePeriod(options);
+  const [currentTotals, priorTotals, currency] = await Promise.all([
+    JournalEntry.getAccountTotals(churchId, { startDate: current.start, endDate: current.end }),
+    JournalEntry.getAccountTotals(churchId, { startDate: prior.start, endDate: prior.end }),
+    ExchangeRate.baseCurrencyFor(churchId),
+  ]);
+
+  const income = section(
+    "income",
+    "Income",
+    compareLines(categoryLines(currentTotals, "income"), categoryLines(priorTotals, "income")),
+    "Total income"
+  );
+  const expenses = section(
+    "expenses",
+    "Expenses",
+    compareLines(categoryLines(currentTotals, "expense"), categoryLines(priorTotals, "expense")),
+    "Total expenses"
+  );
+
+  return finishStatement({
+    type: "income-statement",
+    title: "Income Statement",
+    currency,
+    periodType: period,
+    period: periodInfo(current),
+    prior: periodInfo(prior),
+    sections: [income, expenses],
+    totals: [
+      {
+        label: "Net surplus (deficit)",
+        current: fromCents(toCents(income.total.current) - toCents(expenses.total.current)),
+        prior: fromCents(toCents(income.total.prior) - toCents(expenses.total.prior)),
+      },
+    ],
+    notes: [],
+  });
+};
+
+// What the church held, was owed and owed at the end of a period and of
+// the period before it. Cash and bank balances come from the ledger, with
+// the bank account named after the one in the church's financial details;
+// pledges still to be paid are receivable and approved expenses not yet
+// paid are payable. The ledger is kept on the cash basis, so those two
+// also show in net assets, keeping the sheet balanced.
+const balanceSheet = async (churchId, options = {}) => {
+  const { period, current, prior } = resolvePeriod(options);
+  const church = await Church.findById(churchId).select("financial settings.currency");
+  const currency = church?.settings?.currency || "NGN";
+
+  const { bankName, accountNumber } = church?.financial || {};
+  const bankDetails = [
+    bankName,
+    accountNumber ? `(****${accountNumber.slice(-4)})` : null,
+  ].filter(Boolean);
+  const labelFor = (total) =>
+    total.systemKey === "bank" && bankDetails.length > 0
+      ? `${total.name} - ${bankDetails.join(" ")}`
+      : total.name;
+
+  const position = async (asOf) => {
+    const [totals, receivables, payables] = await Promise.all([
+      JournalEntry.getAccountTotals(churchId, { endDate: asOf }),
+      Pledge.getOutstandingAt(churchId, asOf),
+      Expense.getPayablesAt(churchId, asOf),
+    ]);
+    return {
+      asOf,
+      totals,
+      receivable: await convertTotals(churchId, receivables, currency, asOf),
+      payable: await convertTotals(churchId, payables, currency, asOf),
+    };
+  };
+  const [now, before] = await Promise.all([position(current.end), position(prior.end)]);
+
+  const assetLines = (at) => [
+    ...accountLines(at.totals, "asset", labelFor),
+    { key: "pledges-receivable", label: "Pledges receivable", amount: at.receivable.amount },
+  ];
+  const liabilityLines = (at) => [
+    ...accountLines(at.totals, "liability"),
+    { key: "expenses-payable", label: "Approved expenses not yet paid", amount: at.payable.amount },
+  ];
+  const netAssetLines = (at) => [
+    ...accountLines(at.totals, "equity"),
+    {
+      key: "surplus",
+      label: "Accumulated surplus",
+      amount: fromCents(
+        toCents(balanceOf(at.totals, ["income"])) - toCents(balanceOf(at.totals, ["expense"]))
+      ),
+    },
+    { key: "pledges-receivable", label: "Pledges receivable", amount: at.receivable.amount },
+    {
+      key: "expenses-payable",
+      label: "Less approved expenses not yet paid",
+      amount: -at.payable.amount,
+    },
+  ];
+
+  const assets = section(
+    "assets",
+    "Assets",
+    compareLines(assetLines(now), assetLines(before)),
+    "Total assets"
+  );
+  const liabilities = section(
+    "liabilities",
+    "Liabilities",
+    compareLines(liabilityLines(now), liabilityLines(before)),
+    "Total liabilities"
+  );
+  const netAssets = section(
+    "net-assets",
+    "Net Assets",
+    compareLines(netAssetLines(now), netAssetLines(before)),
+    "Total net assets"
+  );
+
+  const liabilitiesAndNetAssets = {
+    label: "Total liabilities and net assets",
+    current: fromCents(toCents(liabilities.total.current) + toCents(netAssets.total.current)),
+    prior: fromCents(toCents(liabilities.total.prior) + toCents(netAssets.total.prior)),
+  };
+
+  const notes = [];
+  [now, before].forEach((at) => {
+    [
+      ["Pledges receivable", at.receivable],
+      ["Approved expenses not yet paid", at.payable],
+    ].forEach(([label, { unconverted }]) =>
+      unconverted.forEach((left) =>
+        notes.push(
+          `${label} on ${dateLabel(at.asOf)} leave out ${left.currency} ${left.amount.toFixed(2)} ` +
+            `with no exchange rate to ${currency}`
+        )
+      )
+    );
+  });
+
+  return {
+    ...finishStatement({
+      type: "balance-sheet",
+      title: "Balance Sheet",
+      currency,
+      periodType: period,
+      period: { ...periodInfo(current), label: `As of ${dateLabel(current.end)}` },
+      prior: { ...periodInfo(prior), label: `As of ${dateLabel(prior.end)}` },
+      sections: [assets, liabilities, netAssets],
+      totals: [liabilitiesAndNetAssets],
+      notes,
+    }),
+    isBalanced:
+      toCents(assets.total.current) === toCents(liabilitiesAndNetAssets.current) &&
+      toCents(assets.total.prior) === toCents(liabilitiesAndNetAssets.prior),
+  };
+};
+
+// Cash and bank balances from the ledger at a date
+const cashAt = async (churchId, asOf) => {
+  const totals = await JournalEntry.getAccountTotals(churchId, { endDate: asOf });
+  return fromCents(
+    totals.filter((total) => total.isCash).reduce((sum, total) => sum + toCents(total.balance), 0)
+  );
+};
+
+// Where the church's money came from and went over a period and the period
+// before it: receipts by income account, refunds, payments by expense
+// account and other movements, between the opening and closing cash
+const cashFlowStatement = async (churchId, options = {}) => {
+  const { period, current, prior } = resolvePeriod(options);
+  const movements = async ({ start, end }) => {
+    const [flows, opening, closing] = await Promise.all([
+      JournalEntry.getCashFlow(churchId, { startDate: start, endDate: end }),
+      cashAt(churchId, new Date(start.getTime() - 1)),
+      cashAt(churchId, end),
+    ]);
+    return { flows, opening, closing };
+  };
+  const [now, before, currency] = await Promise.all([
+    movements(current),
+    movements(prior),
+    ExchangeRate.baseCurrencyFor(churchId),
+  ]);
+
+  const linesFor = ({ flows }, activity) =>
+    flows
+      .filter((flow) => flow.activity === activity)
+      .map((flow) => ({
+        key: String(flow.accountId),
+        label: flow.name,
+        code: flow.code,
+        account: flow.name,
+        amount: flow.amount,
+      }));
+  const activitySection = (activity, title, totalLabel) =>
+    section(activity, title, compareLines(linesFor(now, activity), linesFor(before, activity)), totalLabel);
+
+  const sections = [
+    activitySection("receipts", "Cash Received", "Total received"),
+    activitySection("refunds", "Refunds Paid", "Total refunded"),
+    activitySection("payments", "Cash Paid", "Total paid"),
+    activitySection("other", "Other Movements", "Total other movements"),
+  ].filter((part) => ["receipts", "payments"].includes(part.key) || part.lines.length > 0);
+
+  return finishStatement({
+    type: "cash-flow",
+    title: "Cash Flow Summary",
+    currency,
+    periodType: period,
+    period: periodInfo(current),
+    prior: periodInfo(prior),
+    sections,
+    totals: [
+      {
+        label: "Net change in cash",
+        current: fromCents(toCents(now.closing) - toCents(now.opening)),
+        prior: fromCents(toCents(before.closing) - toCents(before.opening)),
+      },
+      { label: "Opening cash", current: now.opening, prior: before.opening },
+      { label: "Closing cash", current: now.closing, prior: before.closing },
+    ],
+    notes: [],
+  });
+};
+
+const STATEMENTS = {
+  "income-statement": incomeStatement,
+  "balance-sheet": balanceSheet,
+  "cash-flow": cashFlowStatement,
+};
+
+// Build one of the statements above for a church. `options` picks the
+// period: { period, date } or { period: "custom", startDate, endDate }.
+const buildFinancialStatement = (type, churchId, options) => STATEMENTS[type](churchId, options);
+
+// Flatten a statement into rows for a spreadsheet: each section's heading,
+// lines and total, then the statement's closing totals
+const statementRows = (statement) => [
+  ...statement.sections.flatMap((part) => [
+    { label: part.title },
+    ...part.lines.map((line) => ({ ...line, label: `  ${line.label}` })),
+    part.total,
+    {},
+  ]),
+  ...statement.totals,
+];
+
+module.exports = {
+  PERIODS,
+  STATEMENT_TYPES: Object.keys(STATEMENTS),
+  resolvePeriod,
+  buildFinancialStatement,
+  statementRows,
+};
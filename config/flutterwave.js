@@ -0,0 +1,267 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Flutterwave transaction statuses in the gateway interface's terms
+const PAYMENT_STATUSES = {
+  successful: 'PAID',
+  failed: 'FAILED',
+  cancelled: 'CANCELLED',
+  pending: 'PENDING',
+};
+
+// Flutterwave refund statuses in the gateway interface's terms. Anything
+// else is still in progress.
+const REFUND_STATUSES = {
+  completed: 'COMPLETED',
+  failed: 'FAILED',
+};
+
+// Saved card details in the shape recurring donations store
+const cardDetailsFrom = (card) => {
+  if (!card?.token) return undefined;
+
+  const [expMonth, expYear] = String(card.expiry || '').split('/');
+  return {
+    cardToken: card.token,
+    cardType: card.type,
+    last4: card.last_4digits,
+    expMonth,
+    expYear,
+  };
+};
+
+// Flutterwave implementation of the payment gateway interface (see
+// ./paymentGateways). Flutterwave's transaction id is used as the
+// transaction reference, since refunds are made against it.
+class FlutterwaveService {
+  constructor() {
+    this.name = 'flutterwave';
+    this.baseURL = process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3';
+    this.secretKey = process.env.FLUTTERWAVE_SECRET_KEY;
+    // Set on the Flutterwave dashboard and sent back as the verif-hash header
+    this.webhookHash = process.env.FLUTTERWAVE_WEBHOOK_HASH;
+  }
+
+  headers() {
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${this.secretKey}`,
+    };
+  }
+
+  // Normalize a Flutterwave transaction
+  describeTransaction(transaction) {
+    return {
+      paymentStatus: PAYMENT_STATUSES[transaction.status] || 'PENDING',
+      amount: transaction.amount,
+      paidAmount: transaction.status === 'successful' ? transaction.amount : 0,
+      currency: transaction.currency,
+      transactionReference: transaction.id ? String(transaction.id) : undefined,
+      paymentReference: transaction.tx_ref,
+      paymentMethod: transaction.payment_type,
+      paymentDate: transaction.created_at,
+      cardDetails: cardDetailsFrom(transaction.card),
+    };
+  }
+
+  // Initialize payment
+  async initializePayment(paymentData) {
+    try {
+      const {
+        amount,
+        customerName,
+        customerEmail,
+        paymentReference,
+        paymentDescription,
+        currencyCode = 'NGN',
+        redirectUrl,
+        metadata = {},
+      } = paymentData;
+
+      const response = await axios.post(
+        `${this.baseURL}/payments`,
+        {
+          tx_ref: paymentReference,
+          amount,
+          currency: currencyCode,
+          redirect_url: redirectUrl,
+          customer: { email: customerEmail, name: customerName },
+          customizations: { title: paymentDescription },
+          meta: metadata,
+        },
+        { headers: this.headers() }
+      );
+
+      return {
+        success: true,
+        data: response.data,
+        checkoutUrl: response.data.data.link,
+        transactionReference: paymentReference,
+      };
+    } catch (error) {
+      console.error('❌ Flutterwave payment initialization error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Verify payment, by Flutterwave's transaction id or our tx_ref
+  async verifyPayment(reference) {
+    try {
+      const url = /^\d+$/.test(String(reference))
+        ? `${this.baseURL}/transactions/${reference}/verify`
+        : `${this.baseURL}/transactions/verify_by_reference?tx_ref=${encodeURIComponent(reference)}`;
+
+      const response = await axios.get(url, { headers: this.headers() });
+
+      return {
+        success: true,
+        data: response.data,
+        ...this.describeTransaction(response.data.data),
+      };
+    } catch (error) {
+      console.error('❌ Flutterwave payment verification error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Refund all or part of a payment
+  async refundPayment({ transactionReference, amount, reason }) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/transactions/${encodeURIComponent(transactionReference)}/refund`,
+        { amount, comments: reason },
+        { headers: this.headers() }
+      );
+
+      const refund = response.data.data;
+      return {
+        success: refund.status !== 'failed',
+        data: response.data,
+        status: REFUND_STATUSES[refund.status] || 'PENDING',
+        refundReference: refund.id ? String(refund.id) : undefined,
+      };
+    } catch (error) {
+      console.error('❌ Flutterwave refund error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Check on a refund that was still in progress, by its Flutterwave id
+  async verifyRefund(refundReference) {
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/refunds/${encodeURIComponent(refundReference)}`,
+        { headers: this.headers() }
+      );
+
+      const refund = response.data.data;
+      return {
+        success: true,
+        data: response.data,
+        status: REFUND_STATUSES[refund.status] || 'PENDING',
+        refundReference: String(refund.id),
+        error: refund.status === 'failed' ? 'Refund failed' : undefined,
+      };
+    } catch (error) {
+      console.error('❌ Flutterwave refund verification error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Charge a saved card token (recurring donations)
+  async chargeCardToken(chargeData) {
+    const {
+      cardToken,
+      amount,
+      customerEmail,
+      paymentReference,
+      paymentDescription,
+      currencyCode = 'NGN',
+    } = chargeData;
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/tokenized-charges`,
+        {
+          token: cardToken,
+          email: customerEmail,
+          amount,
+          currency: currencyCode,
+          tx_ref: paymentReference,
+          narration: paymentDescription,
+        },
+        { headers: this.headers() }
+      );
+
+      const transaction = this.describeTransaction(response.data.data);
+      return {
+        success: true,
+        paid: transaction.paymentStatus === 'PAID',
+        paymentStatus: transaction.paymentStatus,
+        transactionReference: transaction.transactionReference,
+        data: response.data,
+        error: transaction.paymentStatus === 'PAID' ? undefined : response.data.data.processor_response || 'Payment failed',
+      };
+    } catch (error) {
+      console.error('❌ Flutterwave card charge error:', error.response?.data || error.message);
+      return {
+        success: false,
+        paid: false,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Check a webhook's verif-hash header against the configured secret hash
+  verifyWebhookSignature(rawBody, signature) {
+    if (!this.webhookHash || !rawBody || typeof signature !== 'string') {
+      return false;
+    }
+
+    return (
+      signature.length === this.webhookHash.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(this.webhookHash))
+    );
+  }
+
+  // Handle webhook callback
+  handleWebhookCallback(rawBody, headers = {}) {
+    try {
+      if (!this.verifyWebhookSignature(rawBody, headers['verif-hash'])) {
+        return {
+          success: false,
+          error: 'Invalid signature',
+        };
+      }
+
+      const payload = JSON.parse(rawBody.toString());
+
+      return {
+        success: true,
+        data: payload,
+        eventType: payload.event || payload['event.type'],
+        ...this.describeTransaction(payload.data || {}),
+      };
+    } catch (error) {
+      console.error('❌ Flutterwave webhook handling error:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+module.exports = new FlutterwaveService();
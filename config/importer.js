@@ -0,0 +1,965 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const ExcelJS = require("exceljs");
+const ImportJob = require("../app/models/ImportJob");
+const JournalEntry = require("../app/models/JournalEntry");
+const Church = require("../app/models/Church");
+const User = require("../app/models/User");
+const Member = require("../app/models/Member");
+const Donation = require("../app/models/Donation");
+const Expense = require("../app/models/Expense");
+const ManualFinancialRecord = require("../app/models/ManualFinancialRecord");
+const VolunteerTeam = require("../app/models/VolunteerTeam");
+const smsService = require("./sms");
+
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+const PREVIEW_ROWS = 20;
+
+// An error whose message can be shown to the uploader as-is
+const importError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Lower-case a header or field name and drop everything but letters and digits
+const normalizeName = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Query covering every (UTC) day the given dates fall on
+const dayRange = (dates) => {
+  const times = dates.map((date) => new Date(date).getTime());
+  const from = new Date(Math.min(...times));
+  const until = new Date(Math.max(...times));
+  from.setUTCHours(0, 0, 0, 0);
+  until.setUTCHours(23, 59, 59, 999);
+  return { $gte: from, $lte: until };
+};
+
+const getPath = (object, fieldPath) =>
+  fieldPath
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, fieldPath, value) => {
+  const keys = fieldPath.split(".");
+  let target = object;
+  keys.slice(0, -1).forEach((key) => {
+    if (typeof target[key] !== "object" || target[key] === null) {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+// Flatten { donorInfo: { name } } into { "donorInfo.name": ... } so JSON
+// rows can be mapped like spreadsheet columns
+const flatten = (object, prefix = "") =>
+  Object.entries(object || {}).reduce((flat, [key, value]) => {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      !(value instanceof Date)
+    ) {
+      Object.assign(flat, flatten(value, fieldPath));
+    } else {
+      flat[fieldPath] = value;
+    }
+    return flat;
+  }, {});
+
+// Parse RFC 4180 CSV text into an array of rows
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+
+    if (inQuotes) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[index + 1] === "\n") index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.map((cells, index) => ({ rowNumber: index + 1, cells }));
+};
+
+// Plain value of an ExcelJS cell (rich text, hyperlinks and formulas included)
+const xlsxCellValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value;
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return xlsxCellValue(value.result);
+    return "";
+  }
+  return value;
+};
+
+// Read the first worksheet of an XLSX workbook
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw importError("The file is not a valid XLSX workbook");
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) throw importError("The workbook has no worksheets");
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    rows.push({
+      rowNumber,
+      cells: Array.from(row.values.slice(1), xlsxCellValue),
+    });
+  });
+  return rows;
+};
+
+// Turn an uploaded CSV/XLSX file into headers and records keyed by header
+const parseImportFile = async (file) => {
+  const extension = path.extname(file.originalname || "").toLowerCase();
+  const format = extension === ".xlsx" ? "xlsx" : "csv";
+
+  const rows =
+    format === "xlsx"
+      ? await parseXlsx(file.buffer)
+      : parseCsv(file.buffer.toString("utf8"));
+
+  const nonEmpty = rows.filter((row) =>
+    row.cells.some((cell) => String(cell).trim() !== "")
+  );
+  if (nonEmpty.length < 2) {
+    throw importError("The file needs a header row and at least one data row");
+  }
+
+  const [headerRow, ...dataRows] = nonEmpty;
+  const headers = headerRow.cells.map(
+    (cell, index) => String(cell).trim() || `Column ${index + 1}`
+  );
+
+  return {
+    format,
+    headers,
+    records: dataRows.map((row) => ({
+      rowNumber: row.rowNumber,
+      values: Object.fromEntries(
+        headers.map((header, index) => [header, row.cells[index] ?? ""])
+      ),
+    })),
+  };
+};
+
+// Day-first dates (25/12/2024) are the norm in Nigerian spreadsheets
+const parseDate = (value) => {
+  if (value instanceof Date) return value;
+  const dayFirst = String(value)
+    .trim()
+    .match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) {
+    const [, day, month, year] = dayFirst;
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+  return new Date(value);
+};
+
+// Convert a raw cell into the value a field expects. Throws with a
+// human-readable message when the cell can't be converted.
+const coerce = (value, field) => {
+  switch (field.type) {
+    case "number": {
+      // Strip currency symbols and thousands separators, e.g. "₦5,000.00"
+      const digits = String(value).replace(/[^\d.-]/g, "");
+      const number =
+        typeof value === "number" ? value : digits ? Number(digits) : NaN;
+      if (Number.isNaN(number)) throw new Error(`${field.label} must be a number`);
+      return number;
+    }
+    case "date": {
+      const date = parseDate(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`${field.label} must be a valid date`);
+      }
+      return date;
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return value;
+      const text = String(value).trim().toLowerCase();
+      if (["true", "yes", "y", "1"].includes(text)) return true;
+      if (["false", "no", "n", "0"].includes(text)) return false;
+      throw new Error(`${field.label} must be yes or no`);
+    }
+    case "array":
+      return Array.isArray(value)
+        ? value
+        : String(value)
+            .split(/[;,]/)
+            .map((item) => item.trim())
+            .filter(Boolean);
+    case "phone": {
+      // Spreadsheets often drop the leading zero or store +234 numbers
+      const normalized = smsService.normalizePhone(value);
+      return normalized ? `0${normalized.slice(4)}` : String(value).trim();
+    }
+    default: {
+      const text =
+        value instanceof Date ? dayKey(value) : String(value).trim();
+      if (field.case === "lower") return text.toLowerCase();
+      if (field.case === "upper") return text.toUpperCase();
+      return text;
+    }
+  }
+};
+
+// Multipart fields arrive as strings
+const toFlag = (value, fallback) =>
+  value === undefined || value === null ? fallback : value === true || value === "true";
+
+const fullName = (person) => `${person.firstName} ${person.lastName}`;
+
+// What each importable resource looks like. `fields` are the columns a file
+// can map to; `lookup` fields help resolve references but are not stored.
+const RESOURCES = {
+  donations: {
+    model: Donation,
+    label: "donations",
+    fields: [
+      { path: "createdAt", label: "Date", type: "date", aliases: ["donation date", "transaction date"] },
+      { path: "amount", label: "Amount", type: "number" },
+      { path: "currency", label: "Currency", case: "upper" },
+      { path: "category", label: "Category" },
+      { path: "description", label: "Description" },
+      { path: "paymentMethod", label: "Payment Method", case: "lower", aliases: ["method"] },
+      { path: "status", label: "Status", case: "lower" },
+      { path: "donorInfo.name", label: "Donor Name", aliases: ["donor", "name"] },
+      { path: "donorInfo.email", label: "Donor Email", case: "lower", aliases: ["email"] },
+      { path: "donorInfo.phone", label: "Donor Phone", type: "phone", aliases: ["phone"] },
+      { path: "donorInfo.isAnonymous", label: "Anonymous", type: "boolean" },
+      { path: "paymentDetails.transactionReference", label: "Transaction Reference", aliases: ["reference"] },
+      { path: "notes", label: "Notes" },
+      { path: "memberId", label: "Member ID", lookup: true },
+    ],
+    preload: async (ctx) => {
+      const members = await Member.find({ churchId: ctx.churchId }).select(
+        "memberId email phone firstName lastName"
+      );
+      const byKey = new Map();
+      members.forEach((member) => {
+        if (member.memberId) byKey.set(`id:${member.memberId.toLowerCase()}`, member);
+        if (member.email) byKey.set(`email:${member.email}`, member);
+        if (member.phone) byKey.set(`phone:${member.phone}`, member);
+      });
+      return { members: byKey };
+    },
+    prepare: (data, lookups, ctx) => {
+      data.status = data.status || "completed";
+      data.recordedBy = ctx.userId;
+
+      const donor =
+        (lookups.memberId &&
+          ctx.cache.members.get(`id:${lookups.memberId.toLowerCase()}`)) ||
+        (data.donorInfo?.email &&
+          ctx.cache.members.get(`email:${data.donorInfo.email.toLowerCase()}`)) ||
+        (data.donorInfo?.phone &&
+          ctx.cache.members.get(`phone:${data.donorInfo.phone}`));
+
+      // Gifts from visitors are imported with just the donor's details
+      if (donor) {
+        data.donorId = donor._id;
+        setPath(data, "donorInfo.name", data.donorInfo?.name || fullName(donor));
+      }
+      return [];
+    },
+    duplicateKeys: (data) => {
+      const keys = [];
+      const reference = data.paymentDetails?.transactionReference;
+      if (reference) keys.push(`reference:${reference}`);
+      keys.push(
+        [
+          "donation",
+          data.donorId || String(data.donorInfo?.name || "").toLowerCase(),
+          data.amount,
+          String(data.category || "").toLowerCase(),
+          dayKey(data.createdAt || new Date()),
+        ].join("|")
+      );
+      return keys;
+    },
+    existingFilter: (docs) => ({
+      $or: [
+        {
+          "paymentDetails.transactionReference": {
+            $in: docs
+              .map((data) => data.paymentDetails?.transactionReference)
+              .filter(Boolean),
+          },
+        },
+        {
+          donorId: { $in: docs.map((data) => data.donorId).filter(Boolean) },
+          createdAt: dayRange(docs.map((data) => data.createdAt || Date.now())),
+        },
+        // Visitor gifts, told apart by the donor's name
+        {
+          donorId: null,
+          createdAt: dayRange(docs.map((data) => data.createdAt || Date.now())),
+        },
+      ],
+    }),
+    // Undo the member giving totals the Donation pre-save hook added
+    beforeRollback: async (job) => {
+      const totals = await Donation.aggregate([
+        {
+          $match: {
+            _id: { $in: job.createdIds },
+            status: "completed",
+            donorId: { $ne: null },
+          },
+        },
+        { $group: { _id: "$donorId", amount: { $sum: "$amount" } } },
+      ]);
+
+      await Promise.all(
+        totals.map((total) =>
+          Member.updateOne(
+            { _id: total._id },
+            { $inc: { "financial.totalDonations": -total.amount } }
+          )
+        )
+      );
+    },
+  },
+
+  members: {
+    model: Member,
+    label: "members",
+    fields: [
+      { path: "memberId", label: "Member ID" },
+      { path: "firstName", label: "First Name" },
+      { path: "lastName", label: "Last Name", aliases: ["surname"] },
+      { path: "email", label: "Email", case: "lower" },
+      { path: "phone", label: "Phone", type: "phone", aliases: ["phone number", "mobile"] },
+      { path: "dateOfBirth", label: "Date of Birth", type: "date", aliases: ["dob", "birthday"] },
+      { path: "gender", label: "Gender", case: "lower" },
+      { path: "maritalStatus", label: "Marital Status", case: "lower" },
+      { path: "address.street", label: "Street", aliases: ["address"] },
+      { path: "address.city", label: "City" },
+      { path: "address.state", label: "State" },
+      { path: "address.postalCode", label: "Postal Code" },
+      { path: "role", label: "Role", case: "lower" },
+      { path: "membership.membershipType", label: "Membership Type", case: "lower" },
+      { path: "membership.joinDate", label: "Join Date", type: "date" },
+      { path: "firstTimer.isFirstTimer", label: "First Timer", type: "boolean" },
+      { path: "baptism.baptized", label: "Baptized", type: "boolean" },
+      { path: "skills", label: "Skills", type: "array" },
+      { path: "interests", label: "Interests", type: "array" },
+    ],
+    preload: async (ctx, rows) => {
+      const emails = rows
+        .map((row) => row.data.email)
+        .filter(Boolean)
+        .map((email) => email.toLowerCase());
+      const [users, memberCount] = await Promise.all([
+        User.find({ email: { $in: emails } }).select("email churches"),
+        Member.countDocuments({ churchId: ctx.churchId }),
+      ]);
+
+      return {
+        users: new Map(users.map((user) => [user.email, user])),
+        memberCount,
+        generatedIds: 0,
+      };
+    },
+    prepare: (data, lookups, ctx) => {
+      // Same scheme as the Member pre-save hook, numbered ahead of the import
+      if (!data.memberId) {
+        ctx.cache.generatedIds += 1;
+        data.memberId = `${ctx.church.name.substring(0, 3).toUpperCase()}${String(
+          ctx.cache.memberCount + ctx.cache.generatedIds
+        ).padStart(4, "0")}`;
+      }
+
+      const user = data.email && ctx.cache.users.get(data.email.toLowerCase());
+      if (!user) {
+        return [
+          {
+            field: "userId",
+            message: "No user account matches this member's email",
+          },
+        ];
+      }
+
+      data.userId = user._id;
+      return [];
+    },
+    duplicateKeys: (data) =>
+      [
+        data.userId && `user:${data.userId}`,
+        data.email && `email:${data.email.toLowerCase()}`,
+        data.phone && `phone:${data.phone}`,
+      ].filter(Boolean),
+    existingFilter: (docs) => ({
+      $or: [
+        { userId: { $in: docs.map((data) => data.userId) } },
+        { email: { $in: docs.map((data) => data.email).filter(Boolean) } },
+        { phone: { $in: docs.map((data) => data.phone).filter(Boolean) } },
+      ],
+    }),
+    // Give imported members access to the church, remembering who was added.
+    // Leaders join as members: a user's church role is admin, volunteer or
+    // member. A user who can't be linked is reported against their row.
+    afterImport: async (docs, ctx) => {
+      const linkedUserIds = [];
+
+      for (const member of docs) {
+        const user = ctx.cache.users.get(member.email);
+        if (!user || user.isChurchMember(ctx.churchId)) continue;
+
+        try {
+          await user.addChurch(
+            ctx.churchId,
+            member.role === "volunteer" ? "volunteer" : "member"
+          );
+          linkedUserIds.push(user._id);
+        } catch (error) {
+          ctx.job.addRowError(
+            member.$locals.rowNumber,
+            "userId",
+            `Member imported, but the user account couldn't be linked: ${error.message}`
+          );
+        }
+      }
+
+      return { linkedUserIds };
+    },
+    beforeRollback: async (job) => {
+      const users = await User.find({
+        _id: { $in: job.rollbackData?.linkedUserIds || [] },
+      });
+      for (const user of users) {
+        await user.removeChurch(job.churchId);
+      }
+    },
+  },
+
+  expenses: {
+    model: Expense,
+    label: "expenses",
+    fields: [
+      { path: "expenseDate", label: "Expense Date", type: "date", aliases: ["date"] },
+      { path: "title", label: "Title" },
+      { path: "description", label: "Description" },
+      { path: "amount", label: "Amount", type: "number" },
+      { path: "currency", label: "Currency", case: "upper" },
+      { path: "category", label: "Category", case: "lower" },
+      { path: "subcategory", label: "Subcategory" },
+      { path: "dueDate", label: "Due Date", type: "date" },
+      { path: "paymentMethod", label: "Payment Method", case: "lower", aliases: ["method"] },
+      { path: "priority", label: "Priority", case: "lower" },
+      { path: "paymentDetails.reference", label: "Payment Reference", aliases: ["reference"] },
+      { path: "vendor.name", label: "Vendor", aliases: ["vendor name", "payee"] },
+      { path: "vendor.phone", label: "Vendor Phone", type: "phone" },
+      { path: "vendor.email", label: "Vendor Email", case: "lower" },
+      { path: "budget.category", label: "Budget Category" },
+      { path: "tags", label: "Tags", type: "array" },
+    ],
+    prepare: (data, lookups, ctx) => {
+      data.status = "pending";
+      data.approval = { requestedBy: ctx.userId, requestedAt: new Date() };
+      return [];
+    },
+    duplicateKeys: (data) => [
+      [
+        "expense",
+        String(data.title || "").toLowerCase(),
+        data.amount,
+        data.expenseDate ? dayKey(data.expenseDate) : "",
+        String(data.vendor?.name || "").toLowerCase(),
+      ].join("|"),
+    ],
+    existingFilter: (docs) => ({
+      amount: { $in: docs.map((data) => data.amount) },
+      expenseDate: dayRange(docs.map((data) => data.expenseDate || Date.now())),
+    }),
+  },
+
+  financialRecords: {
+    model: ManualFinancialRecord,
+    label: "financial records",
+    fields: [
+      { path: "transactionDate", label: "Transaction Date", type: "date", aliases: ["date"] },
+      { path: "recordType", label: "Record Type", case: "lower", aliases: ["type"] },
+      { path: "title", label: "Title" },
+      { path: "description", label: "Description" },
+      { path: "amount", label: "Amount", type: "number" },
+      { path: "currency", label: "Currency", case: "upper" },
+      { path: "category", label: "Category" },
+      { path: "subcategory", label: "Subcategory" },
+      { path: "source", label: "Source", case: "lower" },
+      { path: "priority", label: "Priority", case: "lower" },
+      { path: "sourceDetails.reference", label: "Reference" },
+      { path: "donor.name", label: "Donor Name", aliases: ["donor"] },
+      { path: "donor.phone", label: "Donor Phone", type: "phone" },
+      { path: "donor.email", label: "Donor Email", case: "lower" },
+      { path: "donor.isAnonymous", label: "Anonymous", type: "boolean" },
+      { path: "vendor.name", label: "Vendor" },
+      { path: "tags", label: "Tags", type: "array" },
+    ],
+    prepare: (data, lookups, ctx) => {
+      data.status = "pending";
+      data.recordedBy = ctx.userId;
+      return [];
+    },
+    duplicateKeys: (data) => {
+      const reference = data.sourceDetails?.reference;
+      return [
+        reference
+          ? `reference:${reference}`
+          : [
+              "record",
+              data.recordType,
+              String(data.title || "").toLowerCase(),
+              data.amount,
+              data.transactionDate ? dayKey(data.transactionDate) : "",
+            ].join("|"),
+      ];
+    },
+    existingFilter: (docs) => ({
+      $or: [
+        {
+          "sourceDetails.reference": {
+            $in: docs
+              .map((data) => data.sourceDetails?.reference)
+              .filter(Boolean),
+          },
+        },
+        {
+          amount: { $in: docs.map((data) => data.amount) },
+          transactionDate: dayRange(
+            docs.map((data) => data.transactionDate || Date.now())
+          ),
+        },
+      ],
+    }),
+  },
+
+  teams: {
+    model: VolunteerTeam,
+    label: "teams",
+    fields: [
+      { path: "name", label: "Team Name", aliases: ["name", "team"] },
+      { path: "description", label: "Description" },
+      { path: "category", label: "Category", case: "lower" },
+      { path: "leader.name", label: "Leader", aliases: ["leader name"] },
+      { path: "leader.email", label: "Leader Email", case: "lower" },
+      { path: "leader.phone", label: "Leader Phone", type: "phone" },
+      { path: "requirements.minimumMembers", label: "Minimum Members", type: "number" },
+      { path: "requirements.skills", label: "Skills", type: "array" },
+      { path: "requirements.trainingRequired", label: "Training Required", type: "boolean" },
+    ],
+    preload: async (ctx, rows) => {
+      const emails = rows
+        .map((row) => row.data.leader?.email)
+        .filter(Boolean)
+        .map((email) => email.toLowerCase());
+      const users = await User.find({ email: { $in: emails } }).select(
+        "email firstName lastName phone"
+      );
+      return { users: new Map(users.map((user) => [user.email, user])) };
+    },
+    prepare: (data, lookups, ctx) => {
+      data.createdBy = ctx.userId;
+
+      const email = data.leader?.email?.toLowerCase();
+      const leader = email && ctx.cache.users.get(email);
+      if (!leader) {
+        return [
+          {
+            field: "leader.userId",
+            message: "No user account matches the leader's email",
+          },
+        ];
+      }
+
+      data.leader = {
+        ...data.leader,
+        userId: leader._id,
+        name: data.leader.name || fullName(leader),
+      };
+      return [];
+    },
+    duplicateKeys: (data) => [`team:${String(data.name || "").toLowerCase()}`],
+    // Churches have few teams, so compare against all of them
+    existingFilter: () => ({}),
+  },
+};
+
+// Fields a file can be mapped to, for building a column-mapping screen
+const describeFields = (resource) =>
+  RESOURCES[resource].fields.map((field) => ({
+    path: field.path,
+    label: field.label,
+    type: field.type || "string",
+  }));
+
+// Match each field to a column by path, label or alias
+const autoMap = (fields, headers) => {
+  const byName = new Map(headers.map((header) => [normalizeName(header), header]));
+
+  return fields.reduce((mapping, field) => {
+    const header = [field.path, field.label, ...(field.aliases || [])]
+      .map(normalizeName)
+      .map((name) => byName.get(name))
+      .find(Boolean);
+    if (header) mapping[field.path] = header;
+    return mapping;
+  }, {});
+};
+
+// Validate a client-supplied { fieldPath: column } mapping
+const resolveMapping = (definition, headers, mapping) => {
+  if (!mapping) return autoMap(definition.fields, headers);
+
+  let parsed = mapping;
+  if (typeof mapping === "string") {
+    try {
+      parsed = JSON.parse(mapping);
+    } catch (error) {
+      throw importError("Column mapping must be a JSON object");
+    }
+  }
+
+  const fieldPaths = definition.fields.map((field) => field.path);
+  const unknownFields = Object.keys(parsed).filter(
+    (fieldPath) => !fieldPaths.includes(fieldPath)
+  );
+  if (unknownFields.length > 0) {
+    throw importError(`Unknown import fields: ${unknownFields.join(", ")}`);
+  }
+
+  const missingColumns = Object.values(parsed).filter(
+    (column) => column && !headers.includes(column)
+  );
+  if (missingColumns.length > 0) {
+    throw importError(`Columns not found in file: ${missingColumns.join(", ")}`);
+  }
+
+  return Object.fromEntries(
+    Object.entries(parsed).filter(([, column]) => Boolean(column))
+  );
+};
+
+// Build the document data and lookups for one record
+const buildRow = (definition, record, mapping) => {
+  const data = {};
+  const lookups = {};
+  const errors = [];
+
+  definition.fields.forEach((field) => {
+    const column = mapping[field.path];
+    if (!column) return;
+
+    const raw = record.values[column];
+    if (raw === undefined || raw === null || String(raw).trim() === "") return;
+
+    try {
+      const value = coerce(raw, field);
+      if (field.lookup) {
+        lookups[field.path] = String(value);
+      } else {
+        setPath(data, field.path, value);
+      }
+    } catch (error) {
+      errors.push({ field: field.path, message: error.message, value: raw });
+    }
+  });
+
+  return { rowNumber: record.rowNumber, data, lookups, errors };
+};
+
+// Run the model's own validators against a row
+const validateRow = async (Model, data) => {
+  const document = new Model(data);
+  try {
+    await document.validate();
+    return { document, errors: [] };
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    return {
+      document,
+      errors: Object.values(error.errors).map((fieldError) => ({
+        field: fieldError.path,
+        message: fieldError.message,
+        value: fieldError.value,
+      })),
+    };
+  }
+};
+
+// Import (or with dryRun, only check) a CSV/XLSX file or an array of JSON
+// rows, recording the outcome on an ImportJob so it can be rolled back later
+const runImport = async ({
+  resource,
+  churchId,
+  user,
+  file,
+  rows,
+  mapping,
+  dryRun,
+  skipDuplicates,
+}) => {
+  const definition = RESOURCES[resource];
+  dryRun = toFlag(dryRun, false);
+  skipDuplicates = toFlag(skipDuplicates, true);
+
+  let parsed;
+  if (file) {
+    parsed = await parseImportFile(file);
+  } else if (Array.isArray(rows) && rows.length > 0) {
+    const records = rows.map((row, index) => ({
+      rowNumber: index + 1,
+      values: flatten(row),
+    }));
+    parsed = {
+      format: "json",
+      headers: [...new Set(records.flatMap((record) => Object.keys(record.values)))],
+      records,
+    };
+  } else {
+    throw importError(
+      `Upload a CSV or XLSX file, or send the ${definition.label} as a JSON array`
+    );
+  }
+
+  if (parsed.records.length > MAX_IMPORT_ROWS) {
+    throw importError(`Imports are limited to ${MAX_IMPORT_ROWS} rows per file`);
+  }
+
+  const church = await Church.findById(churchId).select("name settings");
+  if (!church) throw importError("Church not found");
+
+  const columnMapping = resolveMapping(definition, parsed.headers, mapping);
+  const mappedColumns = Object.values(columnMapping);
+
+  const job = new ImportJob({
+    churchId,
+    resource,
+    fileName: file?.originalname,
+    format: parsed.format,
+    mapping: columnMapping,
+    unmappedColumns: parsed.headers.filter((header) => !mappedColumns.includes(header)),
+    dryRun,
+    skipDuplicates,
+    createdBy: user._id,
+  });
+
+  const ctx = { churchId, church, userId: user._id, job, cache: {} };
+  const built = parsed.records.map((record) =>
+    buildRow(definition, record, columnMapping)
+  );
+  if (definition.preload) ctx.cache = await definition.preload(ctx, built);
+
+  // Validate every row with the model's validators
+  const checked = [];
+  for (const row of built) {
+    const prepareErrors = definition.prepare(row.data, row.lookups, ctx);
+    const { document, errors } = await validateRow(definition.model, {
+      ...row.data,
+      churchId,
+    });
+
+    const rowErrors = [...row.errors, ...prepareErrors, ...errors].filter(
+      // Don't repeat a missing reference the resource already explained
+      (error, index, all) =>
+        all.findIndex((other) => other.field === error.field) === index
+    );
+    rowErrors.forEach((error) =>
+      job.addRowError(row.rowNumber, error.field, error.message, error.value)
+    );
+
+    if (rowErrors.length === 0) {
+      checked.push({ rowNumber: row.rowNumber, data: row.data, document });
+    }
+  }
+
+  // Look for rows that repeat each other or records already in the church
+  const existingKeys = new Map();
+  if (checked.length > 0) {
+    const existing = await definition.model
+      .find({
+        ...definition.existingFilter(checked.map((row) => row.data)),
+        churchId,
+      })
+      .lean();
+    existing.forEach((doc) =>
+      definition.duplicateKeys(doc).forEach((key) => existingKeys.set(key, doc._id))
+    );
+  }
+
+  const seenKeys = new Map();
+  const toImport = [];
+  checked.forEach((row) => {
+    const keys = definition.duplicateKeys(row.data);
+    const existingKey = keys.find((key) => existingKeys.has(key));
+    const repeatedKey = keys.find((key) => seenKeys.has(key));
+
+    if (existingKey || repeatedKey) {
+      job.addDuplicate(row.rowNumber, {
+        key: existingKey || repeatedKey,
+        existingId: existingKey ? existingKeys.get(existingKey) : undefined,
+        duplicateOfRow: existingKey ? undefined : seenKeys.get(repeatedKey),
+      });
+      job.totals.duplicates += 1;
+      if (skipDuplicates) return;
+    }
+
+    keys.forEach((key) => {
+      if (!seenKeys.has(key)) seenKeys.set(key, row.rowNumber);
+    });
+    toImport.push(row);
+  });
+
+  job.totals.rows = parsed.records.length;
+  job.totals.valid = checked.length;
+  job.totals.invalid = parsed.records.length - checked.length;
+
+  const preview = toImport.slice(0, PREVIEW_ROWS).map((row) => ({
+    row: row.rowNumber,
+    data: row.data,
+  }));
+
+  if (dryRun) {
+    job.status = "validated";
+    await job.save();
+    return { job, preview };
+  }
+
+  // Save the job first so created records are never orphaned from it
+  await job.save();
+
+  const created = [];
+  for (const row of toImport) {
+    try {
+      row.document.$locals.rowNumber = row.rowNumber;
+      await row.document.save();
+      created.push(row.document);
+      await ImportJob.updateOne(
+        { _id: job._id },
+        { $push: { createdIds: row.document._id } }
+      );
+    } catch (error) {
+      job.totals.failed += 1;
+      job.addRowError(row.rowNumber, null, error.message);
+    }
+  }
+
+  job.createdIds = created.map((doc) => doc._id);
+  job.totals.imported = created.length;
+  job.status = created.length > 0 || toImport.length === 0 ? "completed" : "failed";
+  job.completedAt = new Date();
+  if (definition.afterImport && created.length > 0) {
+    // The records exist by now, so the job stays completed and can still be
+    // rolled back whatever happens here
+    try {
+      job.rollbackData = await definition.afterImport(created, ctx);
+    } catch (error) {
+      console.error("Import follow-up error:", error);
+      job.addRowError(0, null, `Records imported, but follow-up failed: ${error.message}`);
+    }
+  }
+  await job.save();
+
+  return { job, preview };
+};
+
+// Delete everything an import created, undoing its side effects. The job
+// is claimed first, so of two rollbacks made at the same time only one
+// runs; the other fails with a 409.
+const rollbackImport = async (job, user) => {
+  if (job.status !== "completed") {
+    throw importError(`Only completed imports can be rolled back (this one is ${job.status})`);
+  }
+
+  const claimed = await ImportJob.findOneAndUpdate(
+    { _id: job._id, status: "completed" },
+    { $set: { status: "rolling-back" } },
+    { projection: { _id: 1 } }
+  );
+  if (!claimed) {
+    throw importError("This import is already being rolled back", 409);
+  }
+
+  const definition = RESOURCES[job.resource];
+  let deletedCount;
+  try {
+    if (definition.beforeRollback) await definition.beforeRollback(job);
+
+    ({ deletedCount } = await definition.model.deleteMany({
+      _id: { $in: job.createdIds },
+      churchId: job.churchId,
+    }));
+    // Imported transactions may have been posted to the general ledger
+    await JournalEntry.reverseSources(job.churchId, job.createdIds, "Import rolled back");
+  } catch (error) {
+    // Hand the claim back so the rollback can be tried again
+    await ImportJob.updateOne(
+      { _id: job._id, status: "rolling-back" },
+      { $set: { status: "completed" } }
+    );
+    throw error;
+  }
+
+  job.status = "rolled-back";
+  job.rolledBackAt = new Date();
+  job.rolledBackBy = user._id;
+  await job.save();
+
+  return { deleted: deletedCount };
+};
+
+module.exports = {
+  RESOURCES,
+  describeFields,
+  normalizeName,
+  parseDate,
+  parseImportFile,
+  runImport,
+  rollbackImport,
+};
@@ -0,0 +1,48 @@
+const JournalEntry = require("../app/models/JournalEntry");
+const Donation = require("../app/models/Donation");
+const Expense = require("../app/models/Expense");
+const ManualFinancialRecord = require("../app/models/ManualFinancialRecord");
+
+// Transactions posted to the ledger, with the date each is posted on
+const SOURCES = [
+  { key: "donations", kind: "donation", Model: Donation, dateField: "createdAt" },
+  { key: "expenses", kind: "expense", Model: Expense, dateField: "expenseDate" },
+  { key: "records", kind: "record", Model: ManualFinancialRecord, dateField: "transactionDate" },
+];
+
+// Bring a church's general ledger in step with its transactions: post
+// what is missing, and reverse and repost entries whose transactions have
+// changed without going through a save, e.g. revalued at a new rate.
+// Limited to one currency and to transactions dated from `since` on when
+// given. Completed refunds not yet posted are posted too. Resolves to the
+// number of transactions of each kind checked.
+const syncLedger = async (churchId, { currency, since } = {}) => {
+  const checked = {};
+
+  for (const { key, kind, Model, dateField } of SOURCES) {
+    const query = { churchId };
+    if (currency) query.currency = currency;
+    if (since) query[dateField] = { $gte: new Date(since) };
+
+    checked[key] = 0;
+    for await (const doc of Model.find(query).cursor()) {
+      try {
+        await JournalEntry.syncSource(kind, doc);
+        if (kind === "donation") {
+          for (const refund of doc.refunds.filter(({ status }) => status === "completed")) {
+            await JournalEntry.postRefund(doc, refund);
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Error posting ${kind} ${doc._id} to the ledger:`, error);
+      }
+      checked[key] += 1;
+    }
+  }
+
+  return checked;
+};
+
+module.exports = {
+  syncLedger,
+};
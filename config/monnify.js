@@ -1,8 +1,16 @@
 const axios = require('axios');
 const crypto = require('crypto');
 
+// Monnify refund statuses in the gateway interface's terms: anything but
+// COMPLETED and FAILED (e.g. PENDING, IN_PROGRESS) is still in progress
+const refundStatusOf = (status) =>
+  ['COMPLETED', 'FAILED'].includes(status) ? status : 'PENDING';
+
+// Monnify implementation of the payment gateway interface (see
+// ./paymentGateways)
 class MonnifyService {
   constructor() {
+    this.name = 'monnify';
     this.baseURL = process.env.MONNIFY_BASE_URL;
     this.apiKey = process.env.MONNIFY_API_KEY;
     this.secretKey = process.env.MONNIFY_SECRET_KEY;
@@ -31,6 +39,7 @@ class MonnifyService {
         paymentReference,
         paymentDescription,
         currencyCode = 'NGN',
+        contractCode = this.contractCode,
         redirectUrl,
         metadata = {},
       } = paymentData;
@@ -42,7 +51,7 @@ class MonnifyService {
         paymentReference,
         paymentDescription,
         currencyCode,
-        contractCode: this.contractCode,
+        contractCode,
         redirectUrl,
         paymentMethods: ['CARD', 'ACCOUNT_TRANSFER'],
         metadata,
@@ -77,35 +86,168 @@ class MonnifyService {
     }
   }
 
-  // Verify payment
-  async verifyPayment(transactionReference) {
+  // Verify payment, by Monnify's transaction reference (MNFY|...) or by the
+  // payment reference we gave it
+  async verifyPayment(reference) {
     try {
-      const signature = this.generateSignature(transactionReference);
+      const url = String(reference).startsWith('MNFY')
+        ? `${this.baseURL}/v2/transactions/${encodeURIComponent(reference)}`
+        : `${this.baseURL}/v2/merchant/transactions/query?paymentReference=${encodeURIComponent(reference)}`;
+
+      const response = await axios.get(url, {
+        headers: {
+          'Authorization': `Basic ${this.generateAuthHeader()}`,
+          'Signature': this.generateSignature(reference),
+        },
+      });
 
+      const body = response.data.responseBody;
+      return {
+        success: true,
+        data: response.data,
+        paymentStatus: body.paymentStatus,
+        amount: body.amount,
+        paidAmount: body.amountPaid,
+        currency: body.currency || body.currencyCode,
+        transactionReference: body.transactionReference,
+        paymentReference: body.paymentReference,
+        paymentMethod: body.paymentMethod,
+        paymentDate: body.paidOn,
+      };
+    } catch (error) {
+      console.error('❌ Monnify payment verification error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Refund all or part of a payment
+  async refundPayment({ transactionReference, refundReference, amount, reason }) {
+    try {
+      const requestBody = {
+        transactionReference,
+        refundReference,
+        refundAmount: amount,
+        refundReason: reason || 'Donation refund',
+        customerNote: reason || 'Donation refund',
+      };
+
+      const response = await axios.post(
+        `${this.baseURL}/v1/refunds/initiate-refund`,
+        requestBody,
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Basic ${this.generateAuthHeader()}`,
+            'Signature': this.generateSignature(JSON.stringify(requestBody)),
+          },
+        }
+      );
+
+      const body = response.data.responseBody;
+      return {
+        success: body.refundStatus !== 'FAILED',
+        data: response.data,
+        status: refundStatusOf(body.refundStatus),
+        refundReference: body.refundReference || refundReference,
+        error: body.refundStatus === 'FAILED' ? body.comment || 'Refund failed' : undefined,
+      };
+    } catch (error) {
+      console.error('❌ Monnify refund error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.responseMessage || error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Check on a refund that was still in progress
+  async verifyRefund(refundReference) {
+    try {
       const response = await axios.get(
-        `${this.baseURL}/v2/transactions/${transactionReference}`,
+        `${this.baseURL}/v1/refunds/${encodeURIComponent(refundReference)}`,
         {
           headers: {
             'Authorization': `Basic ${this.generateAuthHeader()}`,
-            'Signature': signature,
           },
         }
       );
 
+      const body = response.data.responseBody;
       return {
         success: true,
         data: response.data,
-        paymentStatus: response.data.responseBody.paymentStatus,
-        amount: response.data.responseBody.amount,
-        paidAmount: response.data.responseBody.paidAmount,
-        transactionReference: response.data.responseBody.transactionReference,
-        paymentDate: response.data.responseBody.paidOn,
+        status: refundStatusOf(body.refundStatus),
+        refundReference: body.refundReference || refundReference,
+        error: body.refundStatus === 'FAILED' ? body.comment || 'Refund failed' : undefined,
       };
     } catch (error) {
-      console.error('❌ Monnify payment verification error:', error.response?.data || error.message);
+      console.error('❌ Monnify refund verification error:', error.response?.data || error.message);
       return {
         success: false,
-        error: error.response?.data?.message || error.message,
+        error: error.response?.data?.responseMessage || error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Charge a saved card token (recurring donations). Resolves to
+  // { success, paid, transactionReference, paymentStatus, error }.
+  async chargeCardToken(chargeData) {
+    const {
+      cardToken,
+      amount,
+      customerName,
+      customerEmail,
+      paymentReference,
+      paymentDescription,
+      currencyCode = 'NGN',
+      contractCode = this.contractCode,
+      metadata = {},
+    } = chargeData;
+
+    try {
+      const requestBody = {
+        cardToken,
+        amount,
+        customerName,
+        customerEmail,
+        paymentReference,
+        paymentDescription,
+        currencyCode,
+        contractCode,
+        apiKey: this.apiKey,
+        metaData: metadata,
+      };
+
+      const response = await axios.post(
+        `${this.baseURL}/v1/merchant/cards/charge-card-token`,
+        requestBody,
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Basic ${this.generateAuthHeader()}`,
+            'Signature': this.generateSignature(JSON.stringify(requestBody)),
+          },
+        }
+      );
+
+      const { paymentStatus, transactionReference } = response.data.responseBody;
+      return {
+        success: true,
+        paid: paymentStatus === 'PAID',
+        paymentStatus,
+        transactionReference,
+        data: response.data,
+        error: paymentStatus === 'PAID' ? undefined : `Payment ${String(paymentStatus).toLowerCase()}`,
+      };
+    } catch (error) {
+      console.error('❌ Monnify card token charge error:', error.response?.data || error.message);
+      return {
+        success: false,
+        paid: false,
+        error: error.response?.data?.responseMessage || error.response?.data?.message || error.message,
       };
     }
   }
@@ -136,26 +278,52 @@ class MonnifyService {
     }
   }
 
-  // Handle webhook callback
-  handleWebhookCallback(payload, signature) {
+  // Check a webhook's monnify-signature header: an HMAC-SHA512 of the raw
+  // request body keyed with the secret key. Fails closed when either is
+  // missing.
+  verifyWebhookSignature(rawBody, signature) {
+    if (!this.secretKey || !rawBody || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha512', this.secretKey)
+      .update(rawBody)
+      .digest('hex');
+
+    return (
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    );
+  }
+
+  // Handle webhook callback. The payload is only trusted after its signature
+  // checks out; callers should still confirm the payment with verifyPayment.
+  handleWebhookCallback(rawBody, headers = {}) {
     try {
-      const expectedSignature = this.generateSignature(JSON.stringify(payload));
-      
-      if (signature !== expectedSignature) {
+      if (!this.verifyWebhookSignature(rawBody, headers['monnify-signature'])) {
         return {
           success: false,
           error: 'Invalid signature',
         };
       }
 
+      const payload = JSON.parse(rawBody.toString());
+      const eventData = payload.eventData || {};
+
       return {
         success: true,
         data: payload,
-        paymentStatus: payload.paymentStatus,
-        transactionReference: payload.transactionReference,
-        amount: payload.amount,
-        paidAmount: payload.paidAmount,
-        paymentDate: payload.paidOn,
+        eventType: payload.eventType,
+        paymentStatus: eventData.paymentStatus,
+        // SUCCESSFUL_REFUND and FAILED_REFUND events
+        refundStatus: eventData.refundStatus ? refundStatusOf(eventData.refundStatus) : undefined,
+        transactionReference: eventData.transactionReference,
+        paymentReference: eventData.paymentReference,
+        amount: eventData.totalPayable,
+        paidAmount: eventData.amountPaid,
+        paymentDate: eventData.paidOn,
+        cardDetails: eventData.cardDetails,
       };
     } catch (error) {
       console.error('❌ Monnify webhook handling error:', error);
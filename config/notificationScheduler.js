@@ -0,0 +1,104 @@
+const ScheduledNotification = require("../app/models/ScheduledNotification");
+const NotificationService = require("./notificationService");
+
+class NotificationScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs =
+      parseInt(process.env.NOTIFICATION_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+    this.retryDelayMs =
+      parseInt(process.env.NOTIFICATION_RETRY_DELAY_MS) || 60 * 1000;
+  }
+
+  // Start polling for due notifications
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(
+      `⏰ Notification scheduler started (every ${this.intervalMs / 1000}s)`
+    );
+    this.tick();
+  }
+
+  // Stop polling
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Dispatch every notification that is currently due
+  async tick() {
+    // Skip if the previous tick is still working through a backlog
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let scheduled = await ScheduledNotification.claimNextDue();
+
+      while (scheduled) {
+        await this.dispatch(scheduled);
+        scheduled = await ScheduledNotification.claimNextDue();
+      }
+    } catch (error) {
+      console.error("❌ Notification scheduler error:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Deliver a single scheduled notification and record the outcome
+  async dispatch(scheduled) {
+    try {
+      const result = await NotificationService.dispatch({
+        churchId: scheduled.churchId,
+        type: scheduled.type,
+        title: scheduled.title,
+        message: scheduled.message,
+        priority: scheduled.priority,
+        recipients: scheduled.recipients,
+        specificUserIds: scheduled.specificUserIds,
+        channels: scheduled.channels,
+        data: { ...scheduled.data, scheduledNotificationId: scheduled._id },
+        sentBy: scheduled.createdBy,
+        skipChannels: scheduled.completedChannels,
+      });
+
+      scheduled.completedChannels = Array.from(
+        new Set(result.completedChannels)
+      );
+      result.notifications.forEach((notification) =>
+        scheduled.notificationIds.push(notification._id)
+      );
+
+      if (result.errors.length > 0) {
+        await scheduled.markAttemptFailed(
+          result.errors.join("; "),
+          this.retryDelayMs
+        );
+        console.error(
+          `❌ Scheduled notification ${scheduled._id} failed:`,
+          result.errors
+        );
+        return;
+      }
+
+      await scheduled.markAsSent();
+      console.log(`✅ Scheduled notification ${scheduled._id} sent`);
+    } catch (error) {
+      console.error(
+        `❌ Scheduled notification ${scheduled._id} failed:`,
+        error
+      );
+      await scheduled.markAttemptFailed(error.message, this.retryDelayMs);
+    }
+  }
+}
+
+module.exports = new NotificationScheduler();
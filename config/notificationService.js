@@ -0,0 +1,429 @@
+const Notification = require("../app/models/Notification");
+const User = require("../app/models/User");
+const Member = require("../app/models/Member");
+const Church = require("../app/models/Church");
+const {
+  sendChurchNotification,
+  sendUserNotification,
+  sendEmail,
+  sendSms,
+} = require("./deliveryRouter");
+const emailService = require("./email");
+const smsService = require("./sms");
+
+const REALTIME_CHANNELS = ["in-app", "push"];
+
+class NotificationService {
+  /**
+   * Resolve the user IDs targeted by recipient groups and specific users
+   */
+  static async resolveUserIds(churchId, recipients = [], specificUserIds = []) {
+    const userIds = new Set(specificUserIds.map(String));
+    const groups = recipients.filter((recipient) => recipient !== "specific");
+
+    if (groups.length > 0) {
+      const groupUserIds = await Notification.resolveRecipients({
+        audience: "church",
+        churchId,
+        roles: groups,
+      });
+      groupUserIds.forEach((userId) => userIds.add(userId));
+    }
+
+    return Array.from(userIds);
+  }
+
+  /**
+   * Deliver a notification to recipient groups over the requested channels.
+   * Channels listed in skipChannels are treated as already delivered, which
+   * lets the scheduler retry without notifying anyone twice.
+   */
+  static async dispatch({
+    churchId,
+    type,
+    title,
+    message,
+    priority = "normal",
+    recipients = ["all"],
+    specificUserIds = [],
+    channels = ["in-app"],
+    data = {},
+    sentBy,
+    skipChannels = [],
+  }) {
+    const result = {
+      notifications: [],
+      completedChannels: [...skipChannels],
+      errors: [],
+    };
+
+    const notificationData = {
+      type,
+      title,
+      message,
+      priority,
+      data,
+      churchId,
+      sentAt: new Date(),
+      sentBy,
+    };
+
+    const wantsRealtime = channels.some((channel) =>
+      REALTIME_CHANNELS.includes(channel)
+    );
+    const realtimeDone = REALTIME_CHANNELS.some((channel) =>
+      skipChannels.includes(channel)
+    );
+
+    if (wantsRealtime && !realtimeDone) {
+      const notifications = [];
+      const groups = recipients.filter((recipient) => recipient !== "specific");
+
+      if (recipients.includes("specific")) {
+        for (const userId of specificUserIds) {
+          notifications.push(
+            await sendUserNotification(
+              userId,
+              "notification-received",
+              notificationData,
+              { churchId, sentBy }
+            )
+          );
+        }
+      }
+
+      if (groups.length > 0) {
+        notifications.push(
+          await sendChurchNotification(
+            churchId,
+            "notification-sent",
+            notificationData,
+            { recipients: groups, sentBy }
+          )
+        );
+      }
+
+      if (notifications.some((notification) => !notification)) {
+        result.errors.push("Failed to record in-app notification");
+      } else {
+        result.notifications = notifications;
+        REALTIME_CHANNELS.filter((channel) => channels.includes(channel)).forEach(
+          (channel) => result.completedChannels.push(channel)
+        );
+      }
+    }
+
+    if (channels.includes("email") && !skipChannels.includes("email")) {
+      try {
+        const emailResult = await this.sendEmails({
+          churchId,
+          type,
+          title,
+          message,
+          priority,
+          recipients,
+          specificUserIds,
+          notificationIds: result.notifications.map(
+            (notification) => notification._id
+          ),
+        });
+
+        if (emailResult.attempted > 0 && emailResult.sent === 0) {
+          result.errors.push(
+            `Email delivery failed for all ${emailResult.attempted} recipients`
+          );
+        } else {
+          result.completedChannels.push("email");
+          result.email = emailResult;
+        }
+      } catch (error) {
+        result.errors.push(`Email delivery failed: ${error.message}`);
+      }
+    }
+
+    if (channels.includes("sms") && !skipChannels.includes("sms")) {
+      try {
+        const smsResult = await this.sendSmsMessages({
+          churchId,
+          type,
+          title,
+          message,
+          priority,
+          recipients,
+          specificUserIds,
+          notificationIds: result.notifications.map(
+            (notification) => notification._id
+          ),
+        });
+
+        if (smsResult.attempted > 0 && smsResult.sent === 0) {
+          result.errors.push(
+            `SMS delivery failed for all ${smsResult.attempted} recipients`
+          );
+        } else {
+          result.completedChannels.push("sms");
+          result.sms = smsResult;
+        }
+      } catch (error) {
+        result.errors.push(`SMS delivery failed: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the values a template can reference for one recipient
+   */
+  static buildTemplateContext({ user, member, church, variables = {} }) {
+    const person = member || user;
+
+    return {
+      ...variables,
+      user: user
+        ? {
+            firstName: user.firstName,
+            lastName: user.lastName,
+            fullName: user.fullName,
+            email: user.email,
+            phone: user.phone,
+          }
+        : {},
+      // Users without a member record (e.g. church staff) still get their name
+      member: person
+        ? {
+            firstName: person.firstName,
+            lastName: person.lastName,
+            fullName: person.fullName,
+            email: person.email,
+            phone: person.phone,
+            memberId: member?.memberId,
+            role: member?.role,
+          }
+        : {},
+      church: church
+        ? {
+            name: church.name,
+            email: church.contact?.email,
+            phone: church.contact?.phone,
+            address: church.fullAddress,
+            pastor: church.pastor?.name,
+          }
+        : {},
+    };
+  }
+
+  /**
+   * Pick the language a recipient should receive a template in: the one
+   * they chose, else the church's
+   */
+  static resolveLanguage(user, church, languages) {
+    const preferred = user?.preferences?.language;
+    if (preferred && languages.includes(preferred)) return preferred;
+    return church?.settings?.language || "en";
+  }
+
+  /**
+   * Render a template for each recipient and deliver it individually
+   */
+  static async sendTemplate(
+    template,
+    {
+      churchId,
+      recipients,
+      specificUserIds = [],
+      channels,
+      variables = {},
+      language,
+      sentBy,
+    }
+  ) {
+    const userIds = await this.resolveUserIds(
+      churchId,
+      recipients,
+      specificUserIds
+    );
+    const [users, members, church] = await Promise.all([
+      User.find({ _id: { $in: userIds }, isActive: true }),
+      Member.find({ churchId, userId: { $in: userIds } }),
+      Church.findById(churchId),
+    ]);
+    const languages = template.schema.path("language").enumValues;
+
+    const summary = {
+      recipients: users.length,
+      delivered: 0,
+      failed: 0,
+      notifications: [],
+      errors: [],
+    };
+
+    for (const user of users) {
+      const member = members.find(
+        (candidate) => candidate.userId.toString() === user._id.toString()
+      );
+      const rendered = template.render(
+        this.buildTemplateContext({ user, member, church, variables }),
+        language || this.resolveLanguage(user, church, languages)
+      );
+
+      const result = await this.dispatch({
+        churchId,
+        type: template.type,
+        title: rendered.title,
+        message: rendered.message,
+        priority: template.priority,
+        recipients: ["specific"],
+        specificUserIds: [user._id],
+        channels,
+        data: { templateId: template._id, language: rendered.language },
+        sentBy,
+      });
+
+      summary.notifications.push(...result.notifications);
+      if (result.errors.length > 0) {
+        summary.failed += 1;
+        summary.errors.push({ userId: user._id, errors: result.errors });
+      } else {
+        summary.delivered += 1;
+      }
+    }
+
+    await template.recordUsage();
+
+    return summary;
+  }
+
+  /**
+   * Email a notification to every resolved recipient who accepts email
+   */
+  static async sendEmails({
+    churchId,
+    type,
+    title,
+    message,
+    priority,
+    recipients,
+    specificUserIds,
+    notificationIds = [],
+  }) {
+    const userIds = await this.resolveUserIds(
+      churchId,
+      recipients,
+      specificUserIds
+    );
+    const [users, church] = await Promise.all([
+      User.find({ _id: { $in: userIds }, isActive: true }).select(
+        "email firstName"
+      ),
+      Church.findById(churchId).select("name"),
+    ]);
+    const churchName = church?.name || "Church Sphere";
+
+    const summary = { attempted: 0, sent: 0, failed: 0, skipped: 0 };
+
+    for (const user of users) {
+      const delivery = await sendEmail(
+        {
+          recipient: user.email,
+          userId: user._id,
+          churchId,
+          type,
+          event: "notification-email",
+          priority,
+          notificationIds,
+        },
+        (email, { outbox }) =>
+          emailService.sendNotificationEmail(
+            email,
+            user.firstName,
+            title,
+            message,
+            churchName,
+            outbox
+          )
+      );
+
+      if (delivery.status === "skipped") {
+        summary.skipped += 1;
+        continue;
+      }
+
+      summary.attempted += 1;
+      if (delivery.status === "failed") {
+        summary.failed += 1;
+      } else {
+        summary.sent += 1;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Text a notification to every resolved recipient who accepts SMS.
+   * Member.phone is preferred over the account phone for the church.
+   */
+  static async sendSmsMessages({
+    churchId,
+    type,
+    title,
+    message,
+    priority,
+    recipients,
+    specificUserIds,
+    notificationIds = [],
+  }) {
+    const userIds = await this.resolveUserIds(
+      churchId,
+      recipients,
+      specificUserIds
+    );
+    const [users, members] = await Promise.all([
+      User.find({ _id: { $in: userIds }, isActive: true }).select("phone"),
+      Member.find({ churchId, userId: { $in: userIds } }).select(
+        "userId phone"
+      ),
+    ]);
+
+    const summary = { attempted: 0, sent: 0, failed: 0, skipped: 0, cost: 0 };
+
+    for (const user of users) {
+      const member = members.find(
+        (candidate) => candidate.userId.toString() === user._id.toString()
+      );
+      const delivery = await sendSms(
+        {
+          recipient: member?.phone || user.phone,
+          userId: user._id,
+          churchId,
+          type,
+          event: "notification-sms",
+          priority,
+          notificationIds,
+        },
+        (phone, { church }) =>
+          smsService.sendSms(phone, `${title}\n${message}`, {
+            senderId: church?.settings?.sms?.senderId,
+          })
+      );
+
+      if (delivery.status === "skipped") {
+        summary.skipped += 1;
+        continue;
+      }
+
+      summary.attempted += 1;
+      if (delivery.status === "sent") {
+        summary.sent += 1;
+        summary.cost += delivery.result.cost || 0;
+      } else {
+        summary.failed += 1;
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,72 @@
+const monnifyService = require("./monnify");
+const paystackService = require("./paystack");
+const flutterwaveService = require("./flutterwave");
+const fakeGateway = require("./fakeGateway");
+
+// Every payment gateway implements the same interface, so donations,
+// recurring donations and subscriptions don't depend on a provider:
+//
+//   initializePayment({ amount, currencyCode, customerName, customerEmail,
+//     paymentReference, paymentDescription, redirectUrl, metadata })
+//     -> { success, checkoutUrl, transactionReference, data, error }
+//   verifyPayment(reference)
+//     -> { success, paymentStatus, amount, paidAmount, currency,
+//          transactionReference, paymentReference, paymentMethod,
+//          paymentDate, data, error }
+//   refundPayment({ transactionReference, refundReference, amount, reason })
+//     -> { success, status, refundReference, data, error }
+//   verifyRefund(refundReference)
+//     -> { success, status, refundReference, data, error }
+//   chargeCardToken({ cardToken, amount, customerEmail, paymentReference, ... })
+//     -> { success, paid, paymentStatus, transactionReference, data, error }
+//   handleWebhookCallback(rawBody, headers)
+//     -> { success, eventType, paymentStatus, refundStatus, transactionReference,
+//          paymentReference, paidAmount, paymentDate, cardDetails, data, error }
+//
+// paymentReference is ours; transactionReference is the gateway's. Payment
+// statuses use Monnify's names: PAID, OVERPAID, PARTIALLY_PAID, PENDING,
+// FAILED, CANCELLED, EXPIRED, ABANDONED and REVERSED. Refund statuses are
+// COMPLETED, PENDING (still in progress) and FAILED; webhooks only carry a
+// refundStatus for refund events.
+const GATEWAYS = {
+  monnify: monnifyService,
+  paystack: paystackService,
+  flutterwave: flutterwaveService,
+};
+
+// The fake gateway is for tests and local development only, and is only
+// there when its webhook secret has been set explicitly
+if (process.env.FAKE_GATEWAY_SECRET) {
+  GATEWAYS.fake = fakeGateway;
+}
+
+const DEFAULT_GATEWAY = "monnify";
+
+// Names of the gateways that can be used
+const availableGateways = () => Object.keys(GATEWAYS);
+
+// Look up a gateway by name. Resolves to undefined for unknown names,
+// including ones inherited from Object.prototype such as "constructor".
+const getGateway = (name) =>
+  typeof name === "string" && Object.hasOwn(GATEWAYS, name)
+    ? GATEWAYS[name]
+    : undefined;
+
+// The gateway a church takes online donations through
+const gatewayForChurch = (church) =>
+  getGateway(church?.financial?.paymentGateway) ||
+  getGateway(process.env.DEFAULT_PAYMENT_GATEWAY) ||
+  GATEWAYS[DEFAULT_GATEWAY];
+
+// The gateway subscriptions are billed through
+const subscriptionGateway = () =>
+  getGateway(process.env.SUBSCRIPTION_PAYMENT_GATEWAY) ||
+  getGateway(process.env.DEFAULT_PAYMENT_GATEWAY) ||
+  GATEWAYS[DEFAULT_GATEWAY];
+
+module.exports = {
+  availableGateways,
+  getGateway,
+  gatewayForChurch,
+  subscriptionGateway,
+};
@@ -0,0 +1,281 @@
+const axios = require('axios');
+const crypto = require('crypto');
+
+// Paystack transaction statuses in the gateway interface's terms
+const PAYMENT_STATUSES = {
+  success: 'PAID',
+  failed: 'FAILED',
+  abandoned: 'ABANDONED',
+  reversed: 'REVERSED',
+  ongoing: 'PENDING',
+  pending: 'PENDING',
+  processing: 'PENDING',
+  queued: 'PENDING',
+};
+
+// Paystack refund statuses in the gateway interface's terms. Anything else
+// (pending, processing, needs-attention) is still in progress.
+const REFUND_STATUSES = {
+  processed: 'COMPLETED',
+  failed: 'FAILED',
+};
+
+// Paystack amounts are in the currency's subunit (kobo, cents)
+const toSubunit = (amount) => Math.round(Number(amount) * 100);
+const fromSubunit = (amount) => Number(amount || 0) / 100;
+
+// Saved card details in the shape recurring donations store
+const cardDetailsFrom = (authorization) =>
+  authorization?.reusable
+    ? {
+      cardToken: authorization.authorization_code,
+      cardType: authorization.card_type,
+      last4: authorization.last4,
+      expMonth: authorization.exp_month,
+      expYear: authorization.exp_year,
+    }
+    : undefined;
+
+// Paystack implementation of the payment gateway interface (see
+// ./paymentGateways)
+class PaystackService {
+  constructor() {
+    this.name = 'paystack';
+    this.baseURL = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+    this.secretKey = process.env.PAYSTACK_SECRET_KEY;
+  }
+
+  headers() {
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${this.secretKey}`,
+    };
+  }
+
+  // Initialize payment
+  async initializePayment(paymentData) {
+    try {
+      const {
+        amount,
+        customerEmail,
+        paymentReference,
+        currencyCode = 'NGN',
+        redirectUrl,
+        metadata = {},
+      } = paymentData;
+
+      const response = await axios.post(
+        `${this.baseURL}/transaction/initialize`,
+        {
+          email: customerEmail,
+          amount: toSubunit(amount),
+          currency: currencyCode,
+          reference: paymentReference,
+          callback_url: redirectUrl,
+          metadata,
+        },
+        { headers: this.headers() }
+      );
+
+      return {
+        success: true,
+        data: response.data,
+        checkoutUrl: response.data.data.authorization_url,
+        transactionReference: response.data.data.reference,
+      };
+    } catch (error) {
+      console.error('❌ Paystack payment initialization error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Verify payment by its reference
+  async verifyPayment(reference) {
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/transaction/verify/${encodeURIComponent(reference)}`,
+        { headers: this.headers() }
+      );
+
+      const transaction = response.data.data;
+      return {
+        success: true,
+        data: response.data,
+        paymentStatus: PAYMENT_STATUSES[transaction.status] || 'PENDING',
+        amount: fromSubunit(transaction.requested_amount || transaction.amount),
+        paidAmount: fromSubunit(transaction.amount),
+        currency: transaction.currency,
+        transactionReference: transaction.reference,
+        paymentReference: transaction.reference,
+        paymentMethod: transaction.channel,
+        paymentDate: transaction.paid_at,
+        cardDetails: cardDetailsFrom(transaction.authorization),
+      };
+    } catch (error) {
+      console.error('❌ Paystack payment verification error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Refund all or part of a payment
+  async refundPayment({ transactionReference, amount, reason }) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/refund`,
+        {
+          transaction: transactionReference,
+          amount: amount ? toSubunit(amount) : undefined,
+          merchant_note: reason,
+        },
+        { headers: this.headers() }
+      );
+
+      const refund = response.data.data;
+      return {
+        success: refund.status !== 'failed',
+        data: response.data,
+        status: REFUND_STATUSES[refund.status] || 'PENDING',
+        refundReference: refund.id ? String(refund.id) : undefined,
+      };
+    } catch (error) {
+      console.error('❌ Paystack refund error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Check on a refund that was still in progress, by its Paystack id
+  async verifyRefund(refundReference) {
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/refund/${encodeURIComponent(refundReference)}`,
+        { headers: this.headers() }
+      );
+
+      const refund = response.data.data;
+      return {
+        success: true,
+        data: response.data,
+        status: REFUND_STATUSES[refund.status] || 'PENDING',
+        refundReference: String(refund.id),
+        error: refund.status === 'failed' ? 'Refund failed' : undefined,
+      };
+    } catch (error) {
+      console.error('❌ Paystack refund verification error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Charge a saved card authorization (recurring donations)
+  async chargeCardToken(chargeData) {
+    const {
+      cardToken,
+      amount,
+      customerEmail,
+      paymentReference,
+      currencyCode = 'NGN',
+      metadata = {},
+    } = chargeData;
+
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/transaction/charge_authorization`,
+        {
+          authorization_code: cardToken,
+          email: customerEmail,
+          amount: toSubunit(amount),
+          currency: currencyCode,
+          reference: paymentReference,
+          metadata,
+        },
+        { headers: this.headers() }
+      );
+
+      const transaction = response.data.data;
+      const paymentStatus = PAYMENT_STATUSES[transaction.status] || 'PENDING';
+      return {
+        success: true,
+        paid: paymentStatus === 'PAID',
+        paymentStatus,
+        transactionReference: transaction.reference,
+        data: response.data,
+        error: paymentStatus === 'PAID' ? undefined : transaction.gateway_response || `Payment ${transaction.status}`,
+      };
+    } catch (error) {
+      console.error('❌ Paystack card charge error:', error.response?.data || error.message);
+      return {
+        success: false,
+        paid: false,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Check a webhook's x-paystack-signature header: an HMAC-SHA512 of the raw
+  // request body keyed with the secret key
+  verifyWebhookSignature(rawBody, signature) {
+    if (!this.secretKey || !rawBody || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha512', this.secretKey)
+      .update(rawBody)
+      .digest('hex');
+
+    return (
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    );
+  }
+
+  // Handle webhook callback
+  handleWebhookCallback(rawBody, headers = {}) {
+    try {
+      if (!this.verifyWebhookSignature(rawBody, headers['x-paystack-signature'])) {
+        return {
+          success: false,
+          error: 'Invalid signature',
+        };
+      }
+
+      const payload = JSON.parse(rawBody.toString());
+      const data = payload.data || {};
+      // Refund events carry the refunded transaction's reference
+      const reference = data.transaction_reference || data.reference;
+      const isRefund = String(payload.event).startsWith('refund.');
+
+      return {
+        success: true,
+        data: payload,
+        eventType: payload.event,
+        paymentStatus: isRefund ? undefined : PAYMENT_STATUSES[data.status],
+        refundStatus: isRefund ? REFUND_STATUSES[data.status] || 'PENDING' : undefined,
+        transactionReference: reference,
+        paymentReference: reference,
+        paidAmount: data.amount !== undefined ? fromSubunit(data.amount) : undefined,
+        paymentDate: data.paid_at,
+        cardDetails: cardDetailsFrom(data.authorization),
+      };
+    } catch (error) {
+      console.error('❌ Paystack webhook handling error:', error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+module.exports = new PaystackService();
@@ -0,0 +1,106 @@
+const Pledge = require("../app/models/Pledge");
+const emailService = require("./email");
+const { sendEmail, sendUserNotification } = require("./deliveryRouter");
+
+class PledgeReminderScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs =
+      parseInt(process.env.PLEDGE_REMINDER_INTERVAL_MS) || 60 * 60 * 1000;
+    // How long to wait before reminding a donor about the same pledge again
+    this.repeatAfterMs =
+      parseInt(process.env.PLEDGE_REMINDER_REPEAT_MS) ||
+      7 * 24 * 60 * 60 * 1000;
+  }
+
+  // Start polling for overdue pledges
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(
+      `🤝 Pledge reminder scheduler started (every ${this.intervalMs / 1000}s)`
+    );
+    this.tick();
+  }
+
+  // Stop polling
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Remind every donor whose pledge is overdue and hasn't been reminded lately
+  async tick() {
+    // Skip if the previous tick is still working through a backlog
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let pledge = await Pledge.claimNextOverdue(this.repeatAfterMs);
+
+      while (pledge) {
+        await this.remind(pledge);
+        pledge = await Pledge.claimNextOverdue(this.repeatAfterMs);
+      }
+    } catch (error) {
+      console.error("❌ Pledge reminder scheduler error:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Email the donor about an overdue pledge, and notify them in the app when
+  // they made it from their account
+  async remind(pledge) {
+    try {
+      if (pledge.donorInfo.email) {
+        const { status, reason } = await sendEmail(
+          {
+            recipient: pledge.donorInfo.email,
+            userId: pledge.userId,
+            churchId: pledge.churchId,
+            type: "donation",
+            event: "donation-pledge-overdue",
+          },
+          (to, { church, outbox }) =>
+            emailService.sendPledgeReminder(
+              to,
+              pledge.donorInfo.name,
+              church?.name,
+              pledge,
+              outbox
+            )
+        );
+        if (status === "failed") {
+          console.error(`❌ Pledge ${pledge._id} reminder failed: ${reason}`);
+        }
+      }
+
+      if (pledge.userId) {
+        await sendUserNotification(
+          pledge.userId,
+          "donation-pledge-overdue",
+          {
+            pledgeId: pledge._id,
+            amount: pledge.amount,
+            overdueAmount: pledge.overdueAmount,
+            dueDate: pledge.nextDueDate,
+            fulfilmentPercentage: pledge.fulfilmentPercentage,
+          },
+          { churchId: pledge.churchId }
+        );
+      }
+    } catch (error) {
+      console.error(`❌ Error reminding donor of pledge ${pledge._id}:`, error);
+    }
+  }
+}
+
+module.exports = new PledgeReminderScheduler();
@@ -0,0 +1,85 @@
+const Pledge = require("../app/models/Pledge");
+
+// Open pledges a line of a donation can go towards: the same donor (by
+// member or email), church, currency and campaign, and the pledge's
+// category if it has one. Pledges due soonest come first.
+const findOpenPledgesFor = (donation, line) => {
+  const donorMatch = [];
+  if (donation.donorId) donorMatch.push({ donorId: donation.donorId });
+  const email = donation.donorInfo?.email?.toLowerCase();
+  if (email) donorMatch.push({ "donorInfo.email": email });
+  if (donorMatch.length === 0) return [];
+
+  return Pledge.find({
+    churchId: donation.churchId,
+    status: "open",
+    currency: donation.currency || "NGN",
+    campaignId: line.campaignId || null,
+    $and: [
+      { $or: donorMatch },
+      { $or: [{ category: null }, { category: line.category }] },
+    ],
+  }).sort({ nextDueDate: 1, createdAt: 1 });
+};
+
+// Apply a completed donation to the donor's open pledges, oldest due first,
+// until it is used up. Each line of a split donation goes to pledges for
+// its own category and campaign. Only the part not already applied is
+// allocated (taken off the lines in order), so calling this again for the
+// same donation is safe. Resolves to [{ pledge, amount }] and never
+// rejects, so a problem here can't undo the donation itself.
+const allocateDonation = async (donation) => {
+  try {
+    if (donation.status !== "completed" || !(donation.amount > 0)) return [];
+
+    // Refunded parts of a donation don't count towards pledges
+    const kept = donation.amount - (donation.refundedAmount || 0);
+    let applied = await Pledge.allocatedAmountFor(donation._id);
+    if (kept - applied <= 0) return [];
+
+    const allocated = [];
+    for (const line of donation.splitAmount(kept)) {
+      const alreadyApplied = Math.min(applied, line.amount);
+      applied -= alreadyApplied;
+      let remaining = line.amount - alreadyApplied;
+      if (remaining <= 0) continue;
+
+      const pledges = await findOpenPledgesFor(donation, line);
+      for (const pledge of pledges) {
+        if (remaining <= 0) break;
+
+        const amount = pledge.allocate(donation, remaining);
+        await pledge.save();
+        remaining -= amount;
+        allocated.push({ pledge, amount });
+      }
+    }
+
+    return allocated;
+  } catch (error) {
+    console.error(`❌ Error allocating donation ${donation._id} to pledges:`, error);
+    return [];
+  }
+};
+
+// Take a donation back off every pledge it was applied to, e.g. when the
+// payment is reversed or refunded. Never rejects.
+const releaseDonation = async (donation) => {
+  try {
+    const pledges = await Pledge.find({ "allocations.donationId": donation._id });
+
+    for (const pledge of pledges) {
+      pledge.release(donation._id);
+      await pledge.save();
+    }
+    return pledges;
+  } catch (error) {
+    console.error(`❌ Error releasing donation ${donation._id} from pledges:`, error);
+    return [];
+  }
+};
+
+module.exports = {
+  allocateDonation,
+  releaseDonation,
+};
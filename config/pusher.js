@@ -1,4 +1,5 @@
 const Pusher = require('pusher');
+const Notification = require('../app/models/Notification');
 
 const pusher = new Pusher({
   appId: process.env.PUSHER_APP_ID,
@@ -18,22 +19,81 @@ const sendNotification = (channel, event, data) => {
   }
 };
 
+// Helper function to persist a notification before it is broadcast.
+// Failures are logged so a database hiccup never blocks the real-time event.
+const recordNotification = async (details) => {
+  try {
+    return await Notification.record(details);
+  } catch (error) {
+    console.error('❌ Error recording notification:', error);
+    return null;
+  }
+};
+
+// Helper function to attach the stored notification ID to the Pusher payload
+const withNotificationId = (data, notification) => {
+  if (!notification) return data;
+  return { ...data, notificationId: notification._id };
+};
+
 // Helper function to send notifications to church members
-const sendChurchNotification = (churchId, event, data) => {
+// options.recipients narrows the inbox to 'all', 'members', 'volunteers' or 'admins'
+// options.recipientIds replaces recipient resolution with a pre-filtered list
+// options.silent stores the notification without triggering a Pusher event
+const sendChurchNotification = async (churchId, event, data, options = {}) => {
   const channel = `church-${churchId}`;
-  sendNotification(channel, event, data);
+  const notification = await recordNotification({
+    audience: 'church',
+    channel,
+    event,
+    data,
+    churchId,
+    roles: options.recipients,
+    recipientIds: options.recipientIds,
+    sentBy: options.sentBy,
+  });
+  if (!options.silent) {
+    sendNotification(channel, event, withNotificationId(data, notification));
+  }
+  return notification;
 };
 
 // Helper function to send notifications to specific users
-const sendUserNotification = (userId, event, data) => {
+const sendUserNotification = async (userId, event, data, options = {}) => {
   const channel = `user-${userId}`;
-  sendNotification(channel, event, data);
+  const notification = await recordNotification({
+    audience: 'user',
+    channel,
+    event,
+    data,
+    churchId: options.churchId,
+    userIds: [userId],
+    recipientIds: options.recipientIds,
+    sentBy: options.sentBy,
+  });
+  if (!options.silent) {
+    sendNotification(channel, event, withNotificationId(data, notification));
+  }
+  return notification;
 };
 
 // Helper function to send notifications to volunteer teams
-const sendTeamNotification = (teamId, event, data) => {
+const sendTeamNotification = async (teamId, event, data, options = {}) => {
   const channel = `team-${teamId}`;
-  sendNotification(channel, event, data);
+  const notification = await recordNotification({
+    audience: 'team',
+    channel,
+    event,
+    data,
+    churchId: options.churchId,
+    teamId,
+    recipientIds: options.recipientIds,
+    sentBy: options.sentBy,
+  });
+  if (!options.silent) {
+    sendNotification(channel, event, withNotificationId(data, notification));
+  }
+  return notification;
 };
 
 module.exports = {
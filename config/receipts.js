@@ -0,0 +1,610 @@
+const crypto = require("crypto");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const sharp = require("sharp");
+const Church = require("../app/models/Church");
+const storageService = require("./storage");
+
+// Names of the major and minor units used when writing amounts in words
+const CURRENCY_UNITS = {
+  NGN: ["naira", "kobo"],
+  USD: ["dollars", "cents"],
+  GBP: ["pounds", "pence"],
+  EUR: ["euros", "cents"],
+  GHS: ["cedis", "pesewas"],
+  KES: ["shillings", "cents"],
+  ZAR: ["rand", "cents"],
+};
+
+const ONES = [
+  "", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine",
+  "ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen",
+  "seventeen", "eighteen", "nineteen",
+];
+const TENS = [
+  "", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty",
+  "ninety",
+];
+const SCALES = ["", "thousand", "million", "billion", "trillion"];
+
+// Words for 1-999, e.g. 215 -> "two hundred and fifteen"
+const hundredsInWords = (number) => {
+  const hundreds = Math.floor(number / 100);
+  const rest = number % 100;
+  const parts = [];
+
+  if (hundreds) parts.push(`${ONES[hundreds]} hundred`);
+  if (rest) {
+    const restWords =
+      rest < 20
+        ? ONES[rest]
+        : `${TENS[Math.floor(rest / 10)]}${rest % 10 ? `-${ONES[rest % 10]}` : ""}`;
+    parts.push(restWords);
+  }
+
+  return parts.join(" and ");
+};
+
+// Words for a whole number, British style ("one thousand and five")
+const integerInWords = (number) => {
+  if (number === 0) return "zero";
+
+  const groups = [];
+  let remaining = number;
+  while (remaining > 0) {
+    groups.push(remaining % 1000);
+    remaining = Math.floor(remaining / 1000);
+  }
+
+  const words = groups
+    .map((group, scale) =>
+      group ? `${hundredsInWords(group)}${SCALES[scale] ? ` ${SCALES[scale]}` : ""}` : null
+    )
+    .reverse()
+    .filter(Boolean);
+
+  // "one thousand and five", not "one thousand five"
+  if (groups[0] > 0 && groups[0] < 100 && words.length > 1) {
+    words[words.length - 1] = `and ${words[words.length - 1]}`;
+  }
+
+  return words.join(" ");
+};
+
+// Write an amount out in words, e.g. 5000.5 NGN ->
+// "Five thousand naira and fifty kobo only"
+const amountInWords = (amount, currency = "NGN") => {
+  const [major, minor] = CURRENCY_UNITS[currency] || [currency, "cents"];
+  const totalMinor = Math.round(Number(amount) * 100);
+  const whole = Math.floor(totalMinor / 100);
+  const fraction = totalMinor % 100;
+
+  let words = `${integerInWords(whole)} ${major}`;
+  if (fraction) words += ` and ${integerInWords(fraction)} ${minor}`;
+
+  return `${words.charAt(0).toUpperCase()}${words.slice(1)} only`;
+};
+
+// Built-in PDF fonts can't draw ₦, so amounts use the currency code
+const formatAmount = (amount, currency = "NGN") =>
+  new Intl.NumberFormat("en-NG", {
+    style: "currency",
+    currency,
+    currencyDisplay: "code",
+  }).format(amount);
+
+// The key receipt verification codes are signed with. The server refuses
+// to start without one (see server.js), so codes are never signed with an
+// empty key.
+const receiptSecret = () => {
+  const secret = process.env.RECEIPT_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("RECEIPT_SECRET or JWT_SECRET must be set to sign receipts");
+  }
+  return secret;
+};
+
+// Short code proving a receipt number belongs to a donation
+const verificationCode = (donation) =>
+  crypto
+    .createHmac("sha256", receiptSecret())
+    .update(`${donation._id}:${donation.receipt.number}`)
+    .digest("hex")
+    .slice(0, 16);
+
+const verificationUrl = (donation) => {
+  const base =
+    process.env.RECEIPT_VERIFY_URL ||
+    `${process.env.BACKEND_URL || ""}/api/donations/receipts/verify`;
+  // Receipt numbers are only unique within a church
+  const params = new URLSearchParams({
+    church: String(donation.churchId?._id || donation.churchId),
+    number: donation.receipt.number,
+    code: verificationCode(donation),
+  });
+  return `${base}?${params}`;
+};
+
+// Constant-time check of a code from a scanned receipt
+const isValidVerificationCode = (donation, code) => {
+  const expected = Buffer.from(verificationCode(donation));
+  const given = Buffer.from(String(code || ""));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+// The church logo as a PNG PDFKit can embed, or null when there isn't one
+const loadLogo = async (church) => {
+  if (!church.logo?.filename) return null;
+
+  try {
+    const logo = await storageService.readFile(church.logo.filename);
+    return await sharp(logo)
+      .resize(160, 160, { fit: "inside", withoutEnlargement: true })
+      .png()
+      .toBuffer();
+  } catch (error) {
+    console.error("Error loading church logo for receipt:", error);
+    return null;
+  }
+};
+
+const joinParts = (parts) => parts.filter(Boolean).join(", ");
+
+// Start an A4 document. `finished` resolves to the rendered Buffer once
+// doc.end() has been called.
+const createDocument = (info) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50, info });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  return { doc, finished };
+};
+
+// Church name, address and contact details, with the logo when there is one
+const drawLetterhead = (doc, church, logo) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const textLeft = logo ? left + 90 : left;
+
+  if (logo) doc.image(logo, left, 50, { fit: [75, 75] });
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .fillColor("#2c3e50")
+    .text(church.name, textLeft, 55, { width: width - (textLeft - left) });
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor("#555555")
+    .text(
+      joinParts([
+        church.address?.street,
+        church.address?.city,
+        church.address?.state,
+        church.address?.country,
+      ])
+    )
+    .text(joinParts([church.contact?.phone, church.contact?.email, church.contact?.website]));
+
+  doc.moveTo(left, 140).lineTo(left + width, 140).strokeColor("#dddddd").stroke();
+};
+
+// Render a donation receipt as a PDF. `donation.campaignId` may be populated
+// to print the campaign title. Resolves to a Buffer.
+const renderDonationReceipt = async (donation, church) => {
+  const [logo, qrCode] = await Promise.all([
+    loadLogo(church),
+    QRCode.toBuffer(verificationUrl(donation), { margin: 1, width: 240 }),
+  ]);
+
+  const { doc, finished } = createDocument({
+    Title: `Donation receipt ${donation.receipt.number}`,
+    Author: church.name,
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const currency = donation.currency || church.settings?.currency || "NGN";
+
+  drawLetterhead(doc, church, logo);
+
+  // Title and receipt details
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .fillColor("#27ae60")
+    .text("DONATION RECEIPT", left, 155);
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor("#333333")
+    .text(`Receipt No: ${donation.receipt.number}`, left, 155, {
+      width,
+      align: "right",
+    })
+    .text(`Date: ${new Date(donation.createdAt).toLocaleDateString("en-NG")}`, {
+      width,
+      align: "right",
+    });
+
+  // Donor
+  const donor = donation.donorInfo || {};
+  doc.font("Helvetica-Bold").fontSize(11).text("Received from", left, 205);
+  doc.font("Helvetica").fontSize(10);
+  if (donor.isAnonymous) {
+    doc.text("Anonymous donor");
+  } else {
+    doc.text(donor.name || "");
+    [
+      donor.email,
+      donor.phone,
+      joinParts([donor.address?.street, donor.address?.city, donor.address?.state]),
+    ]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line));
+  }
+
+  // Donation details
+  const rows = [
+    donation.lineItems?.length > 0
+      ? [
+        "Categories",
+        donation.lineItems
+          .map((line) => `${line.category}: ${formatAmount(line.amount, donation.currency)}`)
+          .join("\n"),
+      ]
+      : ["Category", donation.category],
+    ["Campaign", donation.campaignId?.title],
+    ["Description", donation.description],
+    ["Payment method", donation.paymentMethod],
+    ["Reference", donation.paymentDetails?.transactionReference],
+    ["Status", donation.status],
+  ].filter(([, value]) => value);
+
+  let y = 300;
+  rows.forEach(([label, value]) => {
+    doc.font("Helvetica-Bold").fontSize(10).text(label, left, y, { width: 130 });
+    doc.font("Helvetica").text(String(value), left + 140, y, { width: width - 140 });
+    y = Math.max(doc.y, y + 14) + 6;
+  });
+
+  // Amount
+  y += 10;
+  doc.rect(left, y, width, 70).fillColor("#f4f9f6").fill();
+  doc
+    .fillColor("#333333")
+    .font("Helvetica")
+    .fontSize(10)
+    .text("Amount", left + 15, y + 12)
+    .font("Helvetica-Bold")
+    .fontSize(20)
+    .text(formatAmount(donation.amount, currency), left + 15, y + 26);
+  doc
+    .font("Helvetica-Oblique")
+    .fontSize(10)
+    .text(amountInWords(donation.amount, currency), left, y + 82, { width });
+
+  // Verification QR code
+  const qrTop = doc.y + 30;
+  doc.image(qrCode, left + width - 110, qrTop, { width: 110 });
+  doc
+    .font("Helvetica")
+    .fontSize(8)
+    .fillColor("#777777")
+    .text("Scan to verify this receipt", left + width - 110, qrTop + 114, {
+      width: 110,
+      align: "center",
+    });
+  doc
+    .fontSize(10)
+    .fillColor("#333333")
+    .text("Thank you for your generosity.", left, qrTop + 10, { width: width - 130 })
+    .moveDown(0.5)
+    .fontSize(8)
+    .fillColor("#777777")
+    .text(`Issued by ${church.name} on ${new Date().toLocaleDateString("en-NG")}.`, {
+      width: width - 130,
+    });
+
+  doc.end();
+  return finished;
+};
+
+// Render a donor's annual giving statement (see config/statements.js) as a
+// PDF: totals by category followed by every donation. Resolves to a Buffer.
+const renderGivingStatement = async (statement, church) => {
+  const logo = await loadLogo(church);
+  const { doc, finished } = createDocument({
+    Title: `${statement.year} giving statement - ${statement.donor.name}`,
+    Author: church.name,
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const date = (value) => new Date(value).toLocaleDateString("en-NG");
+
+  // Draw one table row, starting a new page when it won't fit
+  let y;
+  const row = (cells, { bold = false, shade = false } = {}) => {
+    if (y + 18 > bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    if (shade) doc.rect(left, y - 4, width, 18).fillColor("#f4f9f6").fill();
+
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9).fillColor("#333333");
+    cells.forEach(([text, x, cellWidth, align = "left"]) => {
+      doc.text(String(text ?? ""), left + x, y, {
+        width: cellWidth,
+        align,
+        lineBreak: false,
+        ellipsis: true,
+      });
+    });
+    y += 18;
+  };
+
+  drawLetterhead(doc, church, logo);
+
+  // Title and donor
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .fillColor("#27ae60")
+    .text(`${statement.year} GIVING STATEMENT`, left, 155);
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor("#333333")
+    .text(`Issued: ${date(new Date())}`, left, 155, { width, align: "right" })
+    .text(`Period: ${date(statement.period.start)} - ${date(statement.period.end)}`, {
+      width,
+      align: "right",
+    });
+
+  doc.font("Helvetica-Bold").fontSize(11).text("Donor", left, 200);
+  doc.font("Helvetica").fontSize(10);
+  [statement.donor.name, statement.donor.email, statement.donor.memberId]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+
+  // Summary by category
+  y = Math.max(doc.y, 250) + 15;
+  doc.font("Helvetica-Bold").fontSize(12).fillColor("#2c3e50").text("Summary", left, y);
+  y += 22;
+  row(
+    [
+      ["Category", 0, 260],
+      ["Donations", 270, 80, "right"],
+      ["Amount", 360, width - 360, "right"],
+    ],
+    { bold: true }
+  );
+  statement.byCategory.forEach((category) =>
+    row([
+      [category.category, 0, 260],
+      [category.count, 270, 80, "right"],
+      [formatAmount(category.totalAmount, category.currency), 360, width - 360, "right"],
+    ])
+  );
+  statement.totals.forEach((total) =>
+    row(
+      [
+        [`Total (${total.currency})`, 0, 260],
+        [total.count, 270, 80, "right"],
+        [formatAmount(total.totalAmount, total.currency), 360, width - 360, "right"],
+      ],
+      { bold: true, shade: true }
+    )
+  );
+
+  // Every donation in the period
+  y += 20;
+  if (y + 60 > bottom) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+  doc.font("Helvetica-Bold").fontSize(12).fillColor("#2c3e50").text("Donations", left, y);
+  y += 22;
+  row(
+    [
+      ["Date", 0, 70],
+      ["Receipt No", 75, 95],
+      ["Category", 175, 120],
+      ["Method", 300, 85],
+      ["Amount", 390, width - 390, "right"],
+    ],
+    { bold: true }
+  );
+  statement.donations.forEach((donation) =>
+    row([
+      [date(donation.date), 0, 70],
+      [donation.receiptNumber || "-", 75, 95],
+      [donation.category, 175, 120],
+      [donation.paymentMethod, 300, 85],
+      [formatAmount(donation.amount, donation.currency), 390, width - 390, "right"],
+    ])
+  );
+
+  // Closing note
+  if (y + 50 > bottom) {
+    doc.addPage();
+    y = doc.page.margins.top;
+  }
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor("#777777")
+    .text(
+      `This statement lists the completed donations ${church.name} received from you in ${statement.year}. ` +
+        "Thank you for your generosity.",
+      left,
+      y + 20,
+      { width }
+    );
+
+  doc.end();
+  return finished;
+};
+
+// Render an income statement, balance sheet or cash-flow summary (see
+// config/financialStatements.js) as a PDF: each section's lines against the
+// prior period, then the statement's totals. Resolves to a Buffer.
+const renderFinancialStatement = async (statement, church) => {
+  const logo = await loadLogo(church);
+  const { doc, finished } = createDocument({
+    Title: `${statement.title} - ${statement.period.label}`,
+    Author: church.name,
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const amount = (value) => formatAmount(value, statement.currency);
+  const change = (line) =>
+    line.changePercent === null ? "-" : `${line.changePercent > 0 ? "+" : ""}${line.changePercent}%`;
+
+  // Draw one table row, starting a new page when it won't fit
+  let y;
+  const row = (cells, { bold = false, shade = false } = {}) => {
+    if (y + 18 > bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    if (shade) doc.rect(left, y - 4, width, 18).fillColor("#f4f6f9").fill();
+
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9).fillColor("#333333");
+    cells.forEach(([text, x, cellWidth, align = "left"]) => {
+      doc.text(String(text ?? ""), left + x, y, {
+        width: cellWidth,
+        align,
+        lineBreak: false,
+        ellipsis: true,
+      });
+    });
+    y += 18;
+  };
+  const amountRow = (label, line, options = {}) =>
+    row(
+      [
+        [label, 0, 190],
+        [amount(line.current), 195, 105, "right"],
+        [amount(line.prior), 305, 105, "right"],
+        [change(line), 415, width - 415, "right"],
+      ],
+      options
+    );
+
+  drawLetterhead(doc, church, logo);
+
+  // Title and period
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .fillColor("#2c3e50")
+    .text(statement.title.toUpperCase(), left, 155);
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .fillColor("#333333")
+    .text(statement.period.label, left, 178)
+    .text(`Compared with: ${statement.prior.label}`)
+    .text(`Amounts in ${statement.currency}`);
+  doc
+    .fontSize(9)
+    .fillColor("#555555")
+    .text(`Issued: ${new Date().toLocaleDateString("en-NG")}`, left, 155, {
+      width,
+      align: "right",
+    });
+
+  // Period labels head the amount columns when they fit
+  const heading = (label, fallback) =>
+    doc.font("Helvetica-Bold").fontSize(9).widthOfString(label) <= 105 ? label : fallback;
+
+  y = 235;
+  row(
+    [
+      ["", 0, 190],
+      [heading(statement.period.label, "This period"), 195, 105, "right"],
+      [heading(statement.prior.label, "Prior period"), 305, 105, "right"],
+      ["Change", 415, width - 415, "right"],
+    ],
+    { bold: true }
+  );
+
+  statement.sections.forEach((part) => {
+    y += 6;
+    if (y + 40 > bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    doc.font("Helvetica-Bold").fontSize(11).fillColor("#2c3e50").text(part.title, left, y);
+    y += 18;
+    part.lines.forEach((line) =>
+      amountRow(line.code ? `${line.code}  ${line.label}` : line.label, line)
+    );
+    if (part.lines.length === 0) row([["No activity", 0, 190]]);
+    amountRow(part.total.label, part.total, { bold: true, shade: true });
+  });
+
+  y += 10;
+  statement.totals.forEach((total) => amountRow(total.label, total, { bold: true, shade: true }));
+
+  // Anything the figures leave out
+  if (statement.notes.length > 0) {
+    if (y + 20 + statement.notes.length * 14 > bottom) {
+      doc.addPage();
+      y = doc.page.margins.top;
+    }
+    doc.font("Helvetica").fontSize(8).fillColor("#777777");
+    statement.notes.forEach((note, index) =>
+      doc.text(`Note: ${note}`, left, index === 0 ? y + 15 : undefined, { width })
+    );
+  }
+
+  doc.end();
+  return finished;
+};
+
+// Render a donation's PDF receipt as an email attachment. Returns no
+// attachments when the donation has no receipt number or rendering fails,
+// so the confirmation email still goes out.
+const receiptAttachments = async (donation) => {
+  if (!donation.receipt?.number) return [];
+
+  try {
+    const [church] = await Promise.all([
+      Church.findById(donation.churchId),
+      donation.populate("campaignId", "title"),
+    ]);
+    const content = await renderDonationReceipt(donation, church);
+
+    return [
+      {
+        filename: `receipt-${donation.receipt.number}.pdf`,
+        contentType: "application/pdf",
+        content,
+      },
+    ];
+  } catch (error) {
+    console.error("Render receipt error:", error);
+    return [];
+  }
+};
+
+module.exports = {
+  receiptSecret,
+  amountInWords,
+  verificationUrl,
+  isValidVerificationCode,
+  renderDonationReceipt,
+  renderGivingStatement,
+  renderFinancialStatement,
+  receiptAttachments,
+};
@@ -0,0 +1,349 @@
+const RecurringDonation = require("../app/models/RecurringDonation");
+const Donation = require("../app/models/Donation");
+const Church = require("../app/models/Church");
+const DonationCampaign = require("../app/models/DonationCampaign");
+const { getGateway } = require("./paymentGateways");
+const emailService = require("./email");
+const {
+  sendEmail,
+  sendChurchNotification,
+  sendUserNotification,
+} = require("./deliveryRouter");
+const { receiptAttachments } = require("./receipts");
+const { allocateDonation } = require("./pledges");
+
+class RecurringDonationScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.intervalMs =
+      parseInt(process.env.RECURRING_DONATION_INTERVAL_MS) || 15 * 60 * 1000;
+    this.maxRetries = process.env.RECURRING_DONATION_MAX_RETRIES
+      ? parseInt(process.env.RECURRING_DONATION_MAX_RETRIES)
+      : 3;
+    this.retryDelayMs =
+      parseInt(process.env.RECURRING_DONATION_RETRY_DELAY_MS) ||
+      24 * 60 * 60 * 1000;
+    // Charges go through the gateway each plan's card was saved with;
+    // tests can set this to send every charge through a fake
+    this.gateway = null;
+  }
+
+  // The gateway a plan's card is charged through
+  gatewayFor(plan) {
+    return this.gateway || getGateway(plan.gateway);
+  }
+
+  // Start polling for plans that are due a charge
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+    // Don't keep the process alive just for the scheduler
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(
+      `🔁 Recurring donation scheduler started (every ${this.intervalMs / 1000}s)`
+    );
+    this.tick();
+  }
+
+  // Stop polling
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Charge every plan that is currently due
+  async tick() {
+    // Skip if the previous tick is still working through a backlog
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let plan = await RecurringDonation.claimNextDue();
+
+      while (plan) {
+        await this.chargePlan(plan);
+        plan = await RecurringDonation.claimNextDue();
+      }
+    } catch (error) {
+      console.error("❌ Recurring donation scheduler error:", error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Charge a plan's saved card for its current cycle and record the outcome
+  async chargePlan(plan) {
+    try {
+      const [church, campaign] = await Promise.all([
+        Church.findById(plan.churchId),
+        plan.campaignId ? DonationCampaign.findById(plan.campaignId) : null,
+      ]);
+
+      if (!church || (plan.campaignId && !campaign?.isActive)) {
+        await this.cancelPlan(
+          plan,
+          church ? "The campaign is no longer accepting donations" : "Church not found"
+        );
+        return;
+      }
+
+      // An earlier attempt may have been cut short after the gateway took
+      // the payment; check before charging the card again
+      const gateway = this.gatewayFor(plan);
+      const interrupted = await Donation.findOne({
+        recurringDonationId: plan._id,
+        status: "processing",
+      });
+      if (interrupted) {
+        const status = await gateway.verifyPayment(
+          interrupted.paymentDetails.paymentReference
+        );
+        if (status.success && status.paymentStatus === "PAID") {
+          await this.completeCharge(plan, interrupted, campaign);
+          return;
+        }
+
+        interrupted.status = "failed";
+        interrupted.paymentDetails.failedAt = new Date();
+        await interrupted.save();
+      }
+
+      if (!plan.card?.token) {
+        await this.recordFailure(plan, null, "No saved card to charge");
+        return;
+      }
+
+      const reference = `REC_${plan._id}_${plan.cycle}_${plan.failedAttempts}`;
+      const donation = await Donation.create({
+        churchId: plan.churchId,
+        donorId: plan.donorId,
+        campaignId: plan.campaignId,
+        recurringDonationId: plan._id,
+        amount: plan.amount,
+        currency: plan.currency,
+        category: plan.category,
+        description: plan.description,
+        paymentMethod: "online",
+        status: "processing",
+        // Donations from a plan are recorded by the donor who set it up
+        recordedBy: plan.userId,
+        donorInfo: {
+          name: plan.donorInfo.name,
+          email: plan.donorInfo.email,
+          phone: plan.donorInfo.phone,
+          isAnonymous: plan.donorInfo.isAnonymous,
+          isRecurring: true,
+          recurringFrequency: plan.frequency,
+          recurringEndDate: plan.endDate,
+        },
+        paymentDetails: {
+          gateway: plan.gateway,
+          paymentReference: reference,
+          transactionReference: reference,
+        },
+      });
+
+      const result = await gateway.chargeCardToken({
+        cardToken: plan.card.token,
+        amount: plan.amount,
+        customerName: plan.donorInfo.name,
+        customerEmail: plan.donorInfo.email,
+        paymentReference: reference,
+        paymentDescription:
+          plan.description || `Recurring ${plan.category} donation to ${church.name}`,
+        currencyCode: plan.currency,
+        contractCode: church.financial?.monnifyContractCode || undefined,
+        metadata: {
+          recurringDonationId: String(plan._id),
+          donationId: String(donation._id),
+        },
+      });
+
+      donation.paymentDetails.gatewayResponse = result.data;
+      if (result.transactionReference) {
+        donation.paymentDetails.transactionReference = result.transactionReference;
+      }
+
+      if (result.paid) {
+        await this.completeCharge(plan, donation, campaign);
+        return;
+      }
+
+      donation.status = "failed";
+      donation.paymentDetails.failedAt = new Date();
+      await donation.save();
+      await this.recordFailure(plan, donation, result.error || "Charge failed");
+    } catch (error) {
+      console.error(`❌ Recurring donation ${plan._id} charge failed:`, error);
+      if (plan.isOpen) await this.recordFailure(plan, null, error.message);
+    }
+  }
+
+  // Mark a charged donation completed, move the plan on and thank the donor
+  async completeCharge(plan, donation, campaign) {
+    donation.status = "completed";
+    donation.paymentDetails.processedAt = new Date();
+    if (!donation.receipt.number) {
+      await donation.assignReceiptNumber();
+    }
+    await donation.save();
+
+    plan.recordCharge(donation);
+    await plan.save();
+    console.log(`✅ Recurring donation ${plan._id} charged (${donation._id})`);
+
+    // The charge is settled from here on, so follow-up problems are only
+    // logged rather than treated as a failed charge
+    try {
+      if (campaign) {
+        await campaign.addDonation(donation.amount, donation.donorId);
+      }
+      await allocateDonation(donation);
+
+      sendChurchNotification(plan.churchId, "donation-completed", {
+        donationId: donation._id,
+        recurringDonationId: plan._id,
+        amount: donation.amount,
+        category: donation.category,
+        donorName: plan.donorInfo.isAnonymous ? "Anonymous" : plan.donorInfo.name,
+      });
+
+      await sendEmail(
+        {
+          recipient: plan.donorInfo.email,
+          userId: plan.userId,
+          churchId: plan.churchId,
+          type: "donation",
+          event: "donation-confirmation",
+        },
+        async (to, { church, outbox }) =>
+          emailService.sendDonationConfirmation(
+            to,
+            plan.donorInfo.name,
+            donation.amount,
+            church.name,
+            donation.category,
+            outbox,
+            await receiptAttachments(donation)
+          )
+      );
+    } catch (error) {
+      console.error(
+        `❌ Error finishing recurring donation ${plan._id} charge:`,
+        error
+      );
+    }
+  }
+
+  // Record a failed charge, schedule a retry (or suspend the plan) and let
+  // the donor know
+  async recordFailure(plan, donation, errorMessage) {
+    try {
+      plan.recordFailedCharge(donation, errorMessage, {
+        maxRetries: this.maxRetries,
+        retryDelayMs: this.retryDelayMs,
+      });
+      await plan.save();
+      await this.notifyDonor(plan, errorMessage);
+    } catch (error) {
+      console.error(
+        `❌ Error recording failed charge for recurring donation ${plan._id}:`,
+        error
+      );
+    }
+  }
+
+  // Cancel a plan that can no longer be charged
+  async cancelPlan(plan, reason) {
+    plan.lockedAt = undefined;
+    await plan.cancel(undefined, reason);
+    await this.notifyDonor(plan, reason);
+  }
+
+  // Tell the donor a charge failed, the plan was suspended or cancelled
+  async notifyDonor(plan, reason) {
+    const event =
+      plan.status === "suspended"
+        ? "donation-recurring-suspended"
+        : plan.status === "cancelled"
+        ? "donation-recurring-cancelled"
+        : "donation-recurring-failed";
+
+    await sendEmail(
+      {
+        recipient: plan.donorInfo.email,
+        userId: plan.userId,
+        churchId: plan.churchId,
+        type: "donation",
+        event,
+        priority: "high",
+      },
+      (to, { church, outbox }) =>
+        emailService.sendRecurringDonationIssue(
+          to,
+          plan.donorInfo.name,
+          church?.name,
+          plan,
+          reason,
+          outbox
+        )
+    );
+
+    await sendUserNotification(
+      plan.userId,
+      event,
+      {
+        recurringDonationId: plan._id,
+        amount: plan.amount,
+        category: plan.category,
+        status: plan.status,
+        nextAttemptAt: plan.nextAttemptAt,
+        message: reason,
+        priority: "high",
+      },
+      { churchId: plan.churchId }
+    );
+  }
+
+  // Called when a donor completes a card checkout for a pending or suspended
+  // plan: save the card for future charges and count the payment as the
+  // plan's current charge. Plans paid without a reusable card stay
+  // suspended until the donor pays with one.
+  async authorizePlan(donation, cardDetails = {}) {
+    const plan = await RecurringDonation.findById(
+      donation.recurringDonationId
+    ).select("+card.token");
+    if (!plan || !["pending", "suspended"].includes(plan.status)) return plan;
+
+    if (cardDetails.cardToken) {
+      plan.card = {
+        token: cardDetails.cardToken,
+        cardType: cardDetails.cardType,
+        last4: cardDetails.last4 || String(cardDetails.maskedPan || "").slice(-4),
+        expMonth: cardDetails.expMonth,
+        expYear: cardDetails.expYear,
+        authorizedAt: new Date(),
+      };
+      plan.addHistory("authorized", { donationId: donation._id });
+    }
+
+    plan.recordCharge(donation);
+
+    if (!plan.card?.token && plan.isOpen) {
+      plan.status = "suspended";
+      plan.nextAttemptAt = undefined;
+      plan.lastError = "No reusable card was saved with the payment";
+      plan.addHistory("suspended", { note: plan.lastError });
+    }
+
+    await plan.save();
+    return plan;
+  }
+}
+
+module.exports = new RecurringDonationScheduler();
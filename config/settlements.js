@@ -0,0 +1,428 @@
+const Donation = require("../app/models/Donation");
+const SettlementReconciliation = require("../app/models/SettlementReconciliation");
+const { normalizeName, parseDate, parseImportFile } = require("./importer");
+
+const MAX_REPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 5000;
+
+// Amounts are compared to the cent
+const CENT = 0.005;
+
+// Report columns under the names gateway dashboard exports and settlement
+// APIs give them, compared lower-case with letters and digits only. The
+// first alias a report has wins.
+const COLUMNS = {
+  transactionReference: [
+    "transactionreference",
+    "transactionref",
+    "monnifyreference",
+    "transactionid",
+    "id",
+  ],
+  paymentReference: [
+    "paymentreference",
+    "paymentref",
+    "merchantreference",
+    "txref",
+    "reference",
+  ],
+  amount: ["amountpaid", "transactionamount", "grossamount", "amount"],
+  fee: ["transactionfee", "merchantfee", "fee", "fees", "charge", "charges", "appfee"],
+  settledAmount: [
+    "settlementamount",
+    "settledamount",
+    "payableamount",
+    "amountpayable",
+    "amountsettled",
+    "netamount",
+  ],
+  settlementReference: [
+    "settlementreference",
+    "settlementbatchreference",
+    "settlementbatch",
+    "batchreference",
+    "settlementid",
+    "batchid",
+  ],
+  settlementDate: ["settlementdate", "settledon", "settledat"],
+  paymentStatus: ["paymentstatus", "transactionstatus", "status"],
+  transactionDate: [
+    "paidon",
+    "paidat",
+    "paymentdate",
+    "transactiondate",
+    "completedon",
+    "createdat",
+    "date",
+  ],
+  currency: ["currencycode", "currency"],
+};
+
+// An error whose message can be shown to the uploader as-is
+const reportError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Which report header each column is read from
+const resolveColumns = (headers) => {
+  const byName = new Map(headers.map((header) => [normalizeName(header), header]));
+
+  return Object.fromEntries(
+    Object.entries(COLUMNS)
+      .map(([column, aliases]) => [
+        column,
+        byName.get(aliases.find((alias) => byName.has(alias))),
+      ])
+      .filter(([, header]) => header)
+  );
+};
+
+const toText = (value) =>
+  value === undefined || value === null ? "" : String(value).trim();
+
+// Strip currency symbols and thousands separators, e.g. "₦5,000.00"
+const toAmount = (value) => {
+  if (typeof value === "number") return value;
+  const digits = toText(value).replace(/[^\d.-]/g, "");
+  return digits ? Number(digits) : undefined;
+};
+
+const toDate = (value) => {
+  if (!toText(value)) return undefined;
+  const date = parseDate(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Turn a report record into a settlement line. What the donor paid, the
+// gateway's fee and what was settled are filled in from each other when
+// the report leaves one out. Resolves to null for blank and total rows.
+const buildLine = (record, columns) => {
+  const read = (column) =>
+    columns[column] ? record.values[columns[column]] : undefined;
+
+  const line = {
+    rowNumber: record.rowNumber,
+    transactionReference: toText(read("transactionReference")) || undefined,
+    paymentReference: toText(read("paymentReference")) || undefined,
+    amount: toAmount(read("amount")),
+    fee: toAmount(read("fee")),
+    settledAmount: toAmount(read("settledAmount")),
+    settlementReference: toText(read("settlementReference")) || undefined,
+    settlementDate: toDate(read("settlementDate")),
+    paymentStatus: toText(read("paymentStatus")) || undefined,
+    transactionDate: toDate(read("transactionDate")),
+    currency: toText(read("currency")).toUpperCase() || undefined,
+  };
+
+  if (!line.transactionReference && !line.paymentReference) return null;
+
+  if (line.amount === undefined && line.settledAmount !== undefined) {
+    line.amount = line.settledAmount + (line.fee || 0);
+  }
+  if (line.settledAmount === undefined && line.amount !== undefined) {
+    line.settledAmount = line.amount - (line.fee || 0);
+  }
+  if (line.fee === undefined && line.amount !== undefined) {
+    line.fee = Math.round((line.amount - line.settledAmount) * 100) / 100;
+  }
+
+  return line;
+};
+
+// Read a CSV/XLSX report or JSON rows into settlement lines
+const parseReport = async ({ file, rows }) => {
+  let parsed;
+  if (file) {
+    parsed = await parseImportFile(file);
+  } else if (Array.isArray(rows) && rows.length > 0) {
+    parsed = {
+      format: "json",
+      headers: [...new Set(rows.flatMap((row) => Object.keys(row || {})))],
+      records: rows.map((row, index) => ({ rowNumber: index + 1, values: row })),
+    };
+  } else {
+    throw reportError(
+      "Upload the settlement report as a CSV or XLSX file, or send its lines as a JSON array"
+    );
+  }
+
+  if (parsed.records.length > MAX_REPORT_ROWS) {
+    throw reportError(`Settlement reports are limited to ${MAX_REPORT_ROWS} lines`);
+  }
+
+  const columns = resolveColumns(parsed.headers);
+  if (!columns.transactionReference && !columns.paymentReference) {
+    throw reportError("The report needs a transaction or payment reference column");
+  }
+  if (!columns.amount && !columns.settledAmount) {
+    throw reportError("The report needs an amount or settlement amount column");
+  }
+
+  return {
+    format: parsed.format,
+    lines: parsed.records.map((record) => buildLine(record, columns)).filter(Boolean),
+  };
+};
+
+// Index donations by both of their references
+const findDonations = async (churchId, lines) => {
+  const references = [
+    ...new Set(
+      lines.flatMap((line) => [line.transactionReference, line.paymentReference])
+    ),
+  ].filter(Boolean);
+
+  const donations = await Donation.find({
+    churchId,
+    $or: [
+      { "paymentDetails.transactionReference": { $in: references } },
+      { "paymentDetails.paymentReference": { $in: references } },
+    ],
+  }).select("amount currency status paymentDetails");
+
+  const byReference = new Map();
+  donations.forEach((donation) => {
+    [
+      donation.paymentDetails?.transactionReference,
+      donation.paymentDetails?.paymentReference,
+    ]
+      .filter(Boolean)
+      .forEach((reference) => byReference.set(reference, donation));
+  });
+  return byReference;
+};
+
+const money = (amount) => Number(amount || 0).toLocaleString();
+
+// Compare a line with its donation: { result, note }
+const compareLine = (line, donation, seen, settledElsewhere) => {
+  // Lines are told apart by donation, or by reference when there's none
+  const key = donation
+    ? String(donation._id)
+    : line.transactionReference || line.paymentReference;
+  if (seen.has(key)) {
+    return { result: "duplicate", note: `Same payment as row ${seen.get(key)}` };
+  }
+  seen.set(key, line.rowNumber);
+
+  if (!donation) {
+    return { result: "missing", note: "No donation has this reference" };
+  }
+
+  if (settledElsewhere.has(key)) {
+    return {
+      result: "duplicate",
+      note: `Already settled in batch ${settledElsewhere.get(key)}`,
+    };
+  }
+  if (donation.status !== "completed") {
+    return {
+      result: "missing",
+      note: `The donation is ${donation.status}, not completed`,
+    };
+  }
+  if (line.currency && line.currency !== donation.currency) {
+    return {
+      result: "amount-mismatch",
+      note: `Paid in ${line.currency} but the donation is in ${donation.currency}`,
+    };
+  }
+  if (line.amount === undefined || Math.abs(line.amount - donation.amount) > CENT) {
+    return {
+      result: "amount-mismatch",
+      note: `The report has ${money(line.amount)} but the donation is ${money(donation.amount)}`,
+    };
+  }
+  if (line.fee > CENT) {
+    return {
+      result: "fee-deducted",
+      note: `The gateway kept ${money(line.fee)} in fees`,
+    };
+  }
+  return { result: "matched" };
+};
+
+// Completed donations through the gateway from the days a batch's
+// transactions fall on that no line of the report accounts for
+const findUnsettled = async ({ churchId, gateway }, lines, accountedFor) => {
+  const times = lines
+    .map((line) => line.transactionDate?.getTime())
+    .filter((time) => time !== undefined);
+  if (times.length === 0) return [];
+
+  const from = new Date(Math.min(...times));
+  const until = new Date(Math.max(...times));
+  from.setUTCHours(0, 0, 0, 0);
+  until.setUTCHours(23, 59, 59, 999);
+
+  const donations = await Donation.find({
+    churchId,
+    status: "completed",
+    paymentMethod: "online",
+    "paymentDetails.gateway": gateway,
+    "paymentDetails.processedAt": { $gte: from, $lte: until },
+  }).select("amount paymentDetails");
+
+  return donations
+    .filter((donation) => !accountedFor.has(String(donation._id)))
+    .map((donation) => ({
+      donationId: donation._id,
+      transactionReference:
+        donation.paymentDetails.transactionReference ||
+        donation.paymentDetails.paymentReference,
+      amount: donation.amount,
+      completedAt: donation.paymentDetails.processedAt,
+    }));
+};
+
+// Reconcile one settlement batch's lines and save its report
+const reconcileBatch = async (batch, byReference, accountedFor) => {
+  const reconciliation =
+    (await SettlementReconciliation.findOne({
+      churchId: batch.churchId,
+      gateway: batch.gateway,
+      settlementReference: batch.settlementReference,
+    })) || new SettlementReconciliation(batch);
+
+  const donationFor = (line) =>
+    byReference.get(line.transactionReference) ||
+    byReference.get(line.paymentReference);
+
+  const settledElsewhere = await SettlementReconciliation.settledElsewhere(
+    reconciliation,
+    batch.lines.map(donationFor).filter(Boolean).map((donation) => donation._id)
+  );
+
+  const summary = {
+    lines: 0,
+    matched: 0,
+    feeDeducted: 0,
+    amountMismatch: 0,
+    duplicate: 0,
+    missing: 0,
+    unsettled: 0,
+    grossAmount: 0,
+    feeAmount: 0,
+    settledAmount: 0,
+    donationAmount: 0,
+  };
+  const summaryKeys = {
+    matched: "matched",
+    "fee-deducted": "feeDeducted",
+    "amount-mismatch": "amountMismatch",
+    duplicate: "duplicate",
+    missing: "missing",
+  };
+  const seen = new Map();
+
+  const lines = batch.lines.map((line) => {
+    const donation = donationFor(line);
+    const { result, note } = compareLine(line, donation, seen, settledElsewhere);
+
+    summary.lines += 1;
+    summary[summaryKeys[result]] += 1;
+    summary.grossAmount += line.amount || 0;
+    summary.feeAmount += line.fee || 0;
+    summary.settledAmount += line.settledAmount || 0;
+    if (["matched", "fee-deducted"].includes(result)) {
+      summary.donationAmount += donation.amount;
+    }
+
+    return {
+      ...line,
+      donationId: donation?._id,
+      donationAmount: donation?.amount,
+      result,
+      note,
+    };
+  });
+
+  const unsettledDonations = (
+    await findUnsettled(batch, batch.lines, accountedFor)
+  ).filter((donation) => !settledElsewhere.has(String(donation.donationId)));
+  summary.unsettled = unsettledDonations.length;
+
+  reconciliation.set({
+    fileName: batch.fileName,
+    format: batch.format,
+    currency: batch.currency,
+    settlementDate: batch.settlementDate,
+    summary,
+    lines,
+    unsettledDonations,
+    reconciledAt: new Date(),
+    createdBy: batch.createdBy,
+  });
+
+  return reconciliation.save();
+};
+
+// Reconcile a gateway settlement report against the church's donations.
+// Lines are matched to donations by reference and compared by amount, and
+// a report is saved for every settlement batch in it (reports without
+// batch references go under `settlementReference`). Resolves to the
+// reports.
+const reconcileSettlementReport = async ({
+  churchId,
+  gateway = "monnify",
+  user,
+  file,
+  rows,
+  settlementReference,
+  currency = "NGN",
+}) => {
+  const { format, lines } = await parseReport({ file, rows });
+  if (lines.length === 0) {
+    throw reportError("The report has no lines with a reference");
+  }
+
+  const byReference = await findDonations(churchId, lines);
+
+  const batches = new Map();
+  lines.forEach((line) => {
+    const reference = line.settlementReference || settlementReference || "unbatched";
+    if (!batches.has(reference)) {
+      batches.set(reference, {
+        churchId,
+        gateway,
+        settlementReference: reference,
+        settlementDate: line.settlementDate,
+        currency: line.currency || currency,
+        fileName: file?.originalname,
+        format,
+        createdBy: user._id,
+        lines: [],
+      });
+    }
+    batches.get(reference).lines.push(line);
+  });
+
+  // A donation on any line of the report isn't unsettled, whichever batch
+  // it was paid out in
+  const accountedFor = new Set(
+    lines
+      .map(
+        (line) =>
+          byReference.get(line.transactionReference) ||
+          byReference.get(line.paymentReference)
+      )
+      .filter(Boolean)
+      .map((donation) => String(donation._id))
+  );
+
+  const reconciliations = [];
+  for (const batch of batches.values()) {
+    const reconciliation = await reconcileBatch(batch, byReference, accountedFor);
+    // Flag each unsettled donation on one batch only
+    reconciliation.unsettledDonations.forEach((donation) =>
+      accountedFor.add(String(donation.donationId))
+    );
+    reconciliations.push(reconciliation);
+  }
+  return reconciliations;
+};
+
+module.exports = {
+  reconcileSettlementReport,
+};
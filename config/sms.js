@@ -0,0 +1,206 @@
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+
+// GSM 03.38 basic character set; anything outside it forces UCS-2 encoding
+const GSM_BASIC_CHARS =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+// Extension characters cost two GSM septets each
+const GSM_EXTENDED_CHARS = "^{}\\[~]|€\f";
+
+// Nigerian mobile numbers are 10 digits after the country code and start with 7, 8 or 9
+const NIGERIAN_MOBILE_PATTERN = /^[789][01]\d{8}$/;
+
+// Normalise a Nigerian phone number to E.164 (+234XXXXXXXXXX).
+// Accepts 0803..., 803..., 234803... and +234 803 ... forms; returns null otherwise.
+const normalizeNigerianPhone = (phone) => {
+  if (!phone) return null;
+
+  let digits = String(phone).replace(/[^\d+]/g, "");
+  if (digits.startsWith("+")) digits = digits.slice(1);
+  if (digits.startsWith("00")) digits = digits.slice(2);
+  if (digits.startsWith("234")) digits = digits.slice(3);
+  if (digits.startsWith("0")) digits = digits.slice(1);
+
+  return NIGERIAN_MOBILE_PATTERN.test(digits) ? `+234${digits}` : null;
+};
+
+// Count the SMS segments a message needs. Single messages carry 160 GSM
+// characters (70 for UCS-2); concatenated parts lose room to the UDH header.
+const countSegments = (message) => {
+  const text = String(message || "");
+  let septets = 0;
+  let isGsm = true;
+
+  for (const char of text) {
+    if (GSM_BASIC_CHARS.includes(char)) {
+      septets += 1;
+    } else if (GSM_EXTENDED_CHARS.includes(char)) {
+      septets += 2;
+    } else {
+      isGsm = false;
+      break;
+    }
+  }
+
+  const length = isGsm ? septets : Array.from(text).length;
+  const [single, multi] = isGsm ? [160, 153] : [70, 67];
+
+  return {
+    encoding: isGsm ? "GSM-7" : "UCS-2",
+    length,
+    segments: length <= single ? 1 : Math.ceil(length / multi),
+  };
+};
+
+// Termii (https://developers.termii.com) - the common choice for Nigerian numbers
+class TermiiProvider {
+  constructor() {
+    this.name = "termii";
+    this.baseURL = process.env.TERMII_BASE_URL || "https://api.ng.termii.com";
+    this.apiKey = process.env.TERMII_API_KEY;
+  }
+
+  async send({ to, from, message }) {
+    const response = await axios.post(`${this.baseURL}/api/sms/send`, {
+      api_key: this.apiKey,
+      to: to.replace("+", ""),
+      from,
+      sms: message,
+      type: "plain",
+      channel: "generic",
+    });
+
+    return { messageId: response.data.message_id };
+  }
+}
+
+// Twilio Programmable Messaging
+class TwilioProvider {
+  constructor() {
+    this.name = "twilio";
+    this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+    this.authToken = process.env.TWILIO_AUTH_TOKEN;
+    this.fromNumber = process.env.TWILIO_FROM_NUMBER;
+  }
+
+  async send({ to, from, message }) {
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+      new URLSearchParams({ To: to, From: from || this.fromNumber, Body: message }),
+      { auth: { username: this.accountSid, password: this.authToken } }
+    );
+
+    return { messageId: response.data.sid };
+  }
+}
+
+// Development and test provider: writes each message to the console, or
+// appends it as a JSON line to SMS_STUB_FILE when that is set
+class StubProvider {
+  constructor() {
+    this.name = "stub";
+    this.file = process.env.SMS_STUB_FILE;
+  }
+
+  async send({ to, from, message }) {
+    const messageId = `stub-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const entry = { messageId, to, from, message, sentAt: new Date() };
+
+    if (this.file) {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(`📱 SMS to ${to} from ${from}: ${message}`);
+    }
+
+    return { messageId };
+  }
+}
+
+const PROVIDERS = {
+  termii: TermiiProvider,
+  twilio: TwilioProvider,
+  stub: StubProvider,
+};
+
+class SmsService {
+  constructor() {
+    this.provider = null;
+    this.initializeProvider();
+  }
+
+  // Pick the provider named by SMS_PROVIDER, failing at startup on a name
+  // we don't know. Messages only go nowhere when the stub is chosen
+  // explicitly, or by default in development and tests.
+  initializeProvider() {
+    const name = process.env.SMS_PROVIDER;
+    const environment = process.env.NODE_ENV || "development";
+
+    if (name && !Object.hasOwn(PROVIDERS, name)) {
+      throw new Error(
+        `Unknown SMS_PROVIDER "${name}" (use ${Object.keys(PROVIDERS).join(", ")})`
+      );
+    }
+    if (!name && !["development", "test"].includes(environment)) {
+      throw new Error(
+        `SMS_PROVIDER must be set in ${environment} (use termii, twilio, or stub to send nothing)`
+      );
+    }
+
+    const Provider = PROVIDERS[name || "stub"];
+    this.provider = new Provider();
+    this.defaultSenderId = process.env.SMS_DEFAULT_SENDER_ID || "ChurchSphr";
+    this.costPerSegment = parseFloat(process.env.SMS_COST_PER_SEGMENT) || 0;
+  }
+
+  // Normalise a phone number to the E.164 form providers expect
+  normalizePhone(phone) {
+    return normalizeNigerianPhone(phone);
+  }
+
+  // Work out the encoding and number of segments a message will be billed for
+  countSegments(message) {
+    return countSegments(message);
+  }
+
+  // Send an SMS. Resolves to { success, messageId, segments, cost, provider }
+  // or { success: false, error }, like the email service.
+  async sendSms(phone, message, { senderId } = {}) {
+    const to = normalizeNigerianPhone(phone);
+    if (!to) {
+      return { success: false, error: `Invalid phone number: ${phone}` };
+    }
+
+    const { segments, encoding } = countSegments(message);
+
+    try {
+      const result = await this.provider.send({
+        to,
+        from: senderId || this.defaultSenderId,
+        message,
+      });
+
+      console.log(`✅ SMS sent to ${to} (${segments} segment(s))`);
+      return {
+        success: true,
+        messageId: result.messageId,
+        provider: this.provider.name,
+        to,
+        encoding,
+        segments,
+        cost: segments * this.costPerSegment,
+      };
+    } catch (error) {
+      console.error("❌ SMS sending error:", error.response?.data || error.message);
+      return {
+        success: false,
+        provider: this.provider.name,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+}
+
+module.exports = new SmsService();
@@ -0,0 +1,261 @@
+const Donation = require("../app/models/Donation");
+const Member = require("../app/models/Member");
+const Church = require("../app/models/Church");
+const emailService = require("./email");
+const { sendEmail } = require("./deliveryRouter");
+const { renderGivingStatement } = require("./receipts");
+
+const STATEMENT_DONATION_FIELDS =
+  "donorId donorInfo amount refundedAmount currency category lineItems paymentMethod receipt.number createdAt";
+
+// Save batch progress after this many donors
+const PROGRESS_INTERVAL = 25;
+
+// First and last instants of a calendar year
+const yearPeriod = (year) => ({
+  start: new Date(year, 0, 1),
+  end: new Date(year, 11, 31, 23, 59, 59, 999),
+});
+
+const completedInYear = (churchId, year) => {
+  const { start, end } = yearPeriod(year);
+  return {
+    churchId,
+    status: "completed",
+    createdAt: { $gte: start, $lte: end },
+  };
+};
+
+// Who a statement is addressed to. Members without an email of their own
+// fall back to their account's address, then to one they gave under.
+const describeDonor = (member, donations, email) => {
+  const latest = donations[donations.length - 1]?.donorInfo || {};
+  return {
+    id: member?._id,
+    name: member?.fullName || latest.name || "Donor",
+    email: member?.email || member?.userId?.email || email || latest.email,
+    memberId: member?.memberId,
+  };
+};
+
+// Statement figures from a donor's completed donations (oldest first).
+// Totals are kept per currency so mixed-currency giving is never summed,
+// partly refunded donations count only what the church kept, and split
+// donations count towards each of their categories.
+const summarizeDonations = (donor, year, donations) => {
+  const byCategory = new Map();
+  const totals = new Map();
+  const keptAmount = (donation) => donation.amount - (donation.refundedAmount || 0);
+
+  donations.forEach((donation) => {
+    const currency = donation.currency || "NGN";
+
+    donation.splitAmount(keptAmount(donation)).forEach((line) => {
+      const categoryKey = `${line.category}:${currency}`;
+      if (!byCategory.has(categoryKey)) {
+        byCategory.set(categoryKey, {
+          category: line.category,
+          currency,
+          totalAmount: 0,
+          count: 0,
+        });
+      }
+      byCategory.get(categoryKey).totalAmount += line.amount;
+      byCategory.get(categoryKey).count += 1;
+    });
+
+    if (!totals.has(currency)) {
+      totals.set(currency, { currency, totalAmount: 0, count: 0 });
+    }
+    totals.get(currency).totalAmount += keptAmount(donation);
+    totals.get(currency).count += 1;
+  });
+
+  return {
+    year,
+    period: yearPeriod(year),
+    donor,
+    totals: [...totals.values()],
+    byCategory: [...byCategory.values()].sort(
+      (a, b) => b.totalAmount - a.totalAmount
+    ),
+    donations: donations.map((donation) => ({
+      id: donation._id,
+      date: donation.createdAt,
+      receiptNumber: donation.receipt?.number,
+      category: donation.lineItems.length > 0
+        ? donation.lineItems.map((line) => line.category).join(", ")
+        : donation.category,
+      paymentMethod: donation.paymentMethod,
+      amount: keptAmount(donation),
+      currency: donation.currency || "NGN",
+    })),
+  };
+};
+
+// A donor's statement for a year: donations made as the member (donorId) or
+// under any of the given email addresses. Resolves to null when there are none.
+const buildGivingStatement = async ({ churchId, year, member, emails = [] }) => {
+  const addresses = [
+    ...new Set(
+      [member?.email, member?.userId?.email, ...emails]
+        .filter(Boolean)
+        .map((email) => email.toLowerCase())
+    ),
+  ];
+
+  const donorMatch = [];
+  if (member) donorMatch.push({ donorId: member._id });
+  if (addresses.length > 0) {
+    donorMatch.push({ "donorInfo.email": { $in: addresses } });
+  }
+  if (donorMatch.length === 0) return null;
+
+  const donations = await Donation.find({
+    ...completedInYear(churchId, year),
+    $or: donorMatch,
+  })
+    .select(STATEMENT_DONATION_FIELDS)
+    .sort({ createdAt: 1 });
+  if (donations.length === 0) return null;
+
+  return summarizeDonations(
+    describeDonor(member, donations, addresses[0]),
+    year,
+    donations
+  );
+};
+
+// Every donor who gave to a church in a year, with their donations. Each
+// donation is counted once: under its member, else under the member with a
+// matching email, else under the email address itself.
+const findYearDonors = async (churchId, year) => {
+  const donations = await Donation.find(completedInYear(churchId, year))
+    .select(STATEMENT_DONATION_FIELDS)
+    .sort({ createdAt: 1 });
+
+  const members = await Member.find({
+    churchId,
+    _id: { $in: [...new Set(donations.map((d) => String(d.donorId)))] },
+  })
+    .select("firstName lastName email memberId userId")
+    .populate("userId", "email");
+
+  const membersById = new Map(members.map((member) => [String(member._id), member]));
+  const membersByEmail = new Map();
+  members.forEach((member) => {
+    [member.email, member.userId?.email]
+      .filter(Boolean)
+      .forEach((email) => {
+        if (!membersByEmail.has(email.toLowerCase())) {
+          membersByEmail.set(email.toLowerCase(), member);
+        }
+      });
+  });
+
+  const groups = new Map();
+  donations.forEach((donation) => {
+    const email = donation.donorInfo?.email?.toLowerCase();
+    const member =
+      membersById.get(String(donation.donorId)) ||
+      (email && membersByEmail.get(email));
+    const key = member ? `member:${member._id}` : email ? `email:${email}` : null;
+    if (!key) return;
+
+    if (!groups.has(key)) groups.set(key, { member, email, donations: [] });
+    groups.get(key).donations.push(donation);
+  });
+
+  return [...groups.values()].map(({ member, email, donations: given }) => ({
+    donor: describeDonor(member, given, email),
+    donations: given,
+  }));
+};
+
+const statementAttachment = (statement, content) => ({
+  filename: `giving-statement-${statement.year}.pdf`,
+  contentType: "application/pdf",
+  content,
+});
+
+// Render and email one donor's statement. Resolves to the delivery router's
+// result ({ status: "sent" | "queued" | "skipped" | "failed", reason }).
+const sendGivingStatement = async (statement, church) => {
+  const pdf = await renderGivingStatement(statement, church);
+
+  return sendEmail(
+    {
+      recipient: statement.donor.email,
+      churchId: church._id,
+      type: "donation",
+      event: "giving-statement",
+    },
+    (to, { outbox }) =>
+      emailService.sendGivingStatement(
+        to,
+        statement.donor.name,
+        church.name,
+        statement,
+        outbox,
+        [statementAttachment(statement, pdf)]
+      )
+  );
+};
+
+// Generate and email statements to every donor of a church for the batch's
+// year, recording progress on the batch as it goes. Never rejects; problems
+// end up on the batch.
+const runStatementBatch = async (batch) => {
+  try {
+    const church = await Church.findById(batch.churchId);
+    if (!church) throw new Error("Church not found");
+
+    const donors = await findYearDonors(batch.churchId, batch.year);
+    batch.totals.donors = donors.length;
+    await batch.save();
+
+    for (const [index, { donor, donations }] of donors.entries()) {
+      if (!donor.email) {
+        batch.addIssue(donor, "skipped", "no-address");
+      } else {
+        try {
+          const { status, reason } = await sendGivingStatement(
+            summarizeDonations(donor, batch.year, donations),
+            church
+          );
+
+          if (status === "sent" || status === "queued") {
+            batch.totals.sent += 1;
+          } else {
+            batch.addIssue(donor, status, reason);
+          }
+        } catch (error) {
+          batch.addIssue(donor, "failed", error.message);
+        }
+      }
+
+      if ((index + 1) % PROGRESS_INTERVAL === 0) await batch.save();
+    }
+
+    batch.status = "completed";
+  } catch (error) {
+    console.error("Giving statement batch error:", error);
+    batch.status = "failed";
+    batch.error = error.message;
+  }
+
+  batch.completedAt = new Date();
+  try {
+    await batch.save();
+  } catch (error) {
+    console.error("Error saving giving statement batch:", error);
+  }
+  return batch;
+};
+
+module.exports = {
+  yearPeriod,
+  buildGivingStatement,
+  findYearDonors,
+  runStatementBatch,
+};
@@ -0,0 +1,198 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { v4: uuidv4 } = require("uuid");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+// Longest edge of generated thumbnails, in pixels
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE) || 320;
+
+// Every driver stores a buffer under a key and exposes:
+//   put(key, buffer, { contentType }) -> public URL
+//   read(key) -> Buffer
+//   delete(key)
+
+// Writes files under UPLOAD_DIR; server.js serves them at /uploads
+class LocalStorageDriver {
+  constructor() {
+    this.name = "local";
+    this.root = path.resolve(process.env.UPLOAD_DIR || "uploads");
+    this.baseUrl = (process.env.UPLOAD_BASE_URL || "/uploads").replace(/\/$/, "");
+  }
+
+  // Resolve a key inside the upload directory, refusing to escape it
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(`${this.root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, buffer) {
+    const file = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+    return `${this.baseUrl}/${key}`;
+  }
+
+  async read(key) {
+    return fs.promises.readFile(this.resolve(key));
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+}
+
+// Any S3-compatible object store (AWS S3, Cloudflare R2, DigitalOcean
+// Spaces, MinIO). S3_ENDPOINT is only needed for non-AWS stores.
+class S3StorageDriver {
+  constructor() {
+    this.name = "s3";
+    this.bucket = process.env.S3_BUCKET;
+    this.region = process.env.S3_REGION || "us-east-1";
+    this.endpoint = process.env.S3_ENDPOINT;
+    this.forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true";
+    this.publicUrl = process.env.S3_PUBLIC_URL;
+    this.client = new S3Client({
+      region: this.region,
+      endpoint: this.endpoint || undefined,
+      forcePathStyle: this.forcePathStyle,
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+  }
+
+  url(key) {
+    if (this.publicUrl) return `${this.publicUrl.replace(/\/$/, "")}/${key}`;
+    if (this.endpoint) {
+      return this.forcePathStyle
+        ? `${this.endpoint.replace(/\/$/, "")}/${this.bucket}/${key}`
+        : `${this.endpoint.replace("://", `://${this.bucket}.`)}/${key}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+      })
+    );
+    return this.url(key);
+  }
+
+  async read(key) {
+    const { Body } = await this.client.send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: key })
+    );
+    return Buffer.from(await Body.transformToByteArray());
+  }
+
+  async delete(key) {
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: key })
+    );
+  }
+}
+
+const DRIVERS = {
+  local: LocalStorageDriver,
+  s3: S3StorageDriver,
+};
+
+class StorageService {
+  constructor() {
+    this.driver = null;
+    this.initializeDriver();
+  }
+
+  initializeDriver() {
+    const Driver = DRIVERS[process.env.STORAGE_DRIVER] || LocalStorageDriver;
+    this.driver = new Driver();
+  }
+
+  // Directory server.js should serve, when files are kept on local disk
+  get localDirectory() {
+    return this.driver.name === "local" ? this.driver.root : null;
+  }
+
+  // Store an uploaded multer file under `folder`. Resolves to the metadata
+  // our models keep ({ filename, originalName, mimetype, size, url }), with
+  // a `thumbnail` ({ filename, url }) when one was asked for.
+  async saveFile(file, { folder, thumbnail = false }) {
+    const id = uuidv4();
+    const extension = path.extname(file.originalname).toLowerCase();
+    const filename = `${folder}/${id}${extension}`;
+
+    const saved = {
+      filename,
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      url: await this.driver.put(filename, file.buffer, {
+        contentType: file.mimetype,
+      }),
+    };
+
+    if (thumbnail) {
+      const thumbnailName = `${folder}/${id}-thumb.webp`;
+      const buffer = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+          fit: "inside",
+          withoutEnlargement: true,
+        })
+        .webp()
+        .toBuffer();
+
+      saved.thumbnail = {
+        filename: thumbnailName,
+        url: await this.driver.put(thumbnailName, buffer, {
+          contentType: "image/webp",
+        }),
+      };
+    }
+
+    return saved;
+  }
+
+  async readFile(filename) {
+    return this.driver.read(filename);
+  }
+
+  // Delete a stored file and its thumbnail. Failures are logged rather than
+  // thrown so a missing file never blocks removing the record.
+  async deleteFile(stored) {
+    const filenames = [stored?.filename, stored?.thumbnail?.filename].filter(
+      Boolean
+    );
+
+    for (const filename of filenames) {
+      try {
+        await this.driver.delete(filename);
+      } catch (error) {
+        console.error(`Delete file error (${filename}):`, error);
+      }
+    }
+  }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Church = require("../app/models/Church");
+const { revalueTransactions } = require("../config/exchangeRates");
+
+// One-off: revalue every church's donations, expenses and financial
+// records, so those saved before base amounts were kept get one and are
+// posted to the general ledger. Safe to run again.
+const backfillBaseAmounts = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log("✅ Connected to MongoDB");
+
+    const totals = { donations: 0, expenses: 0, records: 0 };
+    for await (const church of Church.find().select("name").cursor()) {
+      const revalued = await revalueTransactions(church._id);
+      Object.keys(totals).forEach((key) => {
+        totals[key] += revalued[key];
+      });
+      console.log(
+        `   - ${church.name}: ${revalued.donations} donations, ${revalued.expenses} expenses, ${revalued.records} records`
+      );
+    }
+
+    console.log(
+      `\n🎉 Revalued ${totals.donations} donations, ${totals.expenses} expenses and ${totals.records} financial records`
+    );
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error backfilling base amounts:", error);
+    process.exit(1);
+  }
+};
+
+// Run the backfill
+backfillBaseAmounts();
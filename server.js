@@ -17,9 +17,25 @@ const campaignRoutes = require("./app/routes/campaigns");
 const financialRecordRoutes = require("./app/routes/financialRecords");
 const notificationRoutes = require("./app/routes/notifications");
 const subscriptionRoutes = require("./app/routes/subscriptions");
+const emailRoutes = require("./app/routes/emails");
+const importRoutes = require("./app/routes/imports");
+const recurringDonationRoutes = require("./app/routes/recurringDonations");
+const pledgeRoutes = require("./app/routes/pledges");
+const settlementRoutes = require("./app/routes/settlements");
+const countingSessionRoutes = require("./app/routes/countingSessions");
+const exchangeRateRoutes = require("./app/routes/exchangeRates");
+const ledgerRoutes = require("./app/routes/ledger");
+const financialStatementRoutes = require("./app/routes/financialStatements");
 
 const errorHandler = require("./app/middleware/errorHandler");
 const { connectDB } = require("./config/database");
+const notificationScheduler = require("./config/notificationScheduler");
+const digestScheduler = require("./config/digestScheduler");
+const emailOutbox = require("./config/emailOutbox");
+const recurringDonationScheduler = require("./config/recurringDonationScheduler");
+const pledgeReminderScheduler = require("./config/pledgeReminderScheduler");
+const storageService = require("./config/storage");
+const { receiptSecret } = require("./config/receipts");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -37,7 +53,15 @@ const limiter = rateLimit({
 app.use("/api/", limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the raw body so payment webhook signatures can be checked
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // CORS configuration
@@ -53,6 +77,16 @@ if (process.env.NODE_ENV === "development") {
   app.use(morgan("dev"));
 }
 
+// Files saved by the local storage driver; S3 files are served by the bucket
+if (storageService.localDirectory) {
+  app.use(
+    "/uploads",
+    express.static(storageService.localDirectory, {
+      setHeaders: (res) => res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+    })
+  );
+}
+
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.status(200).json({
@@ -74,6 +108,15 @@ app.use("/api/campaigns", campaignRoutes);
 app.use("/api/financial-records", financialRecordRoutes);
 app.use("/api/notifications", notificationRoutes);
 app.use("/api/subscriptions", subscriptionRoutes);
+app.use("/api/emails", emailRoutes);
+app.use("/api/imports", importRoutes);
+app.use("/api/recurring-donations", recurringDonationRoutes);
+app.use("/api/pledges", pledgeRoutes);
+app.use("/api/settlements", settlementRoutes);
+app.use("/api/counting-sessions", countingSessionRoutes);
+app.use("/api/exchange-rates", exchangeRateRoutes);
+app.use("/api/ledger", ledgerRoutes);
+app.use("/api/financial-statements", financialStatementRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -89,7 +132,19 @@ app.use(errorHandler);
 // Start server
 const startServer = async () => {
   try {
+    // Receipts can't be signed or verified without a secret
+    receiptSecret();
     await connectDB();
+
+    // Background jobs run inside the server process
+    if (process.env.NODE_ENV !== "test") {
+      notificationScheduler.start();
+      digestScheduler.start();
+      emailOutbox.start();
+      recurringDonationScheduler.start();
+      pledgeReminderScheduler.start();
+    }
+
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
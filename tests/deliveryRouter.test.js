@@ -0,0 +1,41 @@
+const Church = require("../app/models/Church");
+const User = require("../app/models/User");
+const VolunteerTeam = require("../app/models/VolunteerTeam");
+const {
+  sendChurchNotification,
+  sendTeamNotification,
+  sendUserNotification,
+} = require("../config/deliveryRouter");
+
+const churchId = "64b000000000000000000001";
+
+describe("notification helpers", () => {
+  beforeEach(() => {
+    const unavailable = () => ({
+      select: () => Promise.reject(new Error("connection lost")),
+    });
+    jest.spyOn(Church, "findById").mockImplementation(unavailable);
+    jest.spyOn(User, "findById").mockImplementation(unavailable);
+    jest.spyOn(VolunteerTeam, "findById").mockImplementation(unavailable);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Callers fire these without waiting, so a rejection would be unhandled
+  it("logs database failures instead of rejecting", async () => {
+    await expect(
+      sendChurchNotification(churchId, "expense-created", { amount: 10 })
+    ).resolves.toBeNull();
+    await expect(
+      sendTeamNotification("64b000000000000000000002", "team-updated", {})
+    ).resolves.toBeNull();
+    await expect(
+      sendUserNotification("64b000000000000000000003", "donation-refunded", { churchId })
+    ).resolves.toBeNull();
+
+    expect(console.error).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,70 @@
+const { Writable } = require("stream");
+const ExcelJS = require("exceljs");
+const { sendExport } = require("../config/exporter");
+
+// A response that keeps what is written to it
+const response = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  res.setHeader = jest.fn();
+  res.body = () => Buffer.concat(chunks);
+  return res;
+};
+
+const columns = [
+  { key: "name", header: "Donor", value: (row) => row.name },
+  { key: "amount", header: "Amount", value: (row) => row.amount, type: "number" },
+];
+
+const rows = [
+  { name: '=HYPERLINK("http://evil.example","Click")', amount: -5 },
+  { name: "+2348012345678", amount: 10 },
+  { name: "@SUM(A1:A2)", amount: 1 },
+  { name: "Ada Obi", amount: 2 },
+];
+
+describe("exports", () => {
+  it("quotes CSV text a spreadsheet would run as a formula", async () => {
+    const res = response();
+
+    await sendExport(res, { format: "csv", filename: "donations", columns, rows });
+
+    expect(res.body().toString().trim().split("\n")).toEqual([
+      '"Donor","Amount"',
+      '"\'=HYPERLINK(""http://evil.example"",""Click"")","-5"',
+      '"\'+2348012345678","10"',
+      '"\'@SUM(A1:A2)","1"',
+      '"Ada Obi","2"',
+    ]);
+  });
+
+  it("quotes XLSX text cells the same way, leaving numbers alone", async () => {
+    const res = response();
+    const finished = new Promise((resolve) => res.on("finish", resolve));
+
+    await sendExport(res, {
+      format: "xlsx",
+      filename: "donations",
+      sheetName: "Donations",
+      columns,
+      rows,
+    });
+    await finished;
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body());
+    const sheet = workbook.getWorksheet("Donations");
+    expect(sheet.getColumn(1).values.slice(2)).toEqual([
+      '\'=HYPERLINK("http://evil.example","Click")',
+      "'+2348012345678",
+      "'@SUM(A1:A2)",
+      "Ada Obi",
+    ]);
+    expect(sheet.getColumn(2).values.slice(2)).toEqual([-5, 10, 1, 2]);
+  });
+});
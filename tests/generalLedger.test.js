@@ -0,0 +1,188 @@
+const mongoose = require("mongoose");
+const Account = require("../app/models/Account");
+const JournalEntry = require("../app/models/JournalEntry");
+const Donation = require("../app/models/Donation");
+const ExchangeRate = require("../app/models/ExchangeRate");
+
+// Keep the chart of accounts and journal in memory instead of MongoDB
+const ledger = () => {
+  let chart = [];
+  const entries = [];
+  let numbered = 0;
+
+  const getPath = (doc, path) =>
+    path.split(".").reduce((value, key) => value?.[key], doc);
+  const matches = (doc, query) =>
+    Object.entries(query).every(([path, expected]) => {
+      const value = getPath(doc, path);
+      if (expected === null) return value === null || value === undefined;
+      if (expected?.$in) return expected.$in.some((id) => String(id) === String(value));
+      return String(value) === String(expected);
+    });
+
+  jest.spyOn(Account, "find").mockImplementation(() => ({
+    sort: async () => chart,
+  }));
+  jest.spyOn(Account, "insertMany").mockImplementation(async (docs) => {
+    chart = docs.map((doc) => new Account(doc));
+  });
+  jest
+    .spyOn(JournalEntry, "find")
+    .mockImplementation(async (query) => entries.filter((entry) => matches(entry, query)));
+  jest
+    .spyOn(JournalEntry, "exists")
+    .mockImplementation(async (query) => entries.some((entry) => matches(entry, query)));
+  jest.spyOn(JournalEntry, "create").mockImplementation(async (data) => {
+    const entry = new JournalEntry(data);
+    await entry.validate();
+    numbered += 1;
+    entry.entryNumber = `JE-${numbered}`;
+    entries.push(entry);
+    return entry;
+  });
+  jest.spyOn(JournalEntry.prototype, "save").mockImplementation(async function () {
+    return this;
+  });
+
+  return entries;
+};
+
+// Debits less credits per account code, over every entry
+const balances = (entries) => {
+  const totals = {};
+  entries.forEach((entry) =>
+    entry.lines.forEach((line) => {
+      const balance = (totals[line.code] || 0) + line.debit - line.credit;
+      totals[line.code] = Math.round(balance * 100) / 100;
+    })
+  );
+  return totals;
+};
+
+const cents = (amount) => Math.round(amount * 100);
+
+const splitDonation = (churchId) => {
+  const donation = new Donation({
+    churchId,
+    amount: 100,
+    currency: "USD",
+    category: "tithe",
+    paymentMethod: "online",
+    status: "completed",
+    donorInfo: { name: "Ada Obi" },
+    lineItems: [
+      { category: "tithe", amount: 70 },
+      { category: "building", amount: 30 },
+    ],
+    baseAmount: 150000,
+    baseCurrency: "NGN",
+    exchangeRate: 1500,
+  });
+  donation.receipt = { number: "GRA20260001" };
+  donation.createdAt = new Date("2026-10-05");
+  return donation;
+};
+
+describe("general ledger", () => {
+  let entries;
+  let churchId;
+
+  beforeEach(() => {
+    entries = ledger();
+    churchId = new mongoose.Types.ObjectId();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("posts a donation as a balanced entry split across its categories", async () => {
+    const posted = await JournalEntry.syncSource("donation", splitDonation(churchId));
+
+    const debits = posted.lines.reduce((sum, line) => sum + cents(line.debit), 0);
+    const credits = posted.lines.reduce((sum, line) => sum + cents(line.credit), 0);
+    expect(debits).toBe(cents(150000));
+    expect(credits).toBe(debits);
+    expect(posted.lines.filter((line) => line.credit > 0).map((line) => line.memo)).toEqual([
+      "tithe",
+      "building",
+    ]);
+  });
+
+  it("doesn't post the same donation or refund twice", async () => {
+    const donation = splitDonation(churchId);
+    await JournalEntry.syncSource("donation", donation);
+    await JournalEntry.syncSource("donation", donation);
+
+    donation.refunds.push({ amount: 10, method: "gateway", status: "completed", completedAt: new Date() });
+    await JournalEntry.postRefund(donation, donation.refunds[0]);
+    await JournalEntry.postRefund(donation, donation.refunds[0]);
+
+    expect(entries.map((entry) => entry.source.kind)).toEqual(["donation", "refund"]);
+  });
+
+  it("rejects an entry whose debits and credits don't balance", async () => {
+    await Account.ensureChart(churchId);
+    const [first, second] = await Account.find({ churchId }).sort({ code: 1 });
+
+    await expect(
+      new JournalEntry({
+        churchId,
+        date: new Date(),
+        source: { kind: "manual" },
+        lines: [
+          { accountId: first._id, debit: 10 },
+          { accountId: second._id, credit: 9 },
+        ],
+      }).validate()
+    ).rejects.toThrow("Debits (10) and credits (9) must balance");
+  });
+
+  it("reverses a donation and its refunds when the payment is reversed", async () => {
+    const donation = splitDonation(churchId);
+    await JournalEntry.syncSource("donation", donation);
+    donation.refunds.push({ amount: 10, method: "gateway", status: "completed", completedAt: new Date() });
+    await JournalEntry.postRefund(donation, donation.refunds[0]);
+
+    donation.status = "reversed";
+    await JournalEntry.syncSource("donation", donation);
+
+    const originals = entries.filter((entry) => !entry.reversalOf);
+    const reversals = entries.filter((entry) => entry.reversalOf);
+    expect(originals.map((entry) => entry.status)).toEqual(["reversed", "reversed"]);
+    expect(reversals).toHaveLength(2);
+    expect(Object.values(balances(entries)).every((balance) => balance === 0)).toBe(true);
+  });
+
+  it("reposts a donation whose amount changed, leaving only the new amount", async () => {
+    const donation = splitDonation(churchId);
+    await JournalEntry.syncSource("donation", donation);
+
+    donation.baseAmount = 160000;
+    donation.exchangeRate = 1600;
+    await JournalEntry.syncSource("donation", donation);
+
+    const inForce = entries.filter((entry) => entry.status === "posted" && !entry.reversalOf);
+    expect(inForce).toHaveLength(1);
+    const totals = balances(entries);
+    expect(Object.values(totals).reduce((sum, balance) => sum + balance, 0)).toBe(0);
+    expect(Math.max(...Object.values(totals))).toBe(160000);
+  });
+
+  it("posts donations saved before base amounts were kept at their amount in the church's currency", async () => {
+    jest.spyOn(ExchangeRate, "baseCurrencyFor").mockResolvedValue("NGN");
+    const saved = (currency) => {
+      const donation = splitDonation(churchId);
+      donation.set({ currency, baseAmount: undefined, baseCurrency: undefined, exchangeRate: undefined });
+      return donation;
+    };
+
+    const inNaira = await JournalEntry.syncSource("donation", saved("NGN"));
+    const inDollars = await JournalEntry.syncSource("donation", saved("USD"));
+
+    expect(inNaira.currency).toBe("NGN");
+    expect(inNaira.lines.find((line) => line.debit > 0).debit).toBe(100);
+    // Other currencies wait for a rate, e.g. from the backfill
+    expect(inDollars).toBeNull();
+  });
+});
@@ -0,0 +1,197 @@
+const mongoose = require("mongoose");
+const Church = require("../app/models/Church");
+const Donation = require("../app/models/Donation");
+const ImportJob = require("../app/models/ImportJob");
+const JournalEntry = require("../app/models/JournalEntry");
+const Member = require("../app/models/Member");
+const User = require("../app/models/User");
+const { runImport, rollbackImport } = require("../config/importer");
+
+const account = (firstName, email) =>
+  new User({ firstName, lastName: "Obi", email, password: "secret123" });
+
+const rows = [
+  { firstName: "Ada", lastName: "Obi", email: "ada@example.com", role: "leader" },
+  { firstName: "Ben", lastName: "Obi", email: "ben@example.com", role: "volunteer" },
+];
+
+describe("member imports", () => {
+  let churchId;
+  let admin;
+  let users;
+  let stored;
+
+  beforeEach(() => {
+    churchId = new mongoose.Types.ObjectId();
+    admin = { _id: new mongoose.Types.ObjectId() };
+    users = [account("Ada", "ada@example.com"), account("Ben", "ben@example.com")];
+
+    jest.spyOn(Church, "findById").mockReturnValue({
+      select: async () => ({ _id: churchId, name: "Grace Chapel", settings: {} }),
+    });
+    jest.spyOn(User, "find").mockImplementation((query) => {
+      const found = users.filter((user) =>
+        query._id
+          ? query._id.$in.some((id) => String(id) === String(user._id))
+          : query.email.$in.includes(user.email)
+      );
+      return Object.assign(Promise.resolve(found), { select: async () => found });
+    });
+    // Linking a user runs their validators, as saving them would
+    jest.spyOn(User.prototype, "save").mockImplementation(async function () {
+      await this.validate();
+      return this;
+    });
+    jest.spyOn(Member, "countDocuments").mockResolvedValue(0);
+    jest.spyOn(Member, "find").mockReturnValue({ lean: async () => [] });
+    jest.spyOn(Member.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+    jest.spyOn(ImportJob, "updateOne").mockResolvedValue({});
+    // The stored job's status, for rollbacks to claim
+    stored = "completed";
+    jest.spyOn(ImportJob, "findOneAndUpdate").mockImplementation(async (filter, update) => {
+      if (stored !== filter.status) return null;
+      stored = update.$set.status;
+      return { _id: filter._id };
+    });
+    jest.spyOn(ImportJob.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("gives imported members access to the church with a role users can hold", async () => {
+    const { job } = await runImport({ resource: "members", churchId, user: admin, rows });
+
+    expect(job.status).toBe("completed");
+    expect(job.totals.imported).toBe(2);
+    expect(users.map((user) => user.getChurchRole(churchId))).toEqual(["member", "volunteer"]);
+    expect(job.rollbackData.linkedUserIds).toEqual(users.map((user) => user._id));
+  });
+
+  it("keeps the import completed and reports the row when a user can't be linked", async () => {
+    User.prototype.save
+      .mockImplementationOnce(async function () {
+        return this;
+      })
+      .mockRejectedValueOnce(new Error("Version conflict"));
+
+    const { job } = await runImport({ resource: "members", churchId, user: admin, rows });
+
+    expect(job.status).toBe("completed");
+    expect(job.createdIds).toHaveLength(2);
+    expect(job.rollbackData.linkedUserIds).toEqual([users[0]._id]);
+    expect(job.rowErrors.map((error) => [error.row, error.field])).toEqual([[2, "userId"]]);
+  });
+
+  it("rolls an import back: deletes its members, unlinks their users and reverses ledger entries", async () => {
+    const { job } = await runImport({ resource: "members", churchId, user: admin, rows });
+    jest.spyOn(Member, "deleteMany").mockResolvedValue({ deletedCount: 2 });
+    jest.spyOn(JournalEntry, "reverseSources").mockResolvedValue(0);
+
+    const result = await rollbackImport(job, admin);
+
+    expect(result).toEqual({ deleted: 2 });
+    expect(Member.deleteMany).toHaveBeenCalledWith({
+      _id: { $in: job.createdIds },
+      churchId,
+    });
+    expect(JournalEntry.reverseSources).toHaveBeenCalledWith(
+      churchId,
+      job.createdIds,
+      "Import rolled back"
+    );
+    expect(users.every((user) => !user.isChurchMember(churchId))).toBe(true);
+    expect(job.status).toBe("rolled-back");
+    expect(job.rolledBackBy).toEqual(admin._id);
+  });
+
+  it("only rolls back a completed import once", async () => {
+    const { job } = await runImport({ resource: "members", churchId, user: admin, rows });
+    jest.spyOn(Member, "deleteMany").mockResolvedValue({ deletedCount: 2 });
+    jest.spyOn(JournalEntry, "reverseSources").mockResolvedValue(0);
+
+    await rollbackImport(job, admin);
+
+    await expect(rollbackImport(job, admin)).rejects.toMatchObject({
+      statusCode: 400,
+      message: "Only completed imports can be rolled back (this one is rolled-back)",
+    });
+    expect(Member.deleteMany).toHaveBeenCalledTimes(1);
+  });
+
+  it("lets only one of two rollbacks made at the same time run", async () => {
+    const { job } = await runImport({ resource: "members", churchId, user: admin, rows });
+    jest.spyOn(Member, "deleteMany").mockResolvedValue({ deletedCount: 2 });
+    jest.spyOn(JournalEntry, "reverseSources").mockResolvedValue(0);
+
+    const results = await Promise.allSettled([
+      rollbackImport(job, admin),
+      rollbackImport(job, admin),
+    ]);
+
+    expect(results.map((result) => result.status)).toEqual(["fulfilled", "rejected"]);
+    expect(results[1].reason).toMatchObject({
+      statusCode: 409,
+      message: "This import is already being rolled back",
+    });
+    expect(Member.deleteMany).toHaveBeenCalledTimes(1);
+  });
+
+  it("hands the claim back when a rollback fails part way", async () => {
+    const { job } = await runImport({ resource: "members", churchId, user: admin, rows });
+    jest.spyOn(Member, "deleteMany").mockRejectedValue(new Error("connection lost"));
+
+    await expect(rollbackImport(job, admin)).rejects.toThrow("connection lost");
+
+    expect(ImportJob.updateOne).toHaveBeenLastCalledWith(
+      { _id: job._id, status: "rolling-back" },
+      { $set: { status: "completed" } }
+    );
+    expect(job.status).toBe("completed");
+  });
+
+  it("imports a donation no member matches as a visitor gift", async () => {
+    const member = new Member({ churchId, firstName: "Ada", lastName: "Obi", email: "ada@example.com" });
+    Member.find.mockReturnValue({ select: async () => [member] });
+    jest.spyOn(Donation, "find").mockReturnValue({ lean: async () => [] });
+    jest.spyOn(Donation.prototype, "save").mockImplementation(async function () {
+      await this.validate();
+      return this;
+    });
+
+    const { job } = await runImport({
+      resource: "donations",
+      churchId,
+      user: admin,
+      rows: [
+        { amount: 5000, category: "offering", paymentMethod: "cash", email: "ada@example.com" },
+        { amount: 2000, category: "offering", paymentMethod: "cash", donorName: "Visiting Pastor" },
+      ],
+    });
+
+    expect(job.rowErrors).toHaveLength(0);
+    expect(job.totals.imported).toBe(2);
+    const [fromMember, fromVisitor] = Donation.prototype.save.mock.contexts;
+    expect(fromMember.donorId).toEqual(member._id);
+    expect(fromVisitor.donorId).toBeUndefined();
+    expect(fromVisitor.donorInfo.name).toBe("Visiting Pastor");
+  });
+
+  it("doesn't roll back a dry run", async () => {
+    const { job } = await runImport({
+      resource: "members",
+      churchId,
+      user: admin,
+      rows,
+      dryRun: true,
+    });
+
+    await expect(rollbackImport(job, admin)).rejects.toMatchObject({ statusCode: 400 });
+    expect(users.every((user) => !user.isChurchMember(churchId))).toBe(true);
+  });
+});
@@ -0,0 +1,206 @@
+process.env.FAKE_GATEWAY_SECRET = "test-webhook-secret";
+
+const express = require("express");
+const request = require("supertest");
+const Donation = require("../app/models/Donation");
+const JournalEntry = require("../app/models/JournalEntry");
+const PaymentEvent = require("../app/models/PaymentEvent");
+const fakeGateway = require("../config/fakeGateway");
+const donationRoutes = require("../app/routes/donations");
+
+// Follow-ups of a settled payment that reach beyond the donation itself
+jest.mock("../config/pledges", () => ({
+  ...jest.requireActual("../config/pledges"),
+  allocateDonation: jest.fn(),
+  releaseDonation: jest.fn(),
+}));
+jest.mock("../config/deliveryRouter", () => ({
+  ...jest.requireActual("../config/deliveryRouter"),
+  sendChurchNotification: jest.fn(),
+  sendEmail: jest.fn(),
+}));
+
+const app = express();
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+app.use("/api/donations", donationRoutes);
+
+const deliver = (gatewayName, { rawBody, headers }) =>
+  request(app)
+    .post(`/api/donations/callback/${gatewayName}`)
+    .set("Content-Type", "application/json")
+    .set(headers)
+    .send(rawBody.toString());
+
+describe("payment gateway webhooks", () => {
+  let donation;
+  let stored;
+  let events;
+
+  beforeEach(async () => {
+    fakeGateway.reset();
+    await fakeGateway.initializePayment({ amount: 5000, paymentReference: "DON_1" });
+
+    donation = new Donation({
+      churchId: "64b000000000000000000001",
+      amount: 5000,
+      category: "offering",
+      paymentMethod: "online",
+      status: "pending",
+      donorInfo: { name: "Ada Obi" },
+      paymentDetails: { paymentReference: "DON_1", gateway: "fake" },
+    });
+    stored = { status: donation.status, saves: 0 };
+    events = new Map();
+
+    // The donation and the event log live in memory instead of MongoDB
+    jest.spyOn(Donation, "findOne").mockResolvedValue(donation);
+    jest.spyOn(Donation, "findOneAndUpdate").mockImplementation(async (filter, update) => {
+      if (!filter.status.$in.includes(stored.status)) return null;
+      stored.status = update.$set.status;
+      return { _id: donation._id };
+    });
+    jest.spyOn(Donation, "updateOne").mockResolvedValue({});
+    jest.spyOn(Donation.prototype, "save").mockImplementation(async function () {
+      stored.saves += 1;
+      return this;
+    });
+    jest.spyOn(Donation.prototype, "assignReceiptNumber").mockImplementation(async function () {
+      this.receipt.number = "GRA20260001";
+    });
+
+    const key = (event) =>
+      [event.gateway, event.transactionReference, event.eventType, event.fingerprint].join("|");
+    jest.spyOn(PaymentEvent, "create").mockImplementation(async (data) => {
+      const event = new PaymentEvent(data);
+      if (events.has(key(event))) {
+        throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+      }
+      events.set(key(event), event);
+      return event;
+    });
+    jest.spyOn(PaymentEvent, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(PaymentEvent, "updateOne").mockImplementation(async (filter) => {
+      events.get(key(filter)).deliveries += 1;
+    });
+    jest.spyOn(PaymentEvent.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("rejects a webhook with a bad signature without logging or applying it", async () => {
+    const webhook = fakeGateway.settle("DON_1");
+    webhook.headers["x-fake-signature"] = "0".repeat(64);
+
+    const res = await deliver("fake", webhook);
+
+    expect(res.status).toBe(401);
+    expect(PaymentEvent.create).not.toHaveBeenCalled();
+    expect(stored).toEqual({ status: "pending", saves: 0 });
+  });
+
+  it("rejects a webhook whose body was changed after signing", async () => {
+    const webhook = fakeGateway.settle("DON_1");
+    const body = JSON.parse(webhook.rawBody.toString());
+    body.data.paidAmount = 50000;
+    webhook.rawBody = Buffer.from(JSON.stringify(body));
+
+    const res = await deliver("fake", webhook);
+
+    expect(res.status).toBe(401);
+    expect(stored.status).toBe("pending");
+  });
+
+  it("settles a donation once however often the webhook is delivered", async () => {
+    const webhook = fakeGateway.settle("DON_1");
+
+    const first = await deliver("fake", webhook);
+    const second = await deliver("fake", webhook);
+
+    expect(first.status).toBe(200);
+    expect(first.body.message).toBe("Callback processed successfully");
+    expect(second.status).toBe(200);
+    expect(second.body.message).toBe("Callback already processed");
+
+    expect(stored).toEqual({ status: "completed", saves: 1 });
+    const [event] = events.values();
+    expect(event.status).toBe("processed");
+    expect(event.outcome).toBe("pending -> completed");
+    expect(event.deliveries).toBe(2);
+  });
+
+  it("doesn't settle a payment twice when the same event races itself", async () => {
+    const webhook = fakeGateway.settle("DON_1");
+    const twin = new Donation(donation.toObject());
+    Donation.findOne.mockResolvedValueOnce(donation).mockResolvedValueOnce(twin);
+    // Two deliveries that both get past the event log, e.g. after it was
+    // marked failed
+    PaymentEvent.create.mockImplementation(async (data) => new PaymentEvent(data));
+
+    const results = await Promise.all([deliver("fake", webhook), deliver("fake", webhook)]);
+
+    expect(results.map((res) => res.status)).toEqual([200, 200]);
+    expect(stored).toEqual({ status: "completed", saves: 1 });
+  });
+
+  it("ignores a webhook for a donation paid through another gateway", async () => {
+    donation.paymentDetails.gateway = "paystack";
+
+    const res = await deliver("fake", fakeGateway.settle("DON_1"));
+
+    expect(res.status).toBe(200);
+    expect(stored.status).toBe("pending");
+    const [event] = events.values();
+    expect(event.status).toBe("ignored");
+  });
+
+  it("completes a refund the gateway was still processing from its refund webhook", async () => {
+    fakeGateway.settle("DON_1");
+    fakeGateway.holdRefunds = true;
+    const { refundReference } = await fakeGateway.refundPayment({
+      transactionReference: "FAKE_DON_1",
+      amount: 5000,
+    });
+    donation.status = "completed";
+    donation.paymentDetails.transactionReference = "FAKE_DON_1";
+    donation.refundedAmount = 5000;
+    donation.refunds.push({
+      amount: 5000,
+      method: "gateway",
+      gateway: "fake",
+      status: "pending",
+      refundReference,
+    });
+    Donation.updateOne.mockResolvedValueOnce({ modifiedCount: 1 });
+    jest.spyOn(Donation, "findById").mockResolvedValue(donation);
+    jest.spyOn(JournalEntry, "postRefund").mockResolvedValue(null);
+
+    const res = await deliver("fake", fakeGateway.settleRefund(refundReference));
+
+    expect(res.status).toBe(200);
+    const [event] = events.values();
+    expect(event.status).toBe("processed");
+    expect(event.outcome).toBe("refund FAKE_REFUND_1 completed");
+    expect(Donation.updateOne.mock.calls[0][0].refunds.$elemMatch.status).toBe("pending");
+    expect(JournalEntry.postRefund).toHaveBeenCalledTimes(1);
+  });
+
+  it("answers 404 for gateways that don't exist", async () => {
+    const webhook = fakeGateway.settle("DON_1");
+
+    const unknown = await deliver("constructor", webhook);
+    const inherited = await deliver("__proto__", webhook);
+
+    expect(unknown.status).toBe(404);
+    expect(inherited.status).toBe(404);
+  });
+});
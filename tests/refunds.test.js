@@ -0,0 +1,225 @@
+process.env.FAKE_GATEWAY_SECRET = "test-webhook-secret";
+
+const Donation = require("../app/models/Donation");
+const JournalEntry = require("../app/models/JournalEntry");
+const Member = require("../app/models/Member");
+const fakeGateway = require("../config/fakeGateway");
+const { refundDonation, finishPendingRefunds } = require("../config/donationPayments");
+
+jest.mock("../config/pledges", () => ({
+  ...jest.requireActual("../config/pledges"),
+  allocateDonation: jest.fn(),
+  releaseDonation: jest.fn(),
+}));
+jest.mock("../config/deliveryRouter", () => ({
+  ...jest.requireActual("../config/deliveryRouter"),
+  sendChurchNotification: jest.fn(),
+  sendEmail: jest.fn(),
+}));
+
+// Evaluate the aggregation expressions refunds guard their updates with
+const evaluate = (expression, doc) => {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return doc.get(expression.slice(1));
+  }
+  if (expression === null || typeof expression !== "object") return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  const [a, b] = args.map((arg) => evaluate(arg, doc));
+  switch (operator) {
+    case "$add":
+      return a + b;
+    case "$subtract":
+      return a - b;
+    case "$ifNull":
+      return a ?? b;
+    case "$lte":
+      return a <= b;
+    case "$gte":
+      return a >= b;
+    default:
+      throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+// Keep one donation in memory, applying updates only when their filter
+// matches, as MongoDB does for a single document
+const storeDonation = (donation) => {
+  const refundFor = (filter) => {
+    const refundId = filter["refunds._id"] || filter.refunds?.$elemMatch._id;
+    return refundId && donation.refunds.id(refundId);
+  };
+  const matches = (filter) =>
+    (!filter.status || donation.status === filter.status) &&
+    (!filter["refunds.status"] ||
+      donation.refunds.every((refund) => refund.status !== filter["refunds.status"].$ne)) &&
+    (!filter.refunds ||
+      refundFor(filter)?.status === filter.refunds.$elemMatch.status) &&
+    (!filter.$expr || evaluate(filter.$expr, donation));
+
+  jest.spyOn(Donation, "findById").mockImplementation(async () => donation);
+  jest.spyOn(Donation, "findOneAndUpdate").mockImplementation(async (filter, update) => {
+    if (!matches(filter)) return null;
+    donation.refundedAmount += update.$inc.refundedAmount;
+    donation.refunds.push(update.$push.refunds);
+    return donation;
+  });
+  jest.spyOn(Donation, "updateOne").mockImplementation(async (filter, update) => {
+    if (!matches(filter)) return { modifiedCount: 0 };
+
+    const refund = refundFor(filter);
+    if (update.$inc) donation.refundedAmount += update.$inc.refundedAmount;
+    Object.entries(update.$set).forEach(([path, value]) => {
+      if (refund) refund.set(path.replace("refunds.$.", ""), value);
+      else donation.set(path, value);
+    });
+    return { modifiedCount: 1 };
+  });
+
+  return donation;
+};
+
+const completedDonation = (fields = {}) =>
+  new Donation({
+    churchId: "64b000000000000000000001",
+    amount: 100,
+    category: "offering",
+    paymentMethod: "cash",
+    status: "completed",
+    donorInfo: { name: "Ada Obi" },
+    ...fields,
+  });
+
+describe("donation refunds", () => {
+  beforeEach(() => {
+    fakeGateway.reset();
+    jest.spyOn(JournalEntry, "postRefund").mockResolvedValue(null);
+    jest.spyOn(Member, "updateOne").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("refuses a refund larger than the donation", async () => {
+    const donation = storeDonation(completedDonation());
+
+    const result = await refundDonation(donation, { amount: 150 });
+
+    expect(result.error).toBe("Refund amount exceeds what is left of the donation");
+    expect(donation.refundedAmount).toBe(0);
+    expect(donation.refunds).toHaveLength(0);
+  });
+
+  it("refuses a partial refund that would take the total over the donation", async () => {
+    const donation = storeDonation(completedDonation());
+
+    const first = await refundDonation(donation, { amount: 30 });
+    const second = await refundDonation(donation, { amount: 30 });
+    const third = await refundDonation(donation, { amount: 50 });
+
+    expect(first.refund.status).toBe("completed");
+    expect(second.refund.status).toBe("completed");
+    expect(third.error).toBe("Refund amount exceeds what is left of the donation");
+    expect(donation.refundedAmount).toBe(60);
+    expect(donation.status).toBe("completed");
+  });
+
+  it("lets only one of two refunds made at the same time through when both don't fit", async () => {
+    const donation = storeDonation(completedDonation());
+
+    const results = await Promise.all([
+      refundDonation(donation, { amount: 60 }),
+      refundDonation(donation, { amount: 60 }),
+    ]);
+
+    expect(results.filter((result) => result.refund)).toHaveLength(1);
+    expect(results.filter((result) => result.error)).toHaveLength(1);
+    expect(donation.refundedAmount).toBe(60);
+    expect(donation.refunds).toHaveLength(1);
+  });
+
+  it("marks the donation refunded once partial refunds add up to it, to the cent", async () => {
+    const donation = storeDonation(completedDonation({ amount: 99.99 }));
+
+    for (let i = 0; i < 3; i++) {
+      const result = await refundDonation(donation, { amount: 33.33 });
+      expect(result.error).toBeUndefined();
+    }
+
+    expect(donation.status).toBe("refunded");
+    expect((await refundDonation(donation, { amount: 0.01 })).error).toBe(
+      "Only completed donations can be refunded"
+    );
+  });
+
+  it("gives the reserved amount back when the gateway declines the refund", async () => {
+    const donation = storeDonation(
+      completedDonation({
+        paymentMethod: "online",
+        paymentDetails: { gateway: "fake", transactionReference: "FAKE_UNKNOWN" },
+      })
+    );
+
+    const result = await refundDonation(donation, { amount: 40 });
+
+    expect(result.error).toBe("Transaction not found");
+    expect(donation.refundedAmount).toBe(0);
+    expect(donation.refunds[0].status).toBe("failed");
+    expect(JournalEntry.postRefund).not.toHaveBeenCalled();
+  });
+
+  describe("refunds the gateway is still processing", () => {
+    let donation;
+
+    beforeEach(async () => {
+      await fakeGateway.initializePayment({ amount: 100, paymentReference: "DON_1" });
+      fakeGateway.settle("DON_1");
+      fakeGateway.holdRefunds = true;
+      donation = storeDonation(
+        completedDonation({
+          paymentMethod: "online",
+          paymentDetails: { gateway: "fake", transactionReference: "FAKE_DON_1" },
+        })
+      );
+    });
+
+    it("keeps a PENDING refund pending, holding its amount without taking it off the totals", async () => {
+      const result = await refundDonation(donation, { amount: 100 });
+
+      expect(result.refund.status).toBe("pending");
+      expect(result.refund.refundReference).toBe("FAKE_REFUND_1");
+      expect(donation.refundedAmount).toBe(100);
+      expect(donation.status).toBe("completed");
+      expect(JournalEntry.postRefund).not.toHaveBeenCalled();
+      expect(Member.updateOne).not.toHaveBeenCalled();
+      // Still pending at the gateway, so checking again changes nothing
+      expect(await finishPendingRefunds(donation)).toBeNull();
+      expect(donation.refunds[0].status).toBe("pending");
+    });
+
+    it("completes it once the gateway has", async () => {
+      const { refund } = await refundDonation(donation, { amount: 100 });
+      fakeGateway.settleRefund(refund.refundReference);
+
+      expect(await finishPendingRefunds(donation)).toBe("refund FAKE_REFUND_1 completed");
+      expect(await finishPendingRefunds(donation)).toBeNull();
+
+      expect(refund.status).toBe("completed");
+      expect(donation.status).toBe("refunded");
+      expect(JournalEntry.postRefund).toHaveBeenCalledTimes(1);
+    });
+
+    it("gives the amount back when the gateway fails it", async () => {
+      const { refund } = await refundDonation(donation, { amount: 40 });
+      fakeGateway.settleRefund(refund.refundReference, { status: "FAILED" });
+
+      expect(await finishPendingRefunds(donation)).toBe("refund FAKE_REFUND_1 failed");
+
+      expect(refund.status).toBe("failed");
+      expect(donation.refundedAmount).toBe(0);
+      expect(donation.status).toBe("completed");
+      expect(JournalEntry.postRefund).not.toHaveBeenCalled();
+    });
+  });
+});
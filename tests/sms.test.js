@@ -0,0 +1,31 @@
+// The SMS service picks its provider when it is first required
+const loadSms = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  Object.keys(env)
+    .filter((key) => env[key] === undefined)
+    .forEach((key) => delete process.env[key]);
+  try {
+    let sms;
+    jest.isolateModules(() => {
+      sms = require("../config/sms");
+    });
+    return sms;
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe("SMS provider", () => {
+  it("refuses to start with a provider it doesn't know", () => {
+    expect(() => loadSms({ SMS_PROVIDER: "termi" })).toThrow('Unknown SMS_PROVIDER "termi"');
+  });
+
+  it("only falls back to the stub in development and tests", () => {
+    expect(loadSms({ SMS_PROVIDER: undefined, NODE_ENV: "test" }).provider.name).toBe("stub");
+    expect(() => loadSms({ SMS_PROVIDER: undefined, NODE_ENV: "production" })).toThrow(
+      "SMS_PROVIDER must be set in production"
+    );
+    expect(loadSms({ SMS_PROVIDER: "stub", NODE_ENV: "production" }).provider.name).toBe("stub");
+  });
+});
@@ -0,0 +1,149 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const request = require("supertest");
+const sharp = require("sharp");
+const Church = require("../app/models/Church");
+const Expense = require("../app/models/Expense");
+const Member = require("../app/models/Member");
+const User = require("../app/models/User");
+const churchRoutes = require("../app/routes/churches");
+const expenseRoutes = require("../app/routes/expenses");
+
+const app = express();
+app.use(express.json());
+app.use("/api/churches", churchRoutes);
+app.use("/api/expenses", expenseRoutes);
+
+const churchId = "64b000000000000000000001";
+
+const signedIn = (role) => {
+  const user = new User({
+    firstName: "Ada",
+    lastName: "Obi",
+    email: "ada@example.com",
+    password: "secret123",
+    churches: role ? [{ churchId, role }] : [],
+  });
+  jest.spyOn(User, "findById").mockReturnValue({ select: async () => user });
+  return `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`;
+};
+
+// Every file the local storage driver has written
+const storedFiles = (dir = process.env.UPLOAD_DIR) =>
+  fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) =>
+    entry.isDirectory()
+      ? storedFiles(path.join(dir, entry.name))
+      : [path.join(dir, entry.name)]
+  );
+
+describe("file uploads", () => {
+  let png;
+
+  beforeAll(async () => {
+    png = await sharp({
+      create: { width: 4, height: 4, channels: 3, background: "#336699" },
+    })
+      .png()
+      .toBuffer();
+  });
+
+  beforeEach(() => {
+    fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+    fs.mkdirSync(process.env.UPLOAD_DIR);
+    jest.spyOn(Member, "findOne").mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+  });
+
+  describe("expense attachments", () => {
+    let expense;
+
+    beforeEach(() => {
+      expense = new Expense({ churchId, title: "Diesel", amount: 5000, category: "utilities" });
+      jest.spyOn(Expense, "findById").mockResolvedValue(expense);
+      jest.spyOn(Expense.prototype, "save").mockImplementation(async function () {
+        return this;
+      });
+    });
+
+    it("stores a file a church member uploads", async () => {
+      const auth = signedIn(null);
+      Member.findOne.mockResolvedValue(new Member({ churchId, role: "member" }));
+
+      const res = await request(app)
+        .post(`/api/expenses/${expense._id}/attachments`)
+        .set("Authorization", auth)
+        .attach("file", Buffer.from("date,amount\n2026-10-01,5000\n"), {
+          filename: "receipt.csv",
+          contentType: "text/csv",
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.attachment.originalName).toBe("receipt.csv");
+      expect(expense.attachments).toHaveLength(1);
+      const [file] = storedFiles();
+      expect(fs.readFileSync(file, "utf8")).toBe("date,amount\n2026-10-01,5000\n");
+    });
+
+    it("refuses uploads from outside the expense's church", async () => {
+      const auth = signedIn(null);
+
+      const res = await request(app)
+        .post(`/api/expenses/${expense._id}/attachments`)
+        .set("Authorization", auth)
+        .attach("file", Buffer.from("date,amount\n"), {
+          filename: "receipt.csv",
+          contentType: "text/csv",
+        });
+
+      expect(res.status).toBe(403);
+      expect(storedFiles()).toEqual([]);
+    });
+  });
+
+  describe("church logos", () => {
+    let church;
+
+    beforeEach(() => {
+      church = new Church({ _id: churchId, name: "Grace Chapel" });
+      jest.spyOn(Church, "findById").mockResolvedValue(church);
+      jest.spyOn(Church.prototype, "save").mockImplementation(async function () {
+        return this;
+      });
+    });
+
+    it("stores a logo and its thumbnail for a church admin", async () => {
+      const res = await request(app)
+        .post(`/api/churches/${churchId}/upload-logo`)
+        .set("Authorization", signedIn("admin"))
+        .attach("file", png, { filename: "logo.png", contentType: "image/png" });
+
+      expect(res.status).toBe(200);
+      expect(church.logo.url).toBeDefined();
+      expect(storedFiles()).toHaveLength(2);
+    });
+
+    it("refuses a logo from a church member who isn't an admin", async () => {
+      const res = await request(app)
+        .post(`/api/churches/${churchId}/upload-logo`)
+        .set("Authorization", signedIn("member"))
+        .attach("file", png, { filename: "logo.png", contentType: "image/png" });
+
+      expect(res.status).toBe(403);
+      expect(storedFiles()).toEqual([]);
+    });
+  });
+});